@@ -40,7 +40,10 @@ const ArchiShieldEngine = {
             };
         }
 
-        const validation = BuildingValidator.validate(parseResult.data);
+        // Active jurisdiction pack: project setting, else the one covering the site
+        const env = Jurisdictions.getActive(parseResult.data.latitude, parseResult.data.longitude);
+
+        const validation = BuildingValidator.validate(parseResult.data, env);
         if (!validation.valid) {
             log.push(`❌ Validation Errors:`);
             validation.errors.forEach(e => log.push(`   • ${e}`));
@@ -70,17 +73,18 @@ const ArchiShieldEngine = {
         // Step 2: Load Environmental Data
         log.push("▓▓▓ PHASE 2: ENVIRONMENTAL & REGULATORY LAYERS ▓▓▓");
         log.push("");
+        log.push(`Jurisdiction: ${env.name}`);
         log.push("Environmental Layer (50-year predictive data):");
-        log.push(`  • Seismic: ${SOFIA_2036.environmentalData.seismicMagnitude}M (PGA ${SOFIA_2036.environmentalData.peakGroundAcceleration}g)`);
-        log.push(`  • Wind: ${SOFIA_2036.environmentalData.peakWindSpeedMph} mph (${SOFIA_2036.environmentalData.peakWindSpeedMs.toFixed(1)} m/s)`);
-        log.push(`  • Flood: BFE ${SOFIA_2036.environmentalData.baseFloodElevation}m + 1.2m = ${SOFIA_2036.environmentalData.designBFE}m`);
-        log.push(`  • Thermal: ${SOFIA_2036.environmentalData.heatwavePeakTemp}°C for ${SOFIA_2036.environmentalData.heatwaveDuration}h`);
+        log.push(`  • Seismic: ${env.environmentalData.seismicMagnitude}M (PGA ${env.environmentalData.peakGroundAcceleration}g)`);
+        log.push(`  • Wind: ${env.environmentalData.peakWindSpeedMph} mph (${env.environmentalData.peakWindSpeedMs.toFixed(1)} m/s)`);
+        log.push(`  • Flood: BFE ${env.environmentalData.baseFloodElevation}m + 1.2m = ${env.environmentalData.designBFE}m`);
+        log.push(`  • Thermal: ${env.environmentalData.heatwavePeakTemp}°C for ${env.environmentalData.heatwaveDuration}h`);
         log.push("");
-        log.push("Regulatory Layer (Sofia Urban Code 2036):");
-        log.push(`  • Max FAR: ${SOFIA_2036.zoningCode.maxFAR}`);
-        log.push(`  • Setback: ${SOFIA_2036.zoningCode.setbackFormula} × Height (min ${SOFIA_2036.zoningCode.minSetbackMeters}m)`);
-        log.push(`  • Max Height: ${SOFIA_2036.zoningCode.maxBuildingHeight}m`);
-        log.push(`  • Max Lot Coverage: ${SOFIA_2036.zoningCode.maxLotCoverage * 100}%`);
+        log.push(`Regulatory Layer (${env.regulatory.framework}):`);
+        log.push(`  • Max FAR: ${env.zoningCode.maxFAR}`);
+        log.push(`  • Setback: ${env.zoningCode.setbackFormula} × Height (min ${env.zoningCode.minSetbackMeters}m)`);
+        log.push(`  • Max Height: ${env.zoningCode.maxBuildingHeight}m`);
+        log.push(`  • Max Lot Coverage: ${env.zoningCode.maxLotCoverage * 100}%`);
         log.push("");
 
         // Step 3: Execute All Audits
@@ -93,7 +97,7 @@ const ArchiShieldEngine = {
 
         // Wind Load Audit
         log.push("━━━ Wind Load Audit (WLA-2036) ━━━");
-        auditResults.wind = WindLoadAudit.execute(building, SOFIA_2036);
+        auditResults.wind = WindLoadAudit.execute(building, env);
         log.push(`  Status: ${auditResults.wind.status} | Score: ${auditResults.wind.score.toFixed(1)}`);
         allRequirements.push(...(auditResults.wind.requirements || []));
         detailedReasoning.wind = auditResults.wind.reasoning;
@@ -101,7 +105,7 @@ const ArchiShieldEngine = {
 
         // Zoning Audit
         log.push("━━━ Zoning Compliance Audit (ZON-2036) ━━━");
-        auditResults.zoning = ZoningAudit.execute(building, SOFIA_2036);
+        auditResults.zoning = ZoningAudit.execute(building, env);
         log.push(`  Status: ${auditResults.zoning.status} | Score: ${auditResults.zoning.score.toFixed(1)}`);
         allRequirements.push(...(auditResults.zoning.requirements || []));
         detailedReasoning.zoning = auditResults.zoning.reasoning;
@@ -109,7 +113,7 @@ const ArchiShieldEngine = {
 
         // Seismic Audit
         log.push("━━━ Seismic Integrity Audit (SIA-2036) ━━━");
-        auditResults.seismic = SeismicAudit.execute(building, SOFIA_2036);
+        auditResults.seismic = SeismicAudit.execute(building, env);
         log.push(`  Status: ${auditResults.seismic.passed ? 'PASSED' : 'FAILED'} | Score: ${auditResults.seismic.score.toFixed(1)}`);
         allRequirements.push(...(auditResults.seismic.remediations || []).map(r => ({
             parameter: r.type || 'structural',
@@ -122,7 +126,7 @@ const ArchiShieldEngine = {
 
         // Hydraulic Audit
         log.push("━━━ Hydraulic Integrity Audit (HIA-2036) ━━━");
-        auditResults.hydraulic = HydraulicAudit.execute(building, SOFIA_2036);
+        auditResults.hydraulic = HydraulicAudit.execute(building, env);
         log.push(`  Status: ${auditResults.hydraulic.status} | Score: ${auditResults.hydraulic.score.toFixed(1)}`);
         allRequirements.push(...(auditResults.hydraulic.requirements || []));
         detailedReasoning.hydraulic = auditResults.hydraulic.reasoning;
@@ -130,7 +134,7 @@ const ArchiShieldEngine = {
 
         // Thermal Audit
         log.push("━━━ Passive Thermal Envelope Audit (PTA-2036) ━━━");
-        auditResults.thermal = ThermalAudit.execute(building, SOFIA_2036);
+        auditResults.thermal = ThermalAudit.execute(building, env);
         log.push(`  Status: ${auditResults.thermal.status} | Score: ${auditResults.thermal.score.toFixed(1)}`);
         allRequirements.push(...(auditResults.thermal.requirements || []));
         detailedReasoning.thermal = auditResults.thermal.reasoning;
@@ -138,7 +142,7 @@ const ArchiShieldEngine = {
 
         // Ethics Audit
         log.push("━━━ Krems Ethics Protocol (KEP-2036) ━━━");
-        auditResults.ethics = EthicsAudit.execute(building, SOFIA_2036);
+        auditResults.ethics = EthicsAudit.execute(building, env);
         log.push(`  Status: ${auditResults.ethics.status} | Score: ${auditResults.ethics.score.toFixed(1)}`);
         if (auditResults.ethics.ethicalWarning) {
             log.push(`  ⚠ ETHICAL WARNING: Social impact exceeds threshold`);
@@ -163,7 +167,7 @@ const ArchiShieldEngine = {
         if (status !== 'LEGAL & RESILIENT') {
             log.push("▓▓▓ PHASE 5: REMEDIATION GENERATION ▓▓▓");
             log.push("");
-            remediations = RemediationEngine.generate(auditResults, building);
+            remediations = RemediationEngine.generate(auditResults, building, env);
             log.push("Recommended modifications generated");
             detailedReasoning.remediation = remediations.reasoning || '';
             log.push("");
@@ -178,7 +182,8 @@ const ArchiShieldEngine = {
             auditResults,
             globalScore,
             status,
-            allRequirements
+            allRequirements,
+            env
         );
 
         log.push(`Certificate Hash: ${certificate.hash}`);
@@ -193,6 +198,7 @@ const ArchiShieldEngine = {
 
         return {
             success: true,
+            jurisdiction: env,
             building,
             auditResults,
             globalScore,
@@ -234,10 +240,12 @@ const ArchiShieldEngine = {
      * Get environment info
      */
     getEnvironment() {
+        const env = Jurisdictions.getActive();
         return {
-            location: SOFIA_2036.location,
-            environmental: SOFIA_2036.environmentalData,
-            zoning: SOFIA_2036.zoningCode,
+            jurisdiction: { id: env.id, name: env.name, framework: env.regulatory.framework },
+            location: env.location,
+            environmental: env.environmentalData,
+            zoning: env.zoningCode,
             version: this.version
         };
     },
@@ -38,12 +38,12 @@ const EthicsAudit = {
         reasoning.push(`  Adjacent to Red Zone: ${adjacentToRedZone ? 'Yes' : 'No'}`);
         if (adjacentToRedZone) {
             reasoning.push(`  Red Zone Direction: ${calculations.redZoneDirection}`);
-            reasoning.push(`  Sofia Designated Red Zones:`);
+            reasoning.push(`  ${env.name} Designated Red Zones:`);
             for (const zone of env.ethicsConstants.redZones) {
                 reasoning.push(`    • ${zone.name}: ${zone.population.toLocaleString()} residents`);
             }
         }
-        reasoning.push(`  [Citation: KEP-2036 §2.1, Sofia Social Equity Code]`);
+        reasoning.push(`  [Citation: KEP-2036 §2.1, ${env.regulatory.framework}]`);
         reasoning.push("");
 
         // Step 2: Calculate Shadow Geometry
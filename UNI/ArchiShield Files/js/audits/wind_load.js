@@ -11,7 +11,7 @@ const WindLoadAudit = {
     /**
      * Execute wind audit
      * @param {Object} building - Building data
-     * @param {Object} config - Environmental config (SOFIA_2036)
+     * @param {Object} config - Jurisdiction pack
      * @returns {Object} Audit result
      */
     execute(building, config) {
@@ -1,18 +1,18 @@
 /**
- * ArchiShield Alpha V2 - Sofia Urban Code Zoning Audit
+ * ArchiShield Alpha V2 - Zoning Code Audit
  * =====================================================
  * Checks Floor Area Ratio, setbacks, and height limits
- * Hard constraint validation against Sofia 2036 zoning code
+ * Hard constraint validation against the active jurisdiction's zoning code
  */
 
 const ZoningAudit = {
-    name: 'Sofia Urban Code Zoning Audit',
+    name: 'Zoning Code Audit',
     code: 'ZON-2036',
 
     /**
      * Execute zoning compliance audit
      * @param {Object} building - Validated building data
-     * @param {Object} env - SOFIA_2036 constants
+     * @param {Object} env - Jurisdiction pack
      * @returns {Object} - Audit results with anti-hallucination citations
      */
     execute(building, env) {
@@ -23,8 +23,8 @@ const ZoningAudit = {
         let status = 'LEGAL & RESILIENT';
         const failureReasons = [];
 
-        reasoning.push("═══ SOFIA URBAN CODE ZONING AUDIT (ZON-2036) ═══");
-        reasoning.push(`Regulatory Framework: Sofia Urban Code 2036`);
+        reasoning.push("═══ ZONING CODE AUDIT (ZON-2036) ═══");
+        reasoning.push(`Regulatory Framework: ${env.regulatory.framework}`);
         reasoning.push(`Last Updated: ${env.regulatory.lastUpdated}`);
         reasoning.push("");
 
@@ -46,7 +46,7 @@ const ZoningAudit = {
         reasoning.push(`  Lot Area: ${lotArea.toLocaleString()} m²`);
         reasoning.push(`  Actual FAR: ${actualFAR.toFixed(2)}`);
         reasoning.push(`  Maximum FAR: ${maxFAR}`);
-        reasoning.push(`  [Citation: Sofia Urban Code §4.2.1 - Floor Area Ratio Limits]`);
+        reasoning.push(`  [Citation: ${env.regulatory.framework} §4.2.1 - Floor Area Ratio Limits]`);
         
         if (actualFAR > maxFAR) {
             passed = false;
@@ -60,7 +60,7 @@ const ZoningAudit = {
                 current: `${totalFloorArea.toLocaleString()} m²`,
                 required: `≤${(lotArea * maxFAR).toLocaleString()} m²`,
                 action: `Reduce floor area by ${requiredReduction.toLocaleString()} m²`,
-                citation: "Sofia Urban Code §4.2.1"
+                citation: `${env.regulatory.framework} §4.2.1`
             });
         } else {
             const farMargin = maxFAR - actualFAR;
@@ -78,7 +78,7 @@ const ZoningAudit = {
         
         reasoning.push(`  Building Height: ${actualHeight} m`);
         reasoning.push(`  Maximum Height: ${maxHeight} m`);
-        reasoning.push(`  [Citation: Sofia Urban Code §4.3.1 - Height Restrictions]`);
+        reasoning.push(`  [Citation: ${env.regulatory.framework} §4.3.1 - Height Restrictions]`);
         
         if (actualHeight > maxHeight) {
             passed = false;
@@ -91,7 +91,7 @@ const ZoningAudit = {
                 current: `${actualHeight}m`,
                 required: `≤${maxHeight}m`,
                 action: `Reduce height by ${actualHeight - maxHeight}m or ${Math.ceil((actualHeight - maxHeight) / 3.5)} floors`,
-                citation: "Sofia Urban Code §4.3.1"
+                citation: `${env.regulatory.framework} §4.3.1`
             });
         } else {
             reasoning.push(`  ✓ COMPLIANT: Height within limits`);
@@ -111,7 +111,7 @@ const ZoningAudit = {
         
         reasoning.push(`  Required Setback = max(${env.zoningCode.setbackFormula} × ${actualHeight}, ${env.zoningCode.minSetbackMeters})`);
         reasoning.push(`  Required Setback = max(${(env.zoningCode.setbackFormula * actualHeight).toFixed(1)}, ${env.zoningCode.minSetbackMeters}) = ${requiredSetback.toFixed(1)} m`);
-        reasoning.push(`  [Citation: Sofia Urban Code §5.1.1 - Setback Formula]`);
+        reasoning.push(`  [Citation: ${env.regulatory.framework} §5.1.1 - Setback Formula]`);
         reasoning.push("");
         
         // Check each property line
@@ -136,7 +136,7 @@ const ZoningAudit = {
                     current: `${distance.toFixed(1)}m`,
                     required: `≥${requiredSetback.toFixed(1)}m`,
                     action: `Increase ${direction} setback by ${(requiredSetback - distance).toFixed(1)}m`,
-                    citation: "Sofia Urban Code §5.1.1"
+                    citation: `${env.regulatory.framework} §5.1.1`
                 });
             } else {
                 reasoning.push(`    ✓ Compliant`);
@@ -162,7 +162,7 @@ const ZoningAudit = {
         reasoning.push(`  Lot Area: ${lotArea.toLocaleString()} m²`);
         reasoning.push(`  Lot Coverage: ${(actualCoverage * 100).toFixed(1)}%`);
         reasoning.push(`  Maximum Coverage: ${(maxCoverage * 100).toFixed(0)}%`);
-        reasoning.push(`  [Citation: Sofia Urban Code §5.2.1 - Lot Coverage Limits]`);
+        reasoning.push(`  [Citation: ${env.regulatory.framework} §5.2.1 - Lot Coverage Limits]`);
         
         if (actualCoverage > maxCoverage) {
             passed = false;
@@ -176,7 +176,7 @@ const ZoningAudit = {
                 current: `${building.footprint_area.toLocaleString()} m²`,
                 required: `≤${maxFootprint.toLocaleString()} m²`,
                 action: `Reduce footprint by ${(building.footprint_area - maxFootprint).toLocaleString()} m²`,
-                citation: "Sofia Urban Code §5.2.1"
+                citation: `${env.regulatory.framework} §5.2.1`
             });
         } else {
             reasoning.push(`  ✓ COMPLIANT: Lot coverage within limits`);
@@ -193,7 +193,7 @@ const ZoningAudit = {
         
         reasoning.push(`  Minimum Green Space Required: ${(minGreenSpace * 100).toFixed(0)}% of lot`);
         reasoning.push(`  Available Open Space: ${(availableGreen * 100).toFixed(1)}%`);
-        reasoning.push(`  [Citation: Sofia Urban Code §5.3.1 - Green Space Requirements]`);
+        reasoning.push(`  [Citation: ${env.regulatory.framework} §5.3.1 - Green Space Requirements]`);
         
         if (availableGreen < minGreenSpace) {
             passed = false;
@@ -205,7 +205,7 @@ const ZoningAudit = {
                 parameter: "green_space",
                 current: `${(availableGreen * 100).toFixed(1)}%`,
                 required: `≥${(minGreenSpace * 100).toFixed(0)}%`,
-                citation: "Sofia Urban Code §5.3.1"
+                citation: `${env.regulatory.framework} §5.3.1`
             });
         } else {
             reasoning.push(`  ✓ COMPLIANT: Green space requirement met`);
@@ -227,7 +227,7 @@ const ZoningAudit = {
         reasoning.push(`  Parking Ratio: ${parkingRatio} spaces per 100m² GFA`);
         reasoning.push(`  Required Spaces: ${requiredSpaces}`);
         reasoning.push(`  Estimated Available (basement): ${estimatedSpaces}`);
-        reasoning.push(`  [Citation: Sofia Urban Code §6.1.1 - Parking Standards]`);
+        reasoning.push(`  [Citation: ${env.regulatory.framework} §6.1.1 - Parking Standards]`);
         
         if (estimatedSpaces < requiredSpaces) {
             // Parking is warning, not failure
@@ -237,7 +237,7 @@ const ZoningAudit = {
                 current: `≈${estimatedSpaces} spaces`,
                 required: `≥${requiredSpaces} spaces`,
                 action: `Add ${requiredSpaces - estimatedSpaces} parking spaces (mechanical parking or adjacent lot)`,
-                citation: "Sofia Urban Code §6.1.1"
+                citation: `${env.regulatory.framework} §6.1.1`
             });
         } else {
             reasoning.push(`  ✓ COMPLIANT: Parking requirement met`);
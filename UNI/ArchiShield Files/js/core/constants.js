@@ -3,9 +3,19 @@
  * =======================================================================
  * Parametric Resilience & Zoning Engine
  * Data Ingestion Protocol: Environmental + Regulatory + Physical Layers
+ *
+ * The built-in jurisdiction pack; js/core/jurisdictions.js registers it and
+ * picks the active pack for each audit.
  */
 
 const VIENNA_2036 = {
+    id: "vienna",
+    name: "Vienna, Austria",
+    version: "2036-v2.0",
+
+    // Sites inside this box resolve to this pack: [minLng, minLat, maxLng, maxLat]
+    coverage: [16.18, 48.11, 16.58, 48.33],
+
     // ═══════════════════════════════════════════════════════════════════════
     // GEOGRAPHIC LOCATION
     // ═══════════════════════════════════════════════════════════════════════
@@ -43,9 +53,9 @@ const VIENNA_2036 = {
         heatwaveDuration: 96,             // hours (4 days)
         targetInternalTemp: 24,           // °C for comfort (Austrian standard)
         maxHVACLoadIncrease: 0.20,        // 20% limit (EU energy efficiency)
-        solarRadiationPeak: 950,          // W/m² (lower than Sofia due to latitude)
+        solarRadiationPeak: 950,          // W/m² (Central European latitude)
         
-        // Seismic Data (Lower risk than Sofia - Zone 3)
+        // Seismic Data (Vienna Basin, low-to-moderate hazard)
         seismicMagnitude: 5.0,            // Design earthquake (Vienna Basin)
         peakGroundAcceleration: 0.10,     // g (much lower risk)
         seismicReturnPeriod: 475,         // years
@@ -60,7 +70,7 @@ const VIENNA_2036 = {
     // ═══════════════════════════════════════════════════════════════════════
     zoningCode: {
         // Floor Area Ratio (Geschossflächenzahl)
-        maxFAR: 2.5,                      // Lower than Sofia - historic preservation
+        maxFAR: 2.5,                      // Historic preservation
         
         // Setback Rules (Abstandsflächen)
         setbackFormula: 0.4,              // Distance = 0.4 × Building Height
@@ -162,7 +172,7 @@ const VIENNA_2036 = {
         },
         
         // Minimum insulation R-values (m²·K/W) - Nearly Zero Energy Building
-        minRValueWall: 6.5,               // Higher than Sofia - colder winters
+        minRValueWall: 6.5,               // Colder continental winters
         minRValueRoof: 8.0,
         minRValueFloor: 4.5,
         
@@ -269,6 +279,8 @@ const VIENNA_2036 = {
     // ═══════════════════════════════════════════════════════════════════════
     regulatory: {
         authority: "Magistrat der Stadt Wien - Baupolizei (MA 37)",
+        framework: "Wiener Bauordnung (Vienna Building Code)",
+        address: "Dresdner Straße 73-75, 1200 Wien, Austria",
         standardVersion: "ArchiShield-AT-2036-v2.0",
         certificationBody: "Austrian Institute of Construction Engineering (OIB)",
         appealPeriod: 14,                 // days (Austrian admin law)
@@ -289,9 +301,6 @@ const VIENNA_2036 = {
     }
 };
 
-// Alias for backward compatibility with existing code
-const SOFIA_2036 = VIENNA_2036;
-
 // Deep freeze all constants
 function deepFreeze(obj) {
     Object.keys(obj).forEach(key => {
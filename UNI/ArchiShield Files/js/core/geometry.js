@@ -0,0 +1,313 @@
+/**
+ * geometry.js
+ * Planar geometry on a local metric projection for ArchiShield Pro Audits.
+ *
+ * GeoJSON geometries ([lon, lat]) are projected onto a tangent plane centred
+ * near the geometries involved; distances come back in meters, areas in m².
+ * Mirrors src/services/geometry.js of the React app.
+ */
+
+const Geometry = {
+
+    METERS_PER_DEG_LAT: 111320,
+
+    /**
+     * Local metric projection around an origin.
+     * @param {Object} origin {lat, lng}
+     * @return {Object} { toLocal([lon, lat]) → [x, y], toLngLat([x, y]) → [lon, lat] }
+     */
+    createLocalProjection(origin) {
+        const mPerDegLat = this.METERS_PER_DEG_LAT;
+        const mPerDegLng = mPerDegLat * Math.cos(origin.lat * Math.PI / 180);
+
+        return {
+            origin,
+            toLocal: ([lng, lat]) => [(lng - origin.lng) * mPerDegLng, (lat - origin.lat) * mPerDegLat],
+            toLngLat: ([x, y]) => [origin.lng + x / mPerDegLng, origin.lat + y / mPerDegLat]
+        };
+    },
+
+    /**
+     * Ray-casting test of a local point against a ring.
+     * @param {Array} point [x, y]
+     * @param {Array} ring [[x, y], ...]
+     * @return {boolean}
+     */
+    isPointInRing([x, y], ring) {
+        let inside = false;
+        for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+            const xi = ring[i][0], yi = ring[i][1];
+            const xj = ring[j][0], yj = ring[j][1];
+            if (((yi > y) !== (yj > y)) && (x < (xj - xi) * (y - yi) / (yj - yi) + xi)) {
+                inside = !inside;
+            }
+        }
+        return inside;
+    },
+
+    /**
+     * Distance from a local point to segment AB.
+     * @return {number} Meters
+     */
+    distanceToSegment([px, py], [ax, ay], [bx, by]) {
+        const dx = bx - ax, dy = by - ay;
+        const lengthSq = dx * dx + dy * dy;
+        const t = lengthSq === 0 ? 0 : Math.max(0, Math.min(1, ((px - ax) * dx + (py - ay) * dy) / lengthSq));
+        return Math.hypot(px - (ax + t * dx), py - (ay + t * dy));
+    },
+
+    /**
+     * Whether segments AB and CD meet (touching counts).
+     * @return {boolean}
+     */
+    segmentsIntersect([ax, ay], [bx, by], [cx, cy], [dx, dy]) {
+        const rx = bx - ax, ry = by - ay;
+        const sx = dx - cx, sy = dy - cy;
+        const denominator = rx * sy - ry * sx;
+        if (denominator === 0) return false;
+        const t = ((cx - ax) * sy - (cy - ay) * sx) / denominator;
+        const u = ((cx - ax) * ry - (cy - ay) * rx) / denominator;
+        return t >= 0 && t <= 1 && u >= 0 && u <= 1;
+    },
+
+    /**
+     * Shoelace area of a local ring (positive = counter-clockwise).
+     * @return {number} m²
+     */
+    signedRingArea(ring) {
+        let area = 0;
+        for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+            area += ring[j][0] * ring[i][1] - ring[i][0] * ring[j][1];
+        }
+        return area / 2;
+    },
+
+    /**
+     * Offset a local ring outward (negative distance insets it), mitred corners
+     * capped at 4x the offset.
+     * @param {Array} ring Open ring [[x, y], ...]
+     * @param {number} distance Meters
+     * @return {Array} Offset ring
+     */
+    offsetRing(ring, distance) {
+        // Orientation decides which side of each edge is "outward"
+        const outward = this.signedRingArea(ring) > 0 ? 1 : -1;
+
+        const edgeNormal = (a, b) => {
+            const dx = b[0] - a[0], dy = b[1] - a[1];
+            const len = Math.hypot(dx, dy) || 1;
+            return [outward * dy / len, -outward * dx / len];
+        };
+
+        return ring.map((point, i) => {
+            const prev = ring[(i - 1 + ring.length) % ring.length];
+            const next = ring[(i + 1) % ring.length];
+            const n1 = edgeNormal(prev, point);
+            const n2 = edgeNormal(point, next);
+            const bisector = [n1[0] + n2[0], n1[1] + n2[1]];
+            const len = Math.hypot(bisector[0], bisector[1]) || 1;
+            const cosHalf = Math.max((n1[0] * bisector[0] + n1[1] * bisector[1]) / len, 0.25);
+            const scale = distance / cosHalf / len;
+            return [point[0] + bisector[0] * scale, point[1] + bisector[1] * scale];
+        });
+    },
+
+    /**
+     * Split a GeoJSON geometry into points, polyline vertex lists and polygons
+     * (arrays of open rings, outer first).
+     * @param {Object} geometry GeoJSON geometry
+     * @return {Object} { points, lines, polygons }
+     */
+    decompose(geometry) {
+        const parts = { points: [], lines: [], polygons: [] };
+        if (!geometry) return parts;
+
+        const open = ring => {
+            const first = ring[0], last = ring[ring.length - 1];
+            return first[0] === last[0] && first[1] === last[1] ? ring.slice(0, -1) : ring;
+        };
+        const addPolygon = rings => parts.polygons.push(rings.filter(r => r.length >= 3).map(open));
+
+        if (geometry.type === 'Point') parts.points.push(geometry.coordinates);
+        else if (geometry.type === 'MultiPoint') parts.points.push(...geometry.coordinates);
+        else if (geometry.type === 'LineString') parts.lines.push(geometry.coordinates);
+        else if (geometry.type === 'MultiLineString') parts.lines.push(...geometry.coordinates);
+        else if (geometry.type === 'Polygon') addPolygon(geometry.coordinates);
+        else if (geometry.type === 'MultiPolygon') geometry.coordinates.forEach(addPolygon);
+
+        parts.polygons = parts.polygons.filter(rings => rings.length > 0);
+        return parts;
+    },
+
+    /**
+     * Project a geometry and list its vertices and segments (polygon edges included).
+     */
+    _toLocal(geometry, projection) {
+        const { points, lines, polygons } = this.decompose(geometry);
+        const local = {
+            points: points.map(projection.toLocal),
+            polygons: polygons.map(rings => rings.map(ring => ring.map(projection.toLocal))),
+            segments: [],
+            vertices: []
+        };
+
+        lines.forEach(line => {
+            const vertices = line.map(projection.toLocal);
+            local.vertices.push(...vertices);
+            for (let i = 1; i < vertices.length; i++) local.segments.push([vertices[i - 1], vertices[i]]);
+        });
+        local.polygons.forEach(rings => rings.forEach(ring => {
+            local.vertices.push(...ring);
+            for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) local.segments.push([ring[j], ring[i]]);
+        }));
+        local.vertices.push(...local.points);
+        return local;
+    },
+
+    _inPolygon(point, [outer, ...holes]) {
+        return this.isPointInRing(point, outer) && !holes.some(hole => this.isPointInRing(point, hole));
+    },
+
+    _referencePoint(geometry) {
+        const { points, lines, polygons } = this.decompose(geometry);
+        const first = points[0] || (lines[0] && lines[0][0]) || (polygons[0] && polygons[0][0][0]);
+        return first ? { lng: first[0], lat: first[1] } : null;
+    },
+
+    /**
+     * Distance from a point to a GeoJSON geometry (0 inside polygons).
+     * @param {Object} point {lat, lng}
+     * @param {Object} geometry GeoJSON geometry
+     * @return {number} Meters
+     */
+    distanceToGeometry(point, geometry) {
+        const local = this._toLocal(geometry, this.createLocalProjection(point));
+        const origin = [0, 0];
+
+        if (local.polygons.some(polygon => this._inPolygon(origin, polygon))) return 0;
+
+        let min = Infinity;
+        local.segments.forEach(([a, b]) => { min = Math.min(min, this.distanceToSegment(origin, a, b)); });
+        local.points.forEach(([x, y]) => { min = Math.min(min, Math.hypot(x, y)); });
+        return min;
+    },
+
+    /**
+     * Shortest distance between two GeoJSON geometries (0 if they touch or overlap).
+     * @return {number} Meters
+     */
+    distanceBetweenGeometries(a, b) {
+        const origin = this._referencePoint(a);
+        if (!origin || !this._referencePoint(b)) return Infinity;
+
+        const projection = this.createLocalProjection(origin);
+        const partsA = this._toLocal(a, projection);
+        const partsB = this._toLocal(b, projection);
+
+        const containedIn = (vertices, polygons) =>
+            vertices.some(vertex => polygons.some(polygon => this._inPolygon(vertex, polygon)));
+        if (containedIn(partsA.vertices, partsB.polygons) || containedIn(partsB.vertices, partsA.polygons)) return 0;
+
+        for (const [p, q] of partsA.segments) {
+            for (const [r, s] of partsB.segments) {
+                if (this.segmentsIntersect(p, q, r, s)) return 0;
+            }
+        }
+
+        const closest = (vertices, other) => {
+            let min = Infinity;
+            vertices.forEach(vertex => {
+                other.segments.forEach(([p, q]) => { min = Math.min(min, this.distanceToSegment(vertex, p, q)); });
+                other.points.forEach(([x, y]) => { min = Math.min(min, Math.hypot(vertex[0] - x, vertex[1] - y)); });
+            });
+            return min;
+        };
+        return Math.min(closest(partsA.vertices, partsB), closest(partsB.vertices, partsA));
+    },
+
+    /**
+     * Area of a GeoJSON geometry or [lon, lat] ring (holes subtracted).
+     * @return {number} m²
+     */
+    getArea(geometry) {
+        const shape = Array.isArray(geometry) ? { type: 'Polygon', coordinates: [geometry] } : geometry;
+        const origin = this._referencePoint(shape);
+        if (!origin) return 0;
+
+        const { polygons } = this._toLocal(shape, this.createLocalProjection(origin));
+        return polygons.reduce((total, [outer, ...holes]) =>
+            total + Math.abs(this.signedRingArea(outer)) -
+            holes.reduce((sum, hole) => sum + Math.abs(this.signedRingArea(hole)), 0), 0);
+    },
+
+    /**
+     * Area centroid of a GeoJSON polygon or [lon, lat] ring (vertex mean otherwise).
+     * @return {Object|null} {lat, lng}
+     */
+    getCentroid(geometry) {
+        const shape = Array.isArray(geometry) ? { type: 'Polygon', coordinates: [geometry] } : geometry;
+        const origin = this._referencePoint(shape);
+        if (!origin) return null;
+
+        const projection = this.createLocalProjection(origin);
+        const local = this._toLocal(shape, projection);
+        let weight = 0, cx = 0, cy = 0;
+
+        local.polygons.forEach(rings => rings.forEach((ring, k) => {
+            const area = this.signedRingArea(ring);
+            if (Math.abs(area) < 1e-9) return;
+            let rx = 0, ry = 0;
+            for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+                const cross = ring[j][0] * ring[i][1] - ring[i][0] * ring[j][1];
+                rx += (ring[j][0] + ring[i][0]) * cross;
+                ry += (ring[j][1] + ring[i][1]) * cross;
+            }
+            const w = k === 0 ? Math.abs(area) : -Math.abs(area);
+            weight += w;
+            cx += rx / (6 * area) * w;
+            cy += ry / (6 * area) * w;
+        }));
+
+        if (weight <= 0) {
+            if (local.vertices.length === 0) return null;
+            weight = local.vertices.length;
+            cx = local.vertices.reduce((sum, v) => sum + v[0], 0);
+            cy = local.vertices.reduce((sum, v) => sum + v[1], 0);
+        }
+
+        const [lng, lat] = projection.toLngLat([cx / weight, cy / weight]);
+        return { lat, lng };
+    },
+
+    /**
+     * Buffer a Point (circle) or Polygon (mitred offset of the outer ring).
+     * @param {Object} geometry GeoJSON Point or Polygon
+     * @param {number} distance Meters
+     * @param {number} steps Circle vertices
+     * @return {Object|null} GeoJSON Polygon
+     */
+    buffer(geometry, distance, steps = 32) {
+        const { points, polygons } = this.decompose(geometry);
+        const close = ring => [...ring, ring[0]];
+
+        if (polygons.length > 0) {
+            const outer = polygons[0][0];
+            const projection = this.createLocalProjection(this.getCentroid(close(outer)));
+            const ring = this.offsetRing(outer.map(projection.toLocal), distance).map(projection.toLngLat);
+            return { type: 'Polygon', coordinates: [close(ring)] };
+        }
+        if (points.length > 0 && distance > 0) {
+            const projection = this.createLocalProjection({ lng: points[0][0], lat: points[0][1] });
+            const ring = [];
+            for (let i = 0; i < steps; i++) {
+                const angle = 2 * Math.PI * i / steps;
+                ring.push(projection.toLngLat([distance * Math.cos(angle), distance * Math.sin(angle)]));
+            }
+            return { type: 'Polygon', coordinates: [close(ring)] };
+        }
+        return null;
+    }
+};
+
+// Expose globally
+window.Geometry = Geometry;
@@ -0,0 +1,172 @@
+/**
+ * jurisdictions.js
+ * Jurisdiction packs for ArchiShield Pro Audits.
+ *
+ * A pack carries everything the audits, validator and exports read for one
+ * regulatory area (location, environmental data, zoning code, ethics red
+ * zones, regulatory authority). Packs are checked against REQUIRED_FIELDS and
+ * frozen when registered; `extends: "<id>"` inherits from a registered pack.
+ * The active pack is the project setting (select) when made, else the pack
+ * covering the site, else Vienna. Mirrors src/services/jurisdictions/ of the
+ * React app.
+ */
+
+const Jurisdictions = {
+
+    DEFAULT_ID: 'vienna',
+
+    // Dotted path → expected type
+    REQUIRED_FIELDS: {
+        'id': 'string',
+        'name': 'string',
+        'location.name': 'string',
+        'location.latitude': 'number',
+        'location.longitude': 'number',
+        'environmentalData.peakGroundAcceleration': 'number',
+        'environmentalData.seismicMagnitude': 'number',
+        'environmentalData.peakWindSpeedMph': 'number',
+        'environmentalData.baseFloodElevation': 'number',
+        'environmentalData.heatwavePeakTemp': 'number',
+        'zoningCode.maxFAR': 'number',
+        'zoningCode.setbackFormula': 'number',
+        'zoningCode.minSetbackMeters': 'number',
+        'zoningCode.maxBuildingHeight': 'number',
+        'zoningCode.maxLotCoverage': 'number',
+        'zoningCode.minGreenSpace': 'number',
+        'zoningCode.minParkingRatio': 'number',
+        'zoningCode.redZoneBuffer': 'number',
+        'ethicsConstants.maxShadeImpact': 'number',
+        'ethicsConstants.redZones': 'array',
+        'regulatory.authority': 'string',
+        'regulatory.framework': 'string',
+        'regulatory.standardVersion': 'string',
+        'regulatory.validityPeriod': 'number'
+    },
+
+    packs: {},
+    selectedId: null,
+
+    /**
+     * Check a pack against REQUIRED_FIELDS.
+     * @param {Object} pack
+     * @return {Object} { valid, errors }
+     */
+    validate(pack) {
+        const errors = [];
+        if (!pack || typeof pack !== 'object') {
+            return { valid: false, errors: ['Jurisdiction pack must be an object'] };
+        }
+
+        for (const [path, type] of Object.entries(this.REQUIRED_FIELDS)) {
+            const value = path.split('.').reduce((obj, key) => (obj == null ? undefined : obj[key]), pack);
+            if (value === undefined || value === null) {
+                errors.push(`${path} is required`);
+            } else if (type === 'array' ? !Array.isArray(value) : typeof value !== type) {
+                errors.push(`${path} must be ${type === 'array' ? 'an array' : `a ${type}`}`);
+            }
+        }
+        (pack.ethicsConstants?.redZones || []).forEach((zone, i) => {
+            if (typeof zone.name !== 'string' || typeof zone.lat !== 'number' || typeof zone.lon !== 'number') {
+                errors.push(`ethicsConstants.redZones[${i}] needs name, lat and lon`);
+            }
+        });
+        if (pack.coverage !== undefined &&
+            (!Array.isArray(pack.coverage) || pack.coverage.length !== 4 || !pack.coverage.every(Number.isFinite))) {
+            errors.push('coverage must be [minLng, minLat, maxLng, maxLat]');
+        }
+        return { valid: errors.length === 0, errors };
+    },
+
+    /**
+     * Validate, freeze and register a pack.
+     * @param {Object|string} source Pack object or JSON text
+     * @return {Object} The registered pack
+     */
+    register(source) {
+        let pack = typeof source === 'string' ? JSON.parse(source) : source;
+        if (pack && pack.extends) {
+            const base = this.packs[pack.extends];
+            if (!base) throw new Error(`Jurisdiction pack "${pack.id}" extends unknown pack "${pack.extends}"`);
+            pack = this._merge(base, pack);
+        }
+
+        const { valid, errors } = this.validate(pack);
+        if (!valid) {
+            throw new Error(`Invalid jurisdiction pack "${pack?.id ?? '?'}": ${errors.join('; ')}`);
+        }
+        this.packs[pack.id] = this._freeze(pack);
+        return pack;
+    },
+
+    get(id) {
+        return this.packs[id] || null;
+    },
+
+    list() {
+        return Object.values(this.packs).map(pack => ({
+            id: pack.id,
+            name: pack.name,
+            framework: pack.regulatory.framework
+        }));
+    },
+
+    /**
+     * Project setting: always use this pack (null = pick by site).
+     * @param {string|null} id
+     */
+    select(id) {
+        if (id && !this.packs[id]) throw new Error(`Unknown jurisdiction: ${id}`);
+        this.selectedId = id || null;
+    },
+
+    /**
+     * Most specific pack whose coverage contains the site.
+     * @return {Object|null}
+     */
+    findForSite(lat, lng) {
+        if (!Number.isFinite(lat) || !Number.isFinite(lng)) return null;
+
+        const area = ([minLng, minLat, maxLng, maxLat]) => (maxLng - minLng) * (maxLat - minLat);
+        let best = null;
+        for (const pack of Object.values(this.packs)) {
+            if (!pack.coverage) continue;
+            const [minLng, minLat, maxLng, maxLat] = pack.coverage;
+            if (lng < minLng || lng > maxLng || lat < minLat || lat > maxLat) continue;
+            if (!best || area(pack.coverage) < area(best.coverage)) best = pack;
+        }
+        return best;
+    },
+
+    /**
+     * Active pack for a site.
+     * @param {number} [lat]
+     * @param {number} [lng]
+     * @return {Object}
+     */
+    getActive(lat, lng) {
+        return (this.selectedId && this.packs[this.selectedId])
+            || this.findForSite(lat, lng)
+            || this.packs[this.DEFAULT_ID];
+    },
+
+    _merge(base, overrides) {
+        const isObject = v => v && typeof v === 'object' && !Array.isArray(v);
+        const merged = { ...base };
+        for (const [key, value] of Object.entries(overrides)) {
+            merged[key] = isObject(value) && isObject(base[key]) ? this._merge(base[key], value) : value;
+        }
+        return merged;
+    },
+
+    _freeze(obj) {
+        Object.values(obj).forEach(value => {
+            if (value && typeof value === 'object' && !Object.isFrozen(value)) this._freeze(value);
+        });
+        return Object.freeze(obj);
+    }
+};
+
+Jurisdictions.register(VIENNA_2036);
+
+// Expose globally
+window.Jurisdictions = Jurisdictions;
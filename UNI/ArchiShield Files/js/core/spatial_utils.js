@@ -1,6 +1,7 @@
 /**
  * spatial_utils.js
  * Geometric and spatial analysis helpers for ArchiShield Pro Audits.
+ * Measurements delegate to Geometry (js/core/geometry.js, loaded first).
  */
 
 const SpatialUtils = {
@@ -29,7 +30,8 @@ const SpatialUtils = {
     },
 
     /**
-     * Calculate minimum distance from a point to a GeoJSON Feature Collection of LineStrings (e.g., River).
+     * Calculate minimum distance from a point to a GeoJSON Feature Collection (e.g., River).
+     * Measures to the nearest segment of LineStrings/MultiLineStrings and the edge of polygons.
      * @param {Object} point {lat, lng}
      * @param {Object} featureCollection GeoJSON FeatureCollection
      * @return {number} Minimum distance in meters
@@ -40,72 +42,52 @@ const SpatialUtils = {
         if (!featureCollection || !featureCollection.features) return minDistance;
 
         for (const feature of featureCollection.features) {
-            if (feature.geometry.type === 'LineString') {
-                for (const coord of feature.geometry.coordinates) {
-                    // coord is [lon, lat]
-                    const dist = this.getDistance(point.lat, point.lng, coord[1], coord[0]);
-                    if (dist < minDistance) minDistance = dist;
-                }
-            }
+            if (!feature.geometry) continue;
+            const dist = Geometry.distanceToGeometry(point, feature.geometry);
+            if (dist < minDistance) minDistance = dist;
         }
         return minDistance;
     },
 
     /**
-     * Count features within a radius.
+     * Count features within a radius (measured to the nearest edge of polygons).
      * @param {Object} point {lat, lng}
      * @param {Array} features Array of GeoJSON features (e.g. MapLibre query results)
      * @param {number} radius Meters
      * @return {number} Count
      */
     countFeaturesInRadius(point, features, radius) {
-        // Optimized: Uses bounding box check before heavy Haversine, but strict check is fine for <1000 items
         let count = 0;
-        // Simple approximation: 1 degree latitude ~ 111km
-        const degRadius = radius / 111000; 
 
         for (const feature of features) {
-            // Assume Point features or use first coord of Polygon
-            let coords = null;
-            if (feature.geometry.type === 'Point') coords = feature.geometry.coordinates;
-            else if (feature.geometry.type === 'Polygon') coords = feature.geometry.coordinates[0][0];
-            
-            if (coords) {
-                // Quick Box Check
-                if (Math.abs(coords[1] - point.lat) > degRadius) continue;
-                if (Math.abs(coords[0] - point.lng) > degRadius) continue;
-
-                if (this.getDistance(point.lat, point.lng, coords[1], coords[0]) <= radius) {
-                    count++;
-                }
+            if (!feature.geometry) continue;
+            if (Geometry.distanceToGeometry(point, feature.geometry) <= radius) {
+                count++;
             }
         }
         return count;
     },
 
     /**
-     * Check if point is inside a polygon (Ray casting algorithm).
+     * Check if point is inside a polygon (Ray casting algorithm, holes respected).
      * @param {Object} point {lat, lng}
      * @param {Array} polygonCoords Array of [lon, lat] rings
      * @return {boolean}
      */
     isPointInPolygon(point, polygonCoords) {
-        // Simple implementation for single ring polygons
-        const x = point.lng, y = point.lat;
-        let inside = false;
-        
-        // polygonCoords might be [[[lon, lat], ...]] for Polygon (first ring)
-        const ring = polygonCoords[0]; 
-        
-        for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
-            const xi = ring[i][0], yi = ring[i][1];
-            const xj = ring[j][0], yj = ring[j][1];
-            
-            const intersect = ((yi > y) !== (yj > y)) &&
-                (x < (xj - xi) * (y - yi) / (yj - yi) + xi);
-            if (intersect) inside = !inside;
-        }
-        return inside;
+        const [outer, ...holes] = polygonCoords;
+        const p = [point.lng, point.lat];
+        if (!outer || !Geometry.isPointInRing(p, outer)) return false;
+        return !holes.some(hole => Geometry.isPointInRing(p, hole));
+    },
+
+    /**
+     * Area of a [lon, lat] ring in square meters.
+     * @param {Array} ring
+     * @return {number}
+     */
+    getPolygonArea(ring) {
+        return Geometry.getArea(ring);
     }
 };
 
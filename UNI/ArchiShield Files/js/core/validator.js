@@ -11,13 +11,14 @@ const BuildingValidator = {
         name: { type: 'string', required: true, minLength: 1 },
         
         // Location (for data layer lookup)
-        latitude: { type: 'number', required: false, min: -90, max: 90, unit: '°', default: 42.6977 },
-        longitude: { type: 'number', required: false, min: -180, max: 180, unit: '°', default: 23.3219 },
+        latitude: { type: 'number', required: false, min: -90, max: 90, unit: '°' },
+        longitude: { type: 'number', required: false, min: -180, max: 180, unit: '°' },
         
         // Physical Parameters
         height: { type: 'number', required: true, min: 1, max: 500, unit: 'meters' },
         floors: { type: 'number', required: false, min: 1, max: 200, unit: 'count' },
         footprint_area: { type: 'number', required: true, min: 10, max: 100000, unit: 'm²' },
+        // footprint_polygon: optional [lng, lat] ring or GeoJSON Polygon (checked by parseFootprintPolygon)
         total_floor_area: { type: 'number', required: false, min: 10, max: 500000, unit: 'm²' },
         
         // Lot Information (for zoning)
@@ -69,8 +70,10 @@ const BuildingValidator = {
 
     /**
      * Validate building data against schema
+     * @param {Object} building - Raw building data
+     * @param {Object} env - Jurisdiction pack (default: active pack for the site)
      */
-    validate(building) {
+    validate(building, env = Jurisdictions.getActive(building?.latitude, building?.longitude)) {
         const errors = [];
         const warnings = [];
         const sanitized = {};
@@ -84,6 +87,22 @@ const BuildingValidator = {
             };
         }
 
+        // A footprint polygon supplies the area and location when they are not given
+        let footprint = null;
+        if (building.footprint_polygon !== undefined && building.footprint_polygon !== null) {
+            footprint = this.parseFootprintPolygon(building.footprint_polygon);
+            if (!footprint) {
+                errors.push('footprint_polygon must be a ring of at least 3 [lng, lat] points');
+            } else {
+                building = {
+                    ...building,
+                    footprint_area: building.footprint_area ?? Math.round(footprint.area * 10) / 10,
+                    latitude: building.latitude ?? footprint.centroid.lat,
+                    longitude: building.longitude ?? footprint.centroid.lng
+                };
+            }
+        }
+
         // Validate each field
         for (const [field, rules] of Object.entries(this.schema)) {
             const value = building[field];
@@ -145,9 +164,13 @@ const BuildingValidator = {
         if (sanitized.footprint_area && sanitized.height) {
             sanitized.floors = sanitized.floors || Math.ceil(sanitized.height / 3.5);
             sanitized.volume = sanitized.footprint_area * sanitized.height;
-            sanitized.footprintWidth = Math.sqrt(sanitized.footprint_area);
-            sanitized.surfaceArea = 2 * sanitized.footprint_area + 4 * sanitized.footprintWidth * sanitized.height;
-            sanitized.wallArea = 4 * sanitized.footprintWidth * sanitized.height;
+            // Real outline when a polygon is given, otherwise a square of the same area
+            const perimeter = footprint ? footprint.perimeter : 4 * Math.sqrt(sanitized.footprint_area);
+            sanitized.footprint_polygon = footprint ? footprint.ring : null;
+            sanitized.footprintWidth = footprint ? footprint.width : Math.sqrt(sanitized.footprint_area);
+            sanitized.perimeter = perimeter;
+            sanitized.surfaceArea = 2 * sanitized.footprint_area + perimeter * sanitized.height;
+            sanitized.wallArea = perimeter * sanitized.height;
             sanitized.windowArea = sanitized.wallArea * (sanitized.window_to_wall_ratio || 0);
             
             // Calculate total floor area if not provided
@@ -182,15 +205,15 @@ const BuildingValidator = {
         }
 
         // Other defaults
-        sanitized.latitude = sanitized.latitude ?? 42.6977;
-        sanitized.longitude = sanitized.longitude ?? 23.3219;
+        sanitized.latitude = sanitized.latitude ?? env.location.latitude;
+        sanitized.longitude = sanitized.longitude ?? env.location.longitude;
         sanitized.ground_floor_elevation = sanitized.ground_floor_elevation ?? 0;
         sanitized.has_basement = sanitized.has_basement ?? false;
         sanitized.has_backup_power = sanitized.has_backup_power ?? (sanitized.energy_autonomy_level >= 50);
         sanitized.has_water_storage = sanitized.has_water_storage ?? false;
         sanitized.adjacent_to_red_zone = sanitized.adjacent_to_red_zone ?? true;
         sanitized.red_zone_direction = sanitized.red_zone_direction ?? 'south';
-        sanitized.site_elevation = sanitized.site_elevation ?? 550;
+        sanitized.site_elevation = sanitized.site_elevation ?? env.location.elevation ?? 0;
         sanitized.structural_system = sanitized.structural_system ?? 'moment_frame';
         sanitized.roof_type = sanitized.roof_type ?? 'flat';
         sanitized.flood_zone = sanitized.flood_zone ?? 'Zone AE';
@@ -204,8 +227,8 @@ const BuildingValidator = {
         if (sanitized.window_to_wall_ratio > 0.4) {
             warnings.push(`High WWR ${(sanitized.window_to_wall_ratio * 100).toFixed(0)}% may exceed orientation limits`);
         }
-        if (sanitized.actualFAR > 3.5) {
-            warnings.push(`FAR ${sanitized.actualFAR.toFixed(2)} exceeds Sofia limit of 3.5`);
+        if (sanitized.actualFAR > env.zoningCode.maxFAR) {
+            warnings.push(`FAR ${sanitized.actualFAR.toFixed(2)} exceeds ${env.name} limit of ${env.zoningCode.maxFAR}`);
         }
 
         return {
@@ -216,6 +239,50 @@ const BuildingValidator = {
         };
     },
 
+    /**
+     * Parse a footprint polygon ([lng, lat] ring or GeoJSON Polygon)
+     * Measures it in a local metric projection around its vertex centroid.
+     * @returns {Object|null} { ring (closed), area, perimeter, width (E-W extent), centroid }
+     */
+    parseFootprintPolygon(polygon) {
+        const ring = polygon && polygon.type === 'Polygon' ? polygon.coordinates[0] : polygon;
+        if (!Array.isArray(ring)) return null;
+
+        const points = ring.filter(p => Array.isArray(p) && isFinite(p[0]) && isFinite(p[1]));
+        if (points.length !== ring.length) return null;
+        const first = points[0];
+        const last = points[points.length - 1];
+        const open = points.length > 1 && first[0] === last[0] && first[1] === last[1]
+            ? points.slice(0, -1) : points;
+        if (open.length < 3) return null;
+
+        const centroid = {
+            lng: open.reduce((sum, p) => sum + p[0], 0) / open.length,
+            lat: open.reduce((sum, p) => sum + p[1], 0) / open.length
+        };
+        const mPerDegLat = 111320;
+        const mPerDegLon = 111320 * Math.cos(centroid.lat * Math.PI / 180);
+        const local = open.map(([lng, lat]) => [(lng - centroid.lng) * mPerDegLon, (lat - centroid.lat) * mPerDegLat]);
+
+        let area = 0;
+        let perimeter = 0;
+        for (let i = 0, j = local.length - 1; i < local.length; j = i++) {
+            area += local[j][0] * local[i][1] - local[i][0] * local[j][1];
+            perimeter += Math.hypot(local[i][0] - local[j][0], local[i][1] - local[j][1]);
+        }
+        area = Math.abs(area) / 2;
+        if (area === 0) return null;
+
+        const xs = local.map(p => p[0]);
+        return {
+            ring: [...open, open[0]],
+            area,
+            perimeter,
+            width: Math.max(...xs) - Math.min(...xs),
+            centroid
+        };
+    },
+
     /**
      * Parse JSON string to building object
      */
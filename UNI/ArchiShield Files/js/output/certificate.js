@@ -7,10 +7,11 @@
 const CertificateGenerator = {
     /**
      * Generate complete certificate from audit results
+     * @param {Object} env - Jurisdiction pack (default: active pack for the site)
      */
-    generate(building, auditResults, globalScore, status, allRequirements) {
+    generate(building, auditResults, globalScore, status, allRequirements, env = Jurisdictions.getActive(building.latitude, building.longitude)) {
         const auditHash = this.generateHash(building, auditResults);
-        const certificateData = this.buildCertificateData(building, auditResults, globalScore, status, auditHash, allRequirements);
+        const certificateData = this.buildCertificateData(building, auditResults, globalScore, status, auditHash, allRequirements, env);
         const markdown = this.formatMarkdown(certificateData);
         
         return {
@@ -23,20 +24,22 @@ const CertificateGenerator = {
     /**
      * Build certificate data structure
      */
-    buildCertificateData(building, auditResults, globalScore, status, hash, requirements) {
+    buildCertificateData(building, auditResults, globalScore, status, hash, requirements, env) {
         const now = new Date();
+        const { regulatory, environmentalData: hazards } = env;
         
         return {
             // Header
             certificateType: "Resilience Audit Certificate",
             version: "2.0",
-            issuer: "Sofia City Council - Urban Resilience Division",
-            regulatoryFramework: "Sofia Urban Code 2036",
+            issuer: regulatory.authority,
+            regulatoryFramework: regulatory.framework,
+            jurisdiction: env.id,
             
             // Audit Identity
             auditHash: hash,
             auditDate: now.toISOString(),
-            validUntil: new Date(now.getTime() + 5 * 365 * 24 * 60 * 60 * 1000).toISOString(),
+            validUntil: new Date(now.getTime() + regulatory.validityPeriod * 365 * 24 * 60 * 60 * 1000).toISOString(),
             
             // Subject
             building: {
@@ -44,7 +47,7 @@ const CertificateGenerator = {
                 location: {
                     latitude: building.latitude,
                     longitude: building.longitude,
-                    address: "Sofia, Bulgaria"
+                    address: env.location.name
                 },
                 specifications: {
                     height: `${building.height}m`,
@@ -74,19 +77,19 @@ const CertificateGenerator = {
             
             // Environment
             environmentalScenarios: {
-                seismic: "7.2 Magnitude (PGA 0.35g)",
-                flood: "BFE + 1.2m (4.0m design flood depth)",
-                thermal: "45°C sustained for 120 hours",
-                wind: "140 mph (62.6 m/s) design wind",
-                grid: "50% failure probability, 168h max outage"
+                seismic: `${hazards.seismicMagnitude} Magnitude (PGA ${hazards.peakGroundAcceleration}g)`,
+                flood: `BFE ${hazards.baseFloodElevation}m (${hazards.designBFE}m design flood depth)`,
+                thermal: `${hazards.heatwavePeakTemp}°C sustained for ${hazards.heatwaveDuration} hours`,
+                wind: `${hazards.peakWindSpeedMph} mph (${hazards.peakWindSpeedMs} m/s) design wind`,
+                grid: `${Math.round(hazards.gridFailureProbability * 100)}% failure probability, ${hazards.maxOutageDuration}h max outage`
             },
             
             // Legal
             legalNotice: [
-                "This certificate is issued in accordance with Sofia Urban Code 2036.",
+                `This certificate is issued in accordance with ${regulatory.framework}.`,
                 "All calculations are based on ASCE 7-22, ASHRAE 90.1-2022, and local codes.",
-                "Valid for 5 years from issue date.",
-                "Appeal period: 30 days from issue."
+                `Valid for ${regulatory.validityPeriod} years from issue date.`,
+                `Appeal period: ${regulatory.appealPeriod} days from issue.`
             ]
         };
     },
@@ -9,22 +9,13 @@ const ExportModule = {
      * Export building and audit data as GeoJSON
      */
     toGeoJSON(building, auditResult) {
-        const lat = building.latitude;
-        const lon = building.longitude;
-        const halfWidth = (building.footprintWidth || Math.sqrt(building.footprint_area)) / 2;
-        
-        // Convert meters to approximate degrees
-        const latDelta = (halfWidth / 111320);
-        const lonDelta = (halfWidth / (111320 * Math.cos(lat * Math.PI / 180)));
+        const env = this._jurisdiction(building, auditResult);
+        const requiredSetback = this._requiredSetback(building.height, env);
         
-        // Create rectangular footprint coordinates
-        const coordinates = [[
-            [lon - lonDelta, lat - latDelta],
-            [lon + lonDelta, lat - latDelta],
-            [lon + lonDelta, lat + latDelta],
-            [lon - lonDelta, lat + latDelta],
-            [lon - lonDelta, lat - latDelta]  // Close the polygon
-        ]];
+        // Footprint and setback zone from the building's polygon (metric, then back to WGS84)
+        const localFootprint = this._localFootprint(building);
+        const coordinates = [this._toLngLat(localFootprint, building)];
+        const setbackCoordinates = [this._toLngLat(this._offsetRing(localFootprint, requiredSetback), building)];
 
         // Build requirements summary
         const requirementsSummary = [];
@@ -77,7 +68,7 @@ const ExportModule = {
                         // Zoning
                         lot_area_m2: building.lot_area,
                         actual_FAR: building.actualFAR,
-                        max_FAR: 3.5,
+                        max_FAR: env.zoningCode.maxFAR,
                         
                         // Requirements
                         requirements: requirementsSummary,
@@ -85,7 +76,8 @@ const ExportModule = {
                         // Metadata
                         audit_date: new Date().toISOString(),
                         engine_version: "ArchiShield-Alpha-V2.0",
-                        regulatory_framework: "Sofia Urban Code 2036"
+                        jurisdiction: env.id,
+                        regulatory_framework: env.regulatory.framework
                     },
                     geometry: {
                         type: "Polygon",
@@ -97,17 +89,11 @@ const ExportModule = {
                     type: "Feature",
                     properties: {
                         type: "setback_zone",
-                        required_setback_m: Math.max(0.3 * building.height, 3.0)
+                        required_setback_m: requiredSetback
                     },
                     geometry: {
                         type: "Polygon",
-                        coordinates: [[
-                            [lon - lonDelta * 1.5, lat - latDelta * 1.5],
-                            [lon + lonDelta * 1.5, lat - latDelta * 1.5],
-                            [lon + lonDelta * 1.5, lat + latDelta * 1.5],
-                            [lon - lonDelta * 1.5, lat + latDelta * 1.5],
-                            [lon - lonDelta * 1.5, lat - latDelta * 1.5]
-                        ]]
+                        coordinates: setbackCoordinates
                     }
                 }
             ]
@@ -119,9 +105,14 @@ const ExportModule = {
      * Compatible with Revit/Rhino import
      */
     toDXF(building, auditResult) {
-        const halfWidth = (building.footprintWidth || Math.sqrt(building.footprint_area)) / 2;
         const height = building.height;
-        const requiredSetback = Math.max(0.3 * height, 3.0);
+        const requiredSetback = this._requiredSetback(height, this._jurisdiction(building, auditResult));
+        
+        // Local metric coordinates (metres from the building location)
+        const footprint = this._localFootprint(building);
+        const setbackRing = this._offsetRing(footprint, requiredSetback);
+        const lotHalf = Math.sqrt(building.lot_area) / 2;
+        const extent = Math.max(lotHalf, ...setbackRing.flat().map(Math.abs));
         
         // DXF header
         let dxf = `0
@@ -143,17 +134,17 @@ $INSBASE
 9
 $EXTMIN
 10
-${-halfWidth - requiredSetback}
+${-extent}
 20
-${-halfWidth - requiredSetback}
+${-extent}
 30
 0.0
 9
 $EXTMAX
 10
-${halfWidth + requiredSetback}
+${extent}
 20
-${halfWidth + requiredSetback}
+${extent}
 30
 ${height}
 0
@@ -177,34 +168,29 @@ ENTITIES
 `;
 
         // Building footprint (POLYLINE)
-        dxf += this._createPolyline([
-            [-halfWidth, -halfWidth, 0],
-            [halfWidth, -halfWidth, 0],
-            [halfWidth, halfWidth, 0],
-            [-halfWidth, halfWidth, 0],
-            [-halfWidth, -halfWidth, 0]
-        ], 'BUILDING_FOOTPRINT', 7);
+        dxf += this._createPolyline(
+            [...footprint, footprint[0]].map(([x, y]) => [x, y, 0]),
+            'BUILDING_FOOTPRINT', 7
+        );
 
-        // Building extrusion (3DFACE for top)
-        dxf += this._create3DFace([
-            [-halfWidth, -halfWidth, height],
-            [halfWidth, -halfWidth, height],
-            [halfWidth, halfWidth, height],
-            [-halfWidth, halfWidth, height]
-        ], 'BUILDING_TOP', 5);
+        // Building roof (3DFACE fan from the first vertex; 3DFACE takes 4 corners)
+        for (let i = 1; i < footprint.length - 1; i++) {
+            const p0 = footprint[0], p1 = footprint[i], p2 = footprint[i + 1];
+            dxf += this._create3DFace([
+                [p0[0], p0[1], height],
+                [p1[0], p1[1], height],
+                [p2[0], p2[1], height],
+                [p2[0], p2[1], height]
+            ], 'BUILDING_TOP', 5);
+        }
 
         // Setback zone (POLYLINE, dashed)
-        const setback = requiredSetback;
-        dxf += this._createPolyline([
-            [-halfWidth - setback, -halfWidth - setback, 0],
-            [halfWidth + setback, -halfWidth - setback, 0],
-            [halfWidth + setback, halfWidth + setback, 0],
-            [-halfWidth - setback, halfWidth + setback, 0],
-            [-halfWidth - setback, -halfWidth - setback, 0]
-        ], 'SETBACK_ZONE', 3);
+        dxf += this._createPolyline(
+            [...setbackRing, setbackRing[0]].map(([x, y]) => [x, y, 0]),
+            'SETBACK_ZONE', 3
+        );
 
         // Property boundary (outer)
-        const lotHalf = Math.sqrt(building.lot_area) / 2;
         dxf += this._createPolyline([
             [-lotHalf, -lotHalf, 0],
             [lotHalf, -lotHalf, 0],
@@ -239,6 +225,65 @@ EOF
         return dxf;
     },
 
+    /**
+     * Jurisdiction pack the audit ran under (else the active pack for the site).
+     */
+    _jurisdiction(building, auditResult) {
+        return auditResult?.jurisdiction || Jurisdictions.getActive(building.latitude, building.longitude);
+    },
+
+    /**
+     * Setback from the pack's formula: max(formula × height, minimum).
+     */
+    _requiredSetback(height, env) {
+        return Math.max(env.zoningCode.setbackFormula * height, env.zoningCode.minSetbackMeters);
+    },
+
+    /**
+     * Footprint as an open ring of [x, y] metres around the building location.
+     * Uses building.footprint_polygon ([lng, lat] ring) when present, otherwise
+     * a square of footprint_area.
+     */
+    _localFootprint(building) {
+        const lat = building.latitude;
+        const lon = building.longitude;
+        const mPerDegLat = 111320;
+        const mPerDegLon = 111320 * Math.cos(lat * Math.PI / 180);
+        const polygon = building.footprint_polygon;
+
+        if (Array.isArray(polygon) && polygon.length >= 3) {
+            const ring = polygon.map(([lng, lt]) => [(lng - lon) * mPerDegLon, (lt - lat) * mPerDegLat]);
+            const [first, last] = [ring[0], ring[ring.length - 1]];
+            return first[0] === last[0] && first[1] === last[1] ? ring.slice(0, -1) : ring;
+        }
+
+        const halfWidth = Math.sqrt(building.footprint_area) / 2;
+        return [
+            [-halfWidth, -halfWidth],
+            [halfWidth, -halfWidth],
+            [halfWidth, halfWidth],
+            [-halfWidth, halfWidth]
+        ];
+    },
+
+    /**
+     * Convert a local [x, y] ring back to a closed [lng, lat] ring
+     */
+    _toLngLat(ring, building) {
+        const lat = building.latitude;
+        const lon = building.longitude;
+        const mPerDegLon = 111320 * Math.cos(lat * Math.PI / 180);
+        const coords = ring.map(([x, y]) => [lon + x / mPerDegLon, lat + y / 111320]);
+        return [...coords, coords[0]];
+    },
+
+    /**
+     * Offset a local ring outward by a distance (mitred corners)
+     */
+    _offsetRing(ring, distance) {
+        return Geometry.offsetRing(ring, distance);
+    },
+
     /**
      * Create DXF POLYLINE entity
      */
@@ -344,6 +389,7 @@ ${text}
      * Export full audit report as JSON
      */
     toAuditJSON(building, auditResult) {
+        const env = this._jurisdiction(building, auditResult);
         return {
             exportVersion: "2.0",
             exportDate: new Date().toISOString(),
@@ -360,6 +406,7 @@ ${text}
                     height: building.height,
                     floors: building.floors,
                     footprintArea: building.footprint_area,
+                    footprintPolygon: building.footprint_polygon || null,
                     totalFloorArea: building.total_floor_area,
                     volume: building.volume
                 },
@@ -414,10 +461,11 @@ ${text}
             },
             
             regulatory: {
-                authority: "Sofia City Council - Urban Resilience Division",
-                framework: "Sofia Urban Code 2036",
-                standardVersion: "ArchiShield-BG-2036-v2.0",
-                validityPeriod: 5
+                jurisdiction: env.id,
+                authority: env.regulatory.authority,
+                framework: env.regulatory.framework,
+                standardVersion: env.regulatory.standardVersion,
+                validityPeriod: env.regulatory.validityPeriod
             }
         };
     }
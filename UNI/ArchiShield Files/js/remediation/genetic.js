@@ -176,7 +176,7 @@ const GeneticRemediation = {
      * Generate remediation suggestions for failed audits
      * @param {Object} building - Original building data
      * @param {Array} auditResults - Results from all audits
-     * @param {Object} env - SOFIA_2036 constants
+     * @param {Object} env - Jurisdiction pack
      * @returns {Object} - Three categorized remediations
      */
     generateRemediations(building, auditResults, env) {
@@ -386,7 +386,7 @@ const RemediationEngine = {
         const resultsArray = Array.isArray(auditResults) 
             ? auditResults 
             : Object.values(auditResults);
-        return GeneticRemediation.generateRemediations(building, resultsArray, env || SOFIA_2036);
+        return GeneticRemediation.generateRemediations(building, resultsArray, env || Jurisdictions.getActive(building.latitude, building.longitude));
     }
 };
 
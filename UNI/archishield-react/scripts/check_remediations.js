@@ -0,0 +1,148 @@
+#!/usr/bin/env node
+/**
+ * Remediation Catalogue Check
+ *
+ * Fails when an audit can emit a constraint type that has no remediation.
+ * Run with: npm run check:remediations
+ *
+ * 1. Every constraint type in the declarative rule sets and in the code-based
+ *    audits (found in their source) must have a catalogue entry.
+ * 2. A grid of Vienna sites and designs is audited; every emitted constraint
+ *    must produce at least one remediation.
+ * 3. Each parametric fix is applied and re-audited; fixes that leave their
+ *    constraint in place are reported, with or without a feasibility gain
+ *    (not failed - e.g. raising the ground floor keeps the HQ100 zone).
+ *
+ * Exit codes: 0 complete, 1 missing remediations
+ */
+
+import fs from 'node:fs';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { runSpotAudit } from '../src/services/spot_audit.js';
+import { AUDIT_RULES } from '../src/services/rules/index.js';
+import { findRemediationRule, generateRuleBasedRemediations } from '../src/services/remediation.js';
+import { getSpatialIndex } from '../src/services/spatial_index.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const DATA_DIR = path.join(__dirname, '../src/data');
+const AUDITS_DIR = path.join(__dirname, '../src/services/audits');
+
+// Constraint objects built in code: constraints.push({ type: 'X' ... }) or fooConstraint = { type: 'X' ... }
+const CODE_CONSTRAINT_PATTERN = /(?:constraints\.push\(|Constraint = )\{\s*type: '([A-Z0-9_]+)'/g;
+
+const SITES = [];
+for (let lat = 48.18; lat <= 48.245; lat += 0.01) {
+    for (let lng = 16.33; lng <= 16.415; lng += 0.01) {
+        SITES.push([Number(lat.toFixed(4)), Number(lng.toFixed(4))]);
+    }
+}
+
+const DESIGNS = [
+    {},
+    { height: 80, floors: 25 },
+    { height: 45, floors: 14, basementDepth: 20 },
+    { footprint: 500, surfaceSeal: 90 },
+    { height: 40, floors: 12, surfaceSeal: 75 },
+    { height: 60, floors: 18, footprint: 50, material: 'TIMBER' },
+    { height: 30, floors: 10, footprint: 400, material: 'STEEL', basementDepth: 12 }
+];
+
+function readLayer(file) {
+    const filePath = path.join(DATA_DIR, file);
+    return fs.existsSync(filePath) ? JSON.parse(fs.readFileSync(filePath, 'utf8')) : null;
+}
+
+// Templated types such as DISTRICT_{district}_PROTOCOL with a sample value
+function sampleType(type) {
+    return type.replace(/\{[^}]+\}/g, '1');
+}
+
+function declaredTypes() {
+    const types = new Map();
+    for (const [audit, rules] of Object.entries(AUDIT_RULES)) {
+        for (const rule of rules) {
+            if (rule.constraint) types.set(sampleType(rule.constraint.type), `rules/${audit}: ${rule.id}`);
+        }
+    }
+    for (const file of fs.readdirSync(AUDITS_DIR)) {
+        const source = fs.readFileSync(path.join(AUDITS_DIR, file), 'utf8');
+        for (const match of source.matchAll(CODE_CONSTRAINT_PATTERN)) {
+            if (!types.has(match[1])) types.set(match[1], `audits/${file}`);
+        }
+    }
+    return types;
+}
+
+// Same constraint in a re-audit (same type and, for per-item rules, the same item)
+function isSameConstraint(a, b) {
+    return a.type === b.type && (a.line ?? null) === (b.line ?? null) && (a.landmark ?? null) === (b.landmark ?? null);
+}
+
+function main() {
+    const problems = [];
+
+    const declared = declaredTypes();
+    for (const [type, source] of declared) {
+        if (!findRemediationRule(type)) problems.push(`${type} (${source}) has no remediation`);
+    }
+    console.log(`Declared constraint types: ${declared.size}`);
+
+    const buildings = readLayer('vienna_buildings.json')?.features || [];
+    const layers = {
+        buildings,
+        buildingIndex: getSpatialIndex(buildings),
+        zoningPlan: readLayer('vienna_zoning_plan.json'),
+        geology: readLayer('vienna_geology.json'),
+        tunnels: readLayer('vienna_ubahn_tunnels.json')
+    };
+
+    const emitted = new Map();
+    const fixes = { applied: 0, cleared: 0, improved: 0, open: new Map() };
+
+    for (const [latitude, longitude] of SITES) {
+        for (const design of DESIGNS) {
+            const result = runSpotAudit({ latitude, longitude, params: design, ...layers });
+            for (const constraint of result.constraints) {
+                emitted.set(constraint.type, (emitted.get(constraint.type) || 0) + 1);
+                const remediations = generateRuleBasedRemediations([constraint], result.building);
+                if (remediations.length === 0) {
+                    problems.push(`${constraint.type} emitted at ${latitude},${longitude} without a remediation`);
+                    continue;
+                }
+                for (const remediation of remediations.filter(r => r.action)) {
+                    const fixed = runSpotAudit({ latitude, longitude, params: { ...design, ...remediation.action }, ...layers });
+                    fixes.applied++;
+                    if (!fixed.constraints.some(c => isSameConstraint(c, constraint))) {
+                        fixes.cleared++;
+                    } else if (fixed.feasibility > result.feasibility) {
+                        fixes.improved++;
+                    } else {
+                        const key = `${constraint.type} ← ${remediation.type}`;
+                        fixes.open.set(key, (fixes.open.get(key) || 0) + 1);
+                    }
+                }
+            }
+        }
+    }
+
+    console.log(`Audited ${SITES.length} sites × ${DESIGNS.length} designs`);
+    for (const [type, count] of [...emitted].sort()) {
+        console.log(`  ${type.padEnd(30)} ${String(count).padStart(4)}×`);
+    }
+    const unseen = [...declared.keys()].filter(type => !emitted.has(type));
+    if (unseen.length > 0) console.log(`Not emitted on the grid: ${unseen.join(', ')}`);
+
+    console.log(`\nParametric fixes: ${fixes.cleared}/${fixes.applied} cleared their constraint, ${fixes.improved} raised feasibility`);
+    for (const [key, count] of fixes.open) console.log(`  no effect: ${key} (${count}×)`);
+
+    const unique = [...new Set(problems)];
+    if (unique.length > 0) {
+        console.error(`\n❌ ${unique.length} gap(s) in the remediation catalogue:`);
+        unique.forEach(problem => console.error(`  - ${problem}`));
+        process.exit(1);
+    }
+    console.log('\n✅ Every constraint type has a remediation');
+}
+
+main();
@@ -0,0 +1,559 @@
+#!/usr/bin/env node
+/**
+ * Headless Spot-Audit Runner
+ *
+ * Runs the same audits as the React app from the command line.
+ * Run with: node scripts/spot_audit.js --building site.geojson --format text
+ *
+ * Exit codes (for gating design reviews in scripts):
+ *   0 - HIGH or MEDIUM feasibility
+ *   1 - Usage or input error
+ *   2 - LOW feasibility
+ *   3 - REJECTED (blocking constraint)
+ *
+ * With --verify <certificate.json> --trusted-key <ids>: 0 authentic and reproduced,
+ * 1 not authentic (altered, unreadable, or not signed by a trusted key), 2 authentic
+ * but re-auditing the recorded inputs differs.
+ */
+
+import fs from 'node:fs';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { STATUS, runSpotAudit, compareRuleVersions, parseBuildingInput } from '../src/services/spot_audit.js';
+import { defaultAuditRegistry } from '../src/services/audits/index.js';
+import { listJurisdictionPacks, registerJurisdictionPack, toDateKey } from '../src/services/jurisdictions/index.js';
+import { listRules } from '../src/services/rules/index.js';
+import { SWEEP_PARAMETERS, runSensitivitySweep } from '../src/services/sensitivity.js';
+import { DEFAULT_TARGET_FEASIBILITY, ENVELOPE_SEARCH, runEnvelopeSolver } from '../src/services/envelope.js';
+import { DEFAULT_OPTIMIZER_GOALS, runRemediationOptimizer } from '../src/services/optimizer.js';
+import { parseKeyIds, reproduceCertificate, verifyCertificate } from '../src/services/certificate.js';
+import { createAuditReport } from '../src/services/report.js';
+import { createDxfExport } from '../src/services/dxf.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const DEFAULT_BUILDINGS_FILE = path.join(__dirname, '../src/data/vienna_buildings.json');
+const DEFAULT_ZONING_PLAN_FILE = path.join(__dirname, '../src/data/vienna_zoning_plan.json');
+const DEFAULT_GEOLOGY_FILE = path.join(__dirname, '../src/data/vienna_geology.json');
+const DEFAULT_TUNNELS_FILE = path.join(__dirname, '../src/data/vienna_ubahn_tunnels.json');
+const LOGO_FILE = path.join(__dirname, '../public/logo.jpg');
+
+const EXIT_CODES = {
+    OK: 0,
+    ERROR: 1,
+    LOW: 2,
+    REJECTED: 3
+};
+
+const VERIFY_EXIT_CODES = {
+    VALID: 0,
+    INVALID: 1,
+    NOT_REPRODUCED: 2
+};
+
+const USAGE = `Usage: node scripts/spot_audit.js [options]
+
+Options:
+  --building <file>    Building JSON (Spot-Audit params or legacy schema) or GeoJSON
+  --lat <deg>          Site latitude (overrides the building file)
+  --lng <deg>          Site longitude (overrides the building file)
+  --buildings <file>   Neighbor dataset GeoJSON (default: src/data/vienna_buildings.json)
+  --zoning-plan <file> Zoning-plan blocks GeoJSON (default: src/data/vienna_zoning_plan.json)
+  --geology <file>     Geology units GeoJSON with EN 1998 ground types (default: src/data/vienna_geology.json)
+  --tunnels <file>     U-Bahn tunnel centerlines GeoJSON with depth profiles (default: src/data/vienna_ubahn_tunnels.json)
+  --jurisdiction <id|file>
+                       Jurisdiction pack id, or a pack JSON file to load (default: picked by site location)
+  --as-of <date>       Audit against the rules in force on this date, e.g. the submission date (default: today)
+  --compare <date>     Also report what changes for this design since the rules in force on <date>
+  --sweep <param[=range]>
+                       Re-audit across a range of one parameter and report feasibility curves and
+                       thresholds, e.g. height, height=5:60:5 (min:max:step) or material=CONCRETE,TIMBER
+                       (parameters: ${Object.keys(SWEEP_PARAMETERS).join(', ')})
+  --envelope           Solve the largest compliant envelope (max height, footprint, best material)
+  --target <pct>       Lowest acceptable feasibility for --envelope (default: ${DEFAULT_TARGET_FEASIBILITY})
+  --optimize           Evolve ranked design changes that raise feasibility, weighed against cost
+  --cost-weight <n>    Feasibility points per percent of construction cost for --optimize (default: ${DEFAULT_OPTIMIZER_GOALS.costWeight})
+  --disable <ids>      Comma-separated audit ids to skip (e.g. heritage,wind_load)
+  --pdf <file>         Also write the branded PDF report (with the envelope when --envelope is set)
+  --dxf <file>         Also write the 3D DXF site model for Revit/Rhino (envelope, setbacks, tunnels, neighbors)
+  --verify <file>      Check an audit certificate offline (hash, Ed25519 signature) and re-audit its
+                       recorded inputs under its rule date; needs the datasets the issuer used
+  --trusted-key <ids>  Comma-separated issuer key ids --verify accepts (required with --verify)
+  --format <fmt>       json | text (default: text)
+  --trace              Show every rule evaluated, with the values it compared
+  --rules              List the audit rules (conditions, effects, citations) and exit
+  --help               Show this message
+
+Jurisdictions (rule versions from):
+${listJurisdictionPacks().map(pack =>
+        `  ${pack.id.padEnd(12)} ${pack.versions.map(v => `${v.id} ${v.effectiveFrom || ''}`.trim()).join(', ')}`
+    ).join('\n')}
+
+Exit codes: 0 HIGH/MEDIUM, 1 error, 2 LOW, 3 REJECTED
+  --verify: 0 authentic and reproduced, 1 not authentic or untrusted issuer, 2 authentic but the re-audit differs`;
+
+const FLAGS = ['help', 'rules', 'trace', 'envelope', 'optimize'];
+
+function parseArgs(argv) {
+    const args = { format: 'text' };
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '-h' || FLAGS.includes(arg.slice(2))) {
+            args[arg === '-h' ? 'help' : arg.slice(2)] = true;
+            continue;
+        }
+        if (!arg.startsWith('--')) {
+            throw new Error(`Unexpected argument: ${arg}`);
+        }
+        const key = arg.slice(2);
+        const value = argv[++i];
+        if (value === undefined) {
+            throw new Error(`Missing value for ${arg}`);
+        }
+        args[key] = value;
+    }
+    return args;
+}
+
+function readJSON(file) {
+    try {
+        return JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (error) {
+        throw new Error(`Cannot read ${file}: ${error.message}`);
+    }
+}
+
+function loadBuildings(file) {
+    if (!file) {
+        if (!fs.existsSync(DEFAULT_BUILDINGS_FILE)) return [];
+        file = DEFAULT_BUILDINGS_FILE;
+    }
+    const data = readJSON(file);
+    return Array.isArray(data) ? data : (data.features || []);
+}
+
+// Optional GeoJSON layer (zoning plan, geology, tunnels), falling back to the bundled file
+function loadLayer(file, defaultFile) {
+    if (!file) {
+        if (!fs.existsSync(defaultFile)) return null;
+        file = defaultFile;
+    }
+    const data = readJSON(file);
+    if (data.type !== 'FeatureCollection') {
+        throw new Error(`${file} is not a GeoJSON FeatureCollection`);
+    }
+    return data;
+}
+
+// Pack id as is; a .json file is loaded (validated) and registered first
+function loadJurisdiction(value) {
+    if (!value || !value.endsWith('.json')) return value || null;
+    let text;
+    try {
+        text = fs.readFileSync(value, 'utf8');
+    } catch (error) {
+        throw new Error(`Cannot read ${value}: ${error.message}`);
+    }
+    return registerJurisdictionPack(text).id;
+}
+
+function parseDate(value, name) {
+    if (value === undefined) return undefined;
+    try {
+        return toDateKey(value);
+    } catch {
+        throw new Error(`${name} must be a date (YYYY-MM-DD)`);
+    }
+}
+
+// "height", "height=5:60:5" or "material=CONCRETE,TIMBER"
+function parseSweep(value) {
+    if (value === undefined) return null;
+    const [parameter, range] = value.split('=');
+    if (!SWEEP_PARAMETERS[parameter]) {
+        throw new Error(`--sweep parameter must be one of ${Object.keys(SWEEP_PARAMETERS).join(', ')}`);
+    }
+    if (!range) return { parameter };
+    if (range.includes(',') || SWEEP_PARAMETERS[parameter].values) {
+        const values = range.split(',').map(v => v.trim()).filter(Boolean);
+        return { parameter, values: SWEEP_PARAMETERS[parameter].values ? values.map(v => v.toUpperCase()) : values.map(Number) };
+    }
+    const [min, max, step] = range.split(':');
+    return { parameter, min, max, step };
+}
+
+function parseCoordinate(value, name, min, max) {
+    const number = parseFloat(value);
+    if (isNaN(number) || number < min || number > max) {
+        throw new Error(`${name} must be a number between ${min} and ${max}`);
+    }
+    return number;
+}
+
+function formatRules(catalogue) {
+    const lines = ['═══ AUDIT RULES ═══'];
+    for (const { audit, rules } of catalogue) {
+        lines.push('');
+        lines.push(audit.toUpperCase());
+        for (const rule of rules) {
+            lines.push(`  ${rule.id} — ${rule.title}`);
+            lines.push(`    When:     ${rule.when}`);
+            if (rule.group) lines.push(`    Group:    ${rule.group} (first matching rule applies)`);
+            lines.push(`    Effect:   ${rule.effect || 'none'}`);
+            if (rule.citation) lines.push(`    Citation: ${rule.citation}`);
+            if (rule.remedy) lines.push(`    Remedy:   ${rule.remedy}`);
+        }
+    }
+    return lines.join('\n');
+}
+
+function formatTrace(audits) {
+    const lines = ['RULE TRACE'];
+    for (const [key, audit] of Object.entries(audits)) {
+        if (!audit?.trace) continue;
+        lines.push(`  ${key}`);
+        for (const entry of audit.trace) {
+            const rule = entry.item === undefined ? entry.rule : `${entry.rule}[${entry.item}]`;
+            const detail = entry.skipped ? `skipped: ${entry.skipped}` : entry.condition;
+            const score = entry.score ? ` (${entry.score > 0 ? '+' : ''}${entry.score})` : '';
+            lines.push(`    ${entry.fired ? '✓' : '·'} ${rule.padEnd(34)} ${detail}${score}`);
+        }
+    }
+    return lines.join('\n');
+}
+
+function formatText(result, { trace = false } = {}) {
+    const lines = [];
+    const { building } = result;
+
+    lines.push('═══ SPOT-AUDIT REPORT ═══');
+    lines.push(`Jurisdiction: ${result.jurisdiction.name} (${result.jurisdiction.framework})`);
+    const { ruleVersion } = result.jurisdiction;
+    if (ruleVersion) {
+        lines.push(`Rules: ${ruleVersion.label} [${ruleVersion.id}], in force ${ruleVersion.effectiveFrom}–${ruleVersion.effectiveTo || 'today'}, as of ${result.jurisdiction.asOf}`);
+    }
+    lines.push(`Location: ${building.latitude.toFixed(5)}°N, ${building.longitude.toFixed(5)}°E`);
+    lines.push(`District: ${result.district ? `${result.district}. ${result.districtName}` : 'Outside Vienna'}`);
+    const planBlock = result.audits.zoning?.planBlock;
+    if (planBlock) {
+        lines.push(`Zoning plan: ${planBlock.notation} (block ${planBlock.id}, Plandokument ${planBlock.plandokument})`);
+    }
+    const seismic = result.audits.seismic?.data;
+    if (seismic) {
+        lines.push(`Ground: type ${seismic.groundType} (${seismic.zone}), T1 ${seismic.period}s, D/C ${seismic.demandCapacityRatio}`);
+    }
+    const subsurface = result.audits.subsurface?.data;
+    if (subsurface?.nearestLine) {
+        lines.push(`U-Bahn: ${subsurface.nearestLine} ${subsurface.nearestDistance}m (near ${subsurface.nearestStation}), tunnel crown ${subsurface.tunnelDepth}m`);
+    }
+    lines.push(`Building: ${building.height}m, ${building.floors} floors, ${building.footprint}m², ${building.material}`);
+    lines.push('');
+    lines.push(`Feasibility: ${result.feasibility}%`);
+    lines.push(`Status: ${result.status}`);
+    lines.push(`Phases passed: ${result.passedCount}/${result.totalAudits}`);
+    lines.push(`Key risk: ${result.keyRisk}`);
+    lines.push('');
+
+    lines.push('AUDIT SCORES');
+    for (const [key, audit] of Object.entries(result.audits)) {
+        lines.push(`  ${audit?.passed ? '✓' : '✗'} ${key.padEnd(12)} ${String(audit?.score ?? 'N/A').padStart(3)}`);
+    }
+    lines.push('');
+
+    lines.push(`CONSTRAINTS (${result.constraints.length})`);
+    for (const constraint of result.constraints) {
+        const severity = (constraint.severity || 'info').toUpperCase();
+        lines.push(`  [${severity}] ${constraint.type || constraint.id}: ${constraint.message}`);
+    }
+    lines.push('');
+
+    lines.push(`MANDATES (${result.mandates.length})`);
+    for (const mandate of result.mandates) {
+        lines.push(`  • ${mandate.type}: ${mandate.description}`);
+    }
+
+    if (trace) {
+        lines.push('');
+        lines.push(formatTrace(result.audits));
+    }
+
+    return lines.join('\n');
+}
+
+function formatComparison(comparison) {
+    const lines = [];
+    lines.push(`RULE CHANGES ${comparison.from.ruleVersion.id} (${comparison.from.asOf}) → ${comparison.to.ruleVersion.id} (${comparison.to.asOf})`);
+    if (comparison.ruleChanges.length === 0) {
+        lines.push('  No rule changes between these dates');
+        return lines.join('\n');
+    }
+    for (const change of comparison.ruleChanges) {
+        lines.push(`  ${change.path}: ${JSON.stringify(change.from)} → ${JSON.stringify(change.to)}`);
+    }
+    lines.push(`  Feasibility: ${comparison.feasibility.from}% → ${comparison.feasibility.to}%`);
+    if (comparison.status.from !== comparison.status.to) {
+        lines.push(`  Status: ${comparison.status.from} → ${comparison.status.to}`);
+    }
+    for (const audit of comparison.audits) {
+        const from = audit.from ? audit.from.score : 'N/A';
+        lines.push(`  ${audit.id.padEnd(12)} ${String(from).padStart(3)} → ${String(audit.to.score).padStart(3)}${audit.from && audit.from.passed !== audit.to.passed ? (audit.to.passed ? ' (now passes)' : ' (now fails)') : ''}`);
+    }
+    for (const [label, { added, removed }] of Object.entries({ constraint: comparison.constraints, mandate: comparison.mandates })) {
+        added.forEach(item => lines.push(`  + ${label} ${item.type}: ${item.message || item.description}`));
+        removed.forEach(item => lines.push(`  - ${label} ${item.type}: ${item.message || item.description}`));
+    }
+    return lines.join('\n');
+}
+
+function formatSweep(sweep) {
+    const value = v => (typeof v === 'number' ? `${v}${sweep.unit}` : v);
+    const audits = Object.keys(sweep.scores);
+    const lines = [];
+    lines.push(`SENSITIVITY: ${sweep.label} ${value(sweep.values[0])}–${value(sweep.values[sweep.values.length - 1])} (${sweep.values.length} runs, design: ${value(sweep.base)})`);
+    lines.push(`  ${'value'.padEnd(10)} ${'feas'.padStart(4)}  ${'status'.padEnd(8)} ${audits.map(key => key.slice(0, 8).padStart(8)).join(' ')}`);
+    sweep.values.forEach((v, i) => {
+        const scores = audits.map(key => String(sweep.scores[key][i] ?? '-').padStart(8)).join(' ');
+        lines.push(`  ${String(value(v)).padEnd(10)} ${String(sweep.feasibility[i]).padStart(3)}%  ${sweep.status[i].split(' ')[0].padEnd(8)} ${scores}`);
+    });
+    lines.push('');
+    lines.push(`THRESHOLDS (${sweep.thresholds.length})`);
+    for (const threshold of sweep.thresholds) {
+        const sign = threshold.change === 'appears' ? '+' : '-';
+        const rule = threshold.rule ? ` (${threshold.rule})` : '';
+        lines.push(`  ${value(threshold.previous)} → ${value(threshold.value)}  ${sign} [${threshold.severity.toUpperCase()}] ${threshold.type}${rule}`);
+    }
+    lines.push('');
+    const best = `best ${sweep.best.feasibility}% at ${value(sweep.best.value)}`;
+    if (sweep.categorical) lines.push(`Best: ${sweep.best.feasibility}% at ${value(sweep.best.value)}`);
+    else if (sweep.lastFeasible === null) lines.push(`Feasible: rejected from ${value(sweep.values[0])} on · ${best}`);
+    else lines.push(`Feasible up to: ${value(sweep.lastFeasible)} · ${best}`);
+    return lines.join('\n');
+}
+
+function formatEnvelope(envelope) {
+    const lines = [];
+    lines.push(`MAX ENVELOPE (not REJECTED, feasibility ≥ ${envelope.targetFeasibility}%, no critical constraint beyond the site's)`);
+    const limit = (label, found, bound, unit) => (found
+        ? `${label} stops at ${found.value}${unit}: ${found.reason}${found.constraints.length ? ` (${found.constraints.map(c => c.type).join(', ')})` : ''}`
+        : `${label} reaches the search bound (${bound}${unit})`);
+    for (const option of envelope.materials) {
+        const best = envelope.feasible && option.material === envelope.material ? '  ← best' : '';
+        if (!option.feasible) {
+            const blockers = option.blockedBy.length ? ` (${option.blockedBy.map(c => c.type).join(', ')})` : '';
+            lines.push(`  ${option.material.padEnd(9)} no compliant envelope: ${option.reason}${blockers}`);
+            continue;
+        }
+        lines.push(`  ${option.material.padEnd(9)} ${String(option.height).padStart(3)}m  ${String(option.floors).padStart(2)} floors  ${String(option.footprint).padStart(4)}m²  ${String(option.feasibility).padStart(3)}%${best}`);
+        lines.push(`    ${limit('height', option.limitedBy.height, ENVELOPE_SEARCH.height.max, 'm')}`);
+        lines.push(`    ${limit('footprint', option.limitedBy.footprint, ENVELOPE_SEARCH.footprint.max, 'm²')}`);
+    }
+    lines.push(`  (${envelope.runs} audit runs)`);
+    return lines.join('\n');
+}
+
+function formatOptimization(optimization) {
+    const lines = [];
+    const { base } = optimization;
+    lines.push(`REMEDIATION OPTIMIZER (cost weight ${optimization.costWeight}, ${optimization.evaluations} variants audited)`);
+    lines.push(`  Design: ${base.feasibility}% ${base.status} · ${base.blocking} blocking, ${base.critical} critical`);
+    if (optimization.candidates.length === 0) {
+        lines.push('  No parameter change improves this design');
+        return lines.join('\n');
+    }
+    const value = (v, unit) => (typeof v === 'boolean' ? (v ? 'yes' : 'no') : `${v}${unit}`);
+    for (const candidate of optimization.candidates) {
+        const gain = `${candidate.gain >= 0 ? '+' : ''}${candidate.gain}%`;
+        lines.push(`  #${candidate.rank} ${candidate.feasibility}% (${gain}) cost ${Math.round(candidate.costIndex * 100)}% · ${candidate.status}${candidate.paretoOptimal ? ' ◆' : ''}`);
+        for (const change of candidate.changes) {
+            lines.push(`     ${change.icon} ${change.label}: ${value(change.from, change.unit)} → ${value(change.to, change.unit)}`);
+        }
+        if (candidate.resolved.length) lines.push(`     clears ${candidate.resolved.map(c => c.type).join(', ')}`);
+        if (candidate.introduced.length) lines.push(`     adds ${candidate.introduced.map(c => c.type).join(', ')}`);
+    }
+    lines.push('  (◆ no other option gains as much for less cost)');
+    return lines.join('\n');
+}
+
+function formatVerification(file, report, reproduction) {
+    const mark = ok => (ok === null ? '–' : ok ? '✓' : '✗');
+    const lines = [];
+    lines.push(`CERTIFICATE: ${file}`);
+    lines.push(`  ${mark(report.hashValid)} Content matches SHA-256 hash ${report.hash || ''}`.trimEnd());
+    lines.push(`  ${mark(report.signatureValid)} Ed25519 signature${report.keyId ? ` (key ${report.keyId})` : ''}`);
+    lines.push(`  ${mark(report.trusted)} Signed by a trusted issuer key`);
+    if (reproduction) {
+        const outcome = `${reproduction.computedFeasibility}% ${reproduction.computedStatus}`;
+        lines.push(`  ${mark(reproduction.reproduced)} Re-audit ${reproduction.reproduced
+            ? `reproduces the certified results (${outcome})`
+            : `differs: ${outcome}, certified ${reproduction.feasibility}% ${reproduction.status}`}`);
+    }
+    if (report.issuedAt) lines.push(`  Issued ${report.issuedAt}`);
+    report.errors.forEach(error => lines.push(`  ! ${error}`));
+    lines.push('');
+    if (report.integrityValid && !report.trusted) lines.push('INTEGRITY ONLY, ISSUER UNTRUSTED');
+    else if (!report.valid) lines.push('NOT AUTHENTIC');
+    else if (reproduction && !reproduction.reproduced) lines.push('AUTHENTIC, NOT REPRODUCED (datasets or audit code differ from the issuer\'s)');
+    else lines.push('AUTHENTIC');
+    return lines.join('\n');
+}
+
+async function verify(args) {
+    // A signature from an unpinned key proves nothing about the issuer
+    const trustedKeys = parseKeyIds(args['trusted-key']);
+    if (trustedKeys.length === 0) {
+        throw new Error('--verify needs --trusted-key <ids>, the issuer key ids to accept');
+    }
+    let text;
+    try {
+        text = fs.readFileSync(args.verify, 'utf8');
+    } catch (error) {
+        throw new Error(`Cannot read ${args.verify}: ${error.message}`);
+    }
+    const report = await verifyCertificate(text, { trustedKeys });
+
+    // Only an intact certificate is worth re-auditing
+    const reproduction = report.hashValid
+        ? await reproduceCertificate(JSON.parse(text), {
+            buildings: loadBuildings(args.buildings),
+            zoningPlan: loadLayer(args['zoning-plan'], DEFAULT_ZONING_PLAN_FILE),
+            geology: loadLayer(args.geology, DEFAULT_GEOLOGY_FILE),
+            tunnels: loadLayer(args.tunnels, DEFAULT_TUNNELS_FILE)
+        })
+        : null;
+
+    if (args.format === 'json') {
+        console.log(JSON.stringify({ ...report, ...(reproduction && { reproduction }) }, null, 2));
+    } else {
+        console.log(formatVerification(args.verify, report, reproduction));
+    }
+
+    if (!report.valid) return VERIFY_EXIT_CODES.INVALID;
+    return reproduction.reproduced ? VERIFY_EXIT_CODES.VALID : VERIFY_EXIT_CODES.NOT_REPRODUCED;
+}
+
+function getExitCode(status) {
+    if (status === STATUS.REJECTED) return EXIT_CODES.REJECTED;
+    if (status === STATUS.LOW) return EXIT_CODES.LOW;
+    return EXIT_CODES.OK;
+}
+
+async function main(argv) {
+    const args = parseArgs(argv);
+    if (args.help) {
+        console.log(USAGE);
+        return EXIT_CODES.OK;
+    }
+    if (!['json', 'text'].includes(args.format)) {
+        throw new Error(`Unknown format: ${args.format}`);
+    }
+    if (args.rules) {
+        console.log(args.format === 'json' ? JSON.stringify(listRules(), null, 2) : formatRules(listRules()));
+        return EXIT_CODES.OK;
+    }
+    if (args.verify) {
+        return verify(args);
+    }
+
+    const input = args.building
+        ? parseBuildingInput(readJSON(args.building))
+        : { latitude: null, longitude: null, jurisdiction: null, params: {} };
+
+    const latitude = args.lat !== undefined ? args.lat : input.latitude;
+    const longitude = args.lng !== undefined ? args.lng : input.longitude;
+    if (latitude === null || longitude === null) {
+        throw new Error('Site coordinates required: pass --lat/--lng or a building file with a location');
+    }
+
+    const registry = defaultAuditRegistry.clone();
+    const disabledAudits = args.disable ? args.disable.split(',').map(id => id.trim()).filter(Boolean) : [];
+    disabledAudits.forEach(id => {
+        if (!registry.get(id)) throw new Error(`Unknown audit id: ${id}`);
+        registry.disable(id);
+    });
+
+    const asOf = parseDate(args['as-of'], '--as-of') || toDateKey(new Date());
+    const compareFrom = parseDate(args.compare, '--compare');
+    const sweepRequest = parseSweep(args.sweep);
+    let targetFeasibility = DEFAULT_TARGET_FEASIBILITY;
+    if (args.target !== undefined) {
+        targetFeasibility = Number(args.target);
+        if (!Number.isFinite(targetFeasibility) || targetFeasibility < 0 || targetFeasibility > 100) {
+            throw new Error('--target must be a feasibility between 0 and 100');
+        }
+    }
+    let costWeight = DEFAULT_OPTIMIZER_GOALS.costWeight;
+    if (args['cost-weight'] !== undefined) {
+        costWeight = Number(args['cost-weight']);
+        if (!Number.isFinite(costWeight) || costWeight < 0) {
+            throw new Error('--cost-weight must be a number of 0 or more');
+        }
+    }
+
+    const request = {
+        latitude: parseCoordinate(latitude, 'Latitude', -90, 90),
+        longitude: parseCoordinate(longitude, 'Longitude', -180, 180),
+        params: input.params,
+        buildings: loadBuildings(args.buildings),
+        zoningPlan: loadLayer(args['zoning-plan'], DEFAULT_ZONING_PLAN_FILE),
+        geology: loadLayer(args.geology, DEFAULT_GEOLOGY_FILE),
+        tunnels: loadLayer(args.tunnels, DEFAULT_TUNNELS_FILE),
+        registry,
+        jurisdiction: loadJurisdiction(args.jurisdiction) || input.jurisdiction
+    };
+    const result = runSpotAudit({ ...request, asOf });
+    const comparison = compareFrom ? compareRuleVersions(request, { from: compareFrom, to: asOf }) : null;
+    const sweep = sweepRequest ? runSensitivitySweep({ ...request, asOf }, sweepRequest) : null;
+    const envelope = args.envelope ? runEnvelopeSolver({ ...request, asOf }, { targetFeasibility }) : null;
+    const optimization = args.optimize ? runRemediationOptimizer({ ...request, asOf }, { costWeight }) : null;
+
+    if (args.format === 'json') {
+        console.log(JSON.stringify({
+            jurisdiction: result.jurisdiction,
+            district: result.district,
+            districtName: result.districtName,
+            building: result.building,
+            feasibility: result.feasibility,
+            status: result.status,
+            keyRisk: result.keyRisk,
+            passedCount: result.passedCount,
+            totalAudits: result.totalAudits,
+            constraints: result.constraints,
+            mandates: result.mandates,
+            audits: result.audits,
+            ...(comparison && { comparison }),
+            ...(sweep && { sweep }),
+            ...(envelope && { envelope }),
+            ...(optimization && { optimization }),
+            timestamp: result.timestamp
+        }, null, 2));
+    } else {
+        console.log(formatText(result, { trace: args.trace }));
+        if (comparison) console.log(`\n${formatComparison(comparison)}`);
+        if (sweep) console.log(`\n${formatSweep(sweep)}`);
+        if (envelope) console.log(`\n${formatEnvelope(envelope)}`);
+        if (optimization) console.log(`\n${formatOptimization(optimization)}`);
+    }
+
+    if (args.pdf) {
+        const logo = fs.existsSync(LOGO_FILE) ? new Uint8Array(fs.readFileSync(LOGO_FILE)) : null;
+        fs.writeFileSync(args.pdf, await createAuditReport(result, { envelope, logo, disabledAudits }));
+        if (args.format !== 'json') console.log(`\nPDF report written to ${args.pdf}`);
+    }
+    if (args.dxf) {
+        fs.writeFileSync(args.dxf, createDxfExport(result, {
+            envelope,
+            buildings: request.buildings,
+            tunnels: request.tunnels
+        }));
+        if (args.format !== 'json') console.log(`\nDXF site model written to ${args.dxf}`);
+    }
+
+    return getExitCode(result.status);
+}
+
+main(process.argv.slice(2)).then(code => {
+    process.exitCode = code;
+}, error => {
+    console.error(`spot-audit: ${error.message}`);
+    console.error('Run with --help for usage.');
+    process.exitCode = EXIT_CODES.ERROR;
+});
@@ -1,16 +1,31 @@
 /**
  * Vienna Spot-Audit - Main Application
  */
-import { useState, useCallback, useMemo } from 'react';
+import { useState, useCallback, useMemo, useRef } from 'react';
 import { Header } from './components/Layout/Header';
 import { Map } from './components/Map';
 import { TelemetryPanel } from './components/TelemetryPanel';
 import { AuditTimeline } from './components/AuditTimeline';
 import { Onboarding } from './components/Onboarding';
+import { CertificateVerifier } from './components/CertificateVerifier';
 import ChatPanel from './components/ChatPanel';
 import { useSpotAudit } from './hooks/useSpotAudit';
+import { getFootprintPolygon } from './services/footprint';
 import './App.css';
 
+function downloadFile(data, type, filename) {
+    const url = URL.createObjectURL(new Blob([data], { type }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    link.click();
+    URL.revokeObjectURL(url);
+}
+
+function getExportName(kind, results) {
+    return `archishield-${kind}-${results?.district || 'vienna'}-${new Date().toISOString().slice(0, 10)}`;
+}
+
 function App() {
     const { 
         results, 
@@ -22,10 +37,28 @@ function App() {
         clearResults,
         buildingConfig,
         setMaterial,
-        updateBuildingConfig
+        updateBuildingConfig,
+        sweep,
+        runSweep,
+        envelope,
+        solveEnvelope,
+        optimization,
+        runOptimizer,
+        remediationHistory,
+        applyRemediation,
+        undoRemediation,
+        redoRemediation,
+        setLotOutline,
+        certificate,
+        issuerKeyId,
+        issueAuditCertificate,
+        createReport,
+        createDxf
     } = useSpotAudit();
     
     const [selectedLocation, setSelectedLocation] = useState(null);
+    const [showVerifier, setShowVerifier] = useState(false);
+    const mapSnapshotRef = useRef(null);
 
     const handleLocationSelect = useCallback((lat, lng) => {
         setSelectedLocation({ lat, lng });
@@ -35,13 +68,38 @@ function App() {
 
     const handleBuildingSelect = useCallback((building) => {
         setSelectedLocation({ lat: building.lat, lng: building.lng });
-        // Run audit with building parameters
+        // Audit the dataset building: its outline, height and floors
         runSpotAudit(building.lat, building.lng, {
+            id: building.id,
             height: building.height,
             floors: building.levels
         });
     }, [runSpotAudit]);
     
+    // PDF report with the current map view (ghost envelope) and the brand logo
+    const handleExportReport = useCallback(async () => {
+        try {
+            const snapshot = mapSnapshotRef.current ? await mapSnapshotRef.current() : null;
+            const logo = await fetch('/logo.jpg')
+                .then(response => response.ok ? response.arrayBuffer() : null)
+                .catch(() => null);
+            const bytes = await createReport({ snapshot, logo });
+            if (bytes) downloadFile(bytes, 'application/pdf', `${getExportName('report', results)}.pdf`);
+        } catch (error) {
+            console.error('PDF report failed:', error);
+        }
+    }, [createReport, results]);
+
+    // 3D site model for Revit and Rhino
+    const handleExportDxf = useCallback(() => {
+        try {
+            const dxf = createDxf();
+            if (dxf) downloadFile(dxf, 'application/dxf', `${getExportName('site', results)}.dxf`);
+        } catch (error) {
+            console.error('DXF export failed:', error);
+        }
+    }, [createDxf, results]);
+    
     // Calculate envelope data for 3D visualization
     // Uses buildingConfig values so it updates when sliders change
     const envelopeData = useMemo(() => {
@@ -49,14 +107,19 @@ function App() {
         
         const contextualLimit = results.audits?.zoning?.contextualLimit || 21;
         const currentHeight = buildingConfig?.height || results.building?.height || 20;
-        const currentFootprint = buildingConfig?.footprint || 200;
-        const currentRotation = buildingConfig?.rotation || 0;
         const isOverLimit = currentHeight > contextualLimit;
         
-        // Calculate offset based on footprint (sqrt for reasonable proportions)
-        const baseOffset = 0.0003; // ~30m
-        const footprintScale = Math.sqrt(currentFootprint / 200);
-        const offset = baseOffset * footprintScale;
+        // The audited footprint polygon (true size and rotation, metric)
+        const footprint = getFootprintPolygon({
+            lat: selectedLocation.lat,
+            lng: selectedLocation.lng,
+            footprint: buildingConfig?.footprint,
+            rotation: buildingConfig?.rotation,
+            ...results.building
+        });
+        
+        // The largest compliant volume the solver found, shown next to the proposed one
+        const allowedEnvelope = envelope?.result?.feasible ? envelope.result : null;
         
         return {
             lat: selectedLocation.lat,
@@ -64,17 +127,25 @@ function App() {
             height: currentHeight,
             contextualLimit,
             isOverLimit,
-            offset,
-            rotation: currentRotation
+            footprint,
+            allowed: allowedEnvelope && {
+                height: allowedEnvelope.height,
+                footprint: allowedEnvelope.footprintPolygon,
+                material: allowedEnvelope.material,
+                stale: envelope.stale
+            }
         };
-    }, [results, selectedLocation, buildingConfig]);
+    }, [results, selectedLocation, buildingConfig, envelope]);
 
     return (
         <div className="app">
             <Onboarding />
+            {showVerifier && <CertificateVerifier onClose={() => setShowVerifier(false)} />}
             <Header 
                 district={results?.district}
+                districtName={results?.districtName}
                 coords={selectedLocation}
+                onVerify={() => setShowVerifier(true)}
             />
             
             <main className="main-content">
@@ -84,6 +155,9 @@ function App() {
                         onLocationSelect={handleLocationSelect}
                         onBuildingSelect={handleBuildingSelect}
                         envelopeData={envelopeData}
+                        snapshotRef={mapSnapshotRef}
+                        lotPolygon={results?.building?.lotPolygon || null}
+                        onLotChange={results?.success ? setLotOutline : null}
                     />
                 </div>
 
@@ -93,9 +167,25 @@ function App() {
                         results={results} 
                         loading={isLoading}
                         phase={currentPhase?.name}
+                        phases={phases}
                         buildingConfig={buildingConfig}
                         onMaterialChange={setMaterial}
                         onConfigChange={updateBuildingConfig}
+                        sweep={sweep}
+                        onSweep={runSweep}
+                        envelope={envelope}
+                        onSolveEnvelope={solveEnvelope}
+                        optimization={optimization}
+                        onOptimize={runOptimizer}
+                        remediationHistory={remediationHistory}
+                        onApplyRemediation={applyRemediation}
+                        onUndoRemediation={undoRemediation}
+                        onRedoRemediation={redoRemediation}
+                        certificate={certificate}
+                        issuerKeyId={issuerKeyId}
+                        onIssueCertificate={issueAuditCertificate}
+                        onExportReport={handleExportReport}
+                        onExportDxf={handleExportDxf}
                     />
                 </div>
             </main>
@@ -115,9 +205,10 @@ function App() {
                     lat: selectedLocation?.lat,
                     lng: selectedLocation?.lng,
                     district: results.district,
+                    districtName: results.districtName,
                     feasibility: results.feasibility,
-                    constraints: results.constraints?.map(c => c.description || c.message),
-                    mandates: results.mandates?.map(m => m.requirement),
+                    constraints: results.constraints?.map(c => c.message),
+                    mandates: results.mandates?.map(m => m.description),
                     building: results.building
                 } : null}
                 onLocationSuggested={(loc) => {
@@ -0,0 +1,159 @@
+/**
+ * CertificateVerifier - Offline Check of an Audit Certificate
+ * An official loads a certificate file; the content is re-hashed, the Ed25519
+ * signature checked and the signing key compared with the pinned issuer keys
+ * (VITE_CERTIFICATE_TRUSTED_KEYS, else the key id the official enters).
+ * Nothing leaves the browser.
+ */
+import React, { useRef, useState } from 'react';
+import { parseKeyIds, verifyCertificate } from '../../services/certificate';
+import './CertificateVerifier.css';
+
+// Issuer keys pinned by the deployment; without them the official must name one
+const PINNED_ISSUER_KEYS = parseKeyIds(import.meta.env?.VITE_CERTIFICATE_TRUSTED_KEYS);
+
+const CHECKS = [
+    { key: 'hashValid', label: 'Content matches SHA-256 hash' },
+    { key: 'signatureValid', label: 'Ed25519 signature valid' },
+    { key: 'trusted', label: 'Signed by a trusted issuer key' }
+];
+
+function readCertificate(text) {
+    try {
+        return JSON.parse(text);
+    } catch {
+        return null;
+    }
+}
+
+export function CertificateVerifier({ onClose }) {
+    const [fileName, setFileName] = useState(null);
+    const [text, setText] = useState(null);
+    const [issuerKey, setIssuerKey] = useState('');
+    // Report of the latest check, with the certificate it was made for: { report, certificate }
+    const [verification, setVerification] = useState(null);
+    const verificationRun = useRef(0);
+
+    const check = async (certificateText, keyId) => {
+        if (!certificateText) return;
+        // Latest wins: a slower check of an earlier file or key id must not overwrite a newer one
+        const runId = ++verificationRun.current;
+        const trustedKeys = PINNED_ISSUER_KEYS.length > 0 ? PINNED_ISSUER_KEYS : parseKeyIds(keyId);
+        const report = await verifyCertificate(certificateText, { trustedKeys });
+        if (runId !== verificationRun.current) return;
+        setVerification({ report, certificate: readCertificate(certificateText) });
+    };
+
+    const handleFile = async (event) => {
+        const file = event.target.files?.[0];
+        if (!file) return;
+        const content = await file.text();
+        setFileName(file.name);
+        setText(content);
+        check(content, issuerKey);
+    };
+
+    const handleIssuerKey = (event) => {
+        setIssuerKey(event.target.value);
+        check(text, event.target.value);
+    };
+
+    const report = verification?.report;
+    const content = verification?.certificate?.content;
+
+    return (
+        <div className="verifier-overlay" onClick={onClose}>
+            <div className="verifier-modal" onClick={(e) => e.stopPropagation()}>
+                <button className="verifier-close" onClick={onClose}>×</button>
+                <h2 className="verifier-title">🔏 Verify Audit Certificate</h2>
+                <p className="verifier-intro">
+                    Load a certificate file issued by ArchiShield. It is checked here, offline.
+                </p>
+
+                <label className="verifier-file">
+                    <input type="file" accept=".json,application/json" onChange={handleFile} />
+                    <span>{fileName || 'Choose certificate file...'}</span>
+                </label>
+
+                {PINNED_ISSUER_KEYS.length > 0 ? (
+                    <div className="verifier-field">
+                        <span>Trusted issuer keys</span>
+                        <code>{PINNED_ISSUER_KEYS.join(', ')}</code>
+                    </div>
+                ) : (
+                    <label className="verifier-field">
+                        <span>Issuer key id (required)</span>
+                        <input
+                            type="text"
+                            value={issuerKey}
+                            onChange={handleIssuerKey}
+                            placeholder="e.g. 7f1f1770e3f78879"
+                            spellCheck={false}
+                            required
+                        />
+                    </label>
+                )}
+
+                {report && (
+                    <div className={`verifier-verdict ${report.valid ? 'valid' : report.integrityValid ? 'untrusted' : 'invalid'}`}>
+                        {report.valid
+                            ? '✅ Certificate is authentic'
+                            : report.integrityValid
+                                ? '⚠️ Integrity only: issuer untrusted'
+                                : '❌ Certificate failed verification'}
+                    </div>
+                )}
+
+                {report && (
+                    <ul className="verifier-checks">
+                        {CHECKS.map(({ key, label }) => (
+                            <li key={key} className={report[key] ? 'pass' : 'fail'}>
+                                <span>{report[key] ? '✓' : '✗'}</span> {label}
+                            </li>
+                        ))}
+                        {report.errors.map((error, idx) => (
+                            <li key={`error-${idx}`} className="fail verifier-error">{error}</li>
+                        ))}
+                    </ul>
+                )}
+
+                {report && content && (
+                    <dl className="verifier-details">
+                        <dt>Hash</dt>
+                        <dd><code>{report.hash}</code></dd>
+                        <dt>Key id</dt>
+                        <dd><code>{report.keyId || '—'}</code></dd>
+                        <dt>Issued</dt>
+                        <dd>{report.issuedAt ? new Date(report.issuedAt).toLocaleString() : '—'}</dd>
+                        <dt>Site</dt>
+                        <dd>{content.inputs?.latitude?.toFixed(5)}°N / {content.inputs?.longitude?.toFixed(5)}°E</dd>
+                        <dt>Design</dt>
+                        <dd>
+                            {content.inputs?.params?.height}m · {content.inputs?.params?.floors} floors · {String(content.inputs?.params?.material || '').toLowerCase()}
+                        </dd>
+                        <dt>Rules</dt>
+                        <dd>
+                            {content.rules?.name} · {content.rules?.ruleVersion?.label || content.rules?.framework} · as of {content.rules?.asOf}
+                        </dd>
+                        <dt>Verdict</dt>
+                        <dd>{content.results?.feasibility}% · {content.results?.status}</dd>
+                        <dt>Audits</dt>
+                        <dd>
+                            {(content.results?.audits || []).map(audit => (
+                                <span key={audit.id} className={`verifier-audit ${audit.passed ? 'pass' : 'fail'}`}>
+                                    {audit.passed ? '✓' : '✗'} {audit.name} {audit.score}
+                                </span>
+                            ))}
+                        </dd>
+                        <dt>Findings</dt>
+                        <dd>
+                            {(content.results?.constraints || []).length} constraint(s), {(content.results?.mandates || []).length} mandate(s)
+                        </dd>
+                    </dl>
+                )}
+            </div>
+        </div>
+    );
+}
+
+export default CertificateVerifier;
@@ -0,0 +1,2 @@
+export { CertificateVerifier } from './CertificateVerifier';
+export { default } from './CertificateVerifier';
@@ -4,7 +4,7 @@
 import React from 'react';
 import './Header.css';
 
-export function Header({ district, coords }) {
+export function Header({ district, districtName, coords, onVerify }) {
     return (
         <header className="header glass">
             <div className="header-brand">
@@ -19,7 +19,7 @@ export function Header({ district, coords }) {
 
             <div className="header-center">
                 <div className="operation-tag">
-                    <span className="blink">●</span> SCAN_MODE: {district || 'SECTOR_INIT'}
+                    <span className="blink">●</span> SCAN_MODE: {district ? `${district}. ${districtName || 'BEZIRK'}`.toUpperCase() : 'SECTOR_INIT'}
                 </div>
             </div>
 
@@ -33,6 +33,12 @@ export function Header({ district, coords }) {
                     </div>
                 )}
                 
+                {onVerify && (
+                    <button className="header-verify" onClick={onVerify} title="Verify an audit certificate">
+                        🔏 VERIFY_CERT
+                    </button>
+                )}
+
                 <div className="hud-divider" />
 
                 <div className="system-health">
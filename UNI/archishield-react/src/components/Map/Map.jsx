@@ -7,9 +7,10 @@ import './Map.css';
 // Import the filtered building data
 import buildingsData from '../../data/vienna_buildings.json';
 import waterData from '../../data/vienna_water.json';
+import zoningPlanData from '../../data/vienna_zoning_plan.json';
 import { osmWaterToGeoJSON } from '../../services/osm_utils';
 
-export function Map({ onLocationSelect, onBuildingSelect, envelopeData }) {
+export function Map({ onLocationSelect, onBuildingSelect, envelopeData, snapshotRef, lotPolygon, onLotChange }) {
     const mapContainer = useRef(null);
     const mapRef = useRef(null);
     const markerRef = useRef(null);
@@ -17,18 +18,54 @@ export function Map({ onLocationSelect, onBuildingSelect, envelopeData }) {
     const [show3D, setShow3D] = useState(true);
     const [showWaterways, setShowWaterways] = useState(true);
     const [showGeo, setShowGeo] = useState(false);
+    const [showZoning, setShowZoning] = useState(false);
     const [showEnvelope, setShowEnvelope] = useState(true);
     const [hoveredBuilding, setHoveredBuilding] = useState(null);
+    const [hoveredBlock, setHoveredBlock] = useState(null);
+    // Corners ([lng, lat]) of the lot being drawn, null when not drawing
+    const [lotDraft, setLotDraft] = useState(null);
+    const lotDraftRef = useRef(null);
     
     // Use refs for callbacks to prevent map re-initialization on parent re-renders
     const onLocationSelectRef = useRef(onLocationSelect);
     const onBuildingSelectRef = useRef(onBuildingSelect);
+    const onLotChangeRef = useRef(onLotChange);
     
     // Keep refs updated with latest callbacks
     useEffect(() => {
         onLocationSelectRef.current = onLocationSelect;
         onBuildingSelectRef.current = onBuildingSelect;
-    }, [onLocationSelect, onBuildingSelect]);
+        onLotChangeRef.current = onLotChange;
+    }, [onLocationSelect, onBuildingSelect, onLotChange]);
+
+    // The map's click handlers read the drawing state through this ref
+    useEffect(() => {
+        lotDraftRef.current = lotDraft;
+    }, [lotDraft]);
+
+    // Expose a JPEG capture of the current view (for the PDF report)
+    useEffect(() => {
+        if (!snapshotRef) return;
+
+        // The WebGL buffer is only readable within the frame that drew it
+        snapshotRef.current = () => new Promise(resolve => {
+            const map = mapRef.current;
+            if (!map) return resolve(null);
+            map.once('render', () => {
+                try {
+                    resolve(map.getCanvas().toDataURL('image/jpeg', 0.85));
+                } catch (error) {
+                    console.warn('Map snapshot failed:', error.message);
+                    resolve(null);
+                }
+            });
+            map.triggerRepaint();
+        });
+
+        return () => {
+            snapshotRef.current = null;
+        };
+    }, [snapshotRef]);
 
     // Create a custom marker element
     const createMarkerElement = () => {
@@ -95,72 +132,131 @@ export function Map({ onLocationSelect, onBuildingSelect, envelopeData }) {
         });
     }, []);
 
-    // Toggle Envelope visibility
+    // Toggle Zoning Plan (Flächenwidmungsplan) blocks
+    const toggleZoning = useCallback(() => {
+        setShowZoning(prev => {
+            const newState = !prev;
+            if (mapRef.current) {
+                ['zoning-plan-fill', 'zoning-plan-outline'].forEach(layerId => {
+                    if (mapRef.current.getLayer(layerId)) {
+                        mapRef.current.setLayoutProperty(
+                            layerId,
+                            'visibility',
+                            newState ? 'visible' : 'none'
+                        );
+                    }
+                });
+            }
+            if (!newState) setHoveredBlock(null);
+            return newState;
+        });
+    }, []);
+
+    // Toggle Envelope visibility (proposed and allowed volumes)
     const toggleEnvelope = useCallback(() => {
         setShowEnvelope(prev => {
             const newState = !prev;
-            if (mapRef.current && mapRef.current.getLayer('ghost-envelope')) {
-                mapRef.current.setLayoutProperty(
-                    'ghost-envelope',
-                    'visibility',
-                    newState ? 'visible' : 'none'
-                );
-            }
+            ['ghost-envelope', 'allowed-envelope', 'allowed-envelope-outline'].forEach(layerId => {
+                if (mapRef.current && mapRef.current.getLayer(layerId)) {
+                    mapRef.current.setLayoutProperty(
+                        layerId,
+                        'visibility',
+                        newState ? 'visible' : 'none'
+                    );
+                }
+            });
             return newState;
         });
     }, []);
 
+    // Lot drawing: while active, map clicks add lot corners instead of selecting a site
+    const startLot = useCallback(() => {
+        mapRef.current?.doubleClickZoom.disable();
+        setLotDraft([]);
+    }, []);
+
+    // Finish with the drawn corners (at least 3) or cancel with null
+    const endLot = useCallback((corners) => {
+        mapRef.current?.doubleClickZoom.enable();
+        setLotDraft(null);
+        if (corners && corners.length >= 3 && onLotChangeRef.current) {
+            onLotChangeRef.current({ type: 'Polygon', coordinates: [[...corners, corners[0]]] });
+        }
+    }, []);
+
+    // Update the lot outline layer: the audited lot, or the corners being drawn
+    useEffect(() => {
+        const map = mapRef.current;
+        if (!map) return;
+
+        const features = [];
+        if (lotDraft) {
+            if (lotDraft.length > 1) {
+                const line = lotDraft.length > 2 ? [...lotDraft, lotDraft[0]] : lotDraft;
+                features.push({ type: 'Feature', properties: {}, geometry: { type: 'LineString', coordinates: line } });
+            }
+            if (lotDraft.length > 0) {
+                features.push({ type: 'Feature', properties: {}, geometry: { type: 'MultiPoint', coordinates: lotDraft } });
+            }
+        } else if (lotPolygon) {
+            features.push({ type: 'Feature', properties: {}, geometry: lotPolygon });
+        }
+        if (features.length === 0 && !map.getSource('lot-source')) return;
+
+        const lotGeoJSON = { type: 'FeatureCollection', features };
+        if (map.getSource('lot-source')) {
+            map.getSource('lot-source').setData(lotGeoJSON);
+        } else {
+            map.addSource('lot-source', { type: 'geojson', data: lotGeoJSON });
+
+            // Dashed lot boundary (property line)
+            map.addLayer({
+                id: 'lot-outline',
+                type: 'line',
+                source: 'lot-source',
+                filter: ['!=', ['geometry-type'], 'Point'],
+                paint: {
+                    'line-color': '#ffd166',
+                    'line-width': 2,
+                    'line-dasharray': [4, 2]
+                }
+            });
+
+            // Corners placed so far while drawing
+            map.addLayer({
+                id: 'lot-corners',
+                type: 'circle',
+                source: 'lot-source',
+                filter: ['==', ['geometry-type'], 'Point'],
+                paint: {
+                    'circle-radius': 4,
+                    'circle-color': '#ffd166',
+                    'circle-stroke-color': '#0a0a0f',
+                    'circle-stroke-width': 1
+                }
+            });
+        }
+    }, [lotPolygon, lotDraft]);
+
     // Update envelope layer when envelopeData changes
     useEffect(() => {
         if (!mapRef.current || !envelopeData) return;
         
         const map = mapRef.current;
         
-        // Create envelope polygon (rectangle around the click point)
-        const { lat, lng, height, offset = 0.0003, isOverLimit, rotation = 0 } = envelopeData;
+        // Envelope extrudes the audited footprint polygon
+        const { height, isOverLimit, footprint } = envelopeData;
         
         // Color changes based on whether height exceeds limit
         const envelopeColor = isOverLimit ? '#ff4757' : '#00ff88';
         const envelopeOpacity = isOverLimit ? 0.35 : 0.25;
         
-        // Rotate a point around the center
-        const rotatePoint = (x, y, centerX, centerY, angleDeg) => {
-            const angleRad = (angleDeg * Math.PI) / 180;
-            const cos = Math.cos(angleRad);
-            const sin = Math.sin(angleRad);
-            const dx = x - centerX;
-            const dy = y - centerY;
-            return [
-                centerX + dx * cos - dy * sin,
-                centerY + dx * sin + dy * cos
-            ];
-        };
-        
-        // Define corners before rotation
-        const corners = [
-            [lng - offset, lat - offset],
-            [lng + offset, lat - offset],
-            [lng + offset, lat + offset],
-            [lng - offset, lat + offset]
-        ];
-        
-        // Apply rotation to each corner
-        const rotatedCorners = corners.map(([x, y]) => 
-            rotatePoint(x, y, lng, lat, rotation)
-        );
-        
-        // Close the polygon
-        rotatedCorners.push(rotatedCorners[0]);
-        
         const envelopeGeoJSON = {
             type: 'FeatureCollection',
             features: [{
                 type: 'Feature',
                 properties: { height },
-                geometry: {
-                    type: 'Polygon',
-                    coordinates: [rotatedCorners]
-                }
+                geometry: footprint
             }]
         };
         
@@ -203,6 +299,62 @@ export function Map({ onLocationSelect, onBuildingSelect, envelopeData }) {
         }
     }, [envelopeData]);
 
+    // Update the allowed (maximum compliant) envelope next to the proposed one
+    const allowedEnvelope = envelopeData?.allowed || null;
+    useEffect(() => {
+        if (!mapRef.current) return;
+        
+        const map = mapRef.current;
+        const allowedGeoJSON = {
+            type: 'FeatureCollection',
+            features: allowedEnvelope ? [{
+                type: 'Feature',
+                properties: { height: allowedEnvelope.height },
+                geometry: allowedEnvelope.footprint
+            }] : []
+        };
+        // A stale solve (design settings changed since) is drawn greyed out
+        const allowedColor = allowedEnvelope?.stale ? '#8892a6' : '#00d4ff';
+        
+        if (map.getSource('allowed-envelope-source')) {
+            map.getSource('allowed-envelope-source').setData(allowedGeoJSON);
+            map.setPaintProperty('allowed-envelope', 'fill-extrusion-color', allowedColor);
+            map.setPaintProperty('allowed-envelope-outline', 'line-color', allowedColor);
+        } else {
+            map.addSource('allowed-envelope-source', {
+                type: 'geojson',
+                data: allowedGeoJSON
+            });
+            
+            map.addLayer({
+                id: 'allowed-envelope',
+                type: 'fill-extrusion',
+                source: 'allowed-envelope-source',
+                layout: { visibility: showEnvelope ? 'visible' : 'none' },
+                paint: {
+                    'fill-extrusion-color': allowedColor,
+                    'fill-extrusion-height': ['get', 'height'],
+                    'fill-extrusion-base': 0,
+                    'fill-extrusion-opacity': 0.12
+                }
+            });
+            
+            // Dashed ground outline of the allowed footprint
+            map.addLayer({
+                id: 'allowed-envelope-outline',
+                type: 'line',
+                source: 'allowed-envelope-source',
+                layout: { visibility: showEnvelope ? 'visible' : 'none' },
+                paint: {
+                    'line-color': allowedColor,
+                    'line-width': 1.5,
+                    'line-dasharray': [2, 2],
+                    'line-opacity': 0.8
+                }
+            });
+        }
+    }, [allowedEnvelope, showEnvelope]);
+
     useEffect(() => {
         if (mapRef.current) return;
 
@@ -414,7 +566,58 @@ export function Map({ onLocationSelect, onBuildingSelect, envelopeData }) {
                 }
             });
 
+            // ZONING PLAN (Flächenwidmungs- und Bebauungsplan blocks)
+            map.addSource('zoning-plan', { type: 'geojson', data: zoningPlanData });
+
+            // Block fill colored by Widmung (Grünland green, Bauland by use)
+            map.addLayer({
+                id: 'zoning-plan-fill',
+                type: 'fill',
+                source: 'zoning-plan',
+                layout: { 'visibility': showZoning ? 'visible' : 'none' },
+                paint: {
+                    'fill-color': [
+                        'match', ['get', 'widmung'],
+                        'W', '#ff6b9d',
+                        'GB', '#ffaa00',
+                        'GBGV', '#ff7f3f',
+                        'SO', '#b388ff',
+                        'Epk', '#00ff88',
+                        'Esp', '#00ff88',
+                        'SWW', '#00c853',
+                        '#8892b0'
+                    ],
+                    'fill-opacity': 0.18
+                }
+            }, '3d-buildings');
+
+            // Block lines (Baufluchtlinien approximation)
+            map.addLayer({
+                id: 'zoning-plan-outline',
+                type: 'line',
+                source: 'zoning-plan',
+                layout: { 'visibility': showZoning ? 'visible' : 'none' },
+                paint: {
+                    'line-color': '#ff6b9d',
+                    'line-width': 1.5,
+                    'line-dasharray': [3, 1]
+                }
+            });
+
+            map.on('mousemove', 'zoning-plan-fill', (e) => {
+                if (e.features.length > 0) {
+                    const { id, widmung, bauklasse, bauweise, plandokument } = e.features[0].properties;
+                    setHoveredBlock({
+                        id,
+                        plandokument,
+                        notation: [widmung, bauklasse, bauweise].filter(Boolean).join(' ')
+                    });
+                }
+            });
 
+            map.on('mouseleave', 'zoning-plan-fill', () => {
+                setHoveredBlock(null);
+            });
 
             // Hover effect
             map.on('mousemove', '3d-buildings', (e) => {
@@ -437,13 +640,17 @@ export function Map({ onLocationSelect, onBuildingSelect, envelopeData }) {
 
             // Click on building to select it
             map.on('click', '3d-buildings', (e) => {
+                // Drawing a lot: the map click handler adds the corner
+                if (lotDraftRef.current) return;
                 if (e.features.length > 0) {
                     const feature = e.features[0];
                     const coords = e.lngLat;
                     
-                    // Notify parent about selected building
+                    // Notify parent about selected building; its id lets the audit use the dataset outline.
+                    // The building select also sets the location, so no location select follows.
                     if (onBuildingSelectRef.current) {
                         onBuildingSelectRef.current({
+                            id: feature.properties.id,
                             lat: coords.lat,
                             lng: coords.lng,
                             height: feature.properties.height,
@@ -452,11 +659,6 @@ export function Map({ onLocationSelect, onBuildingSelect, envelopeData }) {
                             name: feature.properties.name
                         });
                     }
-
-                    // Also update location
-                    if (onLocationSelectRef.current) {
-                        onLocationSelectRef.current(coords.lat, coords.lng);
-                    }
                     setCoords({ lat: coords.lat, lng: coords.lng });
 
                     // Update marker
@@ -478,6 +680,13 @@ export function Map({ onLocationSelect, onBuildingSelect, envelopeData }) {
 
         // Click handler for placing building (on empty areas)
         map.on('click', (e) => {
+            // Drawing a lot: add a corner, wherever it falls
+            if (lotDraftRef.current) {
+                const { lng, lat } = e.lngLat;
+                setLotDraft(prev => (prev ? [...prev, [lng, lat]] : prev));
+                return;
+            }
+
             // Skip if click was on a building (handled above)
             const features = map.queryRenderedFeatures(e.point, { layers: ['3d-buildings'] });
             if (features.length > 0) return;
@@ -542,17 +751,58 @@ export function Map({ onLocationSelect, onBuildingSelect, envelopeData }) {
                 🔭 GEO
             </button>
             
+            {/* Zoning Plan Toggle Button */}
+            <button 
+                className={`map-toggle-zoning ${showZoning ? 'active' : ''}`}
+                onClick={toggleZoning}
+                title={showZoning ? 'Hide Zoning Plan' : 'Show Zoning Plan'}
+            >
+                📜 PLAN
+            </button>
+            
             {/* Envelope Toggle Button */}
             {envelopeData && (
                 <button 
                     className={`map-toggle-envelope ${showEnvelope ? 'active' : ''}`}
                     onClick={toggleEnvelope}
-                    title={showEnvelope ? 'Hide Max Envelope' : 'Show Max Envelope'}
+                    title={`${showEnvelope ? 'Hide' : 'Show'} Max Envelope${envelopeData.allowed ? ` (allowed: ${envelopeData.allowed.height}m, ${envelopeData.allowed.material.toLowerCase()})` : ''}`}
                 >
                     📐 MAX
                 </button>
             )}
 
+            {/* Lot Drawing (property line for setbacks and lot coverage) */}
+            {onLotChange && (lotDraft ? (
+                <div className="map-lot-controls">
+                    <button
+                        className="map-toggle-lot active"
+                        onClick={() => endLot(lotDraft)}
+                        disabled={lotDraft.length < 3}
+                        title="Close the lot and re-audit setbacks and lot coverage"
+                    >
+                        ✓ LOT ({lotDraft.length})
+                    </button>
+                    <button className="map-lot-cancel" onClick={() => endLot(null)} title="Cancel drawing">
+                        ✕
+                    </button>
+                </div>
+            ) : (
+                <div className="map-lot-controls">
+                    <button
+                        className={`map-toggle-lot ${lotPolygon ? 'active' : ''}`}
+                        onClick={startLot}
+                        title={lotPolygon ? 'Redraw the lot outline' : 'Draw the lot outline for setbacks and lot coverage'}
+                    >
+                        ✏️ LOT
+                    </button>
+                    {lotPolygon && (
+                        <button className="map-lot-cancel" onClick={() => onLotChange(null)} title="Remove the lot outline">
+                            ✕
+                        </button>
+                    )}
+                </div>
+            ))}
+
             {/* Hover Tooltip */}
             {hoveredBuilding && (
                 <div className="map-building-tooltip">
@@ -563,10 +813,23 @@ export function Map({ onLocationSelect, onBuildingSelect, envelopeData }) {
                 </div>
             )}
 
+            {/* Zoning Block Tooltip */}
+            {hoveredBlock && !hoveredBuilding && (
+                <div className="map-building-tooltip">
+                    <strong>{hoveredBlock.notation}</strong>
+                    <span>Block: {hoveredBlock.id}</span>
+                    <span>Plandokument: {hoveredBlock.plandokument}</span>
+                </div>
+            )}
+
             <div className="map-coords">
                 📍 {coords.lat.toFixed(4)}° N, {coords.lng.toFixed(4)}° E
             </div>
-            <div className="map-hint">Click building to select • Click empty to place new</div>
+            <div className="map-hint">
+                {lotDraft
+                    ? 'Click to place lot corners • ✓ LOT to finish'
+                    : 'Click building to select • Click empty to place new'}
+            </div>
         </div>
     );
 }
@@ -0,0 +1,93 @@
+/**
+ * AuditCertificate - Signed Certificate of the Current Audit
+ * Issues an Ed25519-signed certificate over the SHA-256 hash of the audit's
+ * inputs, rule version and findings, and downloads it for offline verification,
+ * alongside the PDF report and the 3D DXF site model of the audit.
+ * Shows the issuer key id, which verifiers pin to trust these certificates
+ */
+import React, { useState } from 'react';
+import './AuditCertificate.css';
+
+function downloadCertificate(certificate) {
+    const blob = new Blob([JSON.stringify(certificate, null, 2)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `archishield-certificate-${certificate.hash.slice(0, 12)}.json`;
+    link.click();
+    URL.revokeObjectURL(url);
+}
+
+export function AuditCertificate({ certificate, issuerKeyId, onIssue, onExportReport, onExportDxf }) {
+    const result = certificate?.result;
+    const [exporting, setExporting] = useState(false);
+
+    const exportReport = async () => {
+        setExporting(true);
+        try {
+            await onExportReport();
+        } finally {
+            setExporting(false);
+        }
+    };
+
+    return (
+        <div className="audit-certificate">
+            <div className="certificate-header">
+                <button
+                    className="certificate-issue"
+                    onClick={() => onIssue && onIssue()}
+                    disabled={certificate?.loading}
+                >
+                    🔏 {result ? 'Re-issue certificate' : 'Issue certificate'}
+                </button>
+                {result && (
+                    <button className="certificate-download" onClick={() => downloadCertificate(result)}>
+                        ⬇ JSON
+                    </button>
+                )}
+                {onExportReport && (
+                    <button className="certificate-download" onClick={exportReport} disabled={exporting}>
+                        📄 {exporting ? 'Building...' : 'PDF report'}
+                    </button>
+                )}
+                {onExportDxf && (
+                    <button className="certificate-download" onClick={onExportDxf} title="3D site model for Revit and Rhino">
+                        📐 DXF
+                    </button>
+                )}
+            </div>
+
+            {!certificate && (
+                <div className="card-sublabel">Sign this audit so officials can verify it offline</div>
+            )}
+            {issuerKeyId && (
+                <div className="certificate-row" title="Publish this key id; verifiers pin it in VITE_CERTIFICATE_TRUSTED_KEYS or --trusted-key">
+                    <span className="card-sublabel">Issuer key (publish to verifiers)</span>
+                    <code>{issuerKeyId}</code>
+                </div>
+            )}
+            {certificate?.loading && <div className="card-sublabel">Hashing and signing...</div>}
+            {certificate?.error && <div className="card-sublabel certificate-error">⚠️ {certificate.error}</div>}
+
+            {result && (
+                <div className="certificate-details">
+                    <div className="certificate-row">
+                        <span className="card-sublabel">SHA-256</span>
+                        <code className="certificate-hash" title={result.hash}>{result.hash}</code>
+                    </div>
+                    <div className="certificate-row">
+                        <span className="card-sublabel">Ed25519 key</span>
+                        <code>{result.signature.keyId}</code>
+                    </div>
+                    <div className="certificate-row">
+                        <span className="card-sublabel">Issued</span>
+                        <span>{new Date(result.issuedAt).toLocaleString()}</span>
+                    </div>
+                </div>
+            )}
+        </div>
+    );
+}
+
+export default AuditCertificate;
@@ -0,0 +1,77 @@
+/**
+ * RemediationActions - One-Click Fixes with Undo/Redo
+ * Lists the rule-based remediations for the current audit, applies their
+ * actions to the design and keeps the history with before/after feasibility
+ */
+import React from 'react';
+import { generateRuleBasedRemediations } from '../../services/remediation';
+import { DESIGN_GENES } from '../../services/optimizer';
+import './RemediationActions.css';
+
+// Only actions that change building parameters can be applied to the design
+function isApplicable(action) {
+    return Boolean(action) && Object.keys(action).some(key => DESIGN_GENES[key]);
+}
+
+function formatDelta(entry) {
+    if (entry.after === null) return `${entry.before}% → ...`;
+    const delta = entry.after - entry.before;
+    return `${entry.before}% → ${entry.after}% (${delta >= 0 ? '+' : ''}${delta})`;
+}
+
+export function RemediationActions({ results, history, onApply, onUndo, onRedo }) {
+    const remediations = results?.building
+        ? generateRuleBasedRemediations([...(results.constraints || []), ...(results.mandates || [])], results.building)
+        : [];
+    const entries = history?.entries || [];
+    const position = history?.position || 0;
+
+    return (
+        <div className="remediation-actions">
+            {remediations.length === 0 && (
+                <div className="card-sublabel">No rule-based fixes for this audit</div>
+            )}
+
+            {remediations.map((remediation, idx) => {
+                const applicable = isApplicable(remediation.action);
+                return (
+                    <div key={`${remediation.constraintType}-${idx}`} className="remediation-item" title={remediation.description}>
+                        <span className="remediation-icon">{remediation.icon}</span>
+                        <div className="remediation-text">
+                            <span className="remediation-title">{remediation.title}</span>
+                            <span className="card-sublabel">{remediation.impact}</span>
+                        </div>
+                        <button
+                            className="remediation-apply"
+                            onClick={() => onApply && onApply(remediation.action, { label: remediation.title, icon: remediation.icon })}
+                            disabled={!applicable || !onApply}
+                            title={applicable ? `Apply ${JSON.stringify(remediation.action)}` : 'Needs a manual application'}
+                        >
+                            {applicable ? 'Apply' : 'Manual'}
+                        </button>
+                    </div>
+                );
+            })}
+
+            {entries.length > 0 && (
+                <div className="remediation-history">
+                    <div className="history-controls">
+                        <span className="card-sublabel">Applied fixes</span>
+                        <button className="history-btn" onClick={onUndo} disabled={position === 0} title="Undo last fix">↶</button>
+                        <button className="history-btn" onClick={onRedo} disabled={position === entries.length} title="Redo fix">↷</button>
+                    </div>
+                    {entries.map((entry, idx) => (
+                        <div key={idx} className={`history-entry ${idx < position ? 'applied' : 'undone'}`}>
+                            <span>{entry.icon} {entry.label}</span>
+                            <span className={`history-delta ${entry.after !== null && entry.after < entry.before ? 'worse' : ''}`}>
+                                {formatDelta(entry)}
+                            </span>
+                        </div>
+                    ))}
+                </div>
+            )}
+        </div>
+    );
+}
+
+export default RemediationActions;
@@ -0,0 +1,92 @@
+/**
+ * RemediationOptimizer - Ranked Design Changes from the Genetic Optimizer
+ * Evolves changes to the current design, re-audits each one and lists the best
+ * trade-offs of feasibility gain against cost
+ */
+import React from 'react';
+import './RemediationOptimizer.css';
+
+const STATUS_COLORS = { success: '#00ff88', warning: '#ffaa00', danger: '#ff4757' };
+
+function formatValue(value, unit) {
+    if (typeof value === 'boolean') return value ? 'yes' : 'no';
+    return typeof value === 'number' ? `${value}${unit}` : String(value).toLowerCase();
+}
+
+export function RemediationOptimizer({ optimization, onOptimize, onApply }) {
+    const result = optimization?.result;
+
+    return (
+        <div className={`remediation-optimizer ${optimization?.stale ? 'stale' : ''}`}>
+            <div className="optimizer-header">
+                <button
+                    className="optimizer-run"
+                    onClick={() => onOptimize && onOptimize()}
+                    disabled={optimization?.loading}
+                >
+                    🧬 {result ? 'Re-optimize' : 'Optimize design'}
+                </button>
+                {result && (
+                    <span className="card-sublabel">
+                        Design {result.base.feasibility}% · {result.evaluations} variants audited
+                    </span>
+                )}
+            </div>
+
+            {!optimization && (
+                <div className="card-sublabel">Search for the cheapest design changes that raise feasibility</div>
+            )}
+            {optimization?.loading && <div className="card-sublabel">Evolving design changes...</div>}
+            {optimization?.error && <div className="card-sublabel optimizer-error">⚠️ {optimization.error}</div>}
+            {optimization?.stale && !optimization.loading && (
+                <div className="card-sublabel">Design changed since this run · re-optimize for current values</div>
+            )}
+
+            {result && !optimization.loading && result.candidates.length === 0 && (
+                <div className="card-sublabel">No parameter change improves this design</div>
+            )}
+
+            {result?.candidates.map(candidate => (
+                <div
+                    key={candidate.rank}
+                    className="optimizer-candidate"
+                    title={[
+                        ...candidate.resolved.map(c => `✓ ${c.type}: ${c.message}`),
+                        ...candidate.introduced.map(c => `+ ${c.type}: ${c.message}`)
+                    ].join('\n')}
+                >
+                    <div className="candidate-top">
+                        <span className="candidate-rank">#{candidate.rank}</span>
+                        <span className="candidate-gain" style={{ color: STATUS_COLORS[candidate.statusColor] }}>
+                            {candidate.gain >= 0 ? '+' : ''}{candidate.gain}% → {candidate.feasibility}%
+                        </span>
+                        <span className="candidate-cost">cost {Math.round(candidate.costIndex * 100)}%</span>
+                        {candidate.paretoOptimal && <span className="candidate-pareto" title="No other option gains as much for less">◆</span>}
+                        {onApply && (
+                            <button
+                                className="candidate-apply"
+                                onClick={() => onApply(candidate.action, { label: `Optimized design #${candidate.rank}`, icon: '🧬' })}
+                            >
+                                Apply
+                            </button>
+                        )}
+                    </div>
+                    <div className="candidate-changes">
+                        {candidate.changes.map(change => (
+                            <span key={change.parameter} className="candidate-change" title={change.description}>
+                                {change.icon} {change.label} {formatValue(change.from, change.unit)} → {formatValue(change.to, change.unit)}
+                            </span>
+                        ))}
+                    </div>
+                    {candidate.resolved.length > 0 && (
+                        <div className="card-sublabel">
+                            Clears {candidate.resolved.map(c => c.type.replace(/_/g, ' ').toLowerCase()).join(', ')}
+                        </div>
+                    )}
+                </div>
+            ))}
+        </div>
+    );
+}
+
+export default RemediationOptimizer;
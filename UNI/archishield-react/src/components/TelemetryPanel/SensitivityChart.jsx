@@ -0,0 +1,196 @@
+/**
+ * SensitivityChart - Feasibility Curves for One Building Parameter
+ * Sweeps a parameter around the current design and plots feasibility and
+ * per-audit scores, with markers where constraints appear or clear
+ */
+import React from 'react';
+import { SWEEP_PARAMETERS } from '../../services/sensitivity';
+import './SensitivityChart.css';
+
+const AUDIT_COLORS = {
+    zoning: '#00d4ff',
+    heritage: '#00ff88',
+    subsurface: '#ffaa00',
+    climate: '#ff6b7a',
+    seismic: '#8b5cf6',
+    wind: '#a78bfa',
+    ethics: '#f472b6'
+};
+
+const SEVERITY_COLORS = {
+    blocking: '#ff4757',
+    critical: '#ff7f50',
+    important: '#ffaa00',
+    warning: '#ffcc00',
+    info: '#8892a6'
+};
+
+const STATUS_COLORS = { success: '#00ff88', warning: '#ffaa00', danger: '#ff4757' };
+
+// Plot area inside the 300×150 viewBox
+const PLOT = { left: 26, right: 292, top: 10, bottom: 118 };
+const MAX_LISTED_THRESHOLDS = 6;
+
+function formatValue(value, unit) {
+    return typeof value === 'number' ? `${value}${unit}` : String(value).toLowerCase();
+}
+
+export function SensitivityChart({ sweep, current = {}, onSweep }) {
+    const result = sweep?.result;
+    const values = result?.values || [];
+    const last = Math.max(values.length - 1, 1);
+
+    const x = index => PLOT.left + (index / last) * (PLOT.right - PLOT.left);
+    const y = score => PLOT.bottom - (Math.max(0, Math.min(100, score)) / 100) * (PLOT.bottom - PLOT.top);
+    const line = series => series
+        .map((score, index) => (score === null ? null : `${x(index).toFixed(1)},${y(score).toFixed(1)}`))
+        .filter(Boolean)
+        .join(' ');
+
+    // Fractional index of a parameter value (interpolated between swept values)
+    const indexOf = (value) => {
+        const exact = values.indexOf(value);
+        if (exact !== -1 || typeof value !== 'number') return exact;
+        for (let i = 1; i < values.length; i++) {
+            if (value >= values[i - 1] && value <= values[i]) {
+                return i - 1 + (value - values[i - 1]) / (values[i] - values[i - 1]);
+            }
+        }
+        return -1;
+    };
+    const currentIndex = result ? indexOf(current[result.parameter] ?? result.base) : -1;
+    const appearing = result ? result.thresholds.filter(t => t.change === 'appears') : [];
+
+    return (
+        <div className="sensitivity-chart">
+            <div className="sweep-params">
+                {Object.entries(SWEEP_PARAMETERS).map(([id, spec]) => (
+                    <button
+                        key={id}
+                        className={`sweep-param ${sweep?.parameter === id ? 'active' : ''}`}
+                        onClick={() => onSweep && onSweep(id)}
+                        disabled={sweep?.loading}
+                    >
+                        {spec.icon} {spec.label}
+                    </button>
+                ))}
+            </div>
+
+            {!sweep && (
+                <div className="card-sublabel">Pick a parameter to see how feasibility changes across its range</div>
+            )}
+            {sweep?.loading && (
+                <div className="card-sublabel">Sweeping {SWEEP_PARAMETERS[sweep.parameter]?.label.toLowerCase()}...</div>
+            )}
+            {sweep?.error && <div className="card-sublabel sweep-error">⚠️ {sweep.error}</div>}
+
+            {result && (
+                <>
+                    <svg viewBox="0 0 300 150" className="sweep-svg">
+                        {/* Score grid */}
+                        {[0, 50, 100].map(score => (
+                            <g key={score}>
+                                <line x1={PLOT.left} x2={PLOT.right} y1={y(score)} y2={y(score)} className="sweep-grid" />
+                                <text x={PLOT.left - 4} y={y(score) + 3} className="sweep-axis" textAnchor="end">{score}</text>
+                            </g>
+                        ))}
+
+                        {/* Thresholds: between the last value without and the first value with the constraint */}
+                        {result.thresholds.map((threshold, idx) => {
+                            const position = x(values.indexOf(threshold.value) - 0.5);
+                            return (
+                                <line
+                                    key={`${threshold.key}-${idx}`}
+                                    x1={position} x2={position} y1={PLOT.top} y2={PLOT.bottom}
+                                    stroke={SEVERITY_COLORS[threshold.severity] || SEVERITY_COLORS.info}
+                                    className={`sweep-threshold ${threshold.change}`}
+                                >
+                                    <title>{`${threshold.type} ${threshold.change} at ${formatValue(threshold.value, result.unit)}: ${threshold.message}`}</title>
+                                </line>
+                            );
+                        })}
+
+                        {/* Per-audit scores */}
+                        {Object.entries(result.scores).map(([key, series]) => (
+                            <polyline
+                                key={key}
+                                points={line(series)}
+                                stroke={AUDIT_COLORS[key] || '#8892a6'}
+                                className="sweep-audit-line"
+                            />
+                        ))}
+
+                        {/* Overall feasibility */}
+                        <polyline points={line(result.feasibility)} className="sweep-feasibility-line" />
+                        {result.feasibility.map((score, index) => (
+                            <circle
+                                key={index}
+                                cx={x(index)}
+                                cy={y(score)}
+                                r="2.2"
+                                fill={STATUS_COLORS[result.statusColor[index]] || '#fff'}
+                            >
+                                <title>{`${formatValue(values[index], result.unit)}: ${score}% · ${result.status[index]}`}</title>
+                            </circle>
+                        ))}
+
+                        {/* Current design */}
+                        {currentIndex >= 0 && (
+                            <line
+                                x1={x(currentIndex)} x2={x(currentIndex)} y1={PLOT.top} y2={PLOT.bottom}
+                                className="sweep-current"
+                            />
+                        )}
+
+                        {/* Value axis */}
+                        <text x={PLOT.left} y={PLOT.bottom + 14} className="sweep-axis">{formatValue(values[0], result.unit)}</text>
+                        {values.length > 2 && (
+                            <text x={x(Math.floor(values.length / 2))} y={PLOT.bottom + 14} className="sweep-axis" textAnchor="middle">
+                                {formatValue(values[Math.floor(values.length / 2)], result.unit)}
+                            </text>
+                        )}
+                        <text x={PLOT.right} y={PLOT.bottom + 14} className="sweep-axis" textAnchor="end">
+                            {formatValue(values[values.length - 1], result.unit)}
+                        </text>
+                    </svg>
+
+                    <div className="sweep-legend">
+                        <span><span className="legend-swatch feasibility" />Feasibility</span>
+                        {Object.keys(result.scores).map(key => (
+                            <span key={key}>
+                                <span className="legend-swatch" style={{ background: AUDIT_COLORS[key] || '#8892a6' }} />
+                                {key}
+                            </span>
+                        ))}
+                    </div>
+
+                    <div className="card-sublabel">
+                        {result.categorical
+                            ? `Best ${result.best.feasibility}% with ${formatValue(result.best.value, result.unit)}`
+                            : result.lastFeasible === null
+                                ? `Rejected from ${formatValue(result.values[0], result.unit)} on · best ${result.best.feasibility}% at ${formatValue(result.best.value, result.unit)}`
+                                : `Feasible up to ${formatValue(result.lastFeasible, result.unit)} · best ${result.best.feasibility}% at ${formatValue(result.best.value, result.unit)}`}
+                    </div>
+
+                    {appearing.length > 0 && (
+                        <div className="mandates-list">
+                            {appearing.slice(0, MAX_LISTED_THRESHOLDS).map((threshold, idx) => (
+                                <div key={`${threshold.key}-${idx}`} className="mandate-item" title={threshold.message}>
+                                    <span className="mandate-icon" style={{ color: SEVERITY_COLORS[threshold.severity] }}>▲</span>
+                                    <span className="mandate-text">
+                                        {formatValue(threshold.value, result.unit)}: {threshold.type.replace(/_/g, ' ').toLowerCase()} ({threshold.severity})
+                                    </span>
+                                </div>
+                            ))}
+                            {appearing.length > MAX_LISTED_THRESHOLDS && (
+                                <div className="card-sublabel">+{appearing.length - MAX_LISTED_THRESHOLDS} more thresholds</div>
+                            )}
+                        </div>
+                    )}
+                </>
+            )}
+        </div>
+    );
+}
+
+export default SensitivityChart;
@@ -1,11 +1,20 @@
 /**
  * TelemetryPanel - Premium Dashboard with Real Audit Data
- * Displays: Gauge, 4 constraint cards with real data, audit scores chart
+ * Displays: Gauge, 4 constraint cards with real data, audit scores chart, sensitivity curves, one-click remediations, remediation optimizer
  */
 import React, { useEffect, useState } from 'react';
+import { SensitivityChart } from './SensitivityChart';
+import { RemediationOptimizer } from './RemediationOptimizer';
+import { RemediationActions } from './RemediationActions';
+import { AuditCertificate } from './AuditCertificate';
 import './TelemetryPanel.css';
 
-export function TelemetryPanel({ results, loading, phase, buildingConfig, onMaterialChange, onConfigChange }) {
+export function TelemetryPanel({
+    results, loading, phase, phases = [], buildingConfig, onMaterialChange, onConfigChange,
+    sweep, onSweep, envelope, onSolveEnvelope, optimization, onOptimize,
+    remediationHistory, onApplyRemediation, onUndoRemediation, onRedoRemediation,
+    certificate, issuerKeyId, onIssueCertificate, onExportReport, onExportDxf
+}) {
     const [animatedFeasibility, setAnimatedFeasibility] = useState(0);
     
     useEffect(() => {
@@ -30,6 +39,7 @@ export function TelemetryPanel({ results, loading, phase, buildingConfig, onMate
 
     // Loading state - premium animated version
     if (loading) {
+        const phaseNames = phases.map(p => p.name);
         return (
             <div className="telemetry-panel">
                 <div className="panel-header">
@@ -49,15 +59,15 @@ export function TelemetryPanel({ results, loading, phase, buildingConfig, onMate
                 </div>
 
                 <div className="loading-steps">
-                    {['Zoning', 'Heritage', 'Subsurface', 'Climate', 'Structural Safety'].map((step, idx) => (
+                    {phaseNames.map((step, idx) => (
                         <div 
                             key={step} 
                             className={`loading-step ${phase === step ? 'active' : ''} ${
-                                ['Zoning', 'Heritage', 'Subsurface', 'Climate', 'Structural Safety'].indexOf(phase) > idx ? 'complete' : ''
+                                phaseNames.indexOf(phase) > idx ? 'complete' : ''
                             }`}
                         >
                             <div className="step-indicator">
-                                {['Zoning', 'Heritage', 'Subsurface', 'Climate', 'Structural Safety'].indexOf(phase) > idx ? '✓' : (idx + 1)}
+                                {phaseNames.indexOf(phase) > idx ? '✓' : (idx + 1)}
                             </div>
                             <span className="step-label">{step}</span>
                         </div>
@@ -84,13 +94,15 @@ export function TelemetryPanel({ results, loading, phase, buildingConfig, onMate
     }
 
     // Extract data from results
-    const { feasibility, district, audits, building } = results;
+    const { feasibility, district, districtName, audits, building, jurisdiction } = results;
+    const ruleVersion = jurisdiction?.ruleVersion;
     const zoning = audits?.zoning;
     const heritage = audits?.heritage;
     const subsurface = audits?.subsurface;
     const climate = audits?.climate;
     const seismic = audits?.seismic;
     const wind = audits?.wind;
+    const ethics = audits?.ethics;
 
     // Helper to get severity class
     const getSeverityClass = (score) => {
@@ -144,6 +156,15 @@ export function TelemetryPanel({ results, loading, phase, buildingConfig, onMate
         }
     };
     
+    // Maximum compliant envelope (solved in the background after each site audit)
+    const allowed = envelope?.result;
+    const describeLimit = (label, limit, unit) => (limit
+        ? `${label} stops at ${limit.value}${unit}: ${limit.reason}${limit.constraints.length ? ` (${limit.constraints.map(c => c.type).join(', ')})` : ''}`
+        : `${label} reaches the search bound`);
+    const allowedTitle = allowed?.feasible
+        ? [describeLimit('Height', allowed.limitedBy.height, 'm'), describeLimit('Footprint', allowed.limitedBy.footprint, 'm²')].join('\n')
+        : allowed?.materials.map(m => `${m.material}: ${m.reason} (${m.blockedBy.map(c => c.type).join(', ')})`).join('\n');
+    
     const handleRotationChange = (e) => {
         const newRotation = parseInt(e.target.value);
         if (onConfigChange) {
@@ -156,8 +177,13 @@ export function TelemetryPanel({ results, loading, phase, buildingConfig, onMate
             {/* Header with breadcrumb */}
             <div className="panel-header">
                 <span className="breadcrumb">
-                    Home › Vienna › {district ? `District ${district}` : 'Overview'} <strong>Permit Feasibility Analysis</strong>
+                    Home › Vienna › {district ? `District ${district}${districtName ? ` · ${districtName}` : ''}` : 'Overview'} <strong>Permit Feasibility Analysis</strong>
                 </span>
+                {ruleVersion && (
+                    <span className="rule-version" title={ruleVersion.amendments.map(a => a.title).join(', ') || jurisdiction.framework}>
+                        📜 {ruleVersion.label} · rules as of {jurisdiction.asOf}
+                    </span>
+                )}
             </div>
 
             {/* Permit Feasibility Gauge */}
@@ -264,6 +290,26 @@ export function TelemetryPanel({ results, loading, phase, buildingConfig, onMate
                             <span>Limit: {contextualLimit}m</span>
                             {isOverLimit && <span className="over-text">+{(currentHeight - contextualLimit).toFixed(0)}m over</span>}
                         </div>
+
+                        {envelope && (
+                            <div className={`allowed-envelope ${envelope.stale ? 'stale' : ''}`} title={allowedTitle}>
+                                {envelope.loading && <span>⏳ Solving max envelope...</span>}
+                                {!envelope.loading && envelope.error && <span>⚠️ {envelope.error}</span>}
+                                {!envelope.loading && allowed?.feasible && (
+                                    <span>
+                                        🧊 Allowed: {allowed.height}m · {allowed.floors} floors · {allowed.footprint}㎡ · {allowed.material.toLowerCase()} ({allowed.feasibility}%)
+                                    </span>
+                                )}
+                                {!envelope.loading && allowed && !allowed.feasible && (
+                                    <span>⛔ No compliant envelope at this site</span>
+                                )}
+                                {envelope.stale && !envelope.loading && onSolveEnvelope && (
+                                    <button className="allowed-refresh" onClick={() => onSolveEnvelope()} title="Design settings changed - solve again">
+                                        ↻
+                                    </button>
+                                )}
+                            </div>
+                        )}
                     </div>
                     
                     {/* Material Toggle Card */}
@@ -314,6 +360,11 @@ export function TelemetryPanel({ results, loading, phase, buildingConfig, onMate
                                     ? "Exceeds Neighborhood Scale" 
                                     : `Verified: ${zoning?.bauklasse?.class || 'III'} Zoning`}
                         </div>
+                        {zoning?.planBlock && (
+                            <div className="card-citation" title={zoning.planBlock.widmung}>
+                                📜 {zoning.planBlock.notation} · PD {zoning.planBlock.plandokument} · {zoning.planBlock.id}
+                            </div>
+                        )}
                         <div className="height-bar-container">
                             <div 
                                 className={`height-bar-fill ${!isExceedingRegulatory ? 'safe' : hasVariancePotential ? 'variance' : 'exceeded'}`}
@@ -382,7 +433,8 @@ export function TelemetryPanel({ results, loading, phase, buildingConfig, onMate
                                     {subsurface.nearestDistance}m to {subsurface.nearestLine.name}
                                 </div>
                                 <div className="card-sublabel">
-                                    Near {subsurface.nearestLine.station} • Tunnel depth: {subsurface.nearestLine.tunnelDepth}m
+                                    Near {subsurface.nearestLine.station} • Tunnel depth here: {subsurface.nearestLine.tunnelDepth}m
+                                    {subsurface.nearestLine.status === 'under construction' && ' • Under construction'}
                                 </div>
                                 <div className="proximity-bar">
                                     <div 
@@ -446,8 +498,18 @@ export function TelemetryPanel({ results, loading, phase, buildingConfig, onMate
                             {Math.round(((seismic?.score || 0) + (wind?.score || 0)) / 2)}% Resilience
                         </div>
                         <div className="card-sublabel">
-                            {wind?.data?.neighborCount} Neighbors • {seismic?.data?.zone} Zone
+                            {wind?.data?.neighborCount} Neighbors • Ground Type {seismic?.data?.groundType} ({seismic?.data?.zone})
                         </div>
+                        {seismic?.data?.demandCapacityRatio !== undefined && (
+                            <div className="card-sublabel">
+                                EN 1998-1: T1 {seismic.data.period}s • Sd {seismic.data.designAcceleration} m/s² • Fb {seismic.data.baseShear} kN • D/C {seismic.data.demandCapacityRatio}
+                            </div>
+                        )}
+                        {wind?.data?.peakVelocityPressure !== undefined && (
+                            <div className="card-sublabel" title={wind.data.formulas?.map(f => `${f.name}: ${f.formula} = ${f.value} ${f.unit}`).join('\n')}>
+                                EN 1991-1-4: qp(h) {(wind.data.peakVelocityPressure / 1000).toFixed(2)} kN/m² • Base shear {Math.round(wind.data.baseShear)} kN • H/B {wind.data.aspectRatio}
+                            </div>
+                        )}
                         <div className="mini-bars-container">
                             <div className="mini-bar-row">
                                 <span className="mini-label">Seismic</span>
@@ -469,6 +531,68 @@ export function TelemetryPanel({ results, loading, phase, buildingConfig, onMate
                             </div>
                         </div>
                     </div>
+
+                    {/* Card 6: Krems Ethics (red-zone shade + water displacement) */}
+                    {ethics && (
+                        <div className="constraint-card ethics-card">
+                            <div className="card-top">
+                                <span className="card-icon">⚖️</span>
+                                <span className="card-title">Krems Ethics</span>
+                            </div>
+                            <div className={`card-value ${ethics.passed ? (ethics.data.shadePercentage > 0 ? 'orange' : 'green') : 'red'}`}>
+                                {ethics.passed ? 'Compliant' : 'Non-Compliant'}
+                            </div>
+                            <div className="card-sublabel">
+                                {ethics.data.adjacentToRedZone
+                                    ? `Adjacent to ${ethics.data.adjacentRedZones.join(', ')}`
+                                    : ethics.data.nearestRedZone
+                                        ? `Nearest red zone: ${ethics.data.nearestRedZone.name} (${ethics.data.nearestRedZone.distance.toLocaleString()}m ${ethics.data.nearestRedZone.direction})`
+                                        : 'No red zones defined'}
+                            </div>
+                            <div className="mini-bars-container">
+                                <div className="mini-bar-row">
+                                    <span className="mini-label">Shade</span>
+                                    <div className="mini-bar">
+                                        <div
+                                            className={`mini-fill ${ethics.data.shadePercentage > ethics.data.maxShadeImpact ? 'red' : 'green'}`}
+                                            style={{ width: `${Math.min(100, ethics.data.shadePercentage / ethics.data.maxShadeImpact * 100)}%` }}
+                                        />
+                                    </div>
+                                </div>
+                                <div className="mini-bar-row">
+                                    <span className="mini-label">Water</span>
+                                    <div className="mini-bar">
+                                        <div
+                                            className={`mini-fill ${ethics.data.adjacentToRedZone && ethics.data.waterDisplacement > ethics.data.waterDisplacementLimit ? 'red' : 'green'}`}
+                                            style={{ width: `${Math.min(100, ethics.data.waterDisplacement / ethics.data.waterDisplacementLimit * 100)}%` }}
+                                        />
+                                    </div>
+                                </div>
+                            </div>
+                            <div className="mandates-list">
+                                <div className="mandate-item">
+                                    <span className="mandate-icon">🌗</span>
+                                    <span className="mandate-text">
+                                        {ethics.data.shadowDuration.toFixed(1)}h sun lost/day ({(ethics.data.shadePercentage * 100).toFixed(1)}% of {ethics.data.daylightHours.toFixed(1)}h, max {ethics.data.maxShadeImpact * 100}%)
+                                    </span>
+                                </div>
+                                <div className="mandate-item">
+                                    <span className="mandate-icon">💧</span>
+                                    <span className="mandate-text">
+                                        Water displacement {(ethics.data.waterDisplacement * 100).toFixed(1)}% (max {ethics.data.waterDisplacementLimit * 100}%)
+                                    </span>
+                                </div>
+                                {ethics.data.maxAllowedHeight !== undefined && (
+                                    <div className="mandate-item">
+                                        <span className="mandate-icon">📏</span>
+                                        <span className="mandate-text">
+                                            Max {ethics.data.maxAllowedHeight}m for solar access
+                                        </span>
+                                    </div>
+                                )}
+                            </div>
+                        </div>
+                    )}
                 </div>
             </div>
 
@@ -483,7 +607,8 @@ export function TelemetryPanel({ results, loading, phase, buildingConfig, onMate
                         { name: 'Heritage', score: heritage?.score || 0, icon: '🏛️', color: '#00ff88' },
                         { name: 'Subsurface', score: subsurface?.score || 0, icon: '🚇', color: '#ffaa00' },
                         { name: 'Climate', score: climate?.score || 0, icon: '🌡️', color: '#ff6b7a' },
-                        { name: 'Structural', score: Math.round(((seismic?.score || 0) + (wind?.score || 0)) / 2), icon: '🏗️', color: '#8b5cf6' }
+                        { name: 'Structural', score: Math.round(((seismic?.score || 0) + (wind?.score || 0)) / 2), icon: '🏗️', color: '#8b5cf6' },
+                        ...(ethics ? [{ name: 'Ethics', score: ethics.score, icon: '⚖️', color: '#f472b6' }] : [])
                     ].map((audit, idx) => (
                         <div key={idx} className="audit-score-row">
                             <div className="audit-info">
@@ -507,6 +632,45 @@ export function TelemetryPanel({ results, loading, phase, buildingConfig, onMate
                 </div>
             </div>
 
+            {/* Sensitivity Sweep */}
+            {onSweep && (
+                <div className="metrics-section">
+                    <h3>Sensitivity</h3>
+                    <SensitivityChart sweep={sweep} current={buildingConfig} onSweep={onSweep} />
+                </div>
+            )}
+
+            {/* Remediation: one-click fixes with undo, and the genetic optimizer */}
+            {(onApplyRemediation || onOptimize) && (
+                <div className="metrics-section">
+                    <h3>Remediation</h3>
+                    <RemediationActions
+                        results={results}
+                        history={remediationHistory}
+                        onApply={onApplyRemediation}
+                        onUndo={onUndoRemediation}
+                        onRedo={onRedoRemediation}
+                    />
+                    {onOptimize && (
+                        <RemediationOptimizer optimization={optimization} onOptimize={onOptimize} onApply={onApplyRemediation} />
+                    )}
+                </div>
+            )}
+
+            {/* Signed certificate, PDF report and DXF model of this audit */}
+            {onIssueCertificate && (
+                <div className="metrics-section">
+                    <h3>Certificate</h3>
+                    <AuditCertificate
+                        certificate={certificate}
+                        issuerKeyId={issuerKeyId}
+                        onIssue={onIssueCertificate}
+                        onExportReport={onExportReport}
+                        onExportDxf={onExportDxf}
+                    />
+                </div>
+            )}
+
             {/* Key Risk Summary */}
             {results.keyRisk && results.keyRisk !== 'No critical constraints' && (
                 <div className="risk-summary">
@@ -0,0 +1,213 @@
+/**
+ * Vienna Bezirke - simplified district boundaries
+ *
+ * All 23 districts as GeoJSON polygons ([lng, lat], WGS84). Boundaries are
+ * generalised along the Gürtel, Donaukanal, Danube and Wien river with shared
+ * vertices, so neighbouring districts meet without gaps or overlaps. Swap in
+ * the Stadt Wien BEZIRKSGRENZEOGD export for parcel-accurate lookups.
+ */
+
+export const VIENNA_DISTRICTS = {
+    type: 'FeatureCollection',
+    features: [
+        {
+            type: 'Feature',
+            properties: { district: 1, name: 'Innere Stadt' },
+            geometry: { type: 'Polygon', coordinates: [[
+                [16.3690, 48.2180], [16.3780, 48.2130], [16.3855, 48.2110], [16.3815, 48.2050],
+                [16.3765, 48.2005], [16.3655, 48.2005], [16.3605, 48.2025], [16.3555, 48.2075],
+                [16.3550, 48.2145], [16.3690, 48.2180]
+            ]] }
+        },
+        {
+            type: 'Feature',
+            properties: { district: 2, name: 'Leopoldstadt' },
+            geometry: { type: 'Polygon', coordinates: [[
+                [16.3690, 48.2180], [16.3665, 48.2260], [16.3800, 48.2320], [16.3950, 48.2400],
+                [16.4000, 48.2370], [16.4150, 48.2280], [16.4450, 48.2080], [16.4900, 48.1800],
+                [16.4500, 48.1850], [16.4150, 48.1915], [16.3990, 48.2020], [16.3855, 48.2110],
+                [16.3780, 48.2130], [16.3690, 48.2180]
+            ]] }
+        },
+        {
+            type: 'Feature',
+            properties: { district: 3, name: 'Landstraße' },
+            geometry: { type: 'Polygon', coordinates: [[
+                [16.3855, 48.2110], [16.3990, 48.2020], [16.4150, 48.1915], [16.4010, 48.1795],
+                [16.3800, 48.1880], [16.3780, 48.1930], [16.3765, 48.2005], [16.3815, 48.2050],
+                [16.3855, 48.2110]
+            ]] }
+        },
+        {
+            type: 'Feature',
+            properties: { district: 4, name: 'Wieden' },
+            geometry: { type: 'Polygon', coordinates: [[
+                [16.3655, 48.2005], [16.3580, 48.1960], [16.3580, 48.1830], [16.3800, 48.1880],
+                [16.3780, 48.1930], [16.3765, 48.2005], [16.3655, 48.2005]
+            ]] }
+        },
+        {
+            type: 'Feature',
+            properties: { district: 5, name: 'Margareten' },
+            geometry: { type: 'Polygon', coordinates: [[
+                [16.3580, 48.1960], [16.3400, 48.1875], [16.3470, 48.1800], [16.3580, 48.1830],
+                [16.3580, 48.1960]
+            ]] }
+        },
+        {
+            type: 'Feature',
+            properties: { district: 6, name: 'Mariahilf' },
+            geometry: { type: 'Polygon', coordinates: [[
+                [16.3605, 48.2025], [16.3395, 48.1965], [16.3400, 48.1875], [16.3580, 48.1960],
+                [16.3655, 48.2005], [16.3605, 48.2025]
+            ]] }
+        },
+        {
+            type: 'Feature',
+            properties: { district: 7, name: 'Neubau' },
+            geometry: { type: 'Polygon', coordinates: [[
+                [16.3555, 48.2075], [16.3390, 48.2075], [16.3385, 48.2030], [16.3395, 48.1965],
+                [16.3605, 48.2025], [16.3555, 48.2075]
+            ]] }
+        },
+        {
+            type: 'Feature',
+            properties: { district: 8, name: 'Josefstadt' },
+            geometry: { type: 'Polygon', coordinates: [[
+                [16.3550, 48.2145], [16.3425, 48.2170], [16.3405, 48.2125], [16.3390, 48.2075],
+                [16.3555, 48.2075], [16.3550, 48.2145]
+            ]] }
+        },
+        {
+            type: 'Feature',
+            properties: { district: 9, name: 'Alsergrund' },
+            geometry: { type: 'Polygon', coordinates: [[
+                [16.3690, 48.2180], [16.3665, 48.2260], [16.3625, 48.2345], [16.3570, 48.2335],
+                [16.3500, 48.2265], [16.3425, 48.2170], [16.3550, 48.2145], [16.3690, 48.2180]
+            ]] }
+        },
+        {
+            type: 'Feature',
+            properties: { district: 10, name: 'Favoriten' },
+            geometry: { type: 'Polygon', coordinates: [[
+                [16.3470, 48.1800], [16.3580, 48.1830], [16.3800, 48.1880], [16.4010, 48.1795],
+                [16.4250, 48.1600], [16.4450, 48.1290], [16.4200, 48.1250], [16.3700, 48.1200],
+                [16.3450, 48.1190], [16.3400, 48.1370], [16.3300, 48.1560], [16.3400, 48.1700],
+                [16.3470, 48.1800]
+            ]] }
+        },
+        {
+            type: 'Feature',
+            properties: { district: 11, name: 'Simmering' },
+            geometry: { type: 'Polygon', coordinates: [[
+                [16.4150, 48.1915], [16.4500, 48.1850], [16.4900, 48.1800], [16.5300, 48.1560],
+                [16.5050, 48.1560], [16.4700, 48.1450], [16.4450, 48.1290], [16.4250, 48.1600],
+                [16.4010, 48.1795], [16.4150, 48.1915]
+            ]] }
+        },
+        {
+            type: 'Feature',
+            properties: { district: 12, name: 'Meidling' },
+            geometry: { type: 'Polygon', coordinates: [[
+                [16.3400, 48.1875], [16.3470, 48.1800], [16.3400, 48.1700], [16.3300, 48.1560],
+                [16.3000, 48.1570], [16.3150, 48.1750], [16.3200, 48.1885], [16.3400, 48.1875]
+            ]] }
+        },
+        {
+            type: 'Feature',
+            properties: { district: 13, name: 'Hietzing' },
+            geometry: { type: 'Polygon', coordinates: [[
+                [16.2100, 48.1380], [16.2600, 48.1500], [16.3000, 48.1570], [16.3150, 48.1750],
+                [16.3200, 48.1885], [16.3000, 48.1920], [16.2600, 48.1960], [16.1870, 48.1880],
+                [16.1900, 48.1650], [16.2100, 48.1380]
+            ]] }
+        },
+        {
+            type: 'Feature',
+            properties: { district: 14, name: 'Penzing' },
+            geometry: { type: 'Polygon', coordinates: [[
+                [16.1870, 48.1880], [16.2600, 48.1960], [16.3000, 48.1920], [16.3000, 48.2050],
+                [16.2800, 48.2120], [16.2700, 48.2260], [16.2550, 48.2330], [16.2500, 48.2450],
+                [16.2000, 48.2260], [16.1830, 48.2000], [16.1870, 48.1880]
+            ]] }
+        },
+        {
+            type: 'Feature',
+            properties: { district: 15, name: 'Rudolfsheim-Fünfhaus' },
+            geometry: { type: 'Polygon', coordinates: [[
+                [16.3385, 48.2030], [16.3000, 48.2050], [16.3000, 48.1920], [16.3200, 48.1885],
+                [16.3400, 48.1875], [16.3395, 48.1965], [16.3385, 48.2030]
+            ]] }
+        },
+        {
+            type: 'Feature',
+            properties: { district: 16, name: 'Ottakring' },
+            geometry: { type: 'Polygon', coordinates: [[
+                [16.3390, 48.2075], [16.3405, 48.2125], [16.3000, 48.2180], [16.2700, 48.2260],
+                [16.2800, 48.2120], [16.3000, 48.2050], [16.3385, 48.2030], [16.3390, 48.2075]
+            ]] }
+        },
+        {
+            type: 'Feature',
+            properties: { district: 17, name: 'Hernals' },
+            geometry: { type: 'Polygon', coordinates: [[
+                [16.3425, 48.2170], [16.3200, 48.2250], [16.2950, 48.2400], [16.2700, 48.2560],
+                [16.2500, 48.2450], [16.2550, 48.2330], [16.2700, 48.2260], [16.3000, 48.2180],
+                [16.3405, 48.2125], [16.3425, 48.2170]
+            ]] }
+        },
+        {
+            type: 'Feature',
+            properties: { district: 18, name: 'Währing' },
+            geometry: { type: 'Polygon', coordinates: [[
+                [16.3570, 48.2335], [16.3500, 48.2265], [16.3425, 48.2170], [16.3200, 48.2250],
+                [16.2950, 48.2400], [16.3250, 48.2420], [16.3570, 48.2335]
+            ]] }
+        },
+        {
+            type: 'Feature',
+            properties: { district: 19, name: 'Döbling' },
+            geometry: { type: 'Polygon', coordinates: [[
+                [16.2700, 48.2560], [16.2950, 48.2680], [16.3480, 48.2900], [16.3700, 48.2600],
+                [16.3670, 48.2470], [16.3625, 48.2345], [16.3570, 48.2335], [16.3250, 48.2420],
+                [16.2950, 48.2400], [16.2700, 48.2560]
+            ]] }
+        },
+        {
+            type: 'Feature',
+            properties: { district: 20, name: 'Brigittenau' },
+            geometry: { type: 'Polygon', coordinates: [[
+                [16.3700, 48.2600], [16.3850, 48.2450], [16.3950, 48.2400], [16.3800, 48.2320],
+                [16.3665, 48.2260], [16.3625, 48.2345], [16.3670, 48.2470], [16.3700, 48.2600]
+            ]] }
+        },
+        {
+            type: 'Feature',
+            properties: { district: 21, name: 'Floridsdorf' },
+            geometry: { type: 'Polygon', coordinates: [[
+                [16.3480, 48.2900], [16.3780, 48.3050], [16.4100, 48.3230], [16.4550, 48.3080],
+                [16.4450, 48.2900], [16.4300, 48.2650], [16.4000, 48.2370], [16.3850, 48.2450],
+                [16.3700, 48.2600], [16.3480, 48.2900]
+            ]] }
+        },
+        {
+            type: 'Feature',
+            properties: { district: 22, name: 'Donaustadt' },
+            geometry: { type: 'Polygon', coordinates: [[
+                [16.4000, 48.2370], [16.4300, 48.2650], [16.4450, 48.2900], [16.4550, 48.3080],
+                [16.5100, 48.2950], [16.5700, 48.2600], [16.5770, 48.2050], [16.5300, 48.1560],
+                [16.4900, 48.1800], [16.4450, 48.2080], [16.4150, 48.2280], [16.4000, 48.2370]
+            ]] }
+        },
+        {
+            type: 'Feature',
+            properties: { district: 23, name: 'Liesing' },
+            geometry: { type: 'Polygon', coordinates: [[
+                [16.3450, 48.1190], [16.3400, 48.1370], [16.3300, 48.1560], [16.3000, 48.1570],
+                [16.2600, 48.1500], [16.2100, 48.1380], [16.2700, 48.1230], [16.3450, 48.1190]
+            ]] }
+        }
+    ]
+};
+
+export default VIENNA_DISTRICTS;
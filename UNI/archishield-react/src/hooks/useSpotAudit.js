@@ -3,199 +3,300 @@
  * 
  * Manages the execution and state of Vienna regulatory audits
  */
-import { useState, useCallback, useRef } from 'react';
-import { ZoningAudit, HeritageAudit, SubsurfaceAudit, ClimateAudit, SeismicAudit, WindLoadAudit } from '../services/audits';
-import SpatialUtils from '../services/spatial';
+import { useState, useCallback, useEffect, useRef, useMemo } from 'react';
+import { defaultAuditRegistry } from '../services/audits';
+import {
+    DEFAULT_BUILDING_PARAMS,
+    createSpotBuilding,
+    createAuditContext,
+    executeAllAudits
+} from '../services/spot_audit';
+import { sweepParameter } from '../services/sensitivity';
+import { solveMaxEnvelope } from '../services/envelope';
+import { DESIGN_GENES, optimizeDesign } from '../services/optimizer';
+import { createSpatialIndex } from '../services/spatial_index';
+import { createAuditWorkerClient } from '../services/audit_worker';
+import { createCertificateKey, getKeyId, issueCertificate } from '../services/certificate';
+import { createAuditReport } from '../services/report';
+import { createDxfExport } from '../services/dxf';
+import { describeJurisdiction, getJurisdictionPack, resolveJurisdiction, toDateKey } from '../services/jurisdictions';
 import buildingsData from '../data/vienna_buildings.json';
+import zoningPlanData from '../data/vienna_zoning_plan.json';
+import geologyData from '../data/vienna_geology.json';
+import tunnelData from '../data/vienna_ubahn_tunnels.json';
 
-const AUDIT_PHASES = [
-    { id: 'zoning', name: 'Zoning', icon: '🏛️' },
-    { id: 'heritage', name: 'Heritage', icon: '🏛️' },
-    { id: 'subsurface', name: 'Subsurface', icon: '🚇' },
-    { id: 'climate', name: 'Climate', icon: '🌡️' },
-    { id: 'structural', name: 'Structural Safety', icon: '🏗️' }
-];
-
-function detectDistrict(lat, lng) {
-    // District 1 - Innere Stadt
-    if (lat >= 48.200 && lat <= 48.220 && lng >= 16.355 && lng <= 16.385) return 1;
-    // District 2 - Leopoldstadt  
-    if (lat >= 48.205 && lat <= 48.235 && lng >= 16.385 && lng <= 16.420) return 2;
-    // District 7 - Neubau
-    if (lat >= 48.195 && lat <= 48.215 && lng >= 16.335 && lng <= 16.360) return 7;
-    return null;
+const EMPTY_HISTORY = { entries: [], position: 0 };
+
+// Building parameters the envelope solver varies itself
+const ENVELOPE_VARIABLES = ['height', 'floors', 'footprint', 'material'];
+
+// Parameters that redraw the footprint rectangle; changing one drops a surveyed outline
+const GEOMETRY_PARAMS = ['footprint', 'rotation', 'footprintAspect'];
+
+// Built once when the dataset loads; every audit queries it instead of scanning the city
+const buildingIndex = createSpatialIndex(buildingsData.features);
+
+// Issuer key for projects that pass no signingKey: a non-extractable key pair kept in this
+// browser's IndexedDB, so scripts on the page can sign with it but never read the private key
+const ISSUER_KEY_DB = 'archishield';
+const ISSUER_KEY_STORE = 'keys';
+const ISSUER_KEY_ENTRY = 'certificate-issuer';
+// Plaintext JWK stored by earlier versions; removed, never used
+const LEGACY_KEY_STORAGE = 'archishield_certificate_key';
+
+function openKeyStore() {
+    return new Promise((resolve, reject) => {
+        const request = indexedDB.open(ISSUER_KEY_DB, 1);
+        request.onupgradeneeded = () => request.result.createObjectStore(ISSUER_KEY_STORE);
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
 }
 
-/**
- * Core audit execution logic - separated for reuse
- * This runs all audits synchronously without delays
- */
-function executeAllAudits(building, context) {
-    const auditResults = {};
-    let allConstraints = [];
-    let allMandates = [];
-    let totalScore = 0;
-    let passedCount = 0;
-
-    // Phase 1: Zoning
-    auditResults.zoning = ZoningAudit.execute(building, context);
-    allConstraints = [...allConstraints, ...auditResults.zoning.constraints];
-    totalScore += auditResults.zoning.score;
-    if (auditResults.zoning.passed) passedCount++;
-
-    // Phase 2: Heritage
-    auditResults.heritage = HeritageAudit.execute(building, context);
-    allConstraints = [...allConstraints, ...auditResults.heritage.constraints];
-    totalScore += auditResults.heritage.score;
-    if (auditResults.heritage.passed) passedCount++;
-
-    // Phase 3: Subsurface
-    auditResults.subsurface = SubsurfaceAudit.execute(building, context);
-    allConstraints = [...allConstraints, ...auditResults.subsurface.constraints];
-    totalScore += auditResults.subsurface.score;
-    if (auditResults.subsurface.passed) passedCount++;
-
-    // Phase 4: Climate
-    auditResults.climate = ClimateAudit.execute(building, context);
-    allConstraints = [...allConstraints, ...auditResults.climate.constraints];
-    allMandates = [...allMandates, ...(auditResults.climate.mandates || [])];
-    totalScore += auditResults.climate.score;
-    if (auditResults.climate.passed) passedCount++;
-
-    // Phase 5: Structural (Combined Seismic & Wind)
-    const seismicResult = SeismicAudit.execute(building);
-    const windResult = WindLoadAudit.execute(building, buildingsData.features);
-    
-    auditResults.seismic = seismicResult;
-    auditResults.wind = windResult;
-    
-    // Collect structural constraints
-    if (!seismicResult.passed) {
-        allConstraints.push({ id: 'seismic-fail', severity: 'critical', message: seismicResult.requirements[0] });
-    }
-    if (!windResult.passed) {
-        allConstraints.push({ id: 'wind-fail', severity: 'critical', message: windResult.requirements[0] });
-    }
-    
-    totalScore += (seismicResult.score + windResult.score) / 2;
-    if (seismicResult.passed && windResult.passed) passedCount++;
+function keyStoreRequest(db, mode, run) {
+    return new Promise((resolve, reject) => {
+        const request = run(db.transaction(ISSUER_KEY_STORE, mode).objectStore(ISSUER_KEY_STORE));
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
 
-    // Calculate overall feasibility (average of 5 phases)
-    const feasibility = Math.round(totalScore / 5);
-    const allPassed = passedCount === 5;
-    const hasBlocking = allConstraints.some(c => c.severity === 'blocking');
-    
-    let status, statusColor;
-    if (hasBlocking) {
-        status = 'REJECTED';
-        statusColor = 'danger';
-    } else if (allPassed && feasibility >= 80) {
-        status = 'HIGH - Ready for Submission';
-        statusColor = 'success';
-    } else if (feasibility >= 60) {
-        status = 'MEDIUM - Proceed with Caution';
-        statusColor = 'warning';
-    } else {
-        status = 'LOW - Significant Issues';
-        statusColor = 'danger';
-    }
-
-    // Find key risk
-    const criticalConstraints = allConstraints.filter(c => 
-        c.severity === 'blocking' || c.severity === 'critical'
-    );
-    const keyRisk = criticalConstraints[0]?.message || 'No critical constraints';
+let issuerKey = null;
 
-    return {
-        audits: auditResults,
-        feasibility,
-        status,
-        statusColor,
-        keyRisk,
-        constraints: allConstraints,
-        mandates: allMandates,
-        passedCount,
-        totalAudits: 5
-    };
+function loadIssuerKey() {
+    if (issuerKey) return issuerKey;
+    issuerKey = (async () => {
+        localStorage.removeItem(LEGACY_KEY_STORAGE);
+        const db = await openKeyStore();
+        try {
+            const stored = await keyStoreRequest(db, 'readonly', store => store.get(ISSUER_KEY_ENTRY));
+            if (stored) return stored;
+            const keyPair = await createCertificateKey({ extractable: false });
+            await keyStoreRequest(db, 'readwrite', store => store.put(keyPair, ISSUER_KEY_ENTRY));
+            return keyPair;
+        } finally {
+            db.close();
+        }
+    })();
+    // Retry on the next call if IndexedDB failed
+    issuerKey.catch(() => {
+        issuerKey = null;
+    });
+    return issuerKey;
 }
 
-export function useSpotAudit() {
+/**
+ * @param {Object} options
+ * @param {Object} options.registry - Audit registry (defaults to the Vienna pipeline)
+ * @param {Array} options.disabledAudits - Audit ids to skip for this project
+ * @param {string} options.jurisdiction - Jurisdiction pack id for this project (default: picked by site location)
+ * @param {string} options.asOf - Date whose rules apply, e.g. the submission date 'YYYY-MM-DD' (default: today)
+ * @param {CryptoKeyPair} options.signingKey - Project issuer key for certificates, whose key id verifiers pin
+ *   (default: a non-extractable key kept in this browser; its id is returned as issuerKeyId)
+ */
+export function useSpotAudit({
+    registry = defaultAuditRegistry, disabledAudits = [], jurisdiction = null, asOf = null, signingKey = null
+} = {}) {
     const [results, setResults] = useState(null);
     const [isLoading, setIsLoading] = useState(false);
     const [currentPhase, setCurrentPhase] = useState(null);
     const [phaseIndex, setPhaseIndex] = useState(-1);
     
     // Configurable building parameters for live updates
-    const [buildingConfig, setBuildingConfig] = useState({
-        material: 'CONCRETE',  // 'CONCRETE' | 'TIMBER'
-        height: 20,
-        floors: 5,
-        footprint: 200,
-        rotation: 0  // 0-360 degrees
-    });
+    // material: 'CONCRETE' | 'TIMBER', rotation: 0-360 degrees
+    const [buildingConfig, setBuildingConfig] = useState(DEFAULT_BUILDING_PARAMS);
     
     // Use ref to store last audit context for instant re-audits
     const lastAuditContext = useRef(null);
+    // Latest re-audit; a new site or a cleared audit also drops the one in flight
+    const auditRun = useRef(0);
+
+    // Sensitivity sweep of one parameter around the current design:
+    // { parameter, loading, result, error }
+    const [sweep, setSweep] = useState(null);
+    const sweepRun = useRef(0);
+
+    // Maximum buildable envelope at the current site: { loading, result, error, stale }
+    // stale: design settings the solver keeps fixed (rotation, seal, ...) changed since it ran
+    const [envelope, setEnvelope] = useState(null);
+    const envelopeRun = useRef(0);
+
+    // Genetic remediation search around the current design: { loading, result, error, stale }
+    // stale: the design changed since it ran, so its changes start from other values
+    const [optimization, setOptimization] = useState(null);
+    const optimizationRun = useRef(0);
+
+    // Remediation actions applied to the design: { entries, position }
+    // entries: [{ label, icon, action, previous, before, after }]; the first `position` entries are applied,
+    // the rest can be redone until a new action replaces them
+    const [remediationHistory, setRemediationHistory] = useState(EMPTY_HISTORY);
+
+    // Signed certificate of the current audit: { loading, result, error }
+    // Dropped when the design or the location changes, since it no longer matches the results
+    const [certificate, setCertificate] = useState(null);
+    const certificateRun = useRef(0);
+
+    // Key id of the issuer key, published so verifiers can pin it
+    const [issuerKeyId, setIssuerKeyId] = useState(null);
+    useEffect(() => {
+        let cancelled = false;
+        Promise.resolve(signingKey || loadIssuerKey())
+            .then(keyPair => getKeyId(keyPair.publicKey))
+            .then(keyId => {
+                if (!cancelled) setIssuerKeyId(keyId);
+            })
+            .catch(error => console.warn('Certificate issuer key unavailable:', error.message));
+        return () => {
+            cancelled = true;
+        };
+    }, [signingKey]);
+
+    // Audit worker for slider re-audits (null where Web Workers are unavailable or the worker died,
+    // so every later call audits on the main thread)
+    const auditWorker = useRef(null);
+    useEffect(() => {
+        const client = createAuditWorkerClient({
+            onError: () => {
+                if (auditWorker.current === client) auditWorker.current = null;
+            }
+        });
+        auditWorker.current = client;
+        return () => {
+            client?.terminate();
+            auditWorker.current = null;
+        };
+    }, []);
+
+    // Per-project registry: same audits, minus the disabled ones
+    const disabledKey = disabledAudits.join(',');
+    const activeRegistry = useMemo(() => {
+        if (!disabledKey) return registry;
+        const projectRegistry = registry.clone();
+        disabledKey.split(',').forEach(id => projectRegistry.disable(id));
+        return projectRegistry;
+    }, [registry, disabledKey]);
+    const phases = useMemo(() => activeRegistry.getPhases(), [activeRegistry]);
+
+    // Solve the largest compliant envelope for the current site and design settings.
+    // A newer solve, a new location or a cleared audit drops the running one.
+    const solveEnvelope = useCallback(async (goals = {}) => {
+        if (!lastAuditContext.current) return null;
+
+        const {
+            latitude, longitude, district, districtName, neighborhood, jurisdictionId, ruleDate, baseParams
+        } = lastAuditContext.current;
+        const site = { latitude, longitude, params: baseParams, context: { district, districtName, neighborhood } };
+        const runId = ++envelopeRun.current;
+        setEnvelope(prev => ({ loading: true, result: prev?.result ?? null, error: null, stale: false }));
+
+        let result = null;
+        try {
+            if (auditWorker.current && registry === defaultAuditRegistry) {
+                try {
+                    const run = await auditWorker.current.envelope({
+                        site,
+                        goals,
+                        jurisdiction: jurisdictionId,
+                        asOf: ruleDate,
+                        disabled: disabledKey ? disabledKey.split(',') : []
+                    });
+                    if (run.cancelled) return null;
+                    result = run.envelope;
+                } catch (error) {
+                    console.warn('Audit worker failed, solving the envelope on the main thread:', error.message);
+                }
+            }
+            if (!result) {
+                result = solveMaxEnvelope(site, goals, {
+                    registry: activeRegistry,
+                    buildings: buildingsData.features,
+                    buildingIndex,
+                    zoningPlan: zoningPlanData,
+                    geology: geologyData,
+                    tunnels: tunnelData,
+                    jurisdiction: getJurisdictionPack(jurisdictionId, ruleDate)
+                });
+            }
+        } catch (error) {
+            if (runId === envelopeRun.current) {
+                setEnvelope({ loading: false, result: null, error: error.message, stale: false });
+            }
+            return null;
+        }
+
+        if (runId !== envelopeRun.current) return null;
+        setEnvelope({ loading: false, result, error: null, stale: false });
+        return result;
+    }, [registry, disabledKey, activeRegistry]);
 
     // Full audit with loading animation (for initial location clicks)
     const runSpotAudit = useCallback(async (latitude, longitude, buildingParams = {}) => {
         setIsLoading(true);
         setResults(null);
+        auditRun.current++;
+        setSweep(null);
+        sweepRun.current++;
+        setEnvelope(null);
+        envelopeRun.current++;
+        setOptimization(null);
+        optimizationRun.current++;
+        setRemediationHistory(EMPTY_HISTORY);
+        setCertificate(null);
+        certificateRun.current++;
         
-        const district = detectDistrict(latitude, longitude);
-        
-        // Find existing building height if select a building explicitly
-        const existingBuilding = buildingParams.id ? buildingsData.features.find(f => f.properties.id === buildingParams.id) : null;
+        // A selected dataset building (by id) supplies its outline, height and floors
+        const { id: buildingId, ...designParams } = buildingParams;
+        const existingBuilding = buildingId != null
+            ? buildingsData.features.find(f => f.properties.id === buildingId) || null
+            : null;
         
         // Merge with current building config (for material, etc.)
         const mergedParams = {
             ...buildingConfig,
-            ...buildingParams
-        };
-        
-        const building = {
-            latitude,
-            longitude,
-            lat: latitude,
-            lng: longitude,
-            height: mergedParams.height || existingBuilding?.properties?.height || 20,
-            floors: mergedParams.floors || existingBuilding?.properties?.levels || 5,
-            footprint: mergedParams.footprint || 200,
-            roofArea: mergedParams.roofArea || 200,
-            surfaceSeal: mergedParams.surfaceSeal || 70,
-            basementDepth: mergedParams.basementDepth || 5,
-            groundElevation: mergedParams.groundElevation || 0,
-            hasGreenRoof: mergedParams.hasGreenRoof || false,
-            hasSolarPanels: mergedParams.hasSolarPanels || false,
-            material: mergedParams.material || 'CONCRETE',
-            ...mergedParams
+            ...designParams
         };
         
-        const neighborhood = SpatialUtils.getNeighborhoodStats(
-            { lat: latitude, lng: longitude },
-            buildingsData.features,
-            150
-        );
-        
-        const context = { district, neighborhood };
-        
-        // Store context for future instant re-audits
-        lastAuditContext.current = { latitude, longitude, district, neighborhood, baseParams: mergedParams };
+        const building = createSpotBuilding(latitude, longitude, mergedParams, existingBuilding);
+        const context = createAuditContext(latitude, longitude, buildingIndex);
+        const { district, districtName, neighborhood } = context;
 
         try {
+            const ruleDate = toDateKey(asOf || new Date());
+            const pack = resolveJurisdiction({ jurisdiction, latitude, longitude, asOf: ruleDate });
+
+            // Store context for future instant re-audits; a surveyed outline (dataset building or
+            // given polygon) is kept, so re-audits, sweeps, envelopes and optimizations start from it
+            const hasOutline = Boolean(existingBuilding || mergedParams.footprintPolygon);
+            lastAuditContext.current = {
+                latitude, longitude, district, districtName, neighborhood,
+                jurisdictionId: pack.id,
+                ruleDate,
+                baseParams: hasOutline ? { ...mergedParams, footprintPolygon: building.footprintPolygon } : mergedParams
+            };
+
             // Animated phase progression
-            for (let i = 0; i < AUDIT_PHASES.length; i++) {
+            for (let i = 0; i < phases.length; i++) {
                 setPhaseIndex(i);
-                setCurrentPhase(AUDIT_PHASES[i]);
-                await delay(i === 4 ? 500 : 400); // Slightly longer for structural
+                setCurrentPhase(phases[i]);
+                await delay(phases[i].delay || 400); // Phases may ask for a longer beat
             }
 
             // Execute all audits
-            const auditData = executeAllAudits(building, context);
+            const auditData = executeAllAudits(building, context, {
+                registry: activeRegistry,
+                buildings: buildingsData.features,
+                buildingIndex,
+                zoningPlan: zoningPlanData,
+                geology: geologyData,
+                tunnels: tunnelData,
+                jurisdiction: pack
+            });
 
             const result = {
                 success: true,
+                jurisdiction: { ...describeJurisdiction(pack), asOf: ruleDate },
                 district,
+                districtName,
                 building,
                 ...auditData,
                 timestamp: new Date().toISOString()
@@ -206,6 +307,9 @@ export function useSpotAudit() {
             setIsLoading(false);
             setPhaseIndex(-1);
             setCurrentPhase(null);
+
+            // What the site allows, computed in the background
+            solveEnvelope();
             return result;
 
         } catch (error) {
@@ -215,68 +319,316 @@ export function useSpotAudit() {
             const errorResult = { 
                 success: false, 
                 error: error.message,
-                district 
+                district,
+                districtName
             };
             setResults(errorResult);
             return errorResult;
         }
-    }, [buildingConfig]);
+    }, [buildingConfig, phases, activeRegistry, jurisdiction, asOf, solveEnvelope]);
     
-    // Silent re-audit (instant, no loading state) for parameter changes like material
-    const silentReAudit = useCallback((newConfig) => {
+    // Silent re-audit (no loading state) for parameter changes like material, height or rotation.
+    // Runs in the audit worker; a newer value cancels the stale run. Custom registries stay on the main thread.
+    // Resolves with the audit data, or nothing when the run was cancelled.
+    const silentReAudit = useCallback(async (newConfig) => {
         if (!lastAuditContext.current || !results) return;
+        const runId = ++auditRun.current;
         
-        const { latitude, longitude, district, neighborhood, baseParams } = lastAuditContext.current;
+        const {
+            latitude, longitude, district, districtName, neighborhood, jurisdictionId, ruleDate, baseParams
+        } = lastAuditContext.current;
         
-        // Merge new config with base params
+        // Merge new config with base params; a footprint or rotation edit replaces the outline by its rectangle
         const mergedParams = { ...baseParams, ...newConfig };
+        if (GEOMETRY_PARAMS.some(key => key in newConfig && newConfig[key] !== baseParams[key])) {
+            delete mergedParams.footprintPolygon;
+        }
         
-        const building = {
-            latitude,
-            longitude,
-            lat: latitude,
-            lng: longitude,
-            height: mergedParams.height || 20,
-            floors: mergedParams.floors || 5,
-            footprint: mergedParams.footprint || 200,
-            roofArea: mergedParams.roofArea || 200,
-            surfaceSeal: mergedParams.surfaceSeal || 70,
-            basementDepth: mergedParams.basementDepth || 5,
-            groundElevation: mergedParams.groundElevation || 0,
-            hasGreenRoof: mergedParams.hasGreenRoof || false,
-            hasSolarPanels: mergedParams.hasSolarPanels || false,
-            material: mergedParams.material || 'CONCRETE',
-            ...mergedParams
-        };
+        const building = createSpotBuilding(latitude, longitude, mergedParams);
+        const context = { district, districtName, neighborhood };
         
-        const context = { district, neighborhood };
+        // Update stored params for future re-audits
+        lastAuditContext.current.baseParams = mergedParams;
         
-        // Execute audits instantly (no delays, no loading state)
-        const auditData = executeAllAudits(building, context);
+        let auditData = null;
+        if (auditWorker.current && registry === defaultAuditRegistry) {
+            try {
+                const run = await auditWorker.current.run({
+                    building,
+                    context,
+                    jurisdiction: jurisdictionId,
+                    asOf: ruleDate,
+                    disabled: disabledKey ? disabledKey.split(',') : []
+                });
+                if (run.cancelled) return;
+                auditData = run.auditData;
+            } catch (error) {
+                // Worker unavailable (e.g. failed to load): audit on the main thread instead
+                console.warn('Audit worker failed, re-auditing on the main thread:', error.message);
+            }
+        }
+        // A newer re-audit, a new site or a cleared audit replaced this run while it was in the worker
+        if (runId !== auditRun.current) return;
+        if (!auditData) {
+            auditData = executeAllAudits(building, context, {
+                registry: activeRegistry,
+                buildings: buildingsData.features,
+                buildingIndex,
+                zoningPlan: zoningPlanData,
+                geology: geologyData,
+                tunnels: tunnelData,
+                jurisdiction: getJurisdictionPack(jurisdictionId, ruleDate)
+            });
+        }
         
         // Update results in place
-        setResults(prev => ({
+        setResults(prev => prev && {
             ...prev,
             building,
             ...auditData,
             timestamp: new Date().toISOString()
-        }));
-        
-        // Update stored params for future re-audits
-        lastAuditContext.current.baseParams = mergedParams;
-        
-    }, [results]);
+        });
+        return auditData;
+    }, [results, registry, disabledKey, activeRegistry]);
     
+    // Sweep one building parameter around the current design (off the main thread where possible).
+    // A newer sweep, a new location or a cleared audit drops the running one.
+    const runSweep = useCallback(async (parameter, range = {}) => {
+        if (!lastAuditContext.current) return null;
+
+        const {
+            latitude, longitude, district, districtName, neighborhood, jurisdictionId, ruleDate, baseParams
+        } = lastAuditContext.current;
+        const site = { latitude, longitude, params: baseParams, context: { district, districtName, neighborhood } };
+        const request = { parameter, ...range };
+        const runId = ++sweepRun.current;
+        setSweep({ parameter, loading: true, result: null, error: null });
+
+        let result = null;
+        try {
+            if (auditWorker.current && registry === defaultAuditRegistry) {
+                try {
+                    const run = await auditWorker.current.sweep({
+                        site,
+                        sweep: request,
+                        jurisdiction: jurisdictionId,
+                        asOf: ruleDate,
+                        disabled: disabledKey ? disabledKey.split(',') : []
+                    });
+                    if (run.cancelled) return null;
+                    result = run.sweep;
+                } catch (error) {
+                    console.warn('Audit worker failed, sweeping on the main thread:', error.message);
+                }
+            }
+            if (!result) {
+                result = sweepParameter(site, request, {
+                    registry: activeRegistry,
+                    buildings: buildingsData.features,
+                    buildingIndex,
+                    zoningPlan: zoningPlanData,
+                    geology: geologyData,
+                    tunnels: tunnelData,
+                    jurisdiction: getJurisdictionPack(jurisdictionId, ruleDate)
+                });
+            }
+        } catch (error) {
+            if (runId === sweepRun.current) {
+                setSweep({ parameter, loading: false, result: null, error: error.message });
+            }
+            return null;
+        }
+
+        if (runId !== sweepRun.current) return null;
+        setSweep({ parameter, loading: false, result, error: null });
+        return result;
+    }, [registry, disabledKey, activeRegistry]);
+
+    // Evolve ranked design changes that raise feasibility (off the main thread where possible).
+    // A newer run, a new location or a cleared audit drops the running one.
+    const runOptimizer = useCallback(async (goals = {}) => {
+        if (!lastAuditContext.current) return null;
+
+        const {
+            latitude, longitude, district, districtName, neighborhood, jurisdictionId, ruleDate, baseParams
+        } = lastAuditContext.current;
+        const site = { latitude, longitude, params: baseParams, context: { district, districtName, neighborhood } };
+        const runId = ++optimizationRun.current;
+        setOptimization(prev => ({ loading: true, result: prev?.result ?? null, error: null, stale: false }));
+
+        let result = null;
+        try {
+            if (auditWorker.current && registry === defaultAuditRegistry) {
+                try {
+                    const run = await auditWorker.current.optimize({
+                        site,
+                        goals,
+                        jurisdiction: jurisdictionId,
+                        asOf: ruleDate,
+                        disabled: disabledKey ? disabledKey.split(',') : []
+                    });
+                    if (run.cancelled) return null;
+                    result = run.optimization;
+                } catch (error) {
+                    console.warn('Audit worker failed, optimizing on the main thread:', error.message);
+                }
+            }
+            if (!result) {
+                result = optimizeDesign(site, goals, {
+                    registry: activeRegistry,
+                    buildings: buildingsData.features,
+                    buildingIndex,
+                    zoningPlan: zoningPlanData,
+                    geology: geologyData,
+                    tunnels: tunnelData,
+                    jurisdiction: getJurisdictionPack(jurisdictionId, ruleDate)
+                });
+            }
+        } catch (error) {
+            if (runId === optimizationRun.current) {
+                setOptimization({ loading: false, result: null, error: error.message, stale: false });
+            }
+            return null;
+        }
+
+        if (runId !== optimizationRun.current) return null;
+        setOptimization({ loading: false, result, error: null, stale: false });
+        return result;
+    }, [registry, disabledKey, activeRegistry]);
+
+    // Drop or mark stale what was derived from the design before `keys` changed
+    const invalidateDesignResults = useCallback((keys) => {
+        // Moving the swept parameter keeps the curves; any other change invalidates them
+        if (sweep && keys.some(key => key !== sweep.parameter)) {
+            sweepRun.current++;
+            setSweep(null);
+        }
+
+        // The envelope solver varies these itself; any other setting makes its result stale
+        if (envelope && keys.some(key => !ENVELOPE_VARIABLES.includes(key))) {
+            setEnvelope(prev => prev && { ...prev, stale: true });
+        }
+
+        // Suggested changes start from the design they were evolved for
+        if (optimization) {
+            setOptimization(prev => prev && { ...prev, stale: true });
+        }
+
+        // A certificate attests one audit; the changed design needs a new one
+        if (certificate) {
+            certificateRun.current++;
+            setCertificate(null);
+        }
+    }, [sweep, envelope, optimization, certificate]);
+
     // Update building config with instant re-audit (smooth material switching)
     const updateBuildingConfig = useCallback((newConfig) => {
         const updatedConfig = { ...buildingConfig, ...newConfig };
         setBuildingConfig(updatedConfig);
+        invalidateDesignResults(Object.keys(newConfig));
         
         // Use silent re-audit for instant feedback
-        if (lastAuditContext.current) {
-            silentReAudit(updatedConfig);
+        return lastAuditContext.current ? silentReAudit(updatedConfig) : Promise.resolve(null);
+    }, [buildingConfig, silentReAudit, invalidateDesignResults]);
+
+    // Set the lot outline of the audited site (GeoJSON Polygon, or null to remove it) and re-audit
+    // setbacks and lot coverage against it. The lot belongs to the site: a new location starts without one.
+    const setLotOutline = useCallback((lotPolygon) => {
+        if (!lastAuditContext.current) return Promise.resolve(null);
+        invalidateDesignResults(['lotPolygon']);
+        return silentReAudit({ lotPolygon: lotPolygon || null });
+    }, [silentReAudit, invalidateDesignResults]);
+
+    // Apply a remediation `action` (e.g. { height: 26 } or { material: 'TIMBER' }) to the design and re-audit.
+    // Only building parameters are applied; actions without any (a variance application) return null.
+    const applyRemediation = useCallback(async (action, { label = 'Remediation', icon = '🛠️' } = {}) => {
+        const changes = Object.fromEntries(Object.entries(action || {}).filter(([key]) => DESIGN_GENES[key]));
+        if (!results?.building || Object.keys(changes).length === 0) return null;
+
+        const entry = {
+            label,
+            icon,
+            action: changes,
+            previous: Object.fromEntries(Object.keys(changes).map(key => [key, results.building[key] ?? null])),
+            before: results.feasibility,
+            after: null
+        };
+        setRemediationHistory(prev => ({
+            entries: [...prev.entries.slice(0, prev.position), entry],
+            position: prev.position + 1
+        }));
+
+        const auditData = await updateBuildingConfig(changes);
+        if (auditData) {
+            setRemediationHistory(prev => ({
+                ...prev,
+                entries: prev.entries.map(e => (e === entry ? { ...e, after: auditData.feasibility } : e))
+            }));
         }
-    }, [buildingConfig, silentReAudit]);
+        return auditData || null;
+    }, [results, updateBuildingConfig]);
+
+    // Step back through applied actions by restoring the values they replaced; parameters changed
+    // by hand in between keep their values
+    const undoRemediation = useCallback(() => {
+        const { entries, position } = remediationHistory;
+        if (position === 0) return null;
+        setRemediationHistory({ entries, position: position - 1 });
+        return updateBuildingConfig(entries[position - 1].previous);
+    }, [remediationHistory, updateBuildingConfig]);
+
+    const redoRemediation = useCallback(() => {
+        const { entries, position } = remediationHistory;
+        if (position === entries.length) return null;
+        setRemediationHistory({ entries, position: position + 1 });
+        return updateBuildingConfig(entries[position].action);
+    }, [remediationHistory, updateBuildingConfig]);
+    
+    // Sign a certificate for the current audit (inputs, rule version and findings)
+    const issueAuditCertificate = useCallback(async () => {
+        if (!results?.success || !results.building) return null;
+
+        const runId = ++certificateRun.current;
+        const audit = { ...results, disabledAudits: disabledKey ? disabledKey.split(',') : [] };
+        setCertificate({ loading: true, result: null, error: null });
+
+        try {
+            const result = await issueCertificate(audit, signingKey || await loadIssuerKey());
+            if (runId !== certificateRun.current) return null;
+            setCertificate({ loading: false, result, error: null });
+            return result;
+        } catch (error) {
+            if (runId === certificateRun.current) {
+                setCertificate({ loading: false, result: null, error: error.message });
+            }
+            return null;
+        }
+    }, [results, disabledKey, signingKey]);
+
+    // PDF report of the current audit, with its certificate and the site's maximum envelope when present
+    const createReport = useCallback(async ({ snapshot = null, logo = null } = {}) => {
+        if (!results?.success || !results.building) return null;
+
+        return createAuditReport(results, {
+            certificate: certificate?.result,
+            envelope: envelope?.result,
+            snapshot,
+            logo,
+            disabledAudits: disabledKey ? disabledKey.split(',') : []
+        });
+    }, [results, certificate, envelope, disabledKey]);
+
+    // 3D DXF site model of the current audit for Revit and Rhino
+    const createDxf = useCallback(() => {
+        if (!results?.success || !results.building) return null;
+
+        return createDxfExport(results, {
+            envelope: envelope?.result,
+            buildingIndex,
+            tunnels: tunnelData,
+            certificate: certificate?.result
+        });
+    }, [results, envelope, certificate]);
     
     // Convenience function to change just the material
     const setMaterial = useCallback((material) => {
@@ -285,6 +637,16 @@ export function useSpotAudit() {
 
     const clearResults = useCallback(() => {
         setResults(null);
+        auditRun.current++;
+        setSweep(null);
+        sweepRun.current++;
+        setEnvelope(null);
+        envelopeRun.current++;
+        setOptimization(null);
+        optimizationRun.current++;
+        setRemediationHistory(EMPTY_HISTORY);
+        setCertificate(null);
+        certificateRun.current++;
         setPhaseIndex(-1);
         setCurrentPhase(null);
         lastAuditContext.current = null;
@@ -295,13 +657,36 @@ export function useSpotAudit() {
         isLoading,
         currentPhase,
         phaseIndex,
-        phases: AUDIT_PHASES,
+        phases,
         runSpotAudit,
         clearResults,
         // New exports for material control
         buildingConfig,
         setMaterial,
-        updateBuildingConfig
+        updateBuildingConfig,
+        // Lot outline for setbacks and lot coverage
+        setLotOutline,
+        // Sensitivity sweeps
+        sweep,
+        runSweep,
+        // Maximum buildable envelope
+        envelope,
+        solveEnvelope,
+        // Genetic remediation optimizer
+        optimization,
+        runOptimizer,
+        // Applied remediations with undo/redo
+        remediationHistory,
+        applyRemediation,
+        undoRemediation,
+        redoRemediation,
+        // Signed audit certificate
+        certificate,
+        issuerKeyId,
+        issueAuditCertificate,
+        // PDF report and DXF site model
+        createReport,
+        createDxf
     };
 }
 
@@ -93,7 +93,7 @@ const ArchiShieldEngine = {
 
         // Wind Load Audit
         log.push("━━━ Wind Load Audit (WLA-V2) ━━━");
-        auditResults.wind = WindLoadAudit.execute(building, APP_CONSTANTS);
+        auditResults.wind = WindLoadAudit.execute(building, null, APP_CONSTANTS);
         log.push(`  Status: ${auditResults.wind.status} | Score: ${auditResults.wind.score.toFixed(1)}`);
         allRequirements.push(...(auditResults.wind.requirements || []));
         detailedReasoning.wind = auditResults.wind.reasoning;
@@ -101,7 +101,7 @@ const ArchiShieldEngine = {
 
         // Zoning Audit
         log.push("━━━ Zoning Compliance Audit (ZON-V2) ━━━");
-        auditResults.zoning = ZoningAudit.execute(building, APP_CONSTANTS);
+        auditResults.zoning = ZoningAudit.execute(building, {}, null, APP_CONSTANTS);
         log.push(`  Status: ${auditResults.zoning.status} | Score: ${auditResults.zoning.score.toFixed(1)}`);
         allRequirements.push(...(auditResults.zoning.requirements || []));
         detailedReasoning.zoning = auditResults.zoning.reasoning;
@@ -109,7 +109,7 @@ const ArchiShieldEngine = {
 
         // Seismic Audit
         log.push("━━━ Seismic Integrity Audit (SIA-V2) ━━━");
-        auditResults.seismic = SeismicAudit.execute(building, APP_CONSTANTS);
+        auditResults.seismic = SeismicAudit.execute(building, null, APP_CONSTANTS);
         log.push(`  Status: ${auditResults.seismic.passed ? 'PASSED' : 'FAILED'} | Score: ${auditResults.seismic.score.toFixed(1)}`);
         allRequirements.push(...(auditResults.seismic.remediations || []).map(r => ({
             parameter: r.type || 'structural',
@@ -138,7 +138,7 @@ const ArchiShieldEngine = {
 
         // Ethics Audit
         log.push("━━━ Krems Ethics Protocol (KEP-V2) ━━━");
-        auditResults.ethics = EthicsAudit.execute(building, APP_CONSTANTS);
+        auditResults.ethics = EthicsAudit.execute(building, {}, APP_CONSTANTS);
         log.push(`  Status: ${auditResults.ethics.status} | Score: ${auditResults.ethics.score.toFixed(1)}`);
         if (auditResults.ethics.ethicalWarning) {
             log.push(`  ⚠ ETHICAL WARNING: Social impact exceeds threshold`);
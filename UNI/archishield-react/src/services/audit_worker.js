@@ -0,0 +1,138 @@
+/**
+ * Audit Worker Client
+ *
+ * Sends Spot-Audit runs, sensitivity sweeps, envelope solves and remediation
+ * optimizations to the dedicated audit worker (../workers/audit.worker.js) so
+ * slider drags never block the map.
+ * Each kind of request forms a lane where the latest value wins:
+ * - at most one run per lane is in flight; a newer request replaces the queued one,
+ *   which resolves as { cancelled: true } without ever being computed
+ * - a run that was in flight when a newer request arrived also resolves as
+ *   { cancelled: true } and its result is dropped
+ * - the current run resolves as { cancelled: false, auditData }
+ *   (sweeps: { cancelled: false, sweep }, envelopes: { cancelled: false, envelope },
+ *   optimizations: { cancelled: false, optimization })
+ * If the worker itself fails (script error, failed load), the client is dead: the
+ * worker is terminated, every pending request and every later one rejects at once,
+ * and onError tells the owner to switch to the main thread.
+ */
+
+/**
+ * Create a client for the audit worker
+ * @param {Object} options - { onError(error) }, called once when the worker dies
+ * @returns {Object|null} { run({ building, context, jurisdiction, asOf, disabled }),
+ *   sweep({ site, sweep, jurisdiction, asOf, disabled }), envelope({ site, goals, jurisdiction, asOf, disabled }),
+ *   optimize({ site, goals, jurisdiction, asOf, disabled }), terminate() }, or null without Web Worker support
+ */
+export function createAuditWorkerClient({ onError } = {}) {
+    if (typeof Worker === 'undefined') return null;
+
+    const worker = new Worker(new URL('../workers/audit.worker.js', import.meta.url), { type: 'module' });
+    let nextId = 0;
+    // Set once the worker has died; every request then rejects with it
+    let failure = null;
+
+    // One latest-wins queue per message type; `field` names the result in the reply
+    const createLane = (type, field) => {
+        const lane = { inFlight: null, queued: null };
+
+        const dispatch = () => {
+            if (lane.inFlight || !lane.queued) return;
+            lane.inFlight = lane.queued;
+            lane.queued = null;
+            worker.postMessage({ type, id: lane.inFlight.id, ...lane.inFlight.payload });
+        };
+
+        lane.settle = (outcome) => {
+            const run = lane.inFlight;
+            lane.inFlight = null;
+            if (run) {
+                if (run.superseded) run.resolve({ cancelled: true });
+                else outcome(run);
+            }
+            dispatch();
+        };
+
+        lane.reply = data => lane.settle(run => (data.error
+            ? run.reject(new Error(data.error))
+            : run.resolve({ cancelled: false, [field]: data[field] })));
+
+        lane.request = payload => new Promise((resolve, reject) => {
+            if (failure) {
+                reject(failure);
+                return;
+            }
+            if (lane.queued) lane.queued.resolve({ cancelled: true });
+            if (lane.inFlight) lane.inFlight.superseded = true;
+            lane.queued = { id: ++nextId, payload, resolve, reject };
+            dispatch();
+        });
+
+        // Superseded runs still resolve as cancelled; the latest request rejects
+        lane.fail = (error) => {
+            const { inFlight, queued } = lane;
+            lane.inFlight = null;
+            lane.queued = null;
+            if (inFlight) {
+                if (inFlight.superseded) inFlight.resolve({ cancelled: true });
+                else inFlight.reject(error);
+            }
+            queued?.reject(error);
+        };
+
+        lane.cancel = () => {
+            [lane.inFlight, lane.queued].forEach(run => run?.resolve({ cancelled: true }));
+            lane.inFlight = null;
+            lane.queued = null;
+        };
+
+        return lane;
+    };
+
+    const lanes = [
+        createLane('audit', 'auditData'),
+        createLane('sweep', 'sweep'),
+        createLane('envelope', 'envelope'),
+        createLane('optimize', 'optimization')
+    ];
+    const [audits, sweeps, envelopes, optimizations] = lanes;
+
+    worker.onmessage = ({ data }) => {
+        const lane = lanes.find(l => l.inFlight && l.inFlight.id === data?.id);
+        lane?.reply(data);
+    };
+
+    worker.onerror = (event) => {
+        event.preventDefault?.();
+        if (failure) return;
+        failure = new Error(event.message || 'Audit worker failed');
+        worker.terminate();
+        lanes.forEach(lane => lane.fail(failure));
+        onError?.(failure);
+    };
+
+    return {
+        run(payload) {
+            return audits.request(payload);
+        },
+
+        sweep(payload) {
+            return sweeps.request(payload);
+        },
+
+        envelope(payload) {
+            return envelopes.request(payload);
+        },
+
+        optimize(payload) {
+            return optimizations.request(payload);
+        },
+
+        terminate() {
+            worker.terminate();
+            lanes.forEach(lane => lane.cancel());
+        }
+    };
+}
+
+export default createAuditWorkerClient;
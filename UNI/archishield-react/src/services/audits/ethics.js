@@ -1,23 +1,102 @@
 /**
  * ArchiShield Alpha V2 - Krems Ethics Protocol
  * =============================================
- * Calculate shade coverage > 20% of daylight hours → Ethical Non-Compliance
+ * Shade cast on Red Zones > maxShadeImpact of daylight hours → Ethical Non-Compliance
+ *
+ * Shade comes from an hourly shadow study: the sun position is computed for
+ * Vienna every 15 minutes on the study dates (solstices and equinoxes), the
+ * building's footprint is extruded into a shadow polygon and intersected with
+ * each red-zone outline. Hours of shade lost are those of the worst-affected
+ * point of the red zone.
  */
+import { createAuditResult } from './result.js';
+import APP_CONSTANTS from '../constants.js';
+import {
+    createRectangularFootprint,
+    distanceBetweenFootprints,
+    getFootprintPolygon,
+    normalizeFootprint
+} from '../footprint.js';
+import { createLocalProjection } from '../geometry.js';
+import { runShadowStudy } from '../shadow.js';
+
+const DEFAULT_STUDY_DATES = ['2026-03-20', '2026-06-21', '2026-09-23', '2026-12-21'];
+
+// Red-zone outline as a GeoJSON Polygon (1 ha square around the point if no outline is known)
+function getRedZoneGeometry(zone) {
+    return normalizeFootprint(zone.outline) || createRectangularFootprint({ lat: zone.lat, lng: zone.lon }, 10000);
+}
+
+const COMPASS = ['north', 'northeast', 'east', 'southeast', 'south', 'southwest', 'west', 'northwest'];
+
+// Compass direction from one point to another, e.g. 'southwest'
+function compassDirection(from, to) {
+    const [x, y] = createLocalProjection(from).toLocal([to.lng, to.lat]);
+    const bearing = (Math.atan2(x, y) * 180 / Math.PI + 360) % 360;
+    return COMPASS[Math.round(bearing / 45) % 8];
+}
+
+/**
+ * Shadow study summary for a building height
+ * Per date the worst-hit red zone counts; the annual share is the mean over the study dates.
+ */
+function studyRedZoneShade(footprint, height, env) {
+    const study = env.ethicsConstants.shadowStudy || {};
+    const { dates } = runShadowStudy({
+        footprint,
+        height,
+        targets: env.ethicsConstants.redZones.map(zone => ({
+            id: zone.name,
+            name: zone.name,
+            population: zone.population,
+            geometry: getRedZoneGeometry(zone)
+        })),
+        dates: study.dates || DEFAULT_STUDY_DATES,
+        stepMinutes: study.stepMinutes || 15
+    });
+
+    const perDate = dates.map(day => {
+        const worst = day.targets.reduce((a, b) => (b.shadeHours > (a?.shadeHours ?? -1) ? b : a), null);
+        const shadeHours = worst?.shadeHours || 0;
+        return {
+            ...day,
+            worstZone: shadeHours > 0 ? worst.name : null,
+            shadeHours,
+            shadeShare: day.daylightHours > 0 ? shadeHours / day.daylightHours : 0
+        };
+    });
+    const mean = values => (values.length ? values.reduce((a, b) => a + b, 0) / values.length : 0);
+
+    return {
+        dates: perDate,
+        shadeHours: mean(perDate.map(d => d.shadeHours)),
+        daylightHours: mean(perDate.map(d => d.daylightHours)),
+        shadePercentage: mean(perDate.map(d => d.shadeShare))
+    };
+}
 
 const EthicsAudit = {
+    id: 'ethics',
     name: 'Krems Ethics Protocol',
     code: 'KEP',
+    phase: { id: 'ethics', name: 'Krems Ethics', icon: '⚖️', delay: 500 },
+    weight: 1,
+    inputs: ['building', 'context', 'jurisdiction'],
 
     /**
-     * Execute ethics audit with 20% shade threshold
+     * Execute ethics audit against the maxShadeImpact threshold
+     * @param {Object} building - Spot-Audit building (or legacy validator building)
+     * @param {Object} context - Location context (unused; red zones come from env)
+     * @param {Object} env - Active jurisdiction pack (defaults to Vienna)
      */
-    execute(building, env) {
+    execute(building, context, env = APP_CONSTANTS) {
         const reasoning = [];
         const calculations = {};
         const requirements = [];
         let passed = true;
         let status = 'LEGAL & RESILIENT';
         const failureReasons = [];
+        const constraints = [];
         let ethicalWarning = false;
 
         reasoning.push("═══ KREMS ETHICS PROTOCOL (KEP) ═══");
@@ -26,100 +105,121 @@ const EthicsAudit = {
         reasoning.push(`Shade Impact Threshold: ${env.ethicsConstants.maxShadeImpact * 100}% of daylight hours`);
         reasoning.push("");
 
-        // Step 1: Identify Adjacent Red Zones
+        const h = building.height;
+        const lat = building.latitude ?? building.lat ?? env.location.latitude;
+        const lng = building.longitude ?? building.lng ?? env.location.longitude;
+        const footprint = getFootprintPolygon({
+            ...building,
+            latitude: lat,
+            longitude: lng,
+            footprintPolygon: building.footprintPolygon || building.footprint_polygon,
+            footprint: building.footprint ?? building.footprint_area
+        });
+
+        // Step 1: Identify Adjacent Red Zones (footprint-to-outline distance)
         reasoning.push("STEP 1: Red Zone Proximity Analysis");
         const redZoneBuffer = env.zoningCode.redZoneBuffer;
-        const adjacentToRedZone = building.adjacent_to_red_zone !== false;
+        const redZones = env.ethicsConstants.redZones
+            .map(zone => ({
+                name: zone.name,
+                population: zone.population,
+                distance: Math.round(distanceBetweenFootprints(footprint, getRedZoneGeometry(zone))),
+                direction: compassDirection({ lat, lng }, { lat: zone.lat, lng: zone.lon })
+            }))
+            .sort((a, b) => a.distance - b.distance);
+        const adjacentZones = redZones.filter(zone => zone.distance <= redZoneBuffer);
+        const adjacentToRedZone = adjacentZones.length > 0;
         
         calculations.adjacentToRedZone = adjacentToRedZone;
-        calculations.redZoneDirection = building.red_zone_direction || 'south';
+        calculations.adjacentRedZones = adjacentZones.map(zone => zone.name);
+        calculations.nearestRedZone = redZones[0] || null;
+        calculations.redZoneDirection = adjacentToRedZone ? adjacentZones[0].direction : 'none';
         
         reasoning.push(`  Red Zone Buffer Distance: ${redZoneBuffer}m`);
-        reasoning.push(`  Adjacent to Red Zone: ${adjacentToRedZone ? 'Yes' : 'No'}`);
-        if (adjacentToRedZone) {
-            reasoning.push(`  Red Zone Direction: ${calculations.redZoneDirection}`);
-            reasoning.push(`  Vienna Designated Red Zones:`);
-            for (const zone of env.ethicsConstants.redZones) {
-                reasoning.push(`    • ${zone.name}: ${zone.population.toLocaleString()} residents`);
-            }
+        reasoning.push(`  ${env.name} Designated Red Zones (distance from footprint):`);
+        for (const zone of redZones) {
+            const marker = zone.distance <= redZoneBuffer ? '⚠' : '•';
+            reasoning.push(`    ${marker} ${zone.name}: ${zone.distance.toLocaleString()}m ${zone.direction}, ${zone.population.toLocaleString()} residents`);
         }
-        reasoning.push(`  [Citation: KEP §2.1, Vienna Social Equity Code]`);
+        reasoning.push(`  Adjacent to Red Zone: ${adjacentToRedZone ? `Yes (${calculations.adjacentRedZones.join(', ')})` : 'No'}`);
+        reasoning.push(`  [Citation: KEP §2.1, ${env.regulatory.framework}]`);
         reasoning.push("");
 
-        // Step 2: Calculate Shadow Geometry
-        reasoning.push("STEP 2: Shadow Geometry Analysis");
-        
-        const h = building.height;
-        const lat = building.latitude || env.location.latitude;
+        // Step 2: Solar Ephemeris and Shadow Casting
+        reasoning.push("STEP 2: Shadow Study (Solar Ephemeris)");
         
-        // Calculate sun angles for winter solstice (worst case shadow)
-        const winterSolsticeAltitude = 90 - lat - 23.5;
-        const summerSolsticeAltitude = 90 - lat + 23.5;
-        const equinoxAltitude = 90 - lat;
+        const study = studyRedZoneShade(footprint, h, env);
+        const stepMinutes = env.ethicsConstants.shadowStudy?.stepMinutes || 15;
         
-        // Shadow length = height / tan(altitude)
-        const winterShadow = h / Math.tan(winterSolsticeAltitude * Math.PI / 180);
-        const summerShadow = h / Math.tan(summerSolsticeAltitude * Math.PI / 180);
-        const equinoxShadow = h / Math.tan(equinoxAltitude * Math.PI / 180);
-        
-        // Annual average
-        const avgShadowLength = (winterShadow + summerShadow + equinoxShadow * 2) / 4;
-        
-        calculations.winterShadow = winterShadow;
-        calculations.summerShadow = summerShadow;
-        calculations.avgShadowLength = avgShadowLength;
+        calculations.shadowStudy = study.dates.map(day => ({
+            date: day.date,
+            sunrise: day.sunrise,
+            sunset: day.sunset,
+            daylightHours: day.daylightHours,
+            noonAltitude: Math.round(day.noonAltitude * 10) / 10,
+            shadeHoursLost: Math.round(day.shadeHours * 100) / 100,
+            worstZone: day.worstZone,
+            zones: day.targets.filter(t => t.hoursWithShade > 0).map(t => ({
+                name: t.name,
+                shadeHoursLost: Math.round(t.shadeHours * 100) / 100,
+                meanShadeHoursLost: Math.round(t.meanShadeHours * 100) / 100,
+                hoursWithShade: t.hoursWithShade,
+                maxShadedFraction: Math.round(t.maxShadedFraction * 1000) / 1000
+            }))
+        }));
         
         reasoning.push(`  Building Height: ${h}m`);
-        reasoning.push(`  Latitude: ${lat.toFixed(4)}°N`);
-        reasoning.push(`  Sun Altitude at Winter Solstice: ${winterSolsticeAltitude.toFixed(1)}°`);
-        reasoning.push(`  Sun Altitude at Summer Solstice: ${summerSolsticeAltitude.toFixed(1)}°`);
-        reasoning.push("");
-        reasoning.push(`  Shadow Lengths:`);
-        reasoning.push(`    Winter Solstice: ${winterShadow.toFixed(1)}m`);
-        reasoning.push(`    Summer Solstice: ${summerShadow.toFixed(1)}m`);
-        reasoning.push(`    Annual Average: ${avgShadowLength.toFixed(1)}m`);
+        reasoning.push(`  Site: ${lat.toFixed(4)}°N, ${lng.toFixed(4)}°E (Europe/Vienna local time)`);
+        reasoning.push(`  Sun position every ${stepMinutes} min; shadow = footprint extruded along the sun vector`);
+        for (const day of calculations.shadowStudy) {
+            reasoning.push(`    ${day.date}: sun ${day.sunrise}-${day.sunset} (${day.daylightHours}h), noon altitude ${day.noonAltitude}°`);
+        }
         reasoning.push(`  [Citation: KEP §3.1, Solar Geometry]`);
         reasoning.push("");
 
         // Step 3: Calculate Shade Coverage Duration
         reasoning.push("STEP 3: Shade Coverage Duration Analysis");
         
-        const daylightHours = env.ethicsConstants.daylightHours;
-        
-        // Estimate shadow hours (simplified)
-        // Shadow moves ~15°/hour, building casts significant shadow for ~3-4 hours typically
-        const shadowWidth = building.footprintWidth;
-        const shadowSweptAngle = 2 * Math.atan(shadowWidth / (2 * avgShadowLength)) * 180 / Math.PI;
-        const shadowDuration = Math.min(shadowSweptAngle / 15, 6); // Max 6 hours
-        
-        // Adjust for building orientation and red zone direction
-        let adjustedShadowDuration = shadowDuration;
-        if (calculations.redZoneDirection === 'south') {
-            adjustedShadowDuration *= 1.2; // South-facing shadows are longer in northern hemisphere
-        }
-        
-        const shadePercentage = adjustedShadowDuration / daylightHours;
+        const daylightHours = study.daylightHours || env.ethicsConstants.daylightHours;
+        const shadeHoursLost = study.shadeHours;
+        const shadePercentage = study.shadePercentage;
         
         calculations.daylightHours = daylightHours;
-        calculations.shadowDuration = adjustedShadowDuration;
+        calculations.shadowDuration = shadeHoursLost;
         calculations.shadePercentage = shadePercentage;
+        calculations.maxShadeImpact = env.ethicsConstants.maxShadeImpact;
         
-        reasoning.push(`  Daily Daylight Hours (average): ${daylightHours}`);
-        reasoning.push(`  Shadow Width: ${shadowWidth.toFixed(1)}m`);
-        reasoning.push(`  Estimated Shadow Duration: ${adjustedShadowDuration.toFixed(1)} hours`);
+        for (const day of calculations.shadowStudy) {
+            const detail = day.zones.length > 0
+                ? day.zones.map(z => `${z.name} ${z.shadeHoursLost.toFixed(2)}h`).join(', ')
+                : 'no red zone shaded';
+            reasoning.push(`    ${day.date}: ${detail}`);
+        }
+        reasoning.push(`  Daylight Hours (study mean): ${daylightHours.toFixed(1)}`);
+        reasoning.push(`  Sun Hours Lost at Worst-Affected Red Zone Point (study mean): ${shadeHoursLost.toFixed(2)} hours`);
         reasoning.push(`  Shade Coverage: ${(shadePercentage * 100).toFixed(1)}% of daylight`);
         reasoning.push(`  Maximum Allowed: ${(env.ethicsConstants.maxShadeImpact * 100)}%`);
         reasoning.push(`  [Citation: KEP §3.2, Shade Duration Calculation]`);
         reasoning.push("");
 
         // Step 4: Check Shade Impact Threshold
+        // Applies to any red zone the shadow reaches, not only those within the buffer
         reasoning.push("STEP 4: Ethical Shade Impact Assessment");
         
-        if (adjacentToRedZone && shadePercentage > env.ethicsConstants.maxShadeImpact) {
+        if (shadePercentage > env.ethicsConstants.maxShadeImpact) {
             passed = false;
             status = 'NON-COMPLIANT';
             ethicalWarning = true;
             failureReasons.push(`Shade coverage ${(shadePercentage * 100).toFixed(1)}% exceeds ${(env.ethicsConstants.maxShadeImpact * 100)}% ethical limit`);
+            const shadeConstraint = {
+                type: 'SHADE_IMPACT_EXCEEDED',
+                severity: 'critical',
+                message: failureReasons[failureReasons.length - 1],
+                actual: shadePercentage,
+                limit: env.ethicsConstants.maxShadeImpact,
+                citation: 'KEP §4.1'
+            };
+            constraints.push(shadeConstraint);
             reasoning.push(`  ❌ ETHICAL NON-COMPLIANCE`);
             reasoning.push(`  → Solar access vital for passive heating in low-income housing`);
             reasoning.push(`  → Health impacts: Reduced Vitamin D, increased heating costs`);
@@ -132,9 +232,20 @@ const EthicsAudit = {
                 citation: "KEP §4.1, Solar Access Rights"
             });
             
-            // Calculate required height reduction
-            const maxAllowedShadow = avgShadowLength * (env.ethicsConstants.maxShadeImpact / shadePercentage);
-            const maxAllowedHeight = maxAllowedShadow * Math.tan(equinoxAltitude * Math.PI / 180);
+            // Highest building that keeps within the limit (bisection on the shadow study)
+            let low = 0;
+            let high = h;
+            for (let i = 0; i < 8; i++) {
+                const mid = (low + high) / 2;
+                if (studyRedZoneShade(footprint, mid, env).shadePercentage > env.ethicsConstants.maxShadeImpact) {
+                    high = mid;
+                } else {
+                    low = mid;
+                }
+            }
+            const maxAllowedHeight = low;
+            calculations.maxAllowedHeight = Math.round(maxAllowedHeight * 10) / 10;
+            shadeConstraint.maxHeight = calculations.maxAllowedHeight;
             
             requirements.push({
                 parameter: "building_height_for_ethics",
@@ -143,21 +254,22 @@ const EthicsAudit = {
                 action: "Step back upper floors by 30% or reduce overall height",
                 citation: "KEP §4.2"
             });
-        } else if (adjacentToRedZone) {
+        } else if (shadePercentage > 0) {
             reasoning.push(`  ✓ ETHICAL COMPLIANCE: Shade impact within limits`);
         } else {
-            reasoning.push(`  ✓ NOT APPLICABLE: Not adjacent to Red Zones`);
+            reasoning.push(`  ✓ NOT APPLICABLE: Shadow does not reach any Red Zone`);
         }
         reasoning.push("");
 
         // Step 5: Water Displacement Analysis
         reasoning.push("STEP 5: Water Displacement Impact");
         
-        const footprintArea = building.footprint_area;
+        const footprintArea = building.footprint_area ?? building.footprint;
         const localDrainageCapacity = 10000; // m² baseline
         const waterDisplacement = footprintArea / localDrainageCapacity;
         
         calculations.waterDisplacement = waterDisplacement;
+        calculations.waterDisplacementLimit = env.ethicsConstants.waterDisplacementLimit;
         
         reasoning.push(`  Building Footprint: ${footprintArea.toLocaleString()} m²`);
         reasoning.push(`  Local Drainage Capacity: ${localDrainageCapacity.toLocaleString()} m²`);
@@ -170,6 +282,14 @@ const EthicsAudit = {
             status = 'NON-COMPLIANT';
             ethicalWarning = true;
             failureReasons.push(`Water displacement ${(waterDisplacement * 100).toFixed(1)}% exceeds ${env.ethicsConstants.waterDisplacementLimit * 100}% limit`);
+            constraints.push({
+                type: 'WATER_DISPLACEMENT_EXCEEDED',
+                severity: 'critical',
+                message: failureReasons[failureReasons.length - 1],
+                actual: waterDisplacement,
+                limit: env.ethicsConstants.waterDisplacementLimit,
+                citation: 'KEP §5.2'
+            });
             reasoning.push(`  ❌ ETHICAL NON-COMPLIANCE: Flood risk to adjacent Red Zone`);
             
             requirements.push({
@@ -179,39 +299,53 @@ const EthicsAudit = {
                 action: "Install on-site detention basin or permeable surfaces",
                 citation: "KEP §5.2"
             });
-        } else {
+        } else if (adjacentToRedZone) {
             reasoning.push(`  ✓ COMPLIANT: Water displacement within limits`);
+        } else {
+            reasoning.push(`  ✓ NOT APPLICABLE: No Red Zone within ${redZoneBuffer}m`);
         }
         reasoning.push("");
 
         // Step 6: Calculate Affected Population
         reasoning.push("STEP 6: Affected Population Estimation");
         
-        const shadowArea = avgShadowLength * shadowWidth;
-        const typicalLotSize = 300;
-        const affectedLots = Math.ceil(shadowArea / typicalLotSize);
-        const affectedResidents = affectedLots * 4;
+        // Largest shaded share of each red zone over the study, applied to its population
+        const zoneImpact = new Map();
+        for (const day of study.dates) {
+            for (const target of day.targets) {
+                const previous = zoneImpact.get(target.name);
+                if (!previous || target.maxShadedFraction > previous.fraction) {
+                    zoneImpact.set(target.name, { fraction: target.maxShadedFraction, area: target.shadedArea });
+                }
+            }
+        }
+        let shadowArea = 0;
+        let affectedResidents = 0;
+        for (const zone of env.ethicsConstants.redZones) {
+            const impact = zoneImpact.get(zone.name);
+            if (!impact || impact.fraction === 0) continue;
+            shadowArea += impact.area;
+            affectedResidents += Math.ceil(zone.population * impact.fraction);
+            reasoning.push(`  ${zone.name}: up to ${(impact.fraction * 100).toFixed(1)}% of the estate in shadow`);
+        }
         
         calculations.shadowArea = shadowArea;
         calculations.affectedResidents = affectedResidents;
         
-        reasoning.push(`  Shadow Projection Area: ${shadowArea.toFixed(0)} m²`);
-        reasoning.push(`  Estimated Affected Lots: ${affectedLots}`);
+        reasoning.push(`  Red Zone Area in Shadow (peak): ${shadowArea.toFixed(0)} m²`);
         reasoning.push(`  Estimated Affected Residents: ${affectedResidents}`);
         reasoning.push(`  [Citation: KEP §6.1]`);
         reasoning.push("");
 
         // Calculate score
         let score = 100;
-        if (adjacentToRedZone) {
-            if (shadePercentage > env.ethicsConstants.maxShadeImpact) {
-                score -= 40 * (shadePercentage / env.ethicsConstants.maxShadeImpact);
-            }
-            if (waterDisplacement > env.ethicsConstants.waterDisplacementLimit) {
-                score -= 30 * (waterDisplacement / env.ethicsConstants.waterDisplacementLimit);
-            }
+        if (shadePercentage > env.ethicsConstants.maxShadeImpact) {
+            score -= 40 * (shadePercentage / env.ethicsConstants.maxShadeImpact);
         }
-        score = Math.max(0, Math.min(100, score));
+        if (adjacentToRedZone && waterDisplacement > env.ethicsConstants.waterDisplacementLimit) {
+            score -= 30 * (waterDisplacement / env.ethicsConstants.waterDisplacementLimit);
+        }
+        score = Math.round(Math.max(0, Math.min(100, score)));
         calculations.score = score;
 
         reasoning.push("═══ ETHICS AUDIT SUMMARY ═══");
@@ -227,18 +361,22 @@ const EthicsAudit = {
         reasoning.push(`  "Architecture must serve all of humanity, not just those who can afford it."`);
         reasoning.push(`  — Krems Ethics Declaration, 2029`);
 
-        return {
-            auditName: this.name,
-            auditCode: this.code,
+        return createAuditResult({
+            id: this.id,
+            name: this.name,
             passed,
-            status,
             score,
-            failureReasons,
-            calculations,
-            requirements,
-            reasoning: reasoning.join('\n'),
-            ethicalWarning
-        };
+            constraints,
+            recommendations: requirements.map(r => r.action),
+            reasoning,
+            data: {
+                ...calculations,
+                code: this.code,
+                verdict: status,
+                ethicalWarning,
+                requirements
+            }
+        });
     }
 };
 
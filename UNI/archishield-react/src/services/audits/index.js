@@ -3,13 +3,37 @@
  * 
  * Exports all Vienna-specific regulatory audits
  */
+import { ZoningAudit } from './zoning.js';
+import { HeritageAudit } from './heritage.js';
+import { SubsurfaceAudit } from './subsurface.js';
+import { ClimateAudit } from './climate.js';
+import { SeismicAudit } from './seismic.js';
+import { WindLoadAudit } from './wind_load.js';
+import { EthicsAudit } from './ethics.js';
+import { createAuditRegistry } from './registry.js';
 
 // New Vienna Regulatory Audits
-export { ZoningAudit } from './zoning';
-export { HeritageAudit } from './heritage';
-export { SubsurfaceAudit } from './subsurface';
-export { ClimateAudit } from './climate';
-export { SeismicAudit } from './seismic';
-export { WindLoadAudit } from './wind_load';
+export { ZoningAudit, HeritageAudit, SubsurfaceAudit, ClimateAudit, SeismicAudit, WindLoadAudit, EthicsAudit };
+export { createAuditRegistry, runRegisteredAudits } from './registry.js';
+export {
+    AUDIT_RESULT_SCHEMA_VERSION,
+    SEVERITIES,
+    createAuditResult,
+    validateAuditResult,
+    assertAuditResult
+} from './result.js';
+
+// Default Spot-Audit pipeline (in execution order)
+export const DEFAULT_AUDITS = [
+    ZoningAudit,
+    HeritageAudit,
+    SubsurfaceAudit,
+    ClimateAudit,
+    SeismicAudit,
+    WindLoadAudit,
+    EthicsAudit
+];
+
+export const defaultAuditRegistry = createAuditRegistry(DEFAULT_AUDITS);
 
 // Legacy exports removed - see /services/legacy/ for archived audits
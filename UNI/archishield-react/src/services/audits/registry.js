@@ -0,0 +1,142 @@
+/**
+ * Vienna Spot-Audit - Audit Registry
+ *
+ * Audits self-describe how they plug into the Spot-Audit pipeline:
+ * - id: unique key (results land under `audits[resultKey || id]`)
+ * - phase: { id, name, icon } timeline step the audit belongs to
+ * - weight: share of the overall feasibility score
+ * - inputs: names of the pipeline resources passed to execute()
+ * - adapt(result): optional adapter returning { constraints, mandates }
+ *
+ * Audits sharing a phase id are grouped into a single timeline step.
+ * Every result is checked against the audit result contract (./result.js).
+ */
+import { assertAuditResult } from './result.js';
+
+const DEFAULT_WEIGHT = 1;
+
+function defaultAdapter(result) {
+    return {
+        constraints: result?.constraints || [],
+        mandates: result?.mandates || []
+    };
+}
+
+/**
+ * Create a registry from a list of audit modules
+ * @param {Array} audits - Audit modules in pipeline order
+ * @param {Object} options - { disabled: [auditId, ...] }
+ */
+export function createAuditRegistry(audits = [], { disabled = [] } = {}) {
+    const entries = new Map();
+    const disabledIds = new Set(disabled);
+
+    const registry = {
+        register(audit) {
+            if (!audit?.id || typeof audit.execute !== 'function') {
+                throw new Error('Audit must declare an id and an execute() function');
+            }
+            if (!audit.phase?.id) {
+                throw new Error(`Audit "${audit.id}" must declare a phase`);
+            }
+            entries.set(audit.id, audit);
+            return registry;
+        },
+
+        unregister(id) {
+            entries.delete(id);
+            disabledIds.delete(id);
+            return registry;
+        },
+
+        enable(id) {
+            disabledIds.delete(id);
+            return registry;
+        },
+
+        disable(id) {
+            disabledIds.add(id);
+            return registry;
+        },
+
+        isEnabled(id) {
+            return entries.has(id) && !disabledIds.has(id);
+        },
+
+        get(id) {
+            return entries.get(id) || null;
+        },
+
+        // Enabled audits in registration order
+        list() {
+            return [...entries.values()].filter(audit => !disabledIds.has(audit.id));
+        },
+
+        // Timeline phases derived from the enabled audits
+        getPhases() {
+            const phases = new Map();
+            for (const audit of registry.list()) {
+                if (!phases.has(audit.phase.id)) {
+                    phases.set(audit.phase.id, { ...audit.phase, audits: [] });
+                }
+                phases.get(audit.phase.id).audits.push(audit.id);
+            }
+            return [...phases.values()];
+        },
+
+        // Copy with the same audits, for per-project customisation
+        clone() {
+            return createAuditRegistry([...entries.values()], { disabled: [...disabledIds] });
+        }
+    };
+
+    audits.forEach(audit => registry.register(audit));
+    return registry;
+}
+
+/**
+ * Run every enabled audit in the registry
+ * @param {Object} registry - Audit registry
+ * @param {Object} resources - Named pipeline inputs (building, context, buildings, ...)
+ */
+export function runRegisteredAudits(registry, resources) {
+    const auditResults = {};
+    const phaseStatus = new Map();
+    let allConstraints = [];
+    let allMandates = [];
+    let totalScore = 0;
+    let totalWeight = 0;
+
+    for (const audit of registry.list()) {
+        const args = (audit.inputs || ['building', 'context']).map(name => resources[name]);
+        const result = assertAuditResult(audit.execute(...args), audit.id);
+        auditResults[audit.resultKey || audit.id] = result;
+
+        const { constraints = [], mandates = [] } = (audit.adapt || defaultAdapter)(result);
+        allConstraints = [...allConstraints, ...constraints];
+        allMandates = [...allMandates, ...mandates];
+
+        // A phase passes only if every audit in it passes
+        const phasePassed = phaseStatus.get(audit.phase.id) ?? true;
+        phaseStatus.set(audit.phase.id, phasePassed && Boolean(result?.passed));
+
+        const weight = audit.weight ?? DEFAULT_WEIGHT;
+        totalScore += (result?.score || 0) * weight;
+        totalWeight += weight;
+    }
+
+    const totalAudits = phaseStatus.size;
+    const passedCount = [...phaseStatus.values()].filter(Boolean).length;
+    const feasibility = totalWeight ? Math.round(totalScore / totalWeight) : 0;
+
+    return {
+        audits: auditResults,
+        constraints: allConstraints,
+        mandates: allMandates,
+        feasibility,
+        passedCount,
+        totalAudits
+    };
+}
+
+export default createAuditRegistry;
@@ -0,0 +1,152 @@
+/**
+ * Vienna Spot-Audit - Audit Result Contract
+ *
+ * Every audit (Vienna, Ethics and legacy) returns this shape so that the
+ * pipeline, remediation, exports and chat context can rely on it:
+ *
+ * {
+ *   schemaVersion: '1.0',
+ *   id, name,                     // audit identity
+ *   passed: boolean,
+ *   status: 'PASSED' | 'WARNING' | 'FAILED',
+ *   score: 0-100,
+ *   constraints: [{ type, severity, message, ...details }],
+ *   mandates: [{ type, description, ...details }],
+ *   recommendations: [string],
+ *   reasoning: string,            // human-readable audit trail
+ *   data: {}                      // audit-specific measurements
+ * }
+ *
+ * Rule-based audits (../rules/) also return `trace`, one entry per rule
+ * evaluation, and tag constraints and mandates with the `rule` id that
+ * emitted them (plus its `citation` and `remedy` where the rule has one).
+ *
+ * Audits may keep additional top-level fields (e.g. zoning.bauklasse) for
+ * their own UI, but consumers should only depend on the fields above.
+ */
+
+export const AUDIT_RESULT_SCHEMA_VERSION = '1.0';
+
+export const AUDIT_STATUSES = ['PASSED', 'WARNING', 'FAILED'];
+
+// Ordered from most to least severe
+export const SEVERITIES = ['blocking', 'critical', 'important', 'warning', 'info'];
+
+/**
+ * Build a contract-conforming result. Status is derived from `passed` and the
+ * constraint severities unless given explicitly.
+ */
+export function createAuditResult({
+    id,
+    name,
+    passed = true,
+    status,
+    score = 100,
+    constraints = [],
+    mandates = [],
+    recommendations = [],
+    reasoning = '',
+    data = {},
+    ...extensions
+}) {
+    const hasConcerns = constraints.some(c => c.severity !== 'info');
+
+    return {
+        ...extensions,
+        schemaVersion: AUDIT_RESULT_SCHEMA_VERSION,
+        id,
+        name,
+        passed,
+        status: status || (!passed ? 'FAILED' : hasConcerns ? 'WARNING' : 'PASSED'),
+        score: Math.max(0, Math.min(100, score)),
+        constraints,
+        mandates,
+        recommendations,
+        reasoning: Array.isArray(reasoning) ? reasoning.join('\n') : reasoning,
+        data
+    };
+}
+
+/**
+ * Validate an audit result against the contract
+ * @returns {Object} { valid, errors }
+ */
+export function validateAuditResult(result) {
+    const errors = [];
+
+    if (!result || typeof result !== 'object') {
+        return { valid: false, errors: ['Audit result must be an object'] };
+    }
+
+    if (result.schemaVersion !== AUDIT_RESULT_SCHEMA_VERSION) {
+        errors.push(`schemaVersion must be "${AUDIT_RESULT_SCHEMA_VERSION}" (got ${JSON.stringify(result.schemaVersion)})`);
+    }
+    for (const field of ['id', 'name']) {
+        if (typeof result[field] !== 'string' || result[field].length === 0) {
+            errors.push(`${field} must be a non-empty string`);
+        }
+    }
+    if (typeof result.passed !== 'boolean') {
+        errors.push('passed must be a boolean');
+    }
+    if (!AUDIT_STATUSES.includes(result.status)) {
+        errors.push(`status must be one of: ${AUDIT_STATUSES.join(', ')}`);
+    }
+    if (typeof result.score !== 'number' || isNaN(result.score) || result.score < 0 || result.score > 100) {
+        errors.push('score must be a number between 0 and 100');
+    }
+    if (typeof result.reasoning !== 'string') {
+        errors.push('reasoning must be a string');
+    }
+    if (!result.data || typeof result.data !== 'object' || Array.isArray(result.data)) {
+        errors.push('data must be an object');
+    }
+
+    if (!Array.isArray(result.constraints)) {
+        errors.push('constraints must be an array');
+    } else {
+        result.constraints.forEach((c, idx) => {
+            if (typeof c?.type !== 'string' || c.type.length === 0) {
+                errors.push(`constraints[${idx}].type must be a non-empty string`);
+            }
+            if (!SEVERITIES.includes(c?.severity)) {
+                errors.push(`constraints[${idx}].severity must be one of: ${SEVERITIES.join(', ')}`);
+            }
+            if (typeof c?.message !== 'string') {
+                errors.push(`constraints[${idx}].message must be a string`);
+            }
+        });
+    }
+
+    if (!Array.isArray(result.mandates)) {
+        errors.push('mandates must be an array');
+    } else {
+        result.mandates.forEach((m, idx) => {
+            if (typeof m?.type !== 'string' || m.type.length === 0) {
+                errors.push(`mandates[${idx}].type must be a non-empty string`);
+            }
+            if (typeof m?.description !== 'string') {
+                errors.push(`mandates[${idx}].description must be a string`);
+            }
+        });
+    }
+
+    if (!Array.isArray(result.recommendations) || result.recommendations.some(r => typeof r !== 'string')) {
+        errors.push('recommendations must be an array of strings');
+    }
+
+    return { valid: errors.length === 0, errors };
+}
+
+/**
+ * Throw if a result breaks the contract (used by the pipeline)
+ */
+export function assertAuditResult(result, auditId = result?.id) {
+    const { valid, errors } = validateAuditResult(result);
+    if (!valid) {
+        throw new Error(`Audit "${auditId}" returned an invalid result: ${errors.join('; ')}`);
+    }
+    return result;
+}
+
+export default createAuditResult;
@@ -1,100 +1,244 @@
 /**
  * Seismic Resilience Audit Service
- * Evaluates building safety against geological and structural parameters.
+ * EN 1998-1 lateral force method: ground type from the geology layer, design
+ * response spectrum Sd(T), fundamental period from height and structural
+ * system, and a base shear compared against an indicative lateral capacity.
+ * The verdict follows the demand/capacity ratio.
  * Supports material-aware calculations for Concrete vs Timber structures.
  */
+import APP_CONSTANTS from '../constants.js';
+import { findGroundType } from '../geology.js';
+import { createAuditResult } from './result.js';
+
+const G = 9.81;
 
 // Material properties affecting seismic performance
+// floorMass: self-weight + superimposed dead + ψ2·live per m² of floor (kg/m²)
+// shearStrength: share of the material's tensile/yield strength the lateral system develops
 const MATERIAL_PROPERTIES = {
-    CONCRETE: { weightMultiplier: 1.0, flexibility: 0.8, carbonFactor: 1.0, label: 'Reinforced Concrete' },
-    TIMBER: { weightMultiplier: 0.55, flexibility: 1.2, carbonFactor: 0.3, label: 'Cross-Laminated Timber (CLT)' }
+    CONCRETE: {
+        weightMultiplier: 1.0, carbonFactor: 1.0, label: 'Reinforced Concrete',
+        structural: 'reinforced_concrete', damping: 'concrete', equivalentThickness: 0.3, shearStrength: 0.25
+    },
+    TIMBER: {
+        weightMultiplier: 0.55, carbonFactor: 0.3, label: 'Cross-Laminated Timber (CLT)',
+        structural: 'clt_timber', damping: 'clt', equivalentThickness: 0.5, shearStrength: 0.05
+    },
+    STEEL: {
+        weightMultiplier: 0.7, carbonFactor: 1.2, label: 'Steel Frame',
+        structural: 'steel_frame', damping: 'steel', equivalentThickness: 0.03, shearStrength: 0.58
+    }
+};
+const SUPERIMPOSED_MASS = 260; // finishes, partitions, 0.3 × 2 kN/m² live (kg/m²)
+
+// Lateral systems: Ct for T1 = Ct·H^¾ (EN 1998-1 §4.3.3.2.2), behaviour factor q (DCM),
+// and the plan-area share of lateral elements resisting base shear
+const LATERAL_SYSTEMS = {
+    moment_frame: { label: 'Moment frame', ct: { STEEL: 0.085, default: 0.075 }, q: { CONCRETE: 3.9, STEEL: 5.2, TIMBER: 2.5 }, areaRatio: 0.01 },
+    shear_wall: { label: 'Shear walls', ct: { default: 0.05 }, q: { CONCRETE: 3.0, TIMBER: 2.0 }, areaRatio: 0.015 },
+    braced_frame: { label: 'Braced frame', ct: { default: 0.05 }, q: { STEEL: 4.0, default: 2.5 }, areaRatio: 0.004 },
+    dual_system: { label: 'Dual system', ct: { default: 0.05 }, q: { CONCRETE: 3.6, STEEL: 4.8 }, areaRatio: 0.015 },
+    bearing_wall: { label: 'Bearing walls', ct: { default: 0.05 }, q: { default: 1.5 }, areaRatio: 0.03 }
+};
+
+// EN 1998-1 Tables 3.2 (Type 1, Ms > 5.5) and 3.3 (Type 2, Ms ≤ 5.5): S, TB, TC, TD
+const SPECTRUM_PARAMETERS = {
+    1: {
+        A: { S: 1.0, TB: 0.15, TC: 0.4, TD: 2.0 },
+        B: { S: 1.2, TB: 0.15, TC: 0.5, TD: 2.0 },
+        C: { S: 1.15, TB: 0.20, TC: 0.6, TD: 2.0 },
+        D: { S: 1.35, TB: 0.20, TC: 0.8, TD: 2.0 },
+        E: { S: 1.4, TB: 0.15, TC: 0.5, TD: 2.0 }
+    },
+    2: {
+        A: { S: 1.0, TB: 0.05, TC: 0.25, TD: 1.2 },
+        B: { S: 1.35, TB: 0.05, TC: 0.25, TD: 1.2 },
+        C: { S: 1.5, TB: 0.10, TC: 0.25, TD: 1.2 },
+        D: { S: 1.8, TB: 0.10, TC: 0.30, TD: 1.2 },
+        E: { S: 1.6, TB: 0.05, TC: 0.25, TD: 1.2 }
+    }
 };
+const LOWER_BOUND_FACTOR = 0.2; // β
+
+const pick = (table, material) => table[material] ?? table.default ?? Object.values(table)[0];
+
+/**
+ * Elastic response spectrum Se(T) (EN 1998-1 §3.2.2.2)
+ * @param {number} T - Period (s)
+ * @param {number} ag - Design ground acceleration (m/s²)
+ * @param {Object} params - { S, TB, TC, TD }
+ * @param {number} eta - Damping correction factor η
+ */
+export function elasticSpectrum(T, ag, { S, TB, TC, TD }, eta = 1) {
+    if (T <= TB) return ag * S * (1 + T / TB * (eta * 2.5 - 1));
+    if (T <= TC) return ag * S * eta * 2.5;
+    if (T <= TD) return ag * S * eta * 2.5 * TC / T;
+    return ag * S * eta * 2.5 * TC * TD / (T * T);
+}
+
+/**
+ * Design response spectrum Sd(T) (EN 1998-1 §3.2.2.5)
+ * @param {number} T - Period (s)
+ * @param {number} ag - Design ground acceleration (m/s²)
+ * @param {Object} params - { S, TB, TC, TD }
+ * @param {number} q - Behaviour factor
+ */
+export function designSpectrum(T, ag, { S, TB, TC, TD }, q) {
+    if (T <= TB) return ag * S * (2 / 3 + T / TB * (2.5 / q - 2 / 3));
+    if (T <= TC) return ag * S * 2.5 / q;
+    if (T <= TD) return Math.max(ag * S * 2.5 / q * TC / T, LOWER_BOUND_FACTOR * ag);
+    return Math.max(ag * S * 2.5 / q * TC * TD / (T * T), LOWER_BOUND_FACTOR * ag);
+}
 
 export const SeismicAudit = {
     id: 'seismic',
     name: 'Seismic Resilience Audit',
+    // Shares the Structural Safety phase (and its weight) with WindLoadAudit
+    phase: { id: 'structural', name: 'Structural Safety', icon: '🏗️', delay: 500 },
+    weight: 0.5,
+    inputs: ['building', 'geology', 'jurisdiction'],
 
-    execute(building) {
+    /**
+     * @param {Object} building - Current building
+     * @param {Object} geology - Geology layer (GeoJSON FeatureCollection with ground types)
+     * @param {Object} env - Active jurisdiction pack (defaults to Vienna)
+     */
+    execute(building, geology = null, env = APP_CONSTANTS) {
         if (!building) return null;
 
         const { lat, lng, height, material = 'CONCRETE' } = building;
-        const materialProps = MATERIAL_PROPERTIES[material] || MATERIAL_PROPERTIES.CONCRETE;
+        const materialKey = MATERIAL_PROPERTIES[material] ? material : 'CONCRETE';
+        const materialProps = MATERIAL_PROPERTIES[materialKey];
+        const floors = building.floors || Math.ceil(height / 3.5);
+        const footprintArea = building.footprint ?? building.footprint_area ?? 200;
+        const systemKey = building.structuralSystem || building.structural_system
+            || (materialKey === 'TIMBER' ? 'shear_wall' : 'moment_frame');
+        const system = LATERAL_SYSTEMS[systemKey] || LATERAL_SYSTEMS.moment_frame;
+        const structural = env.structuralConstants;
+        const hazard = env.environmentalData;
         const reasoning = [];
-        let status = 'PASSED';
-        let score = 100;
+        const constraints = [];
         const requirements = [];
 
-        // 1. Determine Geological Zone
-        // Boundary approx longitude 16.35
-        let zone = 'Unknown';
-        let pga = 0.0;
-        let amplification = 1.0;
-
-        if (lng < 16.35) {
-            zone = 'Flysch Zone (Bedrock)';
-            pga = 0.06;
-            amplification = 1.0;
-            reasoning.push("Geological Zone: Flysch (Bedrock) - Stable Foundation");
-        } else {
-            zone = 'Vienna Basin (Sediment)';
-            pga = 0.08;
-            amplification = 1.4;
-            reasoning.push("Geological Zone: Vienna Basin (Sediment) - Amplification Risk");
-        }
+        const line = (text) => reasoning.push(`  ${text}`);
+
+        // 1. Ground type from the geology layer
+        const ground = findGroundType(geology, { lat, lng });
+        const spectrumType = hazard.seismicMagnitude > 5.5 ? 1 : 2;
+        const spectrum = SPECTRUM_PARAMETERS[spectrumType][ground.groundType];
+        reasoning.push(`Ground: ${ground.unit} → ground type ${ground.groundType} (${ground.groundTypeName}${ground.vs30 ? `, vs,30 ≈ ${ground.vs30} m/s` : ''})`);
+        if (!ground.mapped) line(ground.description);
+
+        // 2. Design ground acceleration
+        const importanceClass = height > 50 ? 'III' : 'II';
+        const gammaI = importanceClass === 'III' ? 1.2 : 1.0;
+        const agR = hazard.peakGroundAcceleration * G;
+        const ag = gammaI * agR;
+        reasoning.push(`Design Spectrum: Type ${spectrumType} (Ms ${hazard.seismicMagnitude} ${spectrumType === 2 ? '≤' : '>'} 5.5), S = ${spectrum.S}, TB = ${spectrum.TB}s, TC = ${spectrum.TC}s, TD = ${spectrum.TD}s`);
+        line(`ag = γI × agR = ${gammaI} × ${agR.toFixed(2)} = ${ag.toFixed(2)} m/s² (importance class ${importanceClass}, ${hazard.seismicReturnPeriod}-year return period)`);
+
+        // 3. Fundamental period and spectral ordinates
+        const ct = pick(system.ct, materialKey);
+        const q = pick(system.q, materialKey);
+        const T1 = ct * Math.pow(height, 0.75);
+        const dampingRatio = structural.dampingRatios[materialProps.damping] ?? 0.05;
+        const eta = Math.max(Math.sqrt(10 / (5 + dampingRatio * 100)), 0.55);
+        const Se = elasticSpectrum(T1, ag, spectrum, eta);
+        const Sd = designSpectrum(T1, ag, spectrum, q);
+        reasoning.push(`Structure: ${materialProps.label}, ${system.label.toLowerCase()}`);
+        line(`T1 = Ct × H^¾ = ${ct} × ${height}^0.75 = ${T1.toFixed(2)} s`);
+        line(`η = √(10 / (5 + ξ)) = √(10 / (5 + ${(dampingRatio * 100).toFixed(0)})) = ${eta.toFixed(2)}`);
+        line(`Se(T1) = ${Se.toFixed(2)} m/s² (elastic, ${(dampingRatio * 100).toFixed(0)}% damping)`);
+        line(`Sd(T1) = ${Sd.toFixed(2)} m/s² (design, q = ${q})`);
+
+        // 4. Base shear demand (EN 1998-1 §4.3.3.2.2)
+        const materialData = structural.materials[materialProps.structural];
+        const floorMass = materialProps.equivalentThickness * materialData.density + SUPERIMPOSED_MASS;
+        const mass = floors * footprintArea * floorMass;
+        const lambda = T1 <= 2 * spectrum.TC && floors > 2 ? 0.85 : 1.0;
+        const baseShear = Sd * mass * lambda / 1000; // kN
+        const elasticBaseShear = Se * mass * lambda / 1000;
+        line(`m = floors × A × m_floor = ${floors} × ${Math.round(footprintArea)} × ${Math.round(floorMass)} = ${(mass / 1000).toFixed(0)} t`);
+        line(`Fb = Sd(T1) × m × λ = ${Sd.toFixed(2)} × ${(mass / 1000).toFixed(0)} t × ${lambda} = ${baseShear.toFixed(0)} kN`);
 
-        // 2. Structural Integrity Check
-        // Buildings over 40m in the sediment zone are higher risk
-        // Timber structures get a bonus due to lower mass and higher flexibility
-        const effectiveHeight = height * materialProps.weightMultiplier;
-        
-        if (zone === 'Vienna Basin (Sediment)' && height > 40) {
-            if (material === 'TIMBER') {
-                // CLT is actually good for seismic - lightweight and flexible
-                score = 90;
-                reasoning.push(`✓ CLT structure benefits from low mass and high ductility in sediment zone.`);
-                requirements.push("Verify CLT connections per EN 1995-1-1 for seismic");
+        // 5. Indicative lateral capacity of the ground storey
+        const strength = materialData.yieldStrength ?? materialData.tensileStrength; // MPa
+        const lateralArea = footprintArea * system.areaRatio;
+        const capacity = lateralArea * materialProps.shearStrength * strength * 1000 * structural.loadFactorSeismic; // kN
+        line(`V_Rd ≈ A_lat × τ_Rd = ${lateralArea.toFixed(1)} m² × ${(materialProps.shearStrength * strength).toFixed(2)} MPa = ${capacity.toFixed(0)} kN (${(system.areaRatio * 100).toFixed(1)}% of plan in lateral elements)`);
+
+        const dcr = capacity > 0 ? baseShear / capacity : Infinity;
+        reasoning.push(`Demand/Capacity: Fb / V_Rd = ${baseShear.toFixed(0)} / ${capacity.toFixed(0)} = ${dcr.toFixed(2)}`);
+
+        let status = 'PASSED';
+        let score;
+        if (dcr > 1) {
+            status = 'FAILED';
+            score = Math.max(0, Math.round(60 - 60 * (dcr - 1)));
+            requirements.push(`Lateral system: increase shear capacity by ${Math.round((dcr - 1) * 100)}% or reduce seismic mass`);
+            reasoning.push(`❌ FAIL: Base shear exceeds the indicative lateral capacity.`);
+            constraints.push({
+                type: 'SEISMIC_RISK',
+                severity: 'critical',
+                message: `Seismic base shear ${Math.round(baseShear)} kN exceeds lateral capacity ${Math.round(capacity)} kN (D/C ${dcr.toFixed(2)}) on ground type ${ground.groundType}`,
+                zone: ground.unit,
+                actual: Math.round(dcr * 100) / 100,
+                limit: 1,
+                citation: 'EN 1998-1 §4.3.3.2'
+            });
+        } else {
+            score = Math.round(100 - 40 * dcr);
+            if (dcr > 0.8) {
+                requirements.push('Damping System: Tuned Mass Damper Recommended for optimal resilience');
+                reasoning.push(`⚠ WARNING: D/C ${dcr.toFixed(2)} leaves little reserve. Seismic damping recommended.`);
+                constraints.push({
+                    type: 'SEISMIC_RISK',
+                    severity: 'warning',
+                    message: `${height}m ${materialProps.label.toLowerCase()} on ground type ${ground.groundType} - D/C ${dcr.toFixed(2)}, seismic damping recommended`,
+                    zone: ground.unit,
+                    actual: Math.round(dcr * 100) / 100,
+                    limit: 1,
+                    citation: 'EN 1998-1 §4.3.3.2'
+                });
             } else {
-                // Concrete is heavier, more risk in sediment
-                score = 75;
-                requirements.push("Damping System: Tuned Mass Damper Recommended for optimal resilience");
-                reasoning.push(`⚠ WARNING: High-rise concrete in sediment zone. Seismic damping recommended.`);
+                reasoning.push(`✓ PASS: Base shear within lateral capacity.`);
             }
-        } else if (zone === 'Flysch Zone (Bedrock)') {
-            score = 98;
-            reasoning.push("✓ PASS: Building sits on stable bedrock foundation.");
-        } else {
-            // Timber bonus for standard sediment zone
-            const timberBonus = material === 'TIMBER' ? 5 : 0;
-            score = 92 + timberBonus;
-            reasoning.push(`✓ PASS: Standard seismic compliance within sediment zone.${timberBonus ? ' (CLT bonus applied)' : ''}`);
+        }
+        if (materialKey === 'TIMBER') {
+            requirements.push('Verify CLT connections per EN 1995-1-1 for seismic');
         }
 
-        return {
+        return createAuditResult({
             id: this.id,
             name: this.name,
-            status,
             score,
             passed: status === 'PASSED',
-            requirements,
-            reasoning: reasoning.join('. '),
+            constraints,
+            recommendations: requirements,
+            reasoning,
             data: {
-                zone,
-                pga: `${pga}g`,
-                amplification: `${amplification}x`,
-                stressLevel: this.calculateStress(height, amplification, materialProps.weightMultiplier),
+                zone: ground.unit,
+                groundType: ground.groundType,
+                geologyUnit: ground.id,
+                spectrumType,
+                pga: `${hazard.peakGroundAcceleration}g`,
+                amplification: `${spectrum.S}x`,
+                designGroundAcceleration: Math.round(ag * 100) / 100,
+                period: Math.round(T1 * 100) / 100,
+                behaviourFactor: q,
+                dampingRatio,
+                elasticAcceleration: Math.round(Se * 100) / 100,
+                designAcceleration: Math.round(Sd * 100) / 100,
+                seismicMass: Math.round(mass / 1000),
+                baseShear: Math.round(baseShear),
+                elasticBaseShear: Math.round(elasticBaseShear),
+                lateralCapacity: Math.round(capacity),
+                demandCapacityRatio: Math.round(dcr * 100) / 100,
+                stressLevel: Math.min(Math.round(dcr * 100), 100),
+                structuralSystem: system.label,
                 material: materialProps.label,
-                materialBonus: material === 'TIMBER' ? 'Lightweight CLT reduces seismic load' : null
+                materialBonus: materialKey === 'TIMBER' ? 'Lightweight CLT reduces seismic load' : null
             }
-        };
-    },
-
-    calculateStress(height, amplification, materialWeight = 1.0) {
-        // Stress increases with height and soil amplification
-        // Lighter materials (timber) reduce stress significantly
-        // Range 0-100
-        const baseStress = (height / 80) * 50; // Max height in dataset usually around 80m
-        const soilFactor = amplification > 1 ? 1.4 : 1.0;
-        const materialFactor = materialWeight;
-        return Math.min(Math.round(baseStress * soilFactor * materialFactor), 100);
+        });
     }
 };
@@ -2,156 +2,88 @@
  * Subsurface Audit - U-Bahn Tunnel Proximity Analysis
  * 
  * Evaluates building location against Vienna's subsurface infrastructure:
- * - U-Bahn tunnel proximity (U1, U2, U3, U4)
+ * - U-Bahn tunnel proximity (U1-U6, footprint edge to tunnel centerline)
  * - Vibration zone assessment
- * - Foundation depth recommendations
+ * - Foundation depth against the local tunnel depth
  * - Excavation restrictions
+ *
+ * Proximity thresholds, depth clearance and the transit authority come from
+ * the active jurisdiction pack (`env.subsurfaceCode`); the checks are the
+ * declarative rules in ../rules/subsurface.js.
  */
 
-import { getDistance } from '../spatial';
-
-// U-Bahn tunnel centerlines (simplified as point arrays)
-const UBAHN_LINES = {
-    U1: {
-        color: '#E20E17',
-        stations: [
-            { name: 'Stephansplatz', lat: 48.2084, lng: 16.3725 },
-            { name: 'Schwedenplatz', lat: 48.2120, lng: 16.3775 },
-            { name: 'Praterstern', lat: 48.2189, lng: 16.3917 }
-        ],
-        tunnelDepth: 20 // meters below surface (average)
-    },
-    U2: {
-        color: '#9A57A3',
-        stations: [
-            { name: 'Rathaus', lat: 48.2107, lng: 16.3565 },
-            { name: 'Schottentor', lat: 48.2154, lng: 16.3611 },
-            { name: 'Praterstern', lat: 48.2189, lng: 16.3917 }
-        ],
-        tunnelDepth: 15
-    },
-    U3: {
-        color: '#F39200',
-        stations: [
-            { name: 'Stephansplatz', lat: 48.2084, lng: 16.3725 },
-            { name: 'Herrengasse', lat: 48.2107, lng: 16.3658 },
-            { name: 'Volkstheater', lat: 48.2052, lng: 16.3589 }
-        ],
-        tunnelDepth: 18
-    },
-    U4: {
-        color: '#228B22',
-        stations: [
-            { name: 'Schwedenplatz', lat: 48.2120, lng: 16.3775 },
-            { name: 'Landstraße', lat: 48.2063, lng: 16.3868 },
-            { name: 'Karlsplatz', lat: 48.2007, lng: 16.3692 }
-        ],
-        tunnelDepth: 12
-    }
-};
-
-// Proximity thresholds (meters)
-const THRESHOLDS = {
-    critical: 30,    // Construction ban without special permit
-    restricted: 50,  // Enhanced structural assessment required
-    monitoring: 100, // Vibration monitoring during construction
-    clear: 150       // No special requirements
-};
+import { getFootprintPolygon } from '../footprint.js';
+import { measureTunnels } from '../tunnels.js';
+import { createAuditResult } from './result.js';
+import { evaluateRules } from '../rules/engine.js';
+import { SUBSURFACE_RULES } from '../rules/subsurface.js';
+import APP_CONSTANTS from '../constants.js';
 
 export const SubsurfaceAudit = {
+    id: 'subsurface',
     name: 'Subsurface',
     icon: '🚇',
+    phase: { id: 'subsurface', name: 'Subsurface', icon: '🚇' },
+    weight: 1,
+    inputs: ['building', 'tunnels', 'jurisdiction'],
     
-    execute(building, context = {}) {
-        const { latitude, longitude, basementDepth = 5 } = building;
+    /**
+     * @param {Object} building - Current building
+     * @param {Object} tunnels - Tunnel layer (GeoJSON FeatureCollection of centerlines with depth profiles)
+     * @param {Object} env - Active jurisdiction pack
+     */
+    execute(building, tunnels = null, env = APP_CONSTANTS) {
+        const { basementDepth = 5 } = building;
+        const { thresholds } = env.subsurfaceCode;
+        const measured = measureTunnels(tunnels, getFootprintPolygon(building));
+        const nearest = measured[0];
         
         const results = {
-            passed: true,
-            score: 100,
-            nearestLine: null,
-            nearestDistance: Infinity,
-            constraints: [],
-            recommendations: []
+            nearestLine: nearest ? {
+                name: nearest.line,
+                station: nearest.station,
+                color: nearest.color,
+                status: nearest.status,
+                tunnelDepth: Math.round(nearest.depth)
+            } : null,
+            nearestDistance: nearest ? Math.round(nearest.distance) : Infinity,
+            tunnels: measured
+                .filter(t => t.distance < thresholds.clear)
+                .map(t => ({
+                    line: t.line,
+                    station: t.station,
+                    status: t.status,
+                    distance: Math.round(t.distance),
+                    tunnelDepth: Math.round(t.depth)
+                }))
         };
         
-        // Check proximity to all U-Bahn lines
-        for (const [lineName, line] of Object.entries(UBAHN_LINES)) {
-            for (const station of line.stations) {
-                const distance = getDistance(latitude, longitude, station.lat, station.lng);
-                
-                if (distance < results.nearestDistance) {
-                    results.nearestDistance = Math.round(distance);
-                    results.nearestLine = {
-                        name: lineName,
-                        station: station.name,
-                        color: line.color,
-                        tunnelDepth: line.tunnelDepth
-                    };
-                }
-            }
-        }
-        
-        // Evaluate proximity level
-        const dist = results.nearestDistance;
-        
-        if (dist < THRESHOLDS.critical) {
-            results.passed = false;
-            results.score -= 50;
-            results.constraints.push({
-                type: 'TUNNEL_CRITICAL',
-                severity: 'blocking',
-                message: `${dist}m from ${results.nearestLine.name} tunnel - CONSTRUCTION BAN without Wiener Linien approval`,
-                distance: dist,
-                line: results.nearestLine.name
-            });
-        } else if (dist < THRESHOLDS.restricted) {
-            results.score -= 30;
-            results.constraints.push({
-                type: 'TUNNEL_RESTRICTED',
-                severity: 'critical',
-                message: `${dist}m from ${results.nearestLine.name} - Enhanced structural assessment required`,
-                distance: dist,
-                requirements: ['Geotechnical study', 'Vibration analysis', 'Wiener Linien coordination']
-            });
-        } else if (dist < THRESHOLDS.monitoring) {
-            results.score -= 10;
-            results.constraints.push({
-                type: 'TUNNEL_MONITORING',
-                severity: 'warning',
-                message: `${dist}m from ${results.nearestLine.name} - Vibration monitoring required during construction`,
-                distance: dist
-            });
-        }
+        // Thresholds, effects and citations are in ../rules/subsurface.js
+        const outcome = evaluateRules(SUBSURFACE_RULES, {
+            nearestDistance: results.nearestDistance,
+            nearestLine: results.nearestLine?.name ?? null,
+            basementDepth,
+            tunnels: results.tunnels.map(t => ({ ...t, maxRecommendedDepth: Math.max(0, t.tunnelDepth - 8) }))
+        }, env);
         
-        // Check basement depth conflict
-        if (results.nearestLine && basementDepth > 0) {
-            const tunnelDepth = results.nearestLine.tunnelDepth;
-            if (basementDepth > tunnelDepth - 5) {
-                results.score -= 20;
-                results.constraints.push({
-                    type: 'DEPTH_CONFLICT',
-                    severity: 'critical',
-                    message: `Basement depth ${basementDepth}m may conflict with tunnel at ${tunnelDepth}m`,
-                    recommendation: `Max recommended: ${tunnelDepth - 8}m`
-                });
+        return createAuditResult({
+            id: this.id,
+            name: this.name,
+            ...results,
+            passed: outcome.passed,
+            score: outcome.score,
+            constraints: outcome.constraints,
+            recommendations: outcome.recommendations,
+            trace: outcome.trace,
+            data: {
+                nearestLine: results.nearestLine?.name || null,
+                nearestStation: results.nearestLine?.station || null,
+                nearestDistance: results.nearestDistance,
+                tunnelDepth: results.nearestLine?.tunnelDepth ?? null,
+                tunnels: results.tunnels,
+                basementDepth
             }
-        }
-        
-        // Generate recommendations
-        if (dist < THRESHOLDS.monitoring) {
-            results.recommendations.push('Engage Wiener Linien for pre-construction consultation');
-            results.recommendations.push('Install vibration monitoring equipment');
-        }
-        if (dist < THRESHOLDS.restricted) {
-            results.recommendations.push('Commission independent geotechnical assessment');
-            results.recommendations.push('Consider pile foundation alternatives');
-        }
-        if (dist >= THRESHOLDS.clear) {
-            results.recommendations.push('No subsurface constraints - standard foundation permissible');
-        }
-        
-        results.score = Math.max(0, results.score);
-        return results;
+        });
     }
 };
 
@@ -1,85 +1,278 @@
 /**
  * Wind Load Resilience Audit Service
- * Analyzes wind exposure based on building height and neighboring shielding.
+ * Eurocode EN 1991-1-4 wind actions on the building: peak velocity pressure by
+ * height, windward/leeward/roof pressures, base shear and overturning moment
+ * for the prevailing wind, plus the slenderness (aspect-ratio) limit.
+ * The verdict checks the cladding pressure against its resistance and the
+ * sliding and overturning stability against the jurisdiction's limits.
+ *
+ * Neighboring buildings around the footprint only select the terrain category
+ * (dense urban fabric vs. exposed suburban terrain).
  */
-import { SpatialUtils } from '../spatial';
+import {
+    countFeaturesAroundFootprint,
+    getFootprintMetrics,
+    getFootprintPolygon,
+    getProjectedWidth
+} from '../footprint.js';
+import APP_CONSTANTS from '../constants.js';
+import { createAuditResult } from './result.js';
+
+// Used when the jurisdiction pack names no prevailing wind (Vienna: west-northwest)
+const DEFAULT_WIND_BEARING = 292.5;
+
+// Neighbors within the shielding radius that make the site dense urban terrain
+const URBAN_NEIGHBOR_COUNT = 10;
+
+// Self-weight per floor and m² of footprint (kN/m²), scaled by material
+const FLOOR_DEAD_LOAD = 10;
+const MATERIAL_WEIGHT = { CONCRETE: 1.0, TIMBER: 0.55 };
+
+/**
+ * Exposure factor ce(z) interpolated from the terrain-category table
+ * @param {Object} table - { height: ce } for one terrain category
+ * @param {number} z - Height above ground (m)
+ */
+export function getExposureFactor(table, z) {
+    const heights = Object.keys(table).map(Number).sort((a, b) => a - b);
+    if (z <= heights[0]) return table[heights[0]];
+
+    for (let i = 1; i < heights.length; i++) {
+        if (z <= heights[i]) {
+            const [z0, z1] = [heights[i - 1], heights[i]];
+            return table[z0] + (table[z1] - table[z0]) * (z - z0) / (z1 - z0);
+        }
+    }
+
+    // Above the table: extend the last segment
+    const [z0, z1] = heights.slice(-2);
+    return table[z1] + (table[z1] - table[z0]) * (z - z1) / (z1 - z0);
+}
 
 export const WindLoadAudit = {
     id: 'wind_load',
+    resultKey: 'wind',
     name: 'Wind Load Audit',
+    phase: { id: 'structural', name: 'Structural Safety', icon: '🏗️', delay: 500 },
+    weight: 0.5,
+    inputs: ['building', 'buildingIndex', 'jurisdiction'],
 
     /**
      * @param {Object} building - Current building
-     * @param {Array} allBuildings - Dataset for neighbor analysis
+     * @param {Object|Array} buildingIndex - Spatial index (or feature array) of the dataset for neighbor analysis
+     * @param {Object} env - Active jurisdiction pack (defaults to Vienna)
      */
-    execute(building, allBuildings = []) {
+    execute(building, buildingIndex = null, env = APP_CONSTANTS) {
         if (!building) return null;
 
-        const { lat, lng, height } = building;
-        const radius = 150; // 150m radius for shielding analysis
+        const { height, floors = Math.ceil(height / 3.5), material = 'CONCRETE' } = building;
+        const wind = env.windLoadConstants;
+        const footprint = getFootprintPolygon(building);
+        const radius = 150; // 150m radius (from the facade) for shielding analysis
         const reasoning = [];
+        const formulas = [];
+        const constraints = [];
+        const requirements = [];
         let status = 'PASSED';
         let score = 100;
-        const requirements = [];
 
-        // 1. Calculate Shielding (Neighbor Count)
-        let neighborCount = 0;
-        if (allBuildings.length > 0) {
-            neighborCount = SpatialUtils.countFeaturesInRadius({ lat, lng }, allBuildings, radius);
-            // Subtract 1 to exclude the building itself
-            neighborCount = Math.max(0, neighborCount - 1);
-        }
+        const formula = (name, expression, value, unit) => {
+            formulas.push({ name, formula: expression, value: Math.round(value * 100) / 100, unit });
+            reasoning.push(`  ${name}: ${expression} = ${value.toFixed(2)} ${unit}`);
+        };
 
-        reasoning.push(`Shielding Analysis: Identified ${neighborCount} neighboring structures within ${radius}m.`);
+        // 1. Surrounding density → terrain category
+        const neighborCount = buildingIndex
+            ? countFeaturesAroundFootprint(footprint, buildingIndex, radius)
+            : 0;
 
-        // 2. Evaluate exposure
+        const urban = neighborCount >= URBAN_NEIGHBOR_COUNT;
         let shielding = 'Moderate';
         if (neighborCount < 3) {
-            status = 'FAILED';
-            score = 65;
             shielding = 'None (Highly Exposed)';
-            requirements.push("High-Wind Bracing: Reinforced Facade Class A+ REQUIREMENT");
-            reasoning.push("❌ CRITICAL: Construction site is highly exposed. Increased structural bracing mandated.");
-        } else if (neighborCount < 10) {
-            score = 90;
+        } else if (!urban) {
             shielding = 'Low';
-            reasoning.push("✓ Standard Shielding: Moderate wind exposure detected.");
         } else {
-            score = 98;
             shielding = 'High (Protected)';
-            reasoning.push("✓ High Shielding: Site is well-protected by surrounding urban fabric.");
         }
+        const terrainCategory = urban ? wind.terrainCategories.urban : wind.terrainCategories.exposed;
+        const exposureTable = wind.exposureCoefficients[terrainCategory];
 
-        // 3. Height Penalty
-        // Tall buildings (> 60m) that are exposed are critical
-        if (height > 60 && neighborCount < 3) {
+        reasoning.push(`Shielding Analysis: ${neighborCount} neighboring structures within ${radius}m of the facade (${shielding})`);
+        reasoning.push(`Terrain Category: ${terrainCategory} (EN 1991-1-4 Table 4.1; ${urban ? 'dense urban fabric' : 'exposed, little upwind shielding'})`);
+
+        // 2. Geometry facing the prevailing wind
+        const windBearing = wind.prevailingWindBearing ?? DEFAULT_WIND_BEARING;
+        const windwardWidth = getProjectedWidth(footprint, windBearing);
+        const alongWindDepth = getProjectedWidth(footprint, windBearing + 90);
+        const windwardArea = windwardWidth * height;
+        const { area: footprintArea, depth: leastWidth } = getFootprintMetrics(footprint);
+        reasoning.push(`Windward Facade: ${windwardWidth.toFixed(1)}m wide, ${Math.round(windwardArea)}m² exposed to the prevailing wind (from ${windBearing}°); ${alongWindDepth.toFixed(1)}m deep along the wind`);
+
+        // 3. Peak velocity pressure (EN 1991-1-4 §4.2, §4.5)
+        reasoning.push('EN 1991-1-4 Wind Actions:');
+        const vb = wind.directionalityFactor * (wind.seasonFactor ?? 1) * wind.basicWindVelocity;
+        formula('Basic wind velocity vb', `cdir × cseason × vb,0 = ${wind.directionalityFactor} × ${wind.seasonFactor ?? 1} × ${wind.basicWindVelocity}`, vb, 'm/s');
+        const qb = 0.5 * wind.airDensity * vb * vb;
+        formula('Basic velocity pressure qb', `½ × ρ × vb² = 0.5 × ${wind.airDensity} × ${vb.toFixed(2)}²`, qb, 'N/m²');
+        const ceH = getExposureFactor(exposureTable, height);
+        const qpH = ceH * qb;
+        formula('Peak velocity pressure qp(h)', `ce(h) × qb = ${ceH.toFixed(3)} × ${qb.toFixed(1)}`, qpH, 'N/m²');
+
+        // 4. External pressures at the reference height ze = h (EN 1991-1-4 §7.2)
+        const cp = wind.pressureCoefficients;
+        const pressures = {
+            windward: qpH * cp.windward,
+            leeward: qpH * cp.leeward,
+            sidewall: qpH * cp.sidewall,
+            roof: qpH * cp.roof_flat
+        };
+        formula('Windward pressure we', `qp(h) × cpe,D = ${qpH.toFixed(1)} × ${cp.windward}`, pressures.windward, 'N/m²');
+        formula('Leeward suction we', `qp(h) × cpe,E = ${qpH.toFixed(1)} × ${cp.leeward}`, pressures.leeward, 'N/m²');
+        formula('Roof suction we', `qp(h) × cpe,roof = ${qpH.toFixed(1)} × ${cp.roof_flat}`, pressures.roof, 'N/m²');
+        const gammaQ = env.structuralConstants.loadFactorWind;
+
+        // 5. Cladding: the largest facade or roof pressure against the cladding resistance
+        const [claddingZone, claddingPressure] = Object.entries(pressures)
+            .reduce((max, entry) => (Math.abs(entry[1]) > Math.abs(max[1]) ? entry : max));
+        const claddingDesign = gammaQ * Math.abs(claddingPressure);
+        const claddingUtilisation = claddingDesign / wind.claddingResistance;
+        reasoning.push(`  Cladding (${claddingZone}): γQ × |we| = ${gammaQ} × ${Math.abs(claddingPressure).toFixed(0)} = ${claddingDesign.toFixed(0)} N/m² vs resistance ${wind.claddingResistance} N/m² → utilisation ${claddingUtilisation.toFixed(2)}`);
+
+        if (claddingUtilisation > 1) {
+            status = 'FAILED';
+            score -= 35;
+            requirements.push(`Cladding: facade and fixings rated for ${(claddingDesign / 1000).toFixed(2)} kN/m² REQUIRED`);
+            constraints.push({
+                type: 'WIND_LOAD_WARNING',
+                severity: 'critical',
+                message: `Design wind ${claddingPressure < 0 ? 'suction' : 'pressure'} on the ${claddingZone} cladding ${(claddingDesign / 1000).toFixed(2)} kN/m² exceeds its resistance ${(wind.claddingResistance / 1000).toFixed(2)} kN/m²`,
+                actual: Math.round(claddingDesign),
+                limit: wind.claddingResistance,
+                citation: 'EN 1991-1-4 §5.2, §7.2'
+            });
+        }
+
+        // 6. Base shear and overturning moment (1m strips, windward qp(z), leeward qp(h))
+        const importanceFactor = height > 50 ? wind.importanceFactors.CC3 : wind.importanceFactors.CC2;
+        let baseShear = 0;
+        let overturningMoment = 0;
+        for (let z0 = 0; z0 < height; z0 += 1) {
+            const z1 = Math.min(z0 + 1, height);
+            const qpZ = getExposureFactor(exposureTable, (z0 + z1) / 2) * qb;
+            const netPressure = qpZ * cp.windward - qpH * cp.leeward;
+            const force = wind.gustFactor * importanceFactor * netPressure * windwardWidth * (z1 - z0);
+            baseShear += force;
+            overturningMoment += force * (z0 + z1) / 2;
+        }
+        baseShear /= 1000;           // kN
+        overturningMoment /= 1000;   // kNm
+        reasoning.push(`  Base shear Fw: Σ cscd × KFI × (qp(z)·cpe,D − qp(h)·cpe,E) × b × Δz = ${wind.gustFactor} × ${importanceFactor} × … = ${baseShear.toFixed(1)} kN`);
+        reasoning.push(`  Overturning moment M: Σ Fw,i × zi = ${overturningMoment.toFixed(0)} kNm`);
+        formulas.push(
+            { name: 'Base shear Fw', formula: 'Σ cscd × KFI × (qp(z)·cpe,D − qp(h)·cpe,E) × b × Δz', value: Math.round(baseShear * 10) / 10, unit: 'kN' },
+            { name: 'Overturning moment M', formula: 'Σ Fw,i × zi', value: Math.round(overturningMoment), unit: 'kNm' }
+        );
+
+        // 7. Stability (EN 1990 EQU): γG,stb × resistance ≥ γQ × action, for overturning and sliding
+        const limits = wind.stabilityLimits;
+        const gammaStb = limits.stabilisingFactor;
+        const selfWeight = floors * footprintArea * FLOOR_DEAD_LOAD * (MATERIAL_WEIGHT[material] || 1);
+        const stabilisingMoment = selfWeight * alongWindDepth / 2;
+        const designOverturning = gammaQ * overturningMoment;
+        const stabilityRatio = designOverturning > 0 ? gammaStb * stabilisingMoment / designOverturning : Infinity;
+        reasoning.push(`  Overturning: ${gammaStb} × W × d/2 = ${gammaStb} × ${Math.round(selfWeight)} kN × ${(alongWindDepth / 2).toFixed(1)}m vs γQ × M = ${gammaQ} × ${overturningMoment.toFixed(0)} kNm → ratio ${stabilityRatio.toFixed(2)} (min ${limits.minOverturningRatio})`);
+
+        if (stabilityRatio < limits.minOverturningRatio) {
+            status = 'FAILED';
+            score -= 40;
+            requirements.push('Overturning: Tension piles or ground anchors REQUIRED');
+            constraints.push({
+                type: 'WIND_OVERTURNING',
+                severity: 'critical',
+                message: `Wind overturning not resisted by self-weight (stability ratio ${stabilityRatio.toFixed(2)} < ${limits.minOverturningRatio})`,
+                actual: Math.round(stabilityRatio * 100) / 100,
+                limit: limits.minOverturningRatio,
+                citation: 'EN 1990 §6.4.2 (EQU)'
+            });
+        }
+
+        const designShear = gammaQ * baseShear;
+        const slidingRatio = designShear > 0 ? gammaStb * limits.baseFriction * selfWeight / designShear : Infinity;
+        reasoning.push(`  Sliding: ${gammaStb} × μ × W = ${gammaStb} × ${limits.baseFriction} × ${Math.round(selfWeight)} kN vs γQ × Fw = ${gammaQ} × ${baseShear.toFixed(1)} kN → ratio ${slidingRatio.toFixed(2)} (min ${limits.minSlidingRatio})`);
+
+        if (slidingRatio < limits.minSlidingRatio) {
             status = 'FAILED';
-            score = 40;
-            requirements.push("Advanced Aerodynamics: Wind Tunnel Testing MANDATORY");
-            reasoning.push("❌ DANGER: Extreme height combined with zero shielding creates severe structural risk.");
+            score -= 30;
+            requirements.push('Sliding: Shear keys or piles to carry the wind base shear REQUIRED');
+            constraints.push({
+                type: 'WIND_SLIDING',
+                severity: 'critical',
+                message: `Wind base shear ${Math.round(designShear)} kN not resisted by base friction (sliding ratio ${slidingRatio.toFixed(2)} < ${limits.minSlidingRatio})`,
+                actual: Math.round(slidingRatio * 100) / 100,
+                limit: limits.minSlidingRatio,
+                citation: 'EN 1990 §6.4.2 (EQU)'
+            });
         }
 
-        return {
+        // 8. Slenderness (aspect ratio H/B on the narrowest side)
+        const aspectRatio = leastWidth > 0 ? height / leastWidth : Infinity;
+        reasoning.push(`  Aspect ratio: H / B = ${height} / ${leastWidth.toFixed(1)} = ${aspectRatio.toFixed(2)} (max ${wind.maxAspectRatio})`);
+        if (aspectRatio > wind.maxAspectRatio) {
+            status = 'FAILED';
+            score -= 30;
+            requirements.push('Advanced Aerodynamics: Wind Tunnel Testing MANDATORY');
+            constraints.push({
+                type: 'ASPECT_RATIO_EXCEEDED',
+                severity: 'critical',
+                message: `Slenderness H/B ${aspectRatio.toFixed(1)} exceeds ${wind.maxAspectRatio} - dynamic wind response governs`,
+                actual: Math.round(aspectRatio * 100) / 100,
+                limit: wind.maxAspectRatio,
+                citation: 'EN 1991-1-4 §6.3'
+            });
+        }
+
+        // 9. Utilisation: the governing check, as demand over capacity
+        const utilisation = Math.max(
+            claddingUtilisation,
+            limits.minOverturningRatio / stabilityRatio,
+            limits.minSlidingRatio / slidingRatio
+        );
+        if (status === 'PASSED') {
+            // Passing designs lose up to 10 points as they approach a limit
+            score -= Math.round(10 * utilisation);
+            reasoning.push(`✓ Wind actions resisted: governing utilisation ${utilisation.toFixed(2)}`);
+        }
+
+        return createAuditResult({
             id: this.id,
             name: this.name,
-            status,
             score,
             passed: status === 'PASSED',
-            requirements,
-            reasoning: reasoning.join('. '),
+            constraints,
+            recommendations: requirements,
+            reasoning,
             data: {
                 neighborCount,
                 shielding,
-                stressLevel: this.calculateStress(height, neighborCount)
+                terrainCategory,
+                windwardWidth: Math.round(windwardWidth * 10) / 10,
+                windwardArea: Math.round(windwardArea),
+                basicVelocity: Math.round(vb * 10) / 10,
+                peakVelocityPressure: Math.round(qpH),
+                pressures: Object.fromEntries(Object.entries(pressures).map(([k, v]) => [k, Math.round(v)])),
+                baseShear: Math.round(baseShear * 10) / 10,
+                overturningMoment: Math.round(overturningMoment),
+                claddingPressure: Math.round(claddingDesign),
+                claddingResistance: wind.claddingResistance,
+                stabilityRatio: Math.round(stabilityRatio * 100) / 100,
+                slidingRatio: Math.round(slidingRatio * 100) / 100,
+                utilisation: Math.round(utilisation * 100) / 100,
+                aspectRatio: Math.round(aspectRatio * 100) / 100,
+                maxAspectRatio: wind.maxAspectRatio,
+                formulas,
+                stressLevel: Math.min(Math.round(utilisation * 100), 100)
             }
-        };
-    },
-
-    calculateStress(height, neighborCount) {
-        // Stress increases with height and decreases with neighbor count (shielding)
-        // Range 0-100
-        const heightFactor = (height / 80) * 80; // Max height around 80m
-        const shieldingReduction = Math.min(neighborCount * 4, 60); // Neighbors reduce stress up to 60 units
-        return Math.max(0, Math.min(Math.round(heightFactor - shieldingReduction + 20), 100));
+        });
     }
 };
@@ -2,83 +2,103 @@
  * Zoning Audit - Vienna Bauklasse and Schutzzone Analysis
  * 
  * Evaluates building location against Vienna's zoning regulations:
+ * - Flächenwidmungs- und Bebauungsplan block (Widmung, Bauklasse, Bauweise, BB)
  * - Bauklasse (Building Class I-VI) determines max height and density
  * - Schutzzone (Protection Zones) for historical areas
  * - Floor Area Ratio (FAR) limits
- * - Building setback requirements
+ * - Building setback and lot coverage requirements (from the footprint polygon)
+ *
+ * Building classes, lot rules and protection zones come from the active
+ * jurisdiction pack (`env.zoningCode`); the checks are the declarative
+ * rules in ../rules/zoning.js.
  */
 
-import { isPointInPolygon } from '../spatial';
+import { isPointInPolygon } from '../spatial.js';
+import { detectDistrict } from '../districts.js';
+import { findZoningBlock } from '../zoning_plan.js';
+import { analyzeLotGeometry } from '../footprint.js';
+import { createAuditResult } from './result.js';
+import { evaluateRules } from '../rules/engine.js';
+import { ZONING_RULES } from '../rules/zoning.js';
+import APP_CONSTANTS from '../constants.js';
 
-// Vienna Bauklasse definitions (simplified)
-const BAUKLASSE = {
-    I: { class: 'I', maxHeight: 9, maxFloors: 2, far: 1.0, description: 'Low-rise residential' },
-    II: { class: 'II', maxHeight: 12, maxFloors: 3, far: 1.3, description: 'Medium residential' },
-    III: { class: 'III', maxHeight: 16, maxFloors: 4, far: 1.5, description: 'Urban residential' },
-    IV: { class: 'IV', maxHeight: 21, maxFloors: 6, far: 2.0, description: 'Dense urban' },
-    V: { class: 'V', maxHeight: 26, maxFloors: 7, far: 2.5, description: 'High-density urban' },
-    VI: { class: 'VI', maxHeight: 35, maxFloors: 10, far: 3.0, description: 'City center high-rise' }
-};
-
-// Schutzzone areas (simplified polygons for Districts 1, 2, 7)
-const SCHUTZZONEN = {
-    district1_core: {
-        name: 'Innere Stadt Core Protection',
-        polygon: [
-            [16.3550, 48.2050], [16.3850, 48.2050],
-            [16.3850, 48.2150], [16.3550, 48.2150]
-        ],
-        restrictions: ['facade_preservation', 'height_limit', 'material_approval']
-    },
-    district7_spittelberg: {
-        name: 'Spittelberg Historic Quarter',
-        polygon: [
-            [16.3480, 48.2020], [16.3580, 48.2020],
-            [16.3580, 48.2080], [16.3480, 48.2080]
-        ],
-        restrictions: ['facade_preservation', 'roof_style']
-    }
-};
-
-// District Bauklasse mapping (simplified)
-const DISTRICT_ZONES = {
-    1: { default: 'IV', special: ['UNESCO_BUFFER'] },
-    2: { default: 'III', special: ['CANAL_ZONE'] },
-    7: { default: 'IV', special: ['HISTORIC_QUARTER'] }
-};
 
 export const ZoningAudit = {
+    id: 'zoning',
     name: 'Zoning',
     icon: '🏛️',
+    phase: { id: 'zoning', name: 'Zoning', icon: '🏛️' },
+    weight: 1,
+    inputs: ['building', 'context', 'zoningPlan', 'jurisdiction'],
     
-    execute(building, context = {}) {
+    /**
+     * @param {Object} building - Current building
+     * @param {Object} context - { district, neighborhood }
+     * @param {Object} zoningPlan - Zoning-plan blocks (GeoJSON FeatureCollection)
+     * @param {Object} env - Active jurisdiction pack
+     */
+    execute(building, context = {}, zoningPlan = null, env = APP_CONSTANTS) {
         const { latitude, longitude, height, floors } = building;
+        const { bauklassen, districtDefaults = {}, lotRules: lotRuleTable, protectionZones = {} } = env.zoningCode;
+        const { planningAuthority, heritageAuthority } = env.regulatory;
         const district = context.district || detectDistrict(latitude, longitude);
         
-        const results = {
-            passed: true,
-            score: 100,
-            bauklasse: null,
-            schutzzone: null,
-            constraints: [],
-            recommendations: []
-        };
+        // Resolve the zoning-plan block, falling back to the district default
+        const block = findZoningBlock(zoningPlan, {
+            lat: latitude,
+            lng: longitude,
+            footprint: building.footprintPolygon
+        });
         
-        // Determine Default Bauklasse (Regulatory)
-        const districtInfo = DISTRICT_ZONES[district] || { default: 'III' };
-        const regulatoryClass = districtInfo.default;
-        const regulatorySpec = BAUKLASSE[regulatoryClass];
-        results.bauklasse = { ...regulatorySpec };
+        if (block && !block.buildable) {
+            // Grünland: no building class applies at all
+            const outcome = evaluateRules(ZONING_RULES, {
+                block,
+                notBuildable: true,
+                planningAuthority: planningAuthority || 'the planning authority'
+            }, env);
+            
+            return createAuditResult({
+                id: this.id,
+                name: this.name,
+                passed: outcome.passed,
+                score: outcome.score,
+                bauklasse: null,
+                schutzzone: null,
+                planBlock: describeBlock(block),
+                constraints: outcome.constraints,
+                mandates: outcome.mandates,
+                recommendations: outcome.recommendations,
+                trace: outcome.trace,
+                data: {
+                    district,
+                    bauklasse: null,
+                    planBlock: block.id,
+                    widmung: block.widmung,
+                    source: 'zoning-plan'
+                }
+            });
+        }
+        
+        // Determine Regulatory Bauklasse (plan block, else district default)
+        const districtInfo = districtDefaults[district] || { default: env.zoningCode.defaultBauklasse };
+        const regulatoryClass = bauklassen[block?.bauklasse] ? block.bauklasse : districtInfo.default;
+        const regulatorySpec = {
+            ...bauklassen[regulatoryClass],
+            // An explicit plan height (BB) overrides the Bauklasse maximum
+            maxHeight: block?.maxHeight ?? bauklassen[regulatoryClass].maxHeight
+        };
+        const limitSource = block
+            ? `block ${block.id} (${block.notation})`
+            : `District ${district} default`;
         
         // Neighborhood Context Analysis
         const neighborhood = context.neighborhood || { avgHeight: 0, maxHeight: 0, count: 0 };
-        results.neighborhood = neighborhood;
 
         // Determine Suggested Bauklasse (Contextual)
         // If neighborhood is significantly taller, suggest a higher class
-        const suggestedClass = getSuggestedBauklasse(neighborhood.avgHeight || regulatorySpec.maxHeight);
-        const suggestedSpec = BAUKLASSE[suggestedClass];
-        results.suggestedBauklasse = suggestedSpec;
+        const suggestedClass = getSuggestedBauklasse(neighborhood.avgHeight || regulatorySpec.maxHeight, bauklassen);
+        const suggestedSpec = bauklassen[suggestedClass];
         
         // Calculate dynamic "Urban Fabric" limit
         // We take the max of the suggested zoning and a buffer of context
@@ -86,105 +106,111 @@ export const ZoningAudit = {
         if (neighborhood.maxHeight > 0) {
             contextBaselines.push(neighborhood.maxHeight * 0.95);
         }
-        results.contextualLimit = Math.round(Math.max(...contextBaselines));
+        const contextualLimit = Math.round(Math.max(...contextBaselines));
         
-        // Variance Potential Check
-        results.canUpgradeBauklasse = suggestedSpec.maxHeight > regulatorySpec.maxHeight;
-
-        // Check height compliance with "Urban Fabric" variance logic
-        const isExceedingRegulatory = height > regulatorySpec.maxHeight;
-        const isWithinContext = height <= results.contextualLimit;
-
-        if (isExceedingRegulatory) {
-            results.passed = false;
-            
-            if (isWithinContext) {
-                // REDUCED PENALTY: Building fits the existing vertical neighbors
-                results.score -= 15;
-                results.constraints.push({
-                    type: 'HEIGHT_VARIANCE_OPPORTUNITY',
-                    severity: 'important',
-                    message: `Building height (${height}m) exceeds District ${district} default (${regulatorySpec.maxHeight}m), but aligns with neighborhood fabric (${results.contextualLimit}m). High variance potential.`,
-                    limit: regulatorySpec.maxHeight,
-                    contextualLimit: results.contextualLimit,
-                    actual: height,
-                    suggestedBauklasse: suggestedClass
-                });
-            } else {
-                // CRITICAL PENALTY: Exceeds both zoning and neighbors
-                results.score -= 40;
-                results.constraints.push({
-                    type: 'HEIGHT_VIOLATION',
-                    severity: 'critical',
-                    message: `Height (${height}m) exceeds both regulatory Bauklasse ${regulatoryClass} (${regulatorySpec.maxHeight}m) and contextual scale (${results.contextualLimit}m).`,
-                    limit: regulatorySpec.maxHeight,
-                    contextualLimit: results.contextualLimit,
-                    actual: height
-                });
-            }
+        // Schutzzone: plan block flag, else the simplified zone polygons
+        const zoneEntry = block ? null : Object.entries(protectionZones)
+            .find(([, zone]) => isPointInPolygon([longitude, latitude], zone.polygon));
+        let schutzzone = null;
+        if (block?.schutzzone) {
+            schutzzone = {
+                id: block.id,
+                name: `Schutzzone ${block.id}`,
+                restrictions: ['facade_preservation', 'material_approval']
+            };
+        } else if (zoneEntry) {
+            const [zoneId, zone] = zoneEntry;
+            schutzzone = { id: zoneId, name: zone.name, restrictions: zone.restrictions };
         }
         
-        // Check floor count
-        if (floors > regulatorySpec.maxFloors) {
-            results.score -= 20;
-            results.constraints.push({
-                type: 'FLOOR_WARNING',
-                severity: 'warning',
-                message: `${floors} floors exceeds typical for Bauklasse ${regulatoryClass} (${regulatorySpec.maxFloors} floors)`,
-                limit: regulatorySpec.maxFloors,
-                actual: floors
-            });
-        }
+        // Setbacks and lot coverage from the actual footprint and lot outlines
+        const lot = building.lotPolygon
+            ? analyzeLotGeometry(building.footprintPolygon, building.lotPolygon)
+            : null;
+        const lotRules = lotRuleTable[block?.bauweise] || lotRuleTable[env.zoningCode.defaultBauweise];
         
-        // Check Schutzzone
-        for (const [zoneId, zone] of Object.entries(SCHUTZZONEN)) {
-            if (isPointInPolygon([longitude, latitude], zone.polygon)) {
-                results.schutzzone = {
-                    id: zoneId,
-                    name: zone.name,
-                    restrictions: zone.restrictions
-                };
-                results.constraints.push({
-                    type: 'SCHUTZZONE',
-                    severity: 'important',
-                    message: `Located in ${zone.name} - special approvals required`,
-                    restrictions: zone.restrictions
-                });
-                results.score -= 10;
-                break;
-            }
-        }
+        // Limits, effects and citations are in ../rules/zoning.js
+        const outcome = evaluateRules(ZONING_RULES, {
+            block,
+            notBuildable: false,
+            provisions: block?.provisions || [],
+            planningAuthority: planningAuthority || 'the planning authority',
+            height,
+            floors,
+            regulatoryClass,
+            regulatory: regulatorySpec,
+            limitSource,
+            contextualLimit,
+            suggestedClass,
+            planCitation: block ? `Plandokument ${block.plandokument}` : null,
+            protectionZone: zoneEntry ? zoneEntry[1] : null,
+            lot,
+            lotRules,
+            bauweiseName: block?.bauweiseName || 'this Bauweise'
+        }, env);
         
         // Generate recommendations
-        if (results.constraints.length === 0) {
-            results.recommendations.push('Zoning clear - proceed to pre-submission meeting');
+        if (outcome.constraints.length === 0) {
+            outcome.recommendations.push('Zoning clear - proceed to pre-submission meeting');
         } else {
-            results.recommendations.push('Consult MA 21 for zoning variance application');
-            if (results.schutzzone) {
-                results.recommendations.push('Contact MA 19 for heritage assessment');
+            outcome.recommendations.push(`Consult ${planningAuthority || 'the planning authority'} for zoning variance application`);
+            if (schutzzone) {
+                outcome.recommendations.push(`Contact ${heritageAuthority || 'the heritage authority'} for heritage assessment`);
             }
         }
         
-        results.score = Math.max(0, results.score);
-        return results;
+        return createAuditResult({
+            id: this.id,
+            name: this.name,
+            passed: outcome.passed,
+            score: outcome.score,
+            bauklasse: { ...regulatorySpec },
+            schutzzone,
+            planBlock: block ? describeBlock(block) : null,
+            neighborhood,
+            suggestedBauklasse: suggestedSpec,
+            contextualLimit,
+            canUpgradeBauklasse: suggestedSpec.maxHeight > regulatorySpec.maxHeight,
+            constraints: outcome.constraints,
+            mandates: outcome.mandates,
+            recommendations: outcome.recommendations,
+            trace: outcome.trace,
+            data: {
+                district,
+                bauklasse: regulatoryClass,
+                regulatoryHeight: regulatorySpec.maxHeight,
+                contextualLimit,
+                suggestedBauklasse: suggestedClass,
+                schutzzone: schutzzone?.id || null,
+                planBlock: block?.id || null,
+                widmung: block?.widmung || null,
+                bauweise: block?.bauweise || null,
+                source: block ? 'zoning-plan' : 'district-default',
+                footprintArea: building.footprint,
+                lotCoverage: lot ? Math.round(lot.coverage * 1000) / 1000 : null,
+                minSetback: lot ? Math.round(lot.minSetback * 10) / 10 : null
+            }
+        });
     }
 };
 
-function detectDistrict(lat, lng) {
-    // Simplified district detection based on coordinates
-    if (lat >= 48.200 && lat <= 48.220 && lng >= 16.355 && lng <= 16.385) return 1;
-    if (lat >= 48.205 && lat <= 48.235 && lng >= 16.385 && lng <= 16.420) return 2;
-    if (lat >= 48.195 && lat <= 48.215 && lng >= 16.335 && lng <= 16.360) return 7;
-    return null;
+function describeBlock(block) {
+    return {
+        id: block.id,
+        plandokument: block.plandokument,
+        notation: block.notation,
+        widmung: block.widmungName,
+        bauweise: block.bauweiseName,
+        maxHeight: block.maxHeight,
+        provisions: block.provisions
+    };
 }
 
-function getSuggestedBauklasse(avgHeight) {
-    if (avgHeight <= 9) return 'I';
-    if (avgHeight <= 12) return 'II';
-    if (avgHeight <= 16) return 'III';
-    if (avgHeight <= 21) return 'IV';
-    if (avgHeight <= 26) return 'V';
-    return 'VI';
+// Lowest building class tall enough for the neighborhood, else the tallest class
+function getSuggestedBauklasse(avgHeight, bauklassen) {
+    const classes = Object.entries(bauklassen).sort(([, a], [, b]) => a.maxHeight - b.maxHeight);
+    const fit = classes.find(([, spec]) => avgHeight <= spec.maxHeight);
+    return (fit || classes[classes.length - 1])[0];
 }
 
 export default ZoningAudit;
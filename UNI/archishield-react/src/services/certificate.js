@@ -0,0 +1,358 @@
+/**
+ * Audit Certificate Service - Signed, Verifiable Spot-Audit Certificates
+ *
+ * A certificate records what was audited (site and design parameters), under
+ * which rules (jurisdiction, rule version, rule date) and what the audits found.
+ * That content is serialised as canonical JSON (sorted keys, no whitespace) and
+ * hashed with SHA-256; the hash and issue time are signed with Ed25519. Anyone
+ * holding the certificate file can check it offline: the hash proves the content
+ * is unchanged, the signature that the holder of the key issued it.
+ *
+ * The content holds nothing time-dependent, so the same design audited under the
+ * same rules always gets the same hash, and re-running the audit from the
+ * recorded inputs (reproduceCertificate) must arrive at it again.
+ *
+ * Uses Web Crypto (browsers, Node 20+).
+ */
+import { defaultAuditRegistry } from './audits/index.js';
+import { runSpotAudit } from './spot_audit.js';
+
+export const CERTIFICATE_FORMAT = 'archishield-audit-certificate';
+export const CERTIFICATE_VERSION = 1;
+
+const HASH_ALGORITHM = 'SHA-256';
+const SIGNATURE_ALGORITHM = 'Ed25519';
+
+// Building values measured from the footprint polygon (recorded through the polygon itself)
+const DERIVED_BUILDING_FIELDS = ['latitude', 'longitude', 'lat', 'lng', 'footprint', 'footprintWidth', 'footprintDepth', 'perimeter'];
+
+/**
+ * Canonical JSON: object keys sorted, no whitespace, undefined members dropped
+ * (as JSON.stringify does), so equal values always serialise to the same bytes
+ * @param {*} value
+ * @returns {string}
+ */
+export function canonicalJson(value) {
+    if (value === null || typeof value !== 'object') {
+        return JSON.stringify(value) ?? 'null';
+    }
+    if (typeof value.toJSON === 'function') {
+        return canonicalJson(value.toJSON());
+    }
+    if (Array.isArray(value)) {
+        return `[${value.map(item => (item === undefined || typeof item === 'function' ? 'null' : canonicalJson(item))).join(',')}]`;
+    }
+    const members = Object.keys(value)
+        .sort()
+        .filter(key => value[key] !== undefined && typeof value[key] !== 'function')
+        .map(key => `${JSON.stringify(key)}:${canonicalJson(value[key])}`);
+    return `{${members.join(',')}}`;
+}
+
+function toHex(buffer) {
+    return [...new Uint8Array(buffer)].map(byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+function toBase64(buffer) {
+    return btoa(String.fromCharCode(...new Uint8Array(buffer)));
+}
+
+function fromBase64(text) {
+    return Uint8Array.from(atob(text), char => char.charCodeAt(0));
+}
+
+function getSubtle() {
+    const subtle = globalThis.crypto?.subtle;
+    if (!subtle) throw new Error('Web Crypto is not available (certificates need a secure context or Node 20+)');
+    return subtle;
+}
+
+/**
+ * SHA-256 of a string (UTF-8), as lowercase hex
+ */
+export async function sha256Hex(text) {
+    return toHex(await getSubtle().digest(HASH_ALGORITHM, new TextEncoder().encode(text)));
+}
+
+// The bytes the issuer signs: the content hash and the issue time
+function signedStatement(certificate) {
+    return new TextEncoder().encode(canonicalJson({
+        format: certificate.format,
+        version: certificate.version,
+        hash: certificate.hash,
+        issuedAt: certificate.issuedAt
+    }));
+}
+
+/**
+ * Key id of a public key: the first 16 hex digits of the SHA-256 of its raw bytes
+ * @param {CryptoKey|string} publicKey - Key, or its raw bytes as base64
+ */
+export async function getKeyId(publicKey) {
+    const raw = typeof publicKey === 'string'
+        ? fromBase64(publicKey)
+        : await getSubtle().exportKey('raw', publicKey);
+    return toHex(await getSubtle().digest(HASH_ALGORITHM, raw)).slice(0, 16);
+}
+
+/**
+ * New Ed25519 issuer key pair
+ * @param {Object} options - { extractable } (default true, so it can be stored with exportCertificateKey);
+ *   a non-extractable private key can sign but never be read back, only kept as a CryptoKey (IndexedDB)
+ * @returns {Promise<CryptoKeyPair>}
+ */
+export function createCertificateKey({ extractable = true } = {}) {
+    return getSubtle().generateKey({ name: SIGNATURE_ALGORITHM }, extractable, ['sign', 'verify']);
+}
+
+/**
+ * Key pair as JWKs for storage
+ * @returns {Promise<Object>} { publicKey, privateKey }
+ */
+export async function exportCertificateKey(keyPair) {
+    const subtle = getSubtle();
+    return {
+        publicKey: await subtle.exportKey('jwk', keyPair.publicKey),
+        privateKey: await subtle.exportKey('jwk', keyPair.privateKey)
+    };
+}
+
+/**
+ * Key pair from stored JWKs (see exportCertificateKey)
+ * @returns {Promise<CryptoKeyPair>}
+ */
+export async function importCertificateKey({ publicKey, privateKey }) {
+    const subtle = getSubtle();
+    return {
+        publicKey: await subtle.importKey('jwk', publicKey, { name: SIGNATURE_ALGORITHM }, true, ['verify']),
+        privateKey: await subtle.importKey('jwk', privateKey, { name: SIGNATURE_ALGORITHM }, true, ['sign'])
+    };
+}
+
+/**
+ * Design parameters that rebuild the audited building exactly: the building's
+ * own values, with the footprint given by its polygon
+ * @param {Object} building - Audited building (results.building)
+ */
+export function getCertificateInputs(building) {
+    const params = Object.fromEntries(
+        Object.entries(building).filter(([key, value]) => !DERIVED_BUILDING_FIELDS.includes(key) && value !== null)
+    );
+    return { latitude: building.latitude, longitude: building.longitude, params };
+}
+
+/**
+ * The audit findings a certificate attests: verdict, per-audit outcome,
+ * constraints and mandates (traces, reasoning and measurements are left out)
+ * @param {Object} auditData - Spot-Audit result (executeAllAudits / runSpotAudit)
+ */
+export function summarizeAuditResults(auditData) {
+    return {
+        feasibility: auditData.feasibility,
+        status: auditData.status,
+        passedCount: auditData.passedCount,
+        totalAudits: auditData.totalAudits,
+        audits: Object.values(auditData.audits || {}).map(audit => ({
+            id: audit.id,
+            name: audit.name,
+            passed: audit.passed,
+            status: audit.status,
+            score: audit.score
+        })),
+        constraints: auditData.constraints || [],
+        mandates: auditData.mandates || []
+    };
+}
+
+/**
+ * Hashed content of a certificate for an audit
+ * @param {Object} audit - { building, jurisdiction, disabledAudits, ...auditData } (the app's results)
+ */
+export function buildCertificateContent({ building, jurisdiction, disabledAudits = [], ...auditData }) {
+    return {
+        inputs: { ...getCertificateInputs(building), disabledAudits: [...disabledAudits].sort() },
+        rules: {
+            jurisdiction: jurisdiction.id,
+            name: jurisdiction.name,
+            framework: jurisdiction.framework,
+            authority: jurisdiction.authority,
+            version: jurisdiction.version,
+            ruleVersion: jurisdiction.ruleVersion,
+            asOf: jurisdiction.asOf
+        },
+        results: summarizeAuditResults(auditData)
+    };
+}
+
+/**
+ * Issue a signed certificate for an audit
+ * @param {Object} audit - Spot-Audit result with `building` and `jurisdiction` (plus `disabledAudits` if any)
+ * @param {CryptoKeyPair} keyPair - Ed25519 issuer key
+ * @param {Object} options - { issuedAt } (default: now)
+ * @returns {Promise<Object>} { format, version, hashAlgorithm, hash, issuedAt, content, signature }
+ */
+export async function issueCertificate(audit, keyPair, { issuedAt = new Date() } = {}) {
+    if (!audit?.building || !audit.jurisdiction) {
+        throw new Error('A certificate needs a completed audit (building and jurisdiction)');
+    }
+    const content = buildCertificateContent(audit);
+    const certificate = {
+        format: CERTIFICATE_FORMAT,
+        version: CERTIFICATE_VERSION,
+        hashAlgorithm: HASH_ALGORITHM,
+        hash: await sha256Hex(canonicalJson(content)),
+        issuedAt: new Date(issuedAt).toISOString(),
+        content
+    };
+
+    const subtle = getSubtle();
+    const publicKey = toBase64(await subtle.exportKey('raw', keyPair.publicKey));
+    const signature = await subtle.sign(SIGNATURE_ALGORITHM, keyPair.privateKey, signedStatement(certificate));
+
+    return {
+        ...certificate,
+        signature: {
+            algorithm: SIGNATURE_ALGORITHM,
+            keyId: await getKeyId(publicKey),
+            publicKey,
+            value: toBase64(signature)
+        }
+    };
+}
+
+/**
+ * Issuer key ids from a comma- or space-separated list (config, CLI flag, form field)
+ * @param {string} text
+ * @returns {Array} Lowercase key ids
+ */
+export function parseKeyIds(text) {
+    return String(text || '').split(/[\s,]+/).map(id => id.trim().toLowerCase()).filter(Boolean);
+}
+
+/**
+ * Verify a certificate offline: its content against the hash, the hash and issue
+ * time against the signature, and the signing key against the pinned issuer keys.
+ * Anyone can sign a forged certificate with a fresh key, so a valid signature only
+ * proves integrity; a certificate is valid only when signed by a pinned key.
+ * @param {Object|string} certificate - Certificate object or its JSON text
+ * @param {Object} options - { trustedKeys: [keyId, ...] } pinned issuer key ids
+ * @returns {Promise<Object>} { valid, integrityValid, hashValid, signatureValid, trusted, keyId, hash,
+ *   computedHash, issuedAt, errors }
+ *   integrityValid: hash and signature check out (issuer not considered);
+ *   valid: integrityValid and signed by a trusted key
+ */
+export async function verifyCertificate(certificate, { trustedKeys = [] } = {}) {
+    const report = {
+        valid: false,
+        integrityValid: false,
+        hashValid: false,
+        signatureValid: false,
+        trusted: false,
+        keyId: null,
+        hash: null,
+        computedHash: null,
+        issuedAt: null,
+        errors: []
+    };
+
+    let cert = certificate;
+    if (typeof cert === 'string') {
+        try {
+            cert = JSON.parse(cert);
+        } catch (error) {
+            report.errors.push(`Not a certificate file: ${error.message}`);
+            return report;
+        }
+    }
+    if (cert?.format !== CERTIFICATE_FORMAT) {
+        report.errors.push('Not an ArchiShield audit certificate');
+        return report;
+    }
+    if (cert.version !== CERTIFICATE_VERSION) {
+        report.errors.push(`Unsupported certificate version: ${cert.version} (expected ${CERTIFICATE_VERSION})`);
+        return report;
+    }
+    report.hash = cert.hash;
+    report.issuedAt = cert.issuedAt;
+
+    if (cert.hashAlgorithm !== HASH_ALGORITHM) {
+        report.errors.push(`Unsupported hash algorithm: ${cert.hashAlgorithm}`);
+    } else if (!cert.content) {
+        report.errors.push('Certificate has no content');
+    } else {
+        report.computedHash = await sha256Hex(canonicalJson(cert.content));
+        report.hashValid = report.computedHash === cert.hash;
+        if (!report.hashValid) report.errors.push('Content does not match the hash (the certificate was altered)');
+    }
+
+    const signature = cert.signature;
+    if (signature?.algorithm !== SIGNATURE_ALGORITHM || !signature.publicKey || !signature.value) {
+        report.errors.push('Certificate is not signed with Ed25519');
+    } else {
+        try {
+            const subtle = getSubtle();
+            const publicKey = await subtle.importKey('raw', fromBase64(signature.publicKey), { name: SIGNATURE_ALGORITHM }, false, ['verify']);
+            report.keyId = await getKeyId(signature.publicKey);
+            report.signatureValid = await subtle.verify(SIGNATURE_ALGORITHM, publicKey, fromBase64(signature.value), signedStatement(cert));
+            if (!report.signatureValid) report.errors.push('Signature does not match the hash and issue time');
+            if (signature.keyId && signature.keyId !== report.keyId) {
+                report.signatureValid = false;
+                report.errors.push(`Key id ${signature.keyId} does not match the public key (${report.keyId})`);
+            }
+        } catch (error) {
+            report.errors.push(`Signature could not be checked: ${error.message}`);
+        }
+    }
+
+    if (!trustedKeys?.length) {
+        report.errors.push('No issuer key pinned: integrity only, the issuer is untrusted');
+    } else {
+        report.trusted = report.keyId !== null && trustedKeys.includes(report.keyId);
+        if (!report.trusted) report.errors.push(`Signing key ${report.keyId || '(none)'} is not a trusted issuer key`);
+    }
+
+    report.integrityValid = report.hashValid && report.signatureValid;
+    report.valid = report.integrityValid && report.trusted;
+    return report;
+}
+
+/**
+ * Re-run the audit from a certificate's recorded inputs and rules, and compare
+ * the findings with the certified ones (same datasets as the issuing app needed)
+ * @param {Object} certificate
+ * @param {Object} auditOptions - { buildings, buildingIndex, zoningPlan, geology, tunnels, registry }
+ * @returns {Promise<Object>} { reproduced, hash, computedHash, feasibility, computedFeasibility, status, computedStatus }
+ */
+export async function reproduceCertificate(certificate, { registry = defaultAuditRegistry, ...datasets } = {}) {
+    const { inputs, rules } = certificate.content;
+    let projectRegistry = registry;
+    if (inputs.disabledAudits?.length) {
+        projectRegistry = registry.clone();
+        inputs.disabledAudits.forEach(id => projectRegistry.disable(id));
+    }
+
+    const result = runSpotAudit({
+        latitude: inputs.latitude,
+        longitude: inputs.longitude,
+        params: inputs.params,
+        ...datasets,
+        registry: projectRegistry,
+        jurisdiction: rules.jurisdiction,
+        asOf: rules.asOf
+    });
+    const computedHash = await sha256Hex(canonicalJson(
+        buildCertificateContent({ ...result, disabledAudits: inputs.disabledAudits })
+    ));
+
+    return {
+        reproduced: computedHash === certificate.hash,
+        hash: certificate.hash,
+        computedHash,
+        feasibility: certificate.content.results.feasibility,
+        computedFeasibility: result.feasibility,
+        status: certificate.content.results.status,
+        computedStatus: result.status
+    };
+}
+
+export default issueCertificate;
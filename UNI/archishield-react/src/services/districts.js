@@ -0,0 +1,51 @@
+/**
+ * Vienna District Lookup
+ *
+ * Resolves a location to one of the 23 Bezirke using the bundled boundary
+ * polygons. Shared by the audits, the headless core and the UI so every
+ * consumer agrees on the district number and name.
+ */
+import { VIENNA_DISTRICTS } from '../data/vienna_districts.js';
+import SpatialUtils from './spatial.js';
+
+export const DISTRICT_NAMES = Object.fromEntries(
+    VIENNA_DISTRICTS.features.map(f => [f.properties.district, f.properties.name])
+);
+
+/**
+ * Find the district containing a point
+ * @param {number} lat
+ * @param {number} lng
+ * @returns {Object|null} { number, name } or null outside Vienna
+ */
+export function findDistrict(lat, lng) {
+    if (typeof lat !== 'number' || typeof lng !== 'number') return null;
+
+    const point = { lat, lng };
+    const feature = VIENNA_DISTRICTS.features.find(f =>
+        SpatialUtils.isPointInGeometry(point, f.geometry)
+    );
+    if (!feature) return null;
+
+    return {
+        number: feature.properties.district,
+        name: feature.properties.name
+    };
+}
+
+// District number (1-23) for a point, or null outside Vienna
+export function detectDistrict(lat, lng) {
+    return findDistrict(lat, lng)?.number ?? null;
+}
+
+export function getDistrictName(number) {
+    return DISTRICT_NAMES[number] || null;
+}
+
+// Display label, e.g. "7. Neubau"
+export function formatDistrict(number) {
+    const name = getDistrictName(number);
+    return name ? `${number}. ${name}` : null;
+}
+
+export default findDistrict;
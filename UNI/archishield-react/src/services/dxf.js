@@ -0,0 +1,347 @@
+/**
+ * 3D DXF Export - Spot-Audit Site Model for Revit and Rhino
+ *
+ * Extends the legacy ExportModule.toDXF (2D footprint, setback ring, roof
+ * faces) to a 3D site model in local metres around the site (x east, y north,
+ * z up, origin at the audited location):
+ * - the proposed design and the zoning height limit as closed polyface meshes;
+ * - the solver's maximum envelope, when one was found;
+ * - setback zones (Abstandsflächen, and the lot's building line);
+ * - U-Bahn tunnel buffers at the critical and restricted distances, with the
+ *   tunnel crown as a 3D polyline at its depth;
+ * - neighboring buildings as meshes at their recorded height.
+ * Each goes on its own named layer (DXF_LAYERS). The audit results travel as
+ * block attributes: one ARCHISHIELD_AUDIT insert with the summary and the
+ * score of every audit, and one ARCHISHIELD_FINDING insert per constraint.
+ *
+ * Written as DXF R12 (AC1009), which needs no entity handles and is read by
+ * Revit, Rhino and AutoCAD alike. Text outside ASCII uses \U+XXXX escapes.
+ */
+import { getFootprintPolygon, getOuterRing } from './footprint.js';
+import { createLocalProjection, isPointInRing, offsetRing, signedRingArea, distanceToSegment, triangulateRing } from './geometry.js';
+import { boundsAround, getSpatialIndex } from './spatial_index.js';
+import { resolveJurisdiction } from './jurisdictions/index.js';
+
+// Neighbors and tunnels within this distance of the site are exported (m)
+export const DXF_SITE_RADIUS = 150;
+
+// Layer name, ACI colour and line type
+export const DXF_LAYERS = {
+    proposed: { name: 'PROPOSED_ENVELOPE', color: 7, linetype: 'CONTINUOUS' },
+    regulatory: { name: 'REGULATORY_ENVELOPE', color: 4, linetype: 'CONTINUOUS' },
+    maxEnvelope: { name: 'MAX_ENVELOPE', color: 3, linetype: 'CONTINUOUS' },
+    setback: { name: 'SETBACK_ZONE', color: 2, linetype: 'DASHED' },
+    lot: { name: 'PROPERTY_BOUNDARY', color: 1, linetype: 'CONTINUOUS' },
+    tunnelBuffer: { name: 'TUNNEL_BUFFER', color: 1, linetype: 'DASHED' },
+    tunnel: { name: 'TUNNEL_CENTERLINE', color: 6, linetype: 'CONTINUOUS' },
+    neighbors: { name: 'NEIGHBOR_BUILDINGS', color: 8, linetype: 'CONTINUOUS' },
+    audit: { name: 'AUDIT_RESULTS', color: 5, linetype: 'CONTINUOUS' }
+};
+
+const AUDIT_BLOCK = 'ARCHISHIELD_AUDIT';
+const FINDING_BLOCK = 'ARCHISHIELD_FINDING';
+const FINDING_TAGS = ['AUDIT', 'TYPE', 'SEVERITY', 'MESSAGE', 'CITATION', 'RULE'];
+const TEXT_HEIGHT = 1.2;
+const LINE_SPACING = 1.8;
+
+// ============================================
+// DXF WRITING
+// ============================================
+
+const num = value => (Math.round(value * 10000) / 10000).toString();
+
+// Group code / value pairs, one per line
+function pairs(...entries) {
+    return entries.map(([code, value]) => `${code}\n${value}\n`).join('');
+}
+
+// DXF text: single line, at most 255 characters, non-ASCII as \U+XXXX
+function encodeText(value) {
+    return String(value ?? '')
+        .replace(/\s+/g, ' ')
+        .trim()
+        .slice(0, 255)
+        .replace(/[^\x20-\x7E]/gu, char => `\\U+${char.codePointAt(0).toString(16).toUpperCase().padStart(4, '0')}`);
+}
+
+function point(code, [x, y, z = 0]) {
+    return [[10 + code, num(x)], [20 + code, num(y)], [30 + code, num(z)]];
+}
+
+// 3D polyline through [x, y, z] points
+function polyline(points, layer, { closed = false } = {}) {
+    return pairs([0, 'POLYLINE'], [8, layer], [66, 1], ...point(0, [0, 0, 0]), [70, closed ? 9 : 8])
+        + points.map(p => pairs([0, 'VERTEX'], [8, layer], ...point(0, p), [70, 32])).join('')
+        + pairs([0, 'SEQEND'], [8, layer]);
+}
+
+// Closed polyface mesh of a prism: the ring extruded from `bottom` to `top`
+function prismMesh(ring, bottom, top, layer) {
+    // Counter-clockwise so the faces point outward
+    const points = signedRingArea(ring) < 0 ? [...ring].reverse() : ring;
+    const n = points.length;
+    const vertices = [...points.map(([x, y]) => [x, y, bottom]), ...points.map(([x, y]) => [x, y, top])];
+    const caps = triangulateRing(points);
+    const faces = [
+        ...points.map((_, i) => [i + 1, (i + 1) % n + 1, (i + 1) % n + n + 1, i + n + 1]),
+        ...caps.map(([a, b, c]) => [a + n + 1, b + n + 1, c + n + 1]),
+        ...caps.map(([a, b, c]) => [c + 1, b + 1, a + 1])
+    ];
+
+    return pairs([0, 'POLYLINE'], [8, layer], [66, 1], ...point(0, [0, 0, 0]), [70, 64], [71, vertices.length], [72, faces.length])
+        + vertices.map(p => pairs([0, 'VERTEX'], [8, layer], ...point(0, p), [70, 192])).join('')
+        + faces.map(face => pairs(
+            [0, 'VERTEX'], [8, layer], ...point(0, [0, 0, 0]), [70, 128],
+            ...face.map((index, i) => [71 + i, index])
+        )).join('')
+        + pairs([0, 'SEQEND'], [8, layer]);
+}
+
+function text(at, value, layer, height = TEXT_HEIGHT) {
+    return pairs([0, 'TEXT'], [8, layer], ...point(0, at), [40, num(height)], [1, encodeText(value)]);
+}
+
+function attributeDefinition(tag, index) {
+    return pairs(
+        [0, 'ATTDEF'], [8, '0'], ...point(0, [0, -index * LINE_SPACING, 0]), [40, num(TEXT_HEIGHT)],
+        [1, ''], [3, tag], [2, tag], [70, 0]
+    );
+}
+
+// Block insert followed by its attribute values
+function insert(block, at, attributes, layer) {
+    return pairs([0, 'INSERT'], [8, layer], [66, 1], [2, block], ...point(0, at))
+        + attributes.map(([tag, value], index) => pairs(
+            [0, 'ATTRIB'], [8, layer], ...point(0, [at[0], at[1] - index * LINE_SPACING, at[2] || 0]),
+            [40, num(TEXT_HEIGHT)], [1, encodeText(value)], [2, tag], [70, 0]
+        )).join('')
+        + pairs([0, 'SEQEND'], [8, layer]);
+}
+
+function blockDefinition(name, tags) {
+    return pairs([0, 'BLOCK'], [8, '0'], [2, name], [70, 2], ...point(0, [0, 0, 0]), [3, name])
+        + tags.map(attributeDefinition).join('')
+        + pairs([0, 'ENDBLK'], [8, '0']);
+}
+
+function tables() {
+    const linetypes = [
+        pairs([0, 'LTYPE'], [2, 'CONTINUOUS'], [70, 0], [3, 'Solid line'], [72, 65], [73, 0], [40, '0.0']),
+        pairs([0, 'LTYPE'], [2, 'DASHED'], [70, 0], [3, '__ __ __'], [72, 65], [73, 2], [40, '1.5'], [49, '1.0'], [49, '-0.5'])
+    ];
+    const layers = Object.values(DXF_LAYERS).map(({ name, color, linetype }) =>
+        pairs([0, 'LAYER'], [2, name], [70, 0], [62, color], [6, linetype]));
+
+    return pairs([0, 'SECTION'], [2, 'TABLES'])
+        + pairs([0, 'TABLE'], [2, 'LTYPE'], [70, linetypes.length]) + linetypes.join('') + pairs([0, 'ENDTAB'])
+        + pairs([0, 'TABLE'], [2, 'LAYER'], [70, layers.length]) + layers.join('') + pairs([0, 'ENDTAB'])
+        + pairs([0, 'ENDSEC']);
+}
+
+// ============================================
+// SITE GEOMETRY (local metres)
+// ============================================
+
+// Parallel polyline at a signed distance (left of the direction of travel when positive)
+function offsetPolyline(points, distance) {
+    const normal = (a, b) => {
+        const dx = b[0] - a[0], dy = b[1] - a[1];
+        const len = Math.hypot(dx, dy) || 1;
+        return [-dy / len, dx / len];
+    };
+    return points.map((p, i) => {
+        const n1 = normal(points[Math.max(i - 1, 0)], points[Math.max(i, 1)]);
+        const n2 = normal(points[Math.min(i, points.length - 2)], points[Math.min(i + 1, points.length - 1)]);
+        const bisector = [n1[0] + n2[0], n1[1] + n2[1]];
+        const len = Math.hypot(bisector[0], bisector[1]) || 1;
+        const cosHalf = Math.max((n1[0] * bisector[0] + n1[1] * bisector[1]) / len, 0.25);
+        const scale = distance / cosHalf / len;
+        return [p[0] + bisector[0] * scale, p[1] + bisector[1] * scale];
+    });
+}
+
+/**
+ * Tunnel sections that pass within `reach` of the site
+ * @returns {Array} [{ line, points: [[x, y, depth], ...] }] - contiguous runs of the centerline
+ */
+function nearbyTunnelRuns(tunnels, projection, reach) {
+    const runs = [];
+    for (const feature of tunnels?.features || []) {
+        const coords = feature.geometry?.type === 'LineString' ? feature.geometry.coordinates : [];
+        const depths = feature.properties?.depths || [];
+        const points = coords.map((coord, i) => [...projection.toLocal(coord), depths[i] ?? 0]);
+
+        let run = null;
+        for (let i = 0; i < points.length - 1; i++) {
+            const near = distanceToSegment([0, 0], points[i], points[i + 1]) <= reach;
+            if (near && !run) {
+                run = { line: feature.properties?.line || feature.properties?.id, points: [points[i]] };
+                runs.push(run);
+            }
+            if (near) run.points.push(points[i + 1]);
+            else run = null;
+        }
+    }
+    return runs;
+}
+
+// Buildings around the site, without the one standing on it (the design replaces it)
+function nearbyBuildings(buildingIndex, site, projection, radius) {
+    return buildingIndex.search(boundsAround(site, radius))
+        .map(feature => ({
+            ring: getOuterRing(feature.geometry).map(coord => projection.toLocal(coord)),
+            height: Number(feature.properties?.height) || 0
+        }))
+        .filter(({ ring }) => ring.length >= 3 && !isPointInRing([0, 0], ring));
+}
+
+function getAuditAttributes(results, certificate) {
+    const { building, jurisdiction } = results;
+    return [
+        ['SITE', `${building.latitude.toFixed(6)}N ${building.longitude.toFixed(6)}E`],
+        ['DISTRICT', results.district ? `${results.district} ${results.districtName || ''}` : ''],
+        ['JURISDICTION', jurisdiction?.name || ''],
+        ['RULE_VERSION', jurisdiction?.ruleVersion?.label || jurisdiction?.version || ''],
+        ['AS_OF', jurisdiction?.asOf || ''],
+        ['DESIGN', `${building.height}m, ${building.floors} floors, ${building.footprint}m2, ${building.material}`],
+        ['FEASIBILITY', `${results.feasibility}%`],
+        ['STATUS', results.status],
+        ['PASSED', `${results.passedCount}/${results.totalAudits}`],
+        ['KEY_RISK', results.keyRisk || ''],
+        ...Object.entries(results.audits || {}).map(([id, audit]) =>
+            [`AUDIT_${id.toUpperCase()}`, `${audit.status} ${Math.round(audit.score)}/100`]),
+        ['CONSTRAINTS', (results.constraints || []).length],
+        ['MANDATES', (results.mandates || []).map(mandate => mandate.type).join(', ')],
+        ['CERTIFICATE', certificate ? `${certificate.hash} (key ${certificate.signature.keyId})` : 'not issued'],
+        ['AUDITED', results.timestamp || '']
+    ];
+}
+
+/**
+ * 3D DXF site model of a Spot-Audit result
+ * @param {Object} results - Spot-Audit result (success, building, jurisdiction, audits, constraints, ...)
+ * @param {Object} options
+ * @param {Object} options.envelope - Maximum envelope result; exported on MAX_ENVELOPE when feasible
+ * @param {Array} options.buildings - Neighbor building features (or pass options.buildingIndex)
+ * @param {Object} options.tunnels - U-Bahn tunnel centerlines GeoJSON
+ * @param {Object} options.certificate - Signed certificate of this audit (its hash becomes an attribute)
+ * @param {number} options.radius - Neighbors and tunnels within this distance are exported (m)
+ * @returns {string} DXF file
+ */
+export function createDxfExport(results, {
+    envelope = null,
+    buildings = [],
+    buildingIndex = getSpatialIndex(buildings),
+    tunnels = null,
+    certificate = null,
+    radius = DXF_SITE_RADIUS
+} = {}) {
+    if (!results?.success || !results.building) {
+        throw new Error('A DXF export needs a completed audit');
+    }
+    const { building } = results;
+    const site = { lat: building.latitude, lng: building.longitude };
+    const projection = createLocalProjection(site);
+    const local = geometry => getOuterRing(geometry).map(coord => projection.toLocal(coord));
+    const flat = (ring, z = 0) => ring.map(([x, y]) => [x, y, z]);
+    const pack = resolveJurisdiction({
+        jurisdiction: results.jurisdiction?.id,
+        latitude: building.latitude,
+        longitude: building.longitude,
+        asOf: results.jurisdiction?.asOf
+    });
+    const zoning = results.audits?.zoning?.data || {};
+    const L = Object.fromEntries(Object.entries(DXF_LAYERS).map(([key, layer]) => [key, layer.name]));
+
+    const footprint = local(getFootprintPolygon(building));
+    const entities = [];
+
+    // Proposed design
+    entities.push(prismMesh(footprint, 0, building.height, L.proposed));
+
+    // Zoning height limit over the lot's buildable area (else over the footprint)
+    const lot = building.lotPolygon ? local(building.lotPolygon) : null;
+    const lotRule = pack.zoningCode.lotRules?.[zoning.bauweise || pack.zoningCode.defaultBauweise];
+    const buildable = lot && lotRule ? offsetRing(lot, -lotRule.minSetback) : footprint;
+    const heightLimit = zoning.regulatoryHeight
+        || pack.zoningCode.bauklassen[pack.zoningCode.defaultBauklasse]?.maxHeight;
+    if (heightLimit) {
+        entities.push(prismMesh(buildable, 0, heightLimit, L.regulatory));
+    }
+
+    // Largest compliant volume the solver found
+    if (envelope?.feasible && envelope.footprintPolygon) {
+        entities.push(prismMesh(local(envelope.footprintPolygon), 0, envelope.height, L.maxEnvelope));
+    }
+
+    // Abstandsfläche around the design; building line and lot outline where a lot is given
+    const { setbackFormula, minSetbackMeters } = pack.zoningCode;
+    const setback = Math.max(setbackFormula * building.height, minSetbackMeters);
+    entities.push(polyline(flat(offsetRing(footprint, setback)), L.setback, { closed: true }));
+    entities.push(text([0, -setback - 2 * LINE_SPACING, 0], `Setback ${setback.toFixed(1)}m`, L.setback));
+    if (lot) {
+        entities.push(polyline(flat(lot), L.lot, { closed: true }));
+        if (lotRule?.minSetback > 0) entities.push(polyline(flat(buildable), L.setback, { closed: true }));
+    }
+
+    // Tunnel corridors at the subsurface thresholds, crown line at depth
+    const { critical, restricted } = pack.subsurfaceCode.thresholds;
+    for (const run of nearbyTunnelRuns(tunnels, projection, radius + restricted)) {
+        const centerline = run.points.map(([x, y]) => [x, y]);
+        for (const distance of [critical, restricted]) {
+            const corridor = [...offsetPolyline(centerline, distance), ...offsetPolyline(centerline, -distance).reverse()];
+            entities.push(polyline(flat(corridor), L.tunnelBuffer, { closed: true }));
+        }
+        entities.push(polyline(run.points.map(([x, y, depth]) => [x, y, -depth]), L.tunnel));
+        const [x, y, depth] = run.points[Math.floor(run.points.length / 2)];
+        entities.push(text([x, y, -depth], `${run.line} crown -${depth}m`, L.tunnel));
+    }
+
+    // Neighbor buildings (outline only where the height is unknown)
+    for (const neighbor of nearbyBuildings(buildingIndex, site, projection, radius)) {
+        entities.push(neighbor.height > 0
+            ? prismMesh(neighbor.ring, 0, neighbor.height, L.neighbors)
+            : polyline(flat(neighbor.ring), L.neighbors, { closed: true }));
+    }
+
+    // Audit results as block attributes, placed beside the site
+    const column = Math.max(setback, ...footprint.map(([px]) => px)) + 10;
+    const auditAttributes = getAuditAttributes(results, certificate);
+    entities.push(insert(AUDIT_BLOCK, [column, 0, 0], auditAttributes, L.audit));
+    let rowY = -(auditAttributes.length + 2) * LINE_SPACING;
+    for (const [auditId, audit] of Object.entries(results.audits || {})) {
+        for (const constraint of audit.constraints || []) {
+            entities.push(insert(FINDING_BLOCK, [column, rowY, 0], [
+                ['AUDIT', auditId],
+                ['TYPE', constraint.type],
+                ['SEVERITY', constraint.severity || ''],
+                ['MESSAGE', constraint.message || ''],
+                ['CITATION', constraint.citation || ''],
+                ['RULE', constraint.rule || '']
+            ], L.audit));
+            rowY -= (FINDING_TAGS.length + 1) * LINE_SPACING;
+        }
+    }
+
+    const extent = Math.max(radius, column + 60);
+    const top = Math.max(building.height, heightLimit || 0, envelope?.feasible ? envelope.height : 0);
+    const header = pairs([0, 'SECTION'], [2, 'HEADER'])
+        + pairs([9, '$ACADVER'], [1, 'AC1009'])
+        + pairs([9, '$INSBASE'], ...point(0, [0, 0, 0]))
+        + pairs([9, '$EXTMIN'], ...point(0, [-extent, -extent, -40]))
+        + pairs([9, '$EXTMAX'], ...point(0, [extent, extent, top]))
+        + pairs([9, '$INSUNITS'], [70, 6])
+        + pairs([0, 'ENDSEC']);
+    const blocks = pairs([0, 'SECTION'], [2, 'BLOCKS'])
+        + blockDefinition(AUDIT_BLOCK, auditAttributes.map(([tag]) => tag))
+        + blockDefinition(FINDING_BLOCK, FINDING_TAGS)
+        + pairs([0, 'ENDSEC']);
+
+    return header
+        + tables()
+        + blocks
+        + pairs([0, 'SECTION'], [2, 'ENTITIES']) + entities.join('') + pairs([0, 'ENDSEC'])
+        + pairs([0, 'EOF']);
+}
+
+export default createDxfExport;
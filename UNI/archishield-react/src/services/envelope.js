@@ -0,0 +1,253 @@
+/**
+ * Maximum Buildable Envelope Solver
+ *
+ * Finds the largest envelope a site allows: for each material, the greatest
+ * height and then the greatest footprint whose audit is not REJECTED, meets
+ * the target feasibility and adds no critical constraint beyond those the site
+ * itself imposes (present at the smallest envelope, e.g. a UNESCO buffer or a
+ * flood zone). Candidates are judged by the full audit pipeline, so the
+ * envelope respects the Bauklasse and contextual limit (a height variance is
+ * allowed, a violation is not), the UNESCO height limit, tunnel distances and
+ * the surface seal exactly as a design audit would.
+ *
+ * Each dimension grows from a compliant value in coarse steps, then the first
+ * failing step is bisected down to the search resolution. Floors follow the
+ * height at 3.5m per storey (as the structural audits assume); the footprint
+ * stays a rectangle at the design's rotation. Like ./sensitivity.js, datasets are always passed in.
+ */
+import { defaultAuditRegistry } from './audits/index.js';
+import { STATUS, createSpotBuilding, createAuditContext, executeAllAudits } from './spot_audit.js';
+import { SWEEP_PARAMETERS } from './sensitivity.js';
+import { getSpatialIndex } from './spatial_index.js';
+import { describeJurisdiction, resolveJurisdiction, toDateKey } from './jurisdictions/index.js';
+import APP_CONSTANTS from './constants.js';
+
+const STOREY_HEIGHT = 3.5;
+
+// Lowest feasibility of a MEDIUM verdict
+export const DEFAULT_TARGET_FEASIBILITY = 60;
+
+// Search bounds follow the envelope sliders
+export const ENVELOPE_SEARCH = {
+    height: { min: SWEEP_PARAMETERS.height.min, max: SWEEP_PARAMETERS.height.max, step: 10, resolution: 1 },
+    footprint: { min: SWEEP_PARAMETERS.footprint.min, max: SWEEP_PARAMETERS.footprint.max, step: 50, resolution: 10 }
+};
+
+function roundTo(value, resolution) {
+    return Math.round(value / resolution) * resolution;
+}
+
+function constraintKey(constraint) {
+    return constraint.rule || constraint.type;
+}
+
+function summarizeConstraint({ type, severity, rule, message }) {
+    return { type, severity: severity || 'info', rule: rule || null, message };
+}
+
+/**
+ * Grow one dimension from a compliant start value
+ * @returns {Object} { value, blockedAt } - the largest compliant value, and the first failing one (null at the bound)
+ */
+function grow(test, start, { max, step, resolution }) {
+    let ok = start;
+    let bad = null;
+    for (let next = Math.min(start + step, max); next > ok; next = Math.min(next + step, max)) {
+        if (!test(next)) {
+            bad = next;
+            break;
+        }
+        ok = next;
+    }
+    while (bad !== null && bad - ok > resolution) {
+        const mid = roundTo((ok + bad) / 2, resolution);
+        if (mid <= ok || mid >= bad) break;
+        if (test(mid)) ok = mid;
+        else bad = mid;
+    }
+    return { value: ok, blockedAt: bad };
+}
+
+function failureReason(run, target) {
+    if (run.status === STATUS.REJECTED) return 'REJECTED';
+    if (run.feasibility < target) return `feasibility ${run.feasibility}% below ${target}%`;
+    return 'new critical constraint';
+}
+
+/**
+ * Why growing past a value fails: the constraints the failing run adds
+ * @returns {Object|null} { value, reason, constraints } - null when the search bound was reached
+ */
+function explainLimit(okRun, badRun, value, target) {
+    if (!badRun) return null;
+    const known = new Set(okRun.constraints.map(constraintKey));
+    const added = badRun.constraints.filter(c => !known.has(constraintKey(c)));
+    return { value, reason: failureReason(badRun, target), constraints: added.map(summarizeConstraint) };
+}
+
+/**
+ * Solve the maximum envelope of a design at a site
+ * @param {Object} site - { latitude, longitude, params, context }
+ *   params: the design's building parameters (rotation, surfaceSeal, basementDepth, ...); its height,
+ *   floors, footprint and material are what the solver varies;
+ *   context: as createAuditContext (built when omitted)
+ * @param {Object} goals - { targetFeasibility, materials }
+ *   targetFeasibility: lowest acceptable feasibility (default 60); materials: candidates (default: all sweep materials)
+ * @param {Object} options - As executeAllAudits: { registry, buildings, buildingIndex, zoningPlan, geology, tunnels, jurisdiction }
+ * @returns {Object} { targetFeasibility, feasible, material, height, floors, footprint, volume, feasibility, status,
+ *   footprintPolygon, limitedBy, materials, runs }
+ *   The top-level envelope is the best material's (largest volume, then highest feasibility);
+ *   limitedBy: { height, footprint } - what stops each dimension from growing, null at the search bound;
+ *   materials: the envelope per material; materials that fail even at the smallest size carry the `reason`
+ *   and `blockedBy`, the blocking constraints (critical ones when the failure is not a rejection);
+ *   runs: audits evaluated
+ */
+export function solveMaxEnvelope(site, {
+    targetFeasibility = DEFAULT_TARGET_FEASIBILITY,
+    materials = SWEEP_PARAMETERS.material.values
+} = {}, {
+    registry = defaultAuditRegistry,
+    buildings = [],
+    buildingIndex = getSpatialIndex(buildings),
+    zoningPlan = null,
+    geology = null,
+    tunnels = null,
+    jurisdiction = APP_CONSTANTS
+} = {}) {
+    const { latitude, longitude, params = {} } = site;
+    const context = site.context || createAuditContext(latitude, longitude, buildingIndex);
+    const { height: heightSearch, footprint: footprintSearch } = ENVELOPE_SEARCH;
+
+    // The footprint is rebuilt as a rectangle, so a given outline must not override it
+    const designParams = { ...params };
+    delete designParams.footprintPolygon;
+    const design = createSpotBuilding(latitude, longitude, designParams);
+
+    const cache = new Map();
+    const evaluate = (material, height, footprint) => {
+        const key = `${material}|${height}|${footprint}`;
+        if (!cache.has(key)) {
+            const floors = Math.max(1, Math.floor(height / STOREY_HEIGHT));
+            const building = createSpotBuilding(latitude, longitude, { ...designParams, material, height, floors, footprint });
+            const run = executeAllAudits(building, context, {
+                registry, buildings, buildingIndex, zoningPlan, geology, tunnels, jurisdiction
+            });
+            run.building = building;
+            cache.set(key, run);
+        }
+        return cache.get(key);
+    };
+
+    const solve = (material) => {
+        const minHeight = heightSearch.min;
+        const startFootprint = Math.min(
+            Math.max(roundTo(design.footprint, footprintSearch.resolution), footprintSearch.min),
+            footprintSearch.max
+        );
+
+        // Critical constraints of the smallest envelope come with the site, not the size
+        const smallest = evaluate(material, minHeight, footprintSearch.min);
+        const siteCritical = new Set(smallest.constraints.filter(c => c.severity === 'critical').map(constraintKey));
+        const compliant = (height, area) => {
+            const run = evaluate(material, height, area);
+            return run.status !== STATUS.REJECTED &&
+                run.feasibility >= targetFeasibility &&
+                run.constraints.every(c => c.severity !== 'critical' || siteCritical.has(constraintKey(c)));
+        };
+
+        // Start from the design's footprint at the lowest height, else from the smallest footprint
+        let footprint = startFootprint;
+        if (!compliant(minHeight, footprint)) {
+            if (!compliant(minHeight, footprintSearch.min)) {
+                return {
+                    material,
+                    feasible: false,
+                    reason: failureReason(smallest, targetFeasibility),
+                    blockedBy: smallest.constraints
+                        .filter(c => c.severity === (smallest.status === STATUS.REJECTED ? 'blocking' : 'critical'))
+                        .map(summarizeConstraint),
+                    feasibility: smallest.feasibility,
+                    status: smallest.status
+                };
+            }
+            footprint = grow(f => compliant(minHeight, f), footprintSearch.min, footprintSearch).value;
+        }
+
+        const height = grow(h => compliant(h, footprint), minHeight, heightSearch);
+        const area = grow(f => compliant(height.value, f), footprint, footprintSearch);
+        const run = evaluate(material, height.value, area.value);
+
+        return {
+            material,
+            feasible: true,
+            height: height.value,
+            floors: run.building.floors,
+            footprint: run.building.footprint,
+            volume: Math.round(height.value * run.building.footprint),
+            feasibility: run.feasibility,
+            status: run.status,
+            footprintPolygon: run.building.footprintPolygon,
+            limitedBy: {
+                height: explainLimit(
+                    evaluate(material, height.value, footprint),
+                    height.blockedAt === null ? null : evaluate(material, height.blockedAt, footprint),
+                    height.blockedAt,
+                    targetFeasibility
+                ),
+                footprint: explainLimit(
+                    run,
+                    area.blockedAt === null ? null : evaluate(material, height.value, area.blockedAt),
+                    area.blockedAt,
+                    targetFeasibility
+                )
+            }
+        };
+    };
+
+    const envelopes = materials.map(solve);
+    const best = envelopes
+        .filter(envelope => envelope.feasible)
+        .sort((a, b) => b.volume - a.volume || b.feasibility - a.feasibility)[0];
+
+    return {
+        targetFeasibility,
+        feasible: Boolean(best),
+        ...(best || {
+            material: null, height: null, floors: null, footprint: null, volume: 0,
+            feasibility: null, status: null, footprintPolygon: null, limitedBy: null
+        }),
+        materials: envelopes,
+        runs: cache.size
+    };
+}
+
+/**
+ * One-shot envelope solve for a location, taking the same request as runSpotAudit
+ * @param {Object} request - { latitude, longitude, params, buildings, buildingIndex, zoningPlan, geology, tunnels, registry, jurisdiction, asOf }
+ * @param {Object} goals - { targetFeasibility, materials }
+ * @returns {Object} solveMaxEnvelope's result plus the jurisdiction summary
+ */
+export function runEnvelopeSolver({
+    latitude,
+    longitude,
+    params = {},
+    buildings = [],
+    buildingIndex = getSpatialIndex(buildings),
+    zoningPlan = null,
+    geology = null,
+    tunnels = null,
+    registry = defaultAuditRegistry,
+    jurisdiction = null,
+    asOf = new Date()
+}, goals = {}) {
+    const pack = resolveJurisdiction({ jurisdiction, latitude, longitude, asOf });
+
+    return {
+        jurisdiction: { ...describeJurisdiction(pack), asOf: toDateKey(asOf) },
+        ...solveMaxEnvelope({ latitude, longitude, params }, goals, {
+            registry, buildings, buildingIndex, zoningPlan, geology, tunnels, jurisdiction: pack
+        })
+    };
+}
+
+export default runEnvelopeSolver;
@@ -0,0 +1,252 @@
+/**
+ * Building Footprint Model
+ *
+ * Buildings carry a GeoJSON Polygon footprint ([lng, lat], WGS84). All metric
+ * work (areas, widths, setbacks, neighbor distances) happens in the local
+ * tangent-plane projection of ./geometry.js, centred on the site, which is
+ * accurate to a few centimetres at building scale.
+ */
+
+import {
+    METERS_PER_DEG_LAT,
+    createLocalProjection,
+    distanceBetweenGeometries,
+    distanceToGeometry,
+    distanceToRing,
+    getBounds,
+    getCentroid,
+    isPointInRing,
+    ringPerimeter,
+    signedRingArea
+} from './geometry.js';
+import { expandBounds, isSpatialIndex } from './spatial_index.js';
+
+// Outer ring of a Polygon/MultiPolygon geometry (or a bare ring), without the closing vertex
+export function getOuterRing(geometry) {
+    let ring = geometry;
+    if (geometry?.type === 'Polygon') ring = geometry.coordinates[0];
+    else if (geometry?.type === 'MultiPolygon') ring = geometry.coordinates[0][0];
+    if (!Array.isArray(ring) || ring.length < 3) return [];
+
+    const first = ring[0];
+    const last = ring[ring.length - 1];
+    return first[0] === last[0] && first[1] === last[1] ? ring.slice(0, -1) : ring;
+}
+
+function toPolygon(ring) {
+    return { type: 'Polygon', coordinates: [[...ring, ring[0]]] };
+}
+
+// GeoJSON Polygon for a Polygon/MultiPolygon geometry or bare ring, null if not a footprint
+export function normalizeFootprint(geometry) {
+    const ring = getOuterRing(geometry);
+    if (ring.length < 3) return null;
+    return geometry.type === 'Polygon' ? geometry : toPolygon(ring);
+}
+
+function vertexCentroid(ring) {
+    const sum = ring.reduce((acc, [lng, lat]) => [acc[0] + lng, acc[1] + lat], [0, 0]);
+    return { lng: sum[0] / ring.length, lat: sum[1] / ring.length };
+}
+
+/**
+ * Rectangular footprint of a given area centred on a point
+ * @param {Object} center - { lat, lng }
+ * @param {number} area - Footprint area in m²
+ * @param {Object} options - { aspect: width/depth ratio, rotation: degrees counter-clockwise }
+ * @returns {Object} GeoJSON Polygon
+ */
+export function createRectangularFootprint(center, area, { aspect = 1, rotation = 0 } = {}) {
+    const projection = createLocalProjection(center);
+    const width = Math.sqrt(area * aspect);
+    const depth = area / width;
+    const angle = rotation * Math.PI / 180;
+    const cos = Math.cos(angle);
+    const sin = Math.sin(angle);
+
+    const corners = [
+        [-width / 2, -depth / 2],
+        [width / 2, -depth / 2],
+        [width / 2, depth / 2],
+        [-width / 2, depth / 2]
+    ].map(([x, y]) => projection.toLngLat([x * cos - y * sin, x * sin + y * cos]));
+
+    return toPolygon(corners);
+}
+
+/**
+ * Footprint polygon of a building: the surveyed geometry if it has one,
+ * otherwise a rectangle built from its footprint area and rotation
+ */
+export function getFootprintPolygon(building) {
+    return normalizeFootprint(building.footprintPolygon) || createRectangularFootprint(
+        { lat: building.latitude ?? building.lat, lng: building.longitude ?? building.lng },
+        building.footprint || 200,
+        { rotation: building.rotation || 0, aspect: building.footprintAspect || 1 }
+    );
+}
+
+/**
+ * Metric description of a footprint
+ * @param {Object} geometry - GeoJSON Polygon/MultiPolygon or [lng, lat] ring
+ * @returns {Object} { area, perimeter, centroid, width, depth, orientation }
+ *   width/depth are the sides of the minimum-area bounding rectangle,
+ *   orientation is the bearing (degrees) of its long side
+ */
+export function getFootprintMetrics(geometry) {
+    const ring = getOuterRing(geometry);
+    if (ring.length < 3) {
+        return { area: 0, perimeter: 0, centroid: null, width: 0, depth: 0, orientation: 0 };
+    }
+
+    const centroid = getCentroid(toPolygon(ring));
+    const points = ring.map(createLocalProjection(centroid).toLocal);
+
+    // Minimum-area rectangle: one side is always collinear with a hull edge
+    let best = { area: Infinity, width: 0, depth: 0, orientation: 0 };
+    for (let i = 0, j = points.length - 1; i < points.length; j = i++) {
+        const angle = Math.atan2(points[i][1] - points[j][1], points[i][0] - points[j][0]);
+        const ux = Math.cos(angle), uy = Math.sin(angle);
+        const along = points.map(([x, y]) => x * ux + y * uy);
+        const across = points.map(([x, y]) => -x * uy + y * ux);
+        const sideA = Math.max(...along) - Math.min(...along);
+        const sideB = Math.max(...across) - Math.min(...across);
+        if (sideA * sideB < best.area) {
+            const longIsA = sideA >= sideB;
+            const longAngle = longIsA ? angle : angle + Math.PI / 2;
+            best = {
+                area: sideA * sideB,
+                width: Math.max(sideA, sideB),
+                depth: Math.min(sideA, sideB),
+                orientation: ((90 - longAngle * 180 / Math.PI) % 180 + 180) % 180
+            };
+        }
+    }
+
+    return {
+        area: Math.abs(signedRingArea(points)),
+        perimeter: ringPerimeter(points),
+        centroid,
+        width: best.width,
+        depth: best.depth,
+        orientation: best.orientation
+    };
+}
+
+/**
+ * Width of the footprint seen from a direction, e.g. the facade width facing
+ * the wind or the width of the shadow cast away from the sun
+ * @param {Object} geometry - Footprint geometry
+ * @param {number} bearing - Compass bearing in degrees (0 = north, 90 = east)
+ */
+export function getProjectedWidth(geometry, bearing) {
+    const ring = getOuterRing(geometry);
+    if (ring.length < 3) return 0;
+
+    const points = ring.map(createLocalProjection(vertexCentroid(ring)).toLocal);
+    const angle = bearing * Math.PI / 180;
+    // Unit vector perpendicular to the viewing direction
+    const px = Math.cos(angle), py = -Math.sin(angle);
+    const projections = points.map(([x, y]) => x * px + y * py);
+    return Math.max(...projections) - Math.min(...projections);
+}
+
+/**
+ * Distance in metres from a point to a footprint (0 inside)
+ * @param {Object} point - { lat, lng }
+ * @param {Object} geometry - Footprint geometry
+ */
+export function distanceToFootprint(point, geometry) {
+    const footprint = normalizeFootprint(geometry);
+    return footprint ? distanceToGeometry(point, footprint) : Infinity;
+}
+
+/**
+ * Shortest distance in metres between two footprints (0 if they touch or overlap)
+ * @param {Object} a - Footprint geometry
+ * @param {Object} b - Footprint geometry
+ */
+export function distanceBetweenFootprints(a, b) {
+    const footprintA = normalizeFootprint(a);
+    const footprintB = normalizeFootprint(b);
+    if (!footprintA || !footprintB) return Infinity;
+    return distanceBetweenGeometries(footprintA, footprintB);
+}
+
+/**
+ * Count dataset features within a radius of the footprint edge, measured
+ * edge-to-edge for polygons. Features centred inside the footprint (the
+ * building itself) are skipped.
+ * @param {Object} geometry - Footprint geometry
+ * @param {Array|Object} features - GeoJSON Point/Polygon features, or a spatial index of them
+ * @param {number} radius - metres
+ */
+export function countFeaturesAroundFootprint(geometry, features, radius) {
+    const ring = getOuterRing(geometry);
+    if (ring.length < 3) return 0;
+
+    const footprint = toPolygon(ring);
+    const center = vertexCentroid(ring);
+    const projection = createLocalProjection(center);
+    const points = ring.map(projection.toLocal);
+    const reach = radius + Math.max(...points.map(([x, y]) => Math.hypot(x, y)));
+    const degReachLat = reach / METERS_PER_DEG_LAT;
+    const degReachLng = degReachLat / Math.cos(center.lat * Math.PI / 180);
+    const candidates = isSpatialIndex(features)
+        ? features.search(expandBounds(getBounds(footprint), radius))
+        : features;
+    let count = 0;
+
+    for (const feature of candidates) {
+        const type = feature.geometry?.type;
+        if (type !== 'Point' && type !== 'Polygon' && type !== 'MultiPolygon') continue;
+
+        // Cheap bounding check before measuring
+        const bounds = getBounds(feature.geometry);
+        if (!bounds) continue;
+        if (bounds[1] > center.lat + degReachLat || bounds[3] < center.lat - degReachLat) continue;
+        if (bounds[0] > center.lng + degReachLng || bounds[2] < center.lng - degReachLng) continue;
+
+        const featureCenter = getCentroid(feature.geometry);
+        if (isPointInRing(projection.toLocal([featureCenter.lng, featureCenter.lat]), points)) continue;
+        if (distanceBetweenGeometries(footprint, feature.geometry) <= radius) count++;
+    }
+    return count;
+}
+
+/**
+ * Lot geometry check: containment, minimum setback and lot coverage
+ * @param {Object} footprint - Footprint geometry
+ * @param {Object} lot - Lot (Bauplatz) geometry
+ * @returns {Object} { inside, minSetback, lotArea, footprintArea, coverage }
+ */
+export function analyzeLotGeometry(footprint, lot) {
+    const footprintRing = getOuterRing(footprint);
+    const lotRing = getOuterRing(lot);
+    if (footprintRing.length < 3 || lotRing.length < 3) return null;
+
+    const projection = createLocalProjection(vertexCentroid(lotRing));
+    const footprintPoints = footprintRing.map(projection.toLocal);
+    const lotPoints = lotRing.map(projection.toLocal);
+
+    const inside = footprintPoints.every(point => isPointInRing(point, lotPoints));
+
+    // Closest approach between the two outlines (vertex-to-edge both ways)
+    const minSetback = Math.min(
+        ...footprintPoints.map(point => distanceToRing(point, lotPoints)),
+        ...lotPoints.map(point => distanceToRing(point, footprintPoints))
+    );
+
+    const lotArea = Math.abs(signedRingArea(lotPoints));
+    const footprintArea = Math.abs(signedRingArea(footprintPoints));
+
+    return {
+        inside,
+        minSetback: inside ? minSetback : 0,
+        lotArea,
+        footprintArea,
+        coverage: lotArea > 0 ? footprintArea / lotArea : null
+    };
+}
+
+export default getFootprintPolygon;
@@ -110,7 +110,7 @@ export async function queryGemini(userMessage, auditContext = null) {
     if (auditContext) {
         contextMessage = `\n\nCurrent audit context:
 - Location: ${auditContext.lat?.toFixed(4)}°N, ${auditContext.lng?.toFixed(4)}°E
-- District: ${auditContext.district || 'Unknown'}
+- District: ${auditContext.district || 'Unknown'}${auditContext.districtName ? ` (${auditContext.districtName})` : ''}
 - Feasibility: ${auditContext.feasibility}%
 - Constraints: ${auditContext.constraints?.join(', ') || 'None identified'}
 - Mandates: ${auditContext.mandates?.join(', ') || 'None'}`;
@@ -170,8 +170,8 @@ export async function summarizeAudit(auditResults) {
 
 Feasibility: ${auditResults.feasibility}%
 District: ${auditResults.district}
-Constraints: ${auditResults.constraints?.map(c => c.description).join('; ')}
-Mandates: ${auditResults.mandates?.map(m => m.requirement).join('; ')}
+Constraints: ${auditResults.constraints?.map(c => c.message).join('; ')}
+Mandates: ${auditResults.mandates?.map(m => m.description).join('; ')}
 Risks: ${auditResults.risks?.map(r => r.description).join('; ')}`;
 
     try {
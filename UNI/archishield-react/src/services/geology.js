@@ -0,0 +1,70 @@
+/**
+ * Vienna Geology Layer - EN 1998-1 Ground Types
+ *
+ * Resolves the ground type (A-E, EN 1998-1 Table 3.1) under a site from a
+ * geology layer: a GeoJSON FeatureCollection of Polygon/MultiPolygon units
+ * with properties:
+ *
+ * {
+ *   id: 'GEO-C-01',
+ *   unit: 'Vienna Basin terraces',   // engineering-geology unit
+ *   groundType: 'C',                 // A | B | C | D | E
+ *   vs30: 330,                       // typical shear-wave velocity (m/s)
+ *   description: '...'
+ * }
+ *
+ * Units are matched in order, so local soft-soil units (alluvium, fill) are
+ * listed before the regional units they overlie. Like the zoning plan, the
+ * layer is passed in so the audit core stays data-free.
+ */
+import SpatialUtils from './spatial.js';
+
+// EN 1998-1 Table 3.1
+export const GROUND_TYPES = {
+    A: { name: 'Rock', vs30: '> 800 m/s' },
+    B: { name: 'Very dense sand, gravel or very stiff clay', vs30: '360-800 m/s' },
+    C: { name: 'Dense or medium-dense sand, gravel or stiff clay', vs30: '180-360 m/s' },
+    D: { name: 'Loose-to-medium cohesionless soil or soft-to-firm cohesive soil', vs30: '< 180 m/s' },
+    E: { name: 'Surface alluvium (5-20m) over stiffer material', vs30: 'C/D over A' }
+};
+
+// Assumed where the layer does not cover the site (most of the Vienna Basin)
+export const DEFAULT_GROUND_TYPE = 'C';
+
+/**
+ * Find the geology unit under a site
+ * @param {Object} geology - GeoJSON FeatureCollection of geology units
+ * @param {Object} site - { lat, lng }
+ * @returns {Object} { id, unit, groundType, groundTypeName, vs30, description, mapped }
+ */
+export function findGroundType(geology, { lat, lng }) {
+    const feature = (geology?.features || []).find(f =>
+        SpatialUtils.isPointInGeometry({ lat, lng }, f.geometry)
+    );
+
+    if (!feature) {
+        return {
+            id: null,
+            unit: 'Unmapped',
+            groundType: DEFAULT_GROUND_TYPE,
+            groundTypeName: GROUND_TYPES[DEFAULT_GROUND_TYPE].name,
+            vs30: null,
+            description: `Not covered by the geology layer - ground type ${DEFAULT_GROUND_TYPE} assumed`,
+            mapped: false
+        };
+    }
+
+    const props = feature.properties || {};
+    const groundType = GROUND_TYPES[props.groundType] ? props.groundType : DEFAULT_GROUND_TYPE;
+    return {
+        id: props.id || null,
+        unit: props.unit || 'Unknown',
+        groundType,
+        groundTypeName: GROUND_TYPES[groundType].name,
+        vs30: props.vs30 ?? null,
+        description: props.description || '',
+        mapped: true
+    };
+}
+
+export default findGroundType;
@@ -0,0 +1,439 @@
+/**
+ * Geometry - Planar Operations on a Local Metric Projection
+ *
+ * The one place where distances, areas, centroids and buffers are computed.
+ * GeoJSON geometries ([lng, lat], WGS84) are projected onto a tangent plane
+ * centred near the geometries involved, which is accurate to a few
+ * centimetres over the few hundred metres an audit looks at.
+ *
+ * Planar helpers work on local [x, y] points (metres, x east, y north).
+ * Geographic helpers take { lat, lng } points and GeoJSON geometries and
+ * return metres / m². Supported geometries: Point, MultiPoint, LineString,
+ * MultiLineString, Polygon and MultiPolygon (holes respected).
+ */
+
+export const METERS_PER_DEG_LAT = 111320;
+
+/**
+ * Local metric projection around an origin
+ * @param {Object} origin - { lat, lng }
+ * @returns {Object} { origin, toLocal([lng, lat]) → [x, y], toLngLat([x, y]) → [lng, lat] }
+ */
+export function createLocalProjection(origin) {
+    const metersPerDegLng = METERS_PER_DEG_LAT * Math.cos(origin.lat * Math.PI / 180);
+
+    return {
+        origin,
+        toLocal([lng, lat]) {
+            return [(lng - origin.lng) * metersPerDegLng, (lat - origin.lat) * METERS_PER_DEG_LAT];
+        },
+        toLngLat([x, y]) {
+            return [origin.lng + x / metersPerDegLng, origin.lat + y / METERS_PER_DEG_LAT];
+        }
+    };
+}
+
+// ============================================
+// PLANAR (local [x, y] metres)
+// ============================================
+
+// Ray-casting test against an open or closed ring
+export function isPointInRing([x, y], points) {
+    let inside = false;
+    for (let i = 0, j = points.length - 1; i < points.length; j = i++) {
+        const [xi, yi] = points[i];
+        const [xj, yj] = points[j];
+        if (((yi > y) !== (yj > y)) && (x < (xj - xi) * (y - yi) / (yj - yi) + xi)) {
+            inside = !inside;
+        }
+    }
+    return inside;
+}
+
+/**
+ * Closest point on segment AB to P
+ * @returns {Object} { t (0..1 along AB), point, distance }
+ */
+export function closestPointOnSegment([px, py], [ax, ay], [bx, by]) {
+    const dx = bx - ax;
+    const dy = by - ay;
+    const lengthSq = dx * dx + dy * dy;
+    const t = lengthSq === 0 ? 0 : Math.max(0, Math.min(1, ((px - ax) * dx + (py - ay) * dy) / lengthSq));
+    const point = [ax + t * dx, ay + t * dy];
+    return { t, point, distance: Math.hypot(px - point[0], py - point[1]) };
+}
+
+export function distanceToSegment(point, a, b) {
+    return closestPointOnSegment(point, a, b).distance;
+}
+
+// Parameter along AB where it meets CD (touching counts), null if they do not meet
+export function segmentIntersection([ax, ay], [bx, by], [cx, cy], [dx, dy]) {
+    const rx = bx - ax, ry = by - ay;
+    const sx = dx - cx, sy = dy - cy;
+    const denominator = rx * sy - ry * sx;
+    if (denominator === 0) return null;
+    const t = ((cx - ax) * sy - (cy - ay) * sx) / denominator;
+    const u = ((cx - ax) * ry - (cy - ay) * rx) / denominator;
+    return t >= 0 && t <= 1 && u >= 0 && u <= 1 ? t : null;
+}
+
+// Distance from a point to the edges of a ring (closed implicitly)
+export function distanceToRing(point, points) {
+    let min = Infinity;
+    for (let i = 0, j = points.length - 1; i < points.length; j = i++) {
+        min = Math.min(min, distanceToSegment(point, points[j], points[i]));
+    }
+    return min;
+}
+
+// Shoelace area of a ring (positive = counter-clockwise)
+export function signedRingArea(points) {
+    let area = 0;
+    for (let i = 0, j = points.length - 1; i < points.length; j = i++) {
+        area += points[j][0] * points[i][1] - points[i][0] * points[j][1];
+    }
+    return area / 2;
+}
+
+// Length of a ring's edges (closed implicitly)
+export function ringPerimeter(points) {
+    let perimeter = 0;
+    for (let i = 0, j = points.length - 1; i < points.length; j = i++) {
+        perimeter += Math.hypot(points[i][0] - points[j][0], points[i][1] - points[j][1]);
+    }
+    return perimeter;
+}
+
+// Area centroid of a ring, the vertex mean for degenerate rings
+export function ringCentroid(points) {
+    const area = signedRingArea(points);
+    if (Math.abs(area) < 1e-9) {
+        const sum = points.reduce((acc, [x, y]) => [acc[0] + x, acc[1] + y], [0, 0]);
+        return [sum[0] / points.length, sum[1] / points.length];
+    }
+    let cx = 0, cy = 0;
+    for (let i = 0, j = points.length - 1; i < points.length; j = i++) {
+        const cross = points[j][0] * points[i][1] - points[i][0] * points[j][1];
+        cx += (points[j][0] + points[i][0]) * cross;
+        cy += (points[j][1] + points[i][1]) * cross;
+    }
+    return [cx / (6 * area), cy / (6 * area)];
+}
+
+/**
+ * Triangulate a simple ring by ear clipping (for mesh caps)
+ * @param {Array} points - Open ring [[x, y], ...], either orientation
+ * @returns {Array} Index triples into points, counter-clockwise
+ */
+export function triangulateRing(points) {
+    const cross = (a, b, c) => (b[0] - a[0]) * (c[1] - a[1]) - (b[1] - a[1]) * (c[0] - a[0]);
+    const contains = (p, a, b, c) => cross(a, b, p) >= 0 && cross(b, c, p) >= 0 && cross(c, a, p) >= 0;
+
+    const remaining = points.map((_, i) => i);
+    if (signedRingArea(points) < 0) remaining.reverse();
+    const triangles = [];
+
+    while (remaining.length > 3) {
+        const count = remaining.length;
+        const ear = remaining.findIndex((index, i) => {
+            const prev = remaining[(i - 1 + count) % count];
+            const next = remaining[(i + 1) % count];
+            const [a, b, c] = [points[prev], points[index], points[next]];
+            if (cross(a, b, c) <= 0) return false;
+            return remaining.every(other => other === prev || other === index || other === next
+                || !contains(points[other], a, b, c));
+        });
+        // No ear left (self-touching or collinear rest): fan what remains
+        if (ear === -1) break;
+        triangles.push([remaining[(ear - 1 + count) % count], remaining[ear], remaining[(ear + 1) % count]]);
+        remaining.splice(ear, 1);
+    }
+    for (let i = 1; i < remaining.length - 1; i++) {
+        triangles.push([remaining[0], remaining[i], remaining[i + 1]]);
+    }
+    return triangles;
+}
+
+/**
+ * Offset a ring outward (negative distance shrinks it) with mitred corners.
+ * Mitres are capped at 4x the offset so sharp corners do not spike.
+ * @param {Array} points - Open ring [[x, y], ...]
+ * @param {number} distance - Offset in metres
+ */
+export function offsetRing(points, distance) {
+    // Orientation decides which side of each edge is "outward"
+    const outward = signedRingArea(points) > 0 ? 1 : -1;
+
+    const edgeNormal = (a, b) => {
+        const dx = b[0] - a[0], dy = b[1] - a[1];
+        const len = Math.hypot(dx, dy) || 1;
+        return [outward * dy / len, -outward * dx / len];
+    };
+
+    return points.map((point, i) => {
+        const prev = points[(i - 1 + points.length) % points.length];
+        const next = points[(i + 1) % points.length];
+        const n1 = edgeNormal(prev, point);
+        const n2 = edgeNormal(point, next);
+        const bisector = [n1[0] + n2[0], n1[1] + n2[1]];
+        const len = Math.hypot(bisector[0], bisector[1]) || 1;
+        const cosHalf = Math.max((n1[0] * bisector[0] + n1[1] * bisector[1]) / len, 0.25);
+        const scale = distance / cosHalf / len;
+        return [point[0] + bisector[0] * scale, point[1] + bisector[1] * scale];
+    });
+}
+
+// ============================================
+// GEOJSON DECOMPOSITION
+// ============================================
+
+// Drop the closing vertex of a closed ring
+function openRing(ring) {
+    if (ring.length < 2) return ring;
+    const first = ring[0];
+    const last = ring[ring.length - 1];
+    return first[0] === last[0] && first[1] === last[1] ? ring.slice(0, -1) : ring;
+}
+
+/**
+ * Split a geometry into its parts
+ * @param {Object} geometry - GeoJSON geometry
+ * @returns {Object} { points: [[lng, lat]], lines: [[[lng, lat], ...]], polygons: [[outer, ...holes]] }
+ *   Polygon rings are open; their edges are not repeated in `lines`.
+ */
+export function decomposeGeometry(geometry) {
+    const parts = { points: [], lines: [], polygons: [] };
+    if (!geometry) return parts;
+
+    const addPolygon = rings => {
+        const open = rings.map(openRing).filter(ring => ring.length >= 3);
+        if (open.length > 0) parts.polygons.push(open);
+    };
+
+    switch (geometry.type) {
+        case 'Point': parts.points.push(geometry.coordinates); break;
+        case 'MultiPoint': parts.points.push(...geometry.coordinates); break;
+        case 'LineString': parts.lines.push(geometry.coordinates); break;
+        case 'MultiLineString': parts.lines.push(...geometry.coordinates); break;
+        case 'Polygon': addPolygon(geometry.coordinates); break;
+        case 'MultiPolygon': geometry.coordinates.forEach(addPolygon); break;
+        case 'GeometryCollection':
+            for (const child of geometry.geometries || []) {
+                const sub = decomposeGeometry(child);
+                parts.points.push(...sub.points);
+                parts.lines.push(...sub.lines);
+                parts.polygons.push(...sub.polygons);
+            }
+            break;
+        default: break;
+    }
+    return parts;
+}
+
+/**
+ * Bounding box of a geometry
+ * @returns {Array|null} [minLng, minLat, maxLng, maxLat]
+ */
+export function getBounds(geometry) {
+    const { points, lines, polygons } = decomposeGeometry(geometry);
+    const coords = [...points, ...lines.flat(), ...polygons.map(rings => rings[0]).flat()];
+    if (coords.length === 0) return null;
+
+    let minLng = Infinity, minLat = Infinity, maxLng = -Infinity, maxLat = -Infinity;
+    for (const [lng, lat] of coords) {
+        if (lng < minLng) minLng = lng;
+        if (lat < minLat) minLat = lat;
+        if (lng > maxLng) maxLng = lng;
+        if (lat > maxLat) maxLat = lat;
+    }
+    return [minLng, minLat, maxLng, maxLat];
+}
+
+// Project the parts of a geometry; polygon edges join the segment list
+function toLocalParts(geometry, projection) {
+    const { points, lines, polygons } = decomposeGeometry(geometry);
+    const local = {
+        points: points.map(projection.toLocal),
+        polygons: polygons.map(rings => rings.map(ring => ring.map(projection.toLocal))),
+        segments: [],
+        vertices: []
+    };
+
+    for (const line of lines) {
+        const vertices = line.map(projection.toLocal);
+        local.vertices.push(...vertices);
+        for (let i = 1; i < vertices.length; i++) local.segments.push([vertices[i - 1], vertices[i]]);
+    }
+    for (const rings of local.polygons) {
+        for (const ring of rings) {
+            local.vertices.push(...ring);
+            for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) local.segments.push([ring[j], ring[i]]);
+        }
+    }
+    local.vertices.push(...local.points);
+    return local;
+}
+
+function isPointInLocalPolygon(point, [outer, ...holes]) {
+    return isPointInRing(point, outer) && !holes.some(hole => isPointInRing(point, hole));
+}
+
+// Any usable reference point of a geometry, as { lat, lng }
+function referencePoint(geometry) {
+    const bounds = getBounds(geometry);
+    return bounds ? { lng: (bounds[0] + bounds[2]) / 2, lat: (bounds[1] + bounds[3]) / 2 } : null;
+}
+
+// ============================================
+// GEOGRAPHIC (GeoJSON in, metres out)
+// ============================================
+
+/**
+ * Distance in metres from a point to a geometry (0 inside polygons)
+ * @param {Object} point - { lat, lng }
+ * @param {Object} geometry - GeoJSON geometry
+ */
+export function distanceToGeometry(point, geometry) {
+    const local = toLocalParts(geometry, createLocalProjection(point));
+    const origin = [0, 0];
+
+    if (local.polygons.some(polygon => isPointInLocalPolygon(origin, polygon))) return 0;
+
+    let min = Infinity;
+    for (const [a, b] of local.segments) min = Math.min(min, distanceToSegment(origin, a, b));
+    for (const [x, y] of local.points) min = Math.min(min, Math.hypot(x, y));
+    return min;
+}
+
+/**
+ * Shortest distance in metres between two geometries (0 if they touch or overlap)
+ * @param {Object} a - GeoJSON geometry
+ * @param {Object} b - GeoJSON geometry
+ */
+export function distanceBetweenGeometries(a, b) {
+    const origin = referencePoint(a);
+    if (!origin || !referencePoint(b)) return Infinity;
+
+    const projection = createLocalProjection(origin);
+    const partsA = toLocalParts(a, projection);
+    const partsB = toLocalParts(b, projection);
+
+    // Containment: a vertex of one inside a polygon of the other
+    const containedIn = (vertices, polygons) =>
+        vertices.some(vertex => polygons.some(polygon => isPointInLocalPolygon(vertex, polygon)));
+    if (containedIn(partsA.vertices, partsB.polygons) || containedIn(partsB.vertices, partsA.polygons)) return 0;
+
+    // Crossing edges
+    for (const [p, q] of partsA.segments) {
+        for (const [r, s] of partsB.segments) {
+            if (segmentIntersection(p, q, r, s) !== null) return 0;
+        }
+    }
+
+    // Otherwise the closest approach is from a vertex of one to the other
+    const closest = (vertices, other) => {
+        let min = Infinity;
+        for (const vertex of vertices) {
+            for (const [p, q] of other.segments) min = Math.min(min, distanceToSegment(vertex, p, q));
+            for (const [x, y] of other.points) min = Math.min(min, Math.hypot(vertex[0] - x, vertex[1] - y));
+        }
+        return min;
+    };
+    return Math.min(closest(partsA.vertices, partsB), closest(partsB.vertices, partsA));
+}
+
+/**
+ * Area of the polygons of a geometry in m² (holes subtracted)
+ * @param {Object} geometry - GeoJSON geometry or [lng, lat] ring
+ */
+export function getArea(geometry) {
+    const polygon = Array.isArray(geometry) ? { type: 'Polygon', coordinates: [geometry] } : geometry;
+    const origin = referencePoint(polygon);
+    if (!origin) return 0;
+
+    const { polygons } = toLocalParts(polygon, createLocalProjection(origin));
+    return polygons.reduce((total, [outer, ...holes]) =>
+        total + Math.abs(signedRingArea(outer)) - holes.reduce((sum, hole) => sum + Math.abs(signedRingArea(hole)), 0),
+    0);
+}
+
+/**
+ * Centroid of a geometry: area-weighted for polygons, length-weighted for
+ * lines, the mean for points
+ * @param {Object} geometry - GeoJSON geometry or [lng, lat] ring
+ * @returns {Object|null} { lat, lng }
+ */
+export function getCentroid(geometry) {
+    const shape = Array.isArray(geometry) ? { type: 'Polygon', coordinates: [geometry] } : geometry;
+    const origin = referencePoint(shape);
+    if (!origin) return null;
+
+    const projection = createLocalProjection(origin);
+    const local = toLocalParts(shape, projection);
+    let weight = 0, cx = 0, cy = 0;
+    const add = ([x, y], w) => { weight += w; cx += x * w; cy += y * w; };
+
+    if (local.polygons.length > 0) {
+        for (const rings of local.polygons) {
+            rings.forEach((ring, i) => {
+                const area = Math.abs(signedRingArea(ring));
+                add(ringCentroid(ring), i === 0 ? area : -area);
+            });
+        }
+    } else if (local.segments.length > 0) {
+        for (const [p, q] of local.segments) {
+            add([(p[0] + q[0]) / 2, (p[1] + q[1]) / 2], Math.hypot(q[0] - p[0], q[1] - p[1]));
+        }
+    }
+    if (weight <= 0) {
+        weight = 0; cx = 0; cy = 0;
+        local.vertices.forEach(vertex => add(vertex, 1));
+    }
+    if (weight <= 0) return null;
+
+    const [lng, lat] = projection.toLngLat([cx / weight, cy / weight]);
+    return { lat, lng };
+}
+
+/**
+ * Buffer a geometry by a distance
+ * - Point: circle of `steps` vertices
+ * - Polygon/MultiPolygon: outer ring offset with mitred corners (first part, holes dropped);
+ *   a negative distance insets it
+ * @param {Object} geometry - GeoJSON Point, Polygon or MultiPolygon
+ * @param {number} distance - metres
+ * @param {Object} options - { steps }
+ * @returns {Object|null} GeoJSON Polygon
+ */
+export function buffer(geometry, distance, { steps = 32 } = {}) {
+    const { points, polygons } = decomposeGeometry(geometry);
+    const close = ring => [...ring, ring[0]];
+
+    if (polygons.length > 0) {
+        const outer = polygons[0][0];
+        const projection = createLocalProjection(getCentroid({ type: 'Polygon', coordinates: [outer] }));
+        const ring = offsetRing(outer.map(projection.toLocal), distance).map(projection.toLngLat);
+        return { type: 'Polygon', coordinates: [close(ring)] };
+    }
+    if (points.length > 0 && distance > 0) {
+        const [lng, lat] = points[0];
+        const projection = createLocalProjection({ lat, lng });
+        const ring = Array.from({ length: steps }, (_, i) => {
+            const angle = 2 * Math.PI * i / steps;
+            return projection.toLngLat([distance * Math.cos(angle), distance * Math.sin(angle)]);
+        });
+        return { type: 'Polygon', coordinates: [close(ring)] };
+    }
+    return null;
+}
+
+export default {
+    createLocalProjection,
+    distanceToGeometry,
+    distanceBetweenGeometries,
+    getArea,
+    getCentroid,
+    getBounds,
+    buffer
+};
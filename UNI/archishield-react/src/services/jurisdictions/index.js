@@ -0,0 +1,200 @@
+/**
+ * Jurisdiction Packs - Registry and Site Resolution
+ *
+ * A pack holds every constant the audits, validator and exports read for one
+ * regulatory area: location, environmental data, zoning code, ethics red
+ * zones and the regulatory authority. Packs are plain objects or JSON,
+ * checked against ./schema.js and frozen when loaded.
+ *
+ * A pack may `extends` a registered pack and list only what differs;
+ * nested objects merge, arrays and values replace.
+ *
+ * Packs are versioned by dated `amendments` (./versions.js). Lookups return
+ * the frozen rule set in force "as of" a date (default: today), which
+ * carries a `ruleVersion` for results to record.
+ *
+ * The active pack for a site is the project setting (pack id) when given,
+ * else the most specific pack whose `coverage` box contains the site, else
+ * the default (Vienna).
+ */
+import { validateJurisdictionPack } from './schema.js';
+import { diffRuleSets, getRuleVersion, listRuleVersions, mergePack, resolveRuleSet, toDateKey } from './versions.js';
+import VIENNA_PACK from './vienna.js';
+
+export { diffRuleSets, listRuleVersions, toDateKey };
+
+export const DEFAULT_JURISDICTION_ID = 'vienna';
+
+const packs = new Map();
+// Pack definition → Map(version effectiveFrom → frozen rule set)
+const ruleSets = new WeakMap();
+
+function isPlainObject(value) {
+    return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
+
+function deepFreeze(obj) {
+    Object.keys(obj).forEach(key => {
+        if (typeof obj[key] === 'object' && obj[key] !== null) {
+            deepFreeze(obj[key]);
+        }
+    });
+    return Object.freeze(obj);
+}
+
+function coverageArea([minLng, minLat, maxLng, maxLat]) {
+    return (maxLng - minLng) * (maxLat - minLat);
+}
+
+/**
+ * Load, validate and freeze a jurisdiction pack without registering it
+ * @param {Object|string} source - Pack object or JSON text
+ * @returns {Object} Frozen pack
+ * @throws {Error} Listing every schema problem when the pack is invalid
+ */
+export function loadJurisdictionPack(source) {
+    let raw = source;
+    if (typeof source === 'string') {
+        try {
+            raw = JSON.parse(source);
+        } catch (error) {
+            throw new Error(`Invalid jurisdiction pack JSON: ${error.message}`);
+        }
+    }
+    if (!isPlainObject(raw)) {
+        throw new Error('Jurisdiction pack must be an object');
+    }
+
+    const { extends: baseId, ...own } = raw;
+    let pack = own;
+    if (baseId) {
+        const base = packs.get(baseId);
+        if (!base) throw new Error(`Jurisdiction pack "${own.id}" extends unknown pack "${baseId}"`);
+        pack = { ...mergePack(base, own), extends: baseId };
+    }
+
+    const { valid, errors } = validateJurisdictionPack(pack);
+    // Every version must be a complete pack too, e.g. an amendment may not null a required value
+    if (valid) {
+        for (const version of listRuleVersions(pack)) {
+            const result = validateJurisdictionPack(resolveRuleSet(pack, version.effectiveFrom || new Date()));
+            errors.push(...result.errors.map(error => `${version.id}: ${error}`));
+        }
+    }
+    if (errors.length > 0) {
+        throw new Error(`Invalid jurisdiction pack "${pack.id ?? '?'}": ${errors.join('; ')}`);
+    }
+    return deepFreeze(pack);
+}
+
+// Frozen rule set of a pack definition as of a date, one object per version
+function ruleSetFor(pack, asOf) {
+    const { effectiveFrom } = getRuleVersion(pack, asOf);
+    let versions = ruleSets.get(pack);
+    if (!versions) {
+        versions = new Map();
+        ruleSets.set(pack, versions);
+    }
+    if (!versions.has(effectiveFrom)) {
+        versions.set(effectiveFrom, deepFreeze(resolveRuleSet(pack, asOf)));
+    }
+    return versions.get(effectiveFrom);
+}
+
+/**
+ * Load a pack and make it available by id and for site resolution
+ * @param {Object|string} source - Pack object or JSON text
+ * @returns {Object} The registered (frozen) pack definition, amendments included
+ */
+export function registerJurisdictionPack(source) {
+    const pack = loadJurisdictionPack(source);
+    packs.set(pack.id, pack);
+    return pack;
+}
+
+/**
+ * Rule set of a registered pack as of a date
+ * @param {string} id - Pack id
+ * @param {Date|string} asOf - Date the rules apply on (default: today)
+ * @returns {Object|null} Frozen rule set
+ * @throws {Error} When the pack has no rules in force on that date
+ */
+export function getJurisdictionPack(id = DEFAULT_JURISDICTION_ID, asOf = new Date()) {
+    const pack = packs.get(id);
+    return pack ? ruleSetFor(pack, asOf) : null;
+}
+
+/**
+ * Registered packs for pickers and CLI help
+ * @returns {Array} [{ id, name, framework, versions }] - versions as listRuleVersions
+ */
+export function listJurisdictionPacks() {
+    return [...packs.values()].map(pack => ({
+        id: pack.id,
+        name: pack.name,
+        framework: pack.regulatory.framework,
+        versions: listRuleVersions(pack)
+    }));
+}
+
+/**
+ * Most specific registered pack whose coverage contains a site
+ * @param {number} latitude
+ * @param {number} longitude
+ * @returns {Object|null}
+ */
+export function findJurisdictionForSite(latitude, longitude) {
+    if (!Number.isFinite(latitude) || !Number.isFinite(longitude)) return null;
+
+    let best = null;
+    for (const pack of packs.values()) {
+        const [minLng, minLat, maxLng, maxLat] = pack.coverage || [];
+        if (!pack.coverage || longitude < minLng || longitude > maxLng || latitude < minLat || latitude > maxLat) {
+            continue;
+        }
+        if (!best || coverageArea(pack.coverage) < coverageArea(best.coverage)) best = pack;
+    }
+    return best;
+}
+
+/**
+ * Rule set for an audit
+ * @param {Object} options - { jurisdiction, latitude, longitude, asOf }
+ *   jurisdiction: project setting, either a pack id, a pack object or an already resolved rule set;
+ *   asOf: date the rules apply on, e.g. the submission date (default: today)
+ * @returns {Object} Frozen rule set
+ * @throws {Error} For an unknown id, an invalid pack object or a date before the pack's rules
+ */
+export function resolveJurisdiction({ jurisdiction = null, latitude, longitude, asOf = new Date() } = {}) {
+    if (isPlainObject(jurisdiction)) {
+        if (jurisdiction.ruleVersion && Object.isFrozen(jurisdiction)) return jurisdiction;
+        const pack = packs.get(jurisdiction.id) === jurisdiction
+            ? jurisdiction
+            : loadJurisdictionPack(jurisdiction);
+        return ruleSetFor(pack, asOf);
+    }
+    if (jurisdiction) {
+        const pack = packs.get(jurisdiction);
+        if (!pack) throw new Error(`Unknown jurisdiction: ${jurisdiction}`);
+        return ruleSetFor(pack, asOf);
+    }
+    const pack = findJurisdictionForSite(latitude, longitude) || packs.get(DEFAULT_JURISDICTION_ID);
+    return ruleSetFor(pack, asOf);
+}
+
+/**
+ * Summary of a rule set for results, exports and certificates
+ * @param {Object} pack - Rule set
+ */
+export function describeJurisdiction(pack) {
+    return {
+        id: pack.id,
+        name: pack.name,
+        version: pack.version || null,
+        framework: pack.regulatory.framework,
+        authority: pack.regulatory.authority,
+        ruleVersion: pack.ruleVersion || null
+    };
+}
+
+registerJurisdictionPack(VIENNA_PACK);
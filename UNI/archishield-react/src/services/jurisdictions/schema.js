@@ -0,0 +1,263 @@
+/**
+ * Jurisdiction Pack Schema
+ *
+ * Describes the sections every pack must provide so the audits, validator and
+ * exports never meet a missing constant. Rules use the same shape as the
+ * BuildingValidator schema ({ type, required, min, max }), extended with
+ * `fields` for nested objects and `items` for arrays.
+ *
+ * Types: string | number | boolean | object | array | bounds | coordinate | date
+ *   bounds     - [minLng, minLat, maxLng, maxLat]
+ *   coordinate - [lng, lat]
+ *   date       - 'YYYY-MM-DD'
+ */
+
+const num = (min, max) => ({ type: 'number', required: true, min, max });
+const str = { type: 'string', required: true, minLength: 1 };
+const table = { type: 'object', required: true };
+const ring = { type: 'array', required: true, minItems: 3, items: { type: 'coordinate' } };
+const date = { type: 'date', required: true };
+
+export const JURISDICTION_SCHEMA = {
+    id: { type: 'string', required: true, pattern: /^[a-z0-9_-]+$/ },
+    name: str,
+    version: { type: 'string', required: false },
+    coverage: { type: 'bounds', required: false },
+
+    location: {
+        type: 'object', required: true, fields: {
+            name: str,
+            latitude: num(-90, 90),
+            longitude: num(-180, 180),
+            elevation: { type: 'number', required: false },
+            timezone: str
+        }
+    },
+
+    environmentalData: {
+        type: 'object', required: true, fields: {
+            peakGroundAcceleration: num(0, 2),
+            seismicMagnitude: num(0, 10),
+            seismicReturnPeriod: num(1)
+        }
+    },
+
+    zoningCode: {
+        type: 'object', required: true, fields: {
+            maxFAR: num(0),
+            maxBuildingHeight: num(0),
+            maxLotCoverage: num(0, 1),
+            redZoneBuffer: num(0),
+            bauklassen: table,
+            defaultBauklasse: str,
+            districtDefaults: { type: 'object', required: false },
+            lotRules: table,
+            defaultBauweise: str,
+            protectionZones: { type: 'object', required: false }
+        }
+    },
+
+    windLoadConstants: {
+        type: 'object', required: true, fields: {
+            basicWindVelocity: num(0),
+            seasonFactor: num(0),
+            airDensity: num(0),
+            exposureCoefficients: table,
+            terrainCategories: {
+                type: 'object', required: true, fields: {
+                    urban: str,
+                    exposed: str
+                }
+            },
+            directionalityFactor: num(0),
+            pressureCoefficients: table,
+            importanceFactors: table,
+            gustFactor: num(0),
+            claddingResistance: num(0),
+            stabilityLimits: {
+                type: 'object', required: true, fields: {
+                    stabilisingFactor: num(0),
+                    baseFriction: num(0),
+                    minOverturningRatio: num(0),
+                    minSlidingRatio: num(0)
+                }
+            },
+            maxAspectRatio: num(0)
+        }
+    },
+
+    ethicsConstants: {
+        type: 'object', required: true, fields: {
+            daylightHours: num(0, 24),
+            maxShadeImpact: num(0, 1),
+            waterDisplacementLimit: num(0, 1),
+            redZones: {
+                type: 'array', required: true, items: {
+                    type: 'object', fields: {
+                        name: str,
+                        lat: num(-90, 90),
+                        lon: num(-180, 180),
+                        population: { type: 'number', required: false, min: 0 },
+                        outline: { ...ring, required: false }
+                    }
+                }
+            },
+            shadowStudy: { type: 'object', required: false }
+        }
+    },
+
+    structuralConstants: {
+        type: 'object', required: true, fields: {
+            dampingRatios: table,
+            loadFactorWind: num(0),
+            loadFactorSeismic: num(0),
+            materials: table
+        }
+    },
+
+    heritageCode: {
+        type: 'object', required: false, fields: {
+            buffer: { type: 'object', required: false, fields: { polygon: ring, heightLimit: num(0) } },
+            landmarks: { type: 'array', required: false },
+            consultationDistricts: { type: 'array', required: false }
+        }
+    },
+
+    climateCode: {
+        type: 'object', required: true, fields: {
+            maxSurfaceSeal: num(0, 100),
+            greenRoofThreshold: num(0),
+            solarThreshold: { type: 'number', required: false, min: 0 },
+            waterRetentionRate: num(0),
+            uhiZones: { type: 'array', required: false },
+            floodZones: { type: 'array', required: false }
+        }
+    },
+
+    subsurfaceCode: {
+        type: 'object', required: true, fields: {
+            thresholds: {
+                type: 'object', required: true, fields: {
+                    critical: num(0),
+                    restricted: num(0),
+                    monitoring: num(0),
+                    clear: num(0)
+                }
+            },
+            depthClearance: num(0),
+            transitAuthority: str
+        }
+    },
+
+    regulatory: {
+        type: 'object', required: true, fields: {
+            authority: str,
+            framework: str,
+            standardVersion: str,
+            certificationBody: str,
+            address: { type: 'string', required: false },
+            effectiveFrom: { ...date, required: false }
+        }
+    },
+
+    // Dated changes to the sections above (see ./versions.js)
+    amendments: {
+        type: 'array', required: false, items: {
+            type: 'object', fields: {
+                id: str,
+                title: str,
+                effectiveFrom: date,
+                effectiveTo: { ...date, required: false },
+                changes: table
+            }
+        }
+    }
+};
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+function typeOf(value) {
+    if (Array.isArray(value)) return 'array';
+    if (value === null) return 'null';
+    return typeof value;
+}
+
+function isCoordinate(value) {
+    return Array.isArray(value) && value.length >= 2 &&
+        value.every(Number.isFinite) &&
+        Math.abs(value[0]) <= 180 && Math.abs(value[1]) <= 90;
+}
+
+function checkValue(value, rules, path, errors) {
+    if (value === undefined || value === null) {
+        if (rules.required) errors.push(`${path} is required`);
+        return;
+    }
+
+    switch (rules.type) {
+        case 'bounds':
+            if (!Array.isArray(value) || value.length !== 4 || !value.every(Number.isFinite) ||
+                value[0] > value[2] || value[1] > value[3]) {
+                errors.push(`${path} must be [minLng, minLat, maxLng, maxLat]`);
+            }
+            return;
+        case 'coordinate':
+            if (!isCoordinate(value)) errors.push(`${path} must be a [lng, lat] pair`);
+            return;
+        case 'date':
+            if (typeof value !== 'string' || !DATE_PATTERN.test(value) || isNaN(Date.parse(value))) {
+                errors.push(`${path} must be a YYYY-MM-DD date`);
+            }
+            return;
+        case 'number':
+            if (!Number.isFinite(value)) {
+                errors.push(`${path} must be a number`);
+            } else if (rules.min !== undefined && value < rules.min) {
+                errors.push(`${path} must be at least ${rules.min}`);
+            } else if (rules.max !== undefined && value > rules.max) {
+                errors.push(`${path} must be at most ${rules.max}`);
+            }
+            return;
+        default:
+            break;
+    }
+
+    if (typeOf(value) !== rules.type) {
+        errors.push(`${path} must be ${rules.type === 'array' ? 'an array' : `a ${rules.type}`}`);
+        return;
+    }
+
+    if (rules.type === 'string') {
+        if (rules.minLength && value.length < rules.minLength) errors.push(`${path} must not be empty`);
+        if (rules.pattern && !rules.pattern.test(value)) errors.push(`${path} has invalid format`);
+    } else if (rules.type === 'array') {
+        if (rules.minItems && value.length < rules.minItems) {
+            errors.push(`${path} needs at least ${rules.minItems} items`);
+        }
+        if (rules.items) {
+            value.forEach((item, i) => checkValue(item, { required: true, ...rules.items }, `${path}[${i}]`, errors));
+        }
+    } else if (rules.type === 'object' && rules.fields) {
+        for (const [field, fieldRules] of Object.entries(rules.fields)) {
+            checkValue(value[field], fieldRules, `${path}.${field}`, errors);
+        }
+    }
+}
+
+/**
+ * Validate a jurisdiction pack against the schema
+ * @param {Object} pack - Candidate pack (after `extends` has been resolved)
+ * @returns {Object} { valid, errors } - errors name the offending path, e.g. "zoningCode.maxFAR must be a number"
+ */
+export function validateJurisdictionPack(pack) {
+    const errors = [];
+    if (typeOf(pack) !== 'object') {
+        return { valid: false, errors: ['Jurisdiction pack must be an object'] };
+    }
+    for (const [field, rules] of Object.entries(JURISDICTION_SCHEMA)) {
+        checkValue(pack[field], rules, field, errors);
+    }
+    return { valid: errors.length === 0, errors };
+}
+
+export default validateJurisdictionPack;
@@ -0,0 +1,162 @@
+/**
+ * Rule Versions - Amendments with Effective Dates
+ *
+ * A pack's sections hold the rules as first enacted, in force from
+ * `regulatory.effectiveFrom`. Later changes are listed in `amendments`:
+ *
+ * {
+ *   id: '2023',
+ *   title: '2023 Vienna Building Code Amendment',
+ *   effectiveFrom: '2023-12-21',   // inclusive
+ *   effectiveTo: null,             // exclusive; null = still in force
+ *   changes: { climateCode: { solarThreshold: 250 } }
+ * }
+ *
+ * The rule set "as of" a date is the original rules with every amendment in
+ * force on that date applied in effectiveFrom order. Changes merge like
+ * `extends`: nested objects merge, arrays and values replace.
+ */
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+function isPlainObject(value) {
+    return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
+
+/**
+ * Overlay `overrides` on `base` without touching either
+ * @param {Object} base
+ * @param {Object} overrides
+ */
+export function mergePack(base, overrides) {
+    const merged = { ...base };
+    for (const [key, value] of Object.entries(overrides)) {
+        merged[key] = isPlainObject(value) && isPlainObject(base[key])
+            ? mergePack(base[key], value)
+            : value;
+    }
+    return merged;
+}
+
+/**
+ * Calendar date key for comparisons
+ * @param {Date|string} date - Date, ISO timestamp or 'YYYY-MM-DD'
+ * @returns {string} 'YYYY-MM-DD'
+ * @throws {Error} For an unparseable date
+ */
+export function toDateKey(date = new Date()) {
+    if (typeof date === 'string' && DATE_PATTERN.test(date)) return date;
+    const parsed = date instanceof Date ? date : new Date(date);
+    if (isNaN(parsed.getTime())) throw new Error(`Invalid date: ${date}`);
+    return parsed.toISOString().slice(0, 10);
+}
+
+function isInForce(amendment, day) {
+    return amendment.effectiveFrom <= day && (!amendment.effectiveTo || day < amendment.effectiveTo);
+}
+
+function sortedAmendments(pack) {
+    return [...(pack.amendments || [])].sort((a, b) => a.effectiveFrom.localeCompare(b.effectiveFrom));
+}
+
+/**
+ * Describe the rule version in force on a date
+ * @param {Object} pack - Pack definition (with amendments)
+ * @param {Date|string} asOf
+ * @returns {Object} { id, label, effectiveFrom, effectiveTo, amendments: [{ id, title }] }
+ * @throws {Error} When the date precedes the pack's rules
+ */
+export function getRuleVersion(pack, asOf = new Date()) {
+    const day = toDateKey(asOf);
+    const enacted = pack.regulatory.effectiveFrom;
+    if (enacted && day < enacted) {
+        throw new Error(`No ${pack.name} rules in force on ${day} (earliest ${enacted})`);
+    }
+
+    const all = sortedAmendments(pack);
+    const applied = all.filter(amendment => isInForce(amendment, day));
+    const latest = applied[applied.length - 1];
+
+    // The version starts at the latest boundary on or before the date and ends at the next one
+    const boundaries = [enacted, ...all.flatMap(a => [a.effectiveFrom, a.effectiveTo])]
+        .filter(Boolean)
+        .sort();
+    const effectiveFrom = boundaries.filter(b => b <= day).pop() || null;
+    const effectiveTo = boundaries.find(b => b > day) || null;
+
+    return {
+        id: `${pack.id}@${latest ? latest.id : 'original'}`,
+        label: latest ? latest.title : `${pack.regulatory.framework}${enacted ? `, as enacted ${enacted}` : ''}`,
+        effectiveFrom,
+        effectiveTo,
+        amendments: applied.map(({ id, title }) => ({ id, title }))
+    };
+}
+
+/**
+ * Every distinct rule version of a pack, oldest first
+ * @param {Object} pack - Pack definition (with amendments)
+ * @returns {Array} [{ id, label, effectiveFrom, effectiveTo, amendments }]
+ */
+export function listRuleVersions(pack) {
+    const starts = [
+        pack.regulatory.effectiveFrom,
+        ...(pack.amendments || []).flatMap(a => [a.effectiveFrom, a.effectiveTo])
+    ].filter(Boolean);
+    const days = [...new Set(starts)].sort();
+    if (days.length === 0) return [getRuleVersion(pack, new Date())];
+
+    const versions = [];
+    for (const day of days) {
+        const version = getRuleVersion(pack, day);
+        const previous = versions[versions.length - 1];
+        // Boundaries that leave the amendment set unchanged extend the previous version
+        if (previous && previous.id === version.id &&
+            previous.amendments.length === version.amendments.length) {
+            previous.effectiveTo = version.effectiveTo;
+        } else {
+            versions.push(version);
+        }
+    }
+    return versions;
+}
+
+/**
+ * Rule set in force on a date: the original rules plus the amendments in force
+ * @param {Object} pack - Pack definition (with amendments)
+ * @param {Date|string} asOf
+ * @returns {Object} Rule set without `amendments`, with `ruleVersion` (see getRuleVersion)
+ */
+export function resolveRuleSet(pack, asOf = new Date()) {
+    const day = toDateKey(asOf);
+    const ruleVersion = getRuleVersion(pack, day);
+    const { amendments: _amendments, ...original } = pack;
+
+    let rules = original;
+    for (const amendment of sortedAmendments(pack)) {
+        if (isInForce(amendment, day)) rules = mergePack(rules, amendment.changes);
+    }
+    return { ...rules, ruleVersion };
+}
+
+/**
+ * Rules that differ between two rule sets
+ * @param {Object} before - Rule set
+ * @param {Object} after - Rule set
+ * @returns {Array} [{ path, from, to }] - dotted paths of changed values; arrays compare whole
+ */
+export function diffRuleSets(before, after) {
+    const changes = [];
+    const walk = (a, b, path) => {
+        if (isPlainObject(a) && isPlainObject(b)) {
+            for (const key of new Set([...Object.keys(a), ...Object.keys(b)])) {
+                if (!path && key === 'ruleVersion') continue;
+                walk(a[key], b[key], path ? `${path}.${key}` : key);
+            }
+        } else if (JSON.stringify(a) !== JSON.stringify(b)) {
+            changes.push({ path, from: a ?? null, to: b ?? null });
+        }
+    };
+    walk(before, after, '');
+    return changes;
+}
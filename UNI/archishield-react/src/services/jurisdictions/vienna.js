@@ -0,0 +1,492 @@
+/**
+ * Vienna Jurisdiction Pack
+ * =======================================================================
+ * Environmental, regulatory and physical constants for sites in Vienna
+ * (Wiener Bauordnung, Eurocode with Austrian national annexes).
+ * Loaded through ./index.js, which validates and freezes it.
+ *
+ * The sections hold the rules in force from regulatory.effectiveFrom;
+ * later code amendments are listed, with their dates, in `amendments`.
+ */
+
+const VIENNA_PACK = {
+    id: 'vienna',
+    name: 'Vienna, Austria',
+    version: '2.0',
+
+    // Sites inside this box resolve to the pack: [minLng, minLat, maxLng, maxLat]
+    coverage: [16.18, 48.11, 16.58, 48.33],
+
+    // ═══════════════════════════════════════════════════════════════════════
+    // GEOGRAPHIC LOCATION
+    // ═══════════════════════════════════════════════════════════════════════
+    location: {
+        name: "Vienna, Austria",
+        latitude: 48.2082,
+        longitude: 16.3738,
+        elevation: 171,           // meters above sea level (city center)
+        timezone: "Europe/Vienna",
+        climateZone: "Cfb"        // Köppen: Oceanic/Humid continental
+    },
+
+    // ═══════════════════════════════════════════════════════════════════════
+    // ENVIRONMENTAL LAYER (50-Year Predictive Data)
+    // Vienna-specific climate and hazard projections
+    // ═══════════════════════════════════════════════════════════════════════
+    environmentalData: {
+        // Flood Hazard Data (Danube River system)
+        baseFloodElevation: 3.5,          // meters above local grade (BFE)
+        designBFE: 4.8,                   // BFE + 1.3m safety margin
+        freeboard: 0.45,                  // Austrian standard (higher than US)
+        minimumPlinthHeight: 5.25,        // designBFE + freeboard
+        floodZone: "HQ100",               // Austrian 100-year flood designation
+        floodReturnPeriod: 100,           // years
+        floodVelocity: 3.2,               // m/s Danube flood velocity
+        
+        // Wind Hazard Data (Alpine influence)
+        peakWindSpeedMph: 95,             // mph (design wind speed - Vienna is calmer)
+        peakWindSpeedMs: 42.5,            // m/s equivalent
+        windReturnPeriod: 50,             // years
+        
+        // Thermal Hazard Data (Urban Heat Island effect)
+        heatwavePeakTemp: 42,             // °C external (2019 record was 38°C)
+        heatwaveDuration: 96,             // hours (4 days)
+        targetInternalTemp: 24,           // °C for comfort (Austrian standard)
+        maxHVACLoadIncrease: 0.20,        // 20% limit (EU energy efficiency)
+        solarRadiationPeak: 950,          // W/m² (Central European latitude)
+        
+        // Seismic Data (Vienna Basin, low-to-moderate hazard)
+        seismicMagnitude: 5.0,            // Design earthquake (Vienna Basin)
+        peakGroundAcceleration: 0.10,     // g (much lower risk)
+        seismicReturnPeriod: 475,         // years
+        
+        // Grid Reliability (Austrian grid very stable)
+        gridFailureProbability: 0.10,     // 10% during crisis (excellent infrastructure)
+        maxOutageDuration: 48             // hours (2 days max - EU grid standards)
+    },
+
+    // ═══════════════════════════════════════════════════════════════════════
+    // REGULATORY LAYER (Vienna Building Code - Wiener Bauordnung)
+    // ═══════════════════════════════════════════════════════════════════════
+    zoningCode: {
+        // Floor Area Ratio (Geschossflächenzahl)
+        maxFAR: 2.5,                      // Historic preservation
+        
+        // Setback Rules (Abstandsflächen)
+        setbackFormula: 0.4,              // Distance = 0.4 × Building Height
+        minSetbackMeters: 4.0,            // Absolute minimum (meters)
+        rearSetbackFormula: 0.3,          // Rear = 0.3 × Height
+        minRearSetback: 6.0,
+        
+        // Height Limits (UNESCO World Heritage buffer)
+        maxBuildingHeight: 43,            // meters (Vienna height limit)
+        heightBonusForGreen: 1.05,        // 5% bonus for Klimaaktiv buildings
+        
+        // Parking Requirements
+        minParkingRatio: 1.0,             // spaces per 100m² GFA (lower - transit city)
+        minBicycleParking: 1.5,           // spaces per 100m² (higher - cycling culture)
+        
+        // Lot Coverage (Bebauungsdichte)
+        maxLotCoverage: 0.50,             // 50% maximum
+        minGreenSpace: 0.20,              // 20% minimum (EU biodiversity directive)
+        
+        // Use Classifications
+        allowedUses: ["Wohnen", "Gewerbe", "Mischnutzung", "Gemeinbedarf"],
+        
+        // Social Housing Adjacency Rules (Gemeindebauten)
+        redZoneBuffer: 75,                // meters minimum
+        redZoneShadeLimit: 0.15,          // 15% of daylight hours max (stricter)
+
+        // Bauklassen (building classes I-VI): max height and density
+        bauklassen: {
+            I: { class: "I", maxHeight: 9, maxFloors: 2, far: 1.0, description: "Low-rise residential" },
+            II: { class: "II", maxHeight: 12, maxFloors: 3, far: 1.3, description: "Medium residential" },
+            III: { class: "III", maxHeight: 16, maxFloors: 4, far: 1.5, description: "Urban residential" },
+            IV: { class: "IV", maxHeight: 21, maxFloors: 6, far: 2.0, description: "Dense urban" },
+            V: { class: "V", maxHeight: 26, maxFloors: 7, far: 2.5, description: "High-density urban" },
+            VI: { class: "VI", maxHeight: 35, maxFloors: 10, far: 3.0, description: "City center high-rise" }
+        },
+        defaultBauklasse: "III",
+
+        // Bauklasse fallback by district where no zoning-plan block covers the site
+        districtDefaults: {
+            1: { default: "IV", special: ["UNESCO_BUFFER"] },
+            2: { default: "III", special: ["CANAL_ZONE"] },
+            7: { default: "IV", special: ["HISTORIC_QUARTER"] }
+        },
+
+        // Setback and coverage by Bauweise (offene/gekuppelte Bauweise need a Bauwich)
+        lotRules: {
+            g: { minSetback: 0, maxCoverage: 0.85 },
+            gk: { minSetback: 3, maxCoverage: 0.5 },
+            ob: { minSetback: 3, maxCoverage: 0.4 },
+            o: { minSetback: 3, maxCoverage: 0.333 }
+        },
+        defaultBauweise: "g",
+
+        // Schutzzonen (simplified polygons for Districts 1 and 7), [lng, lat] rings
+        protectionZones: {
+            district1_core: {
+                name: "Innere Stadt Core Protection",
+                polygon: [
+                    [16.3550, 48.2050], [16.3850, 48.2050],
+                    [16.3850, 48.2150], [16.3550, 48.2150]
+                ],
+                restrictions: ["facade_preservation", "height_limit", "material_approval"]
+            },
+            district7_spittelberg: {
+                name: "Spittelberg Historic Quarter",
+                polygon: [
+                    [16.3480, 48.2020], [16.3580, 48.2020],
+                    [16.3580, 48.2080], [16.3480, 48.2080]
+                ],
+                restrictions: ["facade_preservation", "roof_style"]
+            }
+        }
+    },
+
+    // ═══════════════════════════════════════════════════════════════════════
+    // HERITAGE LAYER (UNESCO World Heritage - Historic Centre of Vienna)
+    // ═══════════════════════════════════════════════════════════════════════
+    heritageCode: {
+        buffer: {
+            name: "UNESCO World Heritage buffer zone",
+            polygon: [
+                [16.3550, 48.2000], [16.3900, 48.2000],
+                [16.3900, 48.2200], [16.3550, 48.2200]
+            ],
+            heightLimit: 43,              // meters - strict enforcement
+            reviewHeight: 35              // meters - enhanced heritage review above this
+        },
+        landmarks: [
+            { name: "St. Stephen's Cathedral", lat: 48.2084, lng: 16.3731, protectionRadius: 200 },
+            { name: "Hofburg Palace", lat: 48.2064, lng: 16.3659, protectionRadius: 300 },
+            { name: "Vienna State Opera", lat: 48.2036, lng: 16.3692, protectionRadius: 150 }
+        ],
+        // Viewshed corridors - critical sight lines
+        viewsheds: [
+            { from: "Belvedere", to: "Stephansdom", bearing: 45, width: 15 },
+            { from: "Kahlenberg", to: "Historic Centre", bearing: 180, width: 30 }
+        ],
+        // Districts where heritage pre-consultation is mandatory
+        consultationDistricts: [1]
+    },
+
+    // ═══════════════════════════════════════════════════════════════════════
+    // CLIMATE LAYER (solar mandate: see amendments)
+    // ═══════════════════════════════════════════════════════════════════════
+    climateCode: {
+        maxSurfaceSeal: 80,               // percent - above this = automatic rejection
+        greenRoofThreshold: 500,          // sqm footprint requiring green roof
+        solarThreshold: null,             // sqm roof requiring solar installation (none before 2023)
+        facadeGreeningTrigger: 60,        // percent seal triggers facade greening
+        waterRetentionRate: 0.05,         // m³ per sqm roof for retention
+
+        // Urban Heat Island rings around the city centre (km), hottest first
+        uhiZones: [
+            { category: "extreme", radius: 1, intensity: 4.5 },
+            { category: "high", radius: 2, intensity: 3.0 },
+            { category: "moderate", radius: 4, intensity: 1.5 }
+        ],
+        uhiBaseline: { category: "low", intensity: 0.5 },
+
+        // 100-year flood extents (HQ100)
+        floodZones: [
+            {
+                name: "Donaukanal HQ100",
+                polygon: [
+                    [16.3750, 48.2100], [16.4000, 48.2100],
+                    [16.4000, 48.2250], [16.3750, 48.2250]
+                ],
+                minimumElevation: 2.5,    // meters above ground required
+                districts: [2]
+            }
+        ]
+    },
+
+    // ═══════════════════════════════════════════════════════════════════════
+    // SUBSURFACE LAYER (U-Bahn tunnel protection)
+    // ═══════════════════════════════════════════════════════════════════════
+    subsurfaceCode: {
+        // Proximity thresholds (meters)
+        thresholds: {
+            critical: 30,                 // Construction ban without special permit
+            restricted: 50,               // Enhanced structural assessment required
+            monitoring: 100,              // Vibration monitoring during construction
+            clear: 150                    // No special requirements
+        },
+        depthClearance: 5,                // meters between basement slab and tunnel crown
+        transitAuthority: "Wiener Linien"
+    },
+
+    // ═══════════════════════════════════════════════════════════════════════
+    // WIND LOAD CONSTANTS (Eurocode EN 1991-1-4)
+    // ═══════════════════════════════════════════════════════════════════════
+    windLoadConstants: {
+        // Pressure formula: qp = 0.5 × ρ × v²(z) × ce(z)
+        pressureCoeffImperial: 0.00256,   // For V in mph, P in psf
+        pressureCoeffSI: 0.613,           // For V in m/s, P in N/m²
+        
+        // Basic wind velocity (ÖNORM B 1991-1-4 Annex A, Wien)
+        basicWindVelocity: 25.1,          // vb,0 (m/s, 10-min mean at 10m, 50-year return)
+        seasonFactor: 1.0,                // cseason
+        prevailingWindBearing: 292.5,     // degrees the wind blows from (west-northwest)
+        airDensity: 1.25,                 // ρ (kg/m³)
+        
+        // Exposure factor ce(z) by EN 1991-1-4 terrain category 0-IV (§4.5, co = 1, kI = 1)
+        exposureCoefficients: {
+            "0": { // Sea or coastal area exposed to the open sea (z0 = 0.003m, zmin = 1m)
+                0: 1.81, 1: 1.81, 10: 2.98, 15: 3.22, 20: 3.39, 25: 3.52, 30: 3.64, 40: 3.82, 50: 3.96,
+                60: 4.08, 70: 4.18, 80: 4.27, 90: 4.34, 100: 4.42, 120: 4.54, 140: 4.65, 160: 4.74, 200: 4.90
+            },
+            "I": { // Lakes or flat land with negligible vegetation (z0 = 0.01m, zmin = 1m)
+                0: 1.54, 1: 1.54, 10: 2.77, 15: 3.02, 20: 3.20, 25: 3.34, 30: 3.46, 40: 3.66, 50: 3.81,
+                60: 3.94, 70: 4.04, 80: 4.14, 90: 4.23, 100: 4.30, 120: 4.44, 140: 4.55, 160: 4.65, 200: 4.82
+            },
+            "II": { // Low vegetation, isolated obstacles (z0 = 0.05m, zmin = 2m)
+                0: 1.42, 2: 1.42, 10: 2.35, 15: 2.62, 20: 2.81, 25: 2.96, 30: 3.09, 40: 3.30, 50: 3.47,
+                60: 3.61, 70: 3.73, 80: 3.83, 90: 3.92, 100: 4.01, 120: 4.15, 140: 4.28, 160: 4.39, 200: 4.58
+            },
+            "III": { // Regular vegetation or buildings, suburban (z0 = 0.3m, zmin = 5m)
+                0: 1.28, 5: 1.28, 10: 1.71, 15: 1.98, 20: 2.18, 25: 2.34, 30: 2.48, 40: 2.70, 50: 2.88,
+                60: 3.02, 70: 3.15, 80: 3.26, 90: 3.36, 100: 3.45, 120: 3.61, 140: 3.75, 160: 3.87, 200: 4.07
+            },
+            "IV": { // At least 15% covered by buildings over 15m, urban (z0 = 1.0m, zmin = 10m)
+                0: 1.18, 10: 1.18, 15: 1.44, 20: 1.64, 25: 1.81, 30: 1.94, 40: 2.17, 50: 2.34, 60: 2.49,
+                70: 2.62, 80: 2.74, 90: 2.84, 100: 2.93, 120: 3.10, 140: 3.24, 160: 3.37, 200: 3.58
+            }
+        },
+
+        // Terrain categories the audit picks from the surrounding building density
+        terrainCategories: {
+            urban: "IV",                  // Dense urban fabric around the site
+            exposed: "III"                // Few neighbors: suburban terrain upwind
+        },
+        
+        // Topographic Factor (Kzt) - Vienna is mostly flat
+        topographicFactor: 1.0,
+        
+        // Wind Directionality Factor (Kd) - Eurocode
+        directionalityFactor: 0.85,
+        
+        // Pressure Coefficients (Cp) - same as ASCE
+        pressureCoefficients: {
+            windward: 0.8,
+            leeward: -0.5,
+            sidewall: -0.7,
+            roof_flat: -0.9,
+            roof_windward: -0.7,
+            roof_leeward: -0.5
+        },
+        
+        // Importance Factors (Eurocode consequence classes)
+        importanceFactors: {
+            CC1: 0.9,   // Low consequence
+            CC2: 1.0,   // Medium consequence (standard)
+            CC3: 1.1    // High consequence
+        },
+        
+        // Gust Effect Factor
+        gustFactor: 0.85,
+        
+        // Resistance the facade and roof cladding is checked against (design value, γQ applied to the action)
+        claddingResistance: 1500,         // N/m² pressure or suction on standard cladding and its fixings
+
+        // Stability of the whole building against the wind (EN 1990 EQU)
+        stabilityLimits: {
+            stabilisingFactor: 0.9,       // γG,stb on the self-weight
+            baseFriction: 0.4,            // μ between foundation and ground
+            minOverturningRatio: 1.0,     // γG,stb × Mstb / (γQ × M)
+            minSlidingRatio: 1.0          // γG,stb × μ × W / (γQ × Fw)
+        },
+
+        // Structural Limits
+        maxAspectRatio: 5.0,              // H/B for wind stability (stricter)
+        maxDriftRatio: 1/500,             // H/500 allowable drift (Eurocode)
+        minNaturalFrequency: 0.1          // Hz minimum
+    },
+
+    // ═══════════════════════════════════════════════════════════════════════
+    // THERMAL ENVELOPE CONSTANTS (Austrian OIB / EU EPBD)
+    // ═══════════════════════════════════════════════════════════════════════
+    thermalEnvelopeConstants: {
+        // Maximum WWR by orientation for passive house standard
+        maxWWRByOrientation: {
+            north: 0.40,      // 40% - Reduced heat loss focus
+            northeast: 0.30,
+            east: 0.30,       // 30% - Morning sun acceptable
+            southeast: 0.35,
+            south: 0.50,      // 50% - Solar gain beneficial in Vienna
+            southwest: 0.25,
+            west: 0.25,       // 25% - Afternoon heat control
+            northwest: 0.30
+        },
+        
+        // Minimum insulation R-values (m²·K/W) - Nearly Zero Energy Building
+        minRValueWall: 6.5,               // Colder continental winters
+        minRValueRoof: 8.0,
+        minRValueFloor: 4.5,
+        
+        // Window performance requirements (Passivhaus-adjacent)
+        maxWindowUValue: 0.8,             // W/m²·K (triple glazing required)
+        maxSHGC: 0.35,                    // Higher allowed - solar gain useful
+        
+        // Thermal mass requirements
+        minThermalMass: 900,              // J/kg·K
+        
+        // Ventilation requirements (mechanical ventilation)
+        minACH: 0.4,                      // Air changes per hour
+        maxACH: 5.0
+    },
+
+    // ═══════════════════════════════════════════════════════════════════════
+    // ETHICS LAYER (Krems Protocol V2 - Austrian Social Housing Context)
+    // ═══════════════════════════════════════════════════════════════════════
+    ethicsConstants: {
+        daylightHours: 9,                 // Average daylight hours (fallback when no study dates)
+        maxShadeImpact: 0.15,             // 15% of daylight hours (stricter)
+        redZones: [
+            // Vienna Gemeindebauten (social housing complexes), outline = [lng, lat] ring of the estate
+            {
+                name: "Karl-Marx-Hof", lat: 48.2544, lon: 16.3719, population: 5000,
+                outline: [[16.3702, 48.2494], [16.3728, 48.2494], [16.3738, 48.2592], [16.3712, 48.2592]]
+            },
+            {
+                name: "Reumannhof", lat: 48.1744, lon: 16.3619, population: 2500,
+                outline: [[16.3597, 48.1739], [16.3641, 48.1739], [16.3641, 48.1750], [16.3597, 48.1750]]
+            },
+            {
+                name: "Sandleitenhof", lat: 48.2153, lon: 16.3053, population: 5300,
+                outline: [[16.3025, 48.2136], [16.3081, 48.2136], [16.3081, 48.2170], [16.3025, 48.2170]]
+            },
+            {
+                name: "Rabenhof", lat: 48.2033, lon: 16.3947, population: 2800,
+                outline: [[16.3929, 48.2022], [16.3965, 48.2022], [16.3965, 48.2045], [16.3929, 48.2045]]
+            }
+        ],
+        // Shadow study: solstices and equinoxes, Vienna local time
+        shadowStudy: {
+            dates: ["2026-03-20", "2026-06-21", "2026-09-23", "2026-12-21"],
+            stepMinutes: 15
+        },
+        vulnerabilityMultiplier: 1.3,     // Social housing protection
+        waterDisplacementLimit: 0.10      // 10% max (stricter - Danube flooding)
+    },
+
+    // ═══════════════════════════════════════════════════════════════════════
+    // STRUCTURAL CONSTANTS
+    // ═══════════════════════════════════════════════════════════════════════
+    structuralConstants: {
+        // Damping ratios
+        dampingRatios: {
+            steel: 0.02,
+            concrete: 0.05,
+            composite: 0.03,
+            timber: 0.05,
+            clt: 0.06                     // Cross-laminated timber (popular in Vienna)
+        },
+        
+        // Vortex shedding - Strouhal number
+        strouhalNumber: 0.2,
+        
+        // Safety factors (Eurocode partial factors)
+        loadFactorDead: 1.35,             // γG
+        loadFactorLive: 1.5,              // γQ
+        loadFactorWind: 1.5,              // γQ for wind
+        loadFactorSeismic: 1.0,
+        
+        // Material strengths (MPa) - Eurocode designations
+        materials: {
+            reinforced_concrete: {
+                compressiveStrength: 35,  // C35/45
+                tensileStrength: 3.2,
+                elasticModulus: 34000,
+                density: 2500
+            },
+            steel_frame: {
+                yieldStrength: 355,       // S355
+                tensileStrength: 510,
+                elasticModulus: 210000,
+                density: 7850
+            },
+            clt_timber: {
+                compressiveStrength: 25,
+                tensileStrength: 16,
+                elasticModulus: 12000,
+                density: 500
+            }
+        }
+    },
+
+    // ═══════════════════════════════════════════════════════════════════════
+    // PERMIT STATUS DEFINITIONS
+    // ═══════════════════════════════════════════════════════════════════════
+    permitStatuses: {
+        LEGAL_RESILIENT: {
+            code: "LEGAL & RESILIENT",
+            description: "All audits pass + zoning compliant",
+            color: "#00ff88",
+            canProceed: true
+        },
+        NON_COMPLIANT: {
+            code: "NON-COMPLIANT",
+            description: "Zoning or code violations (fixable)",
+            color: "#ffaa00",
+            canProceed: false
+        },
+        STRUCTURALLY_UNSAFE: {
+            code: "STRUCTURALLY UNSAFE",
+            description: "Critical structural failures",
+            color: "#ff4466",
+            canProceed: false
+        }
+    },
+
+    // ═══════════════════════════════════════════════════════════════════════
+    // REGULATORY AUTHORITY
+    // ═══════════════════════════════════════════════════════════════════════
+    regulatory: {
+        authority: "Magistrat der Stadt Wien - Baupolizei (MA 37)",
+        framework: "Wiener Bauordnung (Vienna Building Code)",
+        address: "Dresdner Straße 73-75, 1200 Wien, Austria",
+        planningAuthority: "MA 21",       // Stadtteilplanung und Flächenwidmung
+        heritageAuthority: "MA 19",       // Architektur und Stadtgestaltung
+        standardVersion: "ArchiShield-AT-V2.0",
+        certificationBody: "Austrian Institute of Construction Engineering (OIB)",
+        appealPeriod: 14,                 // days (Austrian admin law)
+        validityPeriod: 3,                // years (building permits)
+        effectiveFrom: "2018-12-22"       // Bauordnungsnovelle 2018
+    },
+
+    // ═══════════════════════════════════════════════════════════════════════
+    // PHYSICS CONSTANTS
+    // ═══════════════════════════════════════════════════════════════════════
+    physics: {
+        gravity: 9.81,                    // m/s²
+        airDensity: 1.225,                // kg/m³ at sea level
+        waterDensity: 1000,               // kg/m³
+        stefanBoltzmann: 5.67e-8,         // W/m²·K⁴
+        airSpecificHeat: 1005,            // J/kg·K
+        waterSpecificHeat: 4186           // J/kg·K
+    },
+
+    // ═══════════════════════════════════════════════════════════════════════
+    // CODE AMENDMENTS (effectiveFrom inclusive, effectiveTo exclusive)
+    // ═══════════════════════════════════════════════════════════════════════
+    amendments: [
+        {
+            id: "2023",
+            title: "2023 Vienna Building Code Amendment",
+            effectiveFrom: "2023-12-21",
+            changes: {
+                climateCode: {
+                    solarThreshold: 250,
+                    solarCitation: "2023 Vienna Building Code Amendment §7.3"
+                }
+            }
+        }
+    ]
+};
+
+export { VIENNA_PACK };
+export default VIENNA_PACK;
@@ -1,5 +1,6 @@
 // Hydraulic Audit Service
 import { SpatialUtils } from '../spatial';
+import { createAuditResult } from '../audits/result';
 
 export const HydraulicAudit = {
     name: 'Hydraulic Integrity Audit',
@@ -41,11 +42,18 @@ export const HydraulicAudit = {
             reasoning.push("✓ PASS: Safe distance from water.");
         }
 
-        return {
-            status, score, passed: status === 'PASSED',
-            requirements, reasoning: reasoning.join('\n'),
+        return createAuditResult({
+            id: this.id,
+            name: this.name,
+            score,
+            passed: status === 'PASSED',
+            constraints: status === 'PASSED' ? [] : [
+                { type: 'FLOOD_RISK', severity: 'critical', message: requirements[0] || 'Building within HQ100 flood zone' }
+            ],
+            recommendations: requirements,
+            reasoning,
             data: { distanceToRiver, riskLevel, zone: distanceToRiver < 300 ? 'HQ100' : 'Safe' }
-        };
+        });
     }
 };
 
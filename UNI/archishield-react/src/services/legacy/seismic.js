@@ -1,4 +1,6 @@
 // Seismic Audit Service
+import { createAuditResult } from '../audits/result';
+
 export const SeismicAudit = {
     name: 'Seismic Resilience Audit',
     code: 'SRA-2036',
@@ -47,11 +49,18 @@ export const SeismicAudit = {
             reasoning.push("✓ PASS: Stable bedrock foundation.");
         }
 
-        return {
-            status, score, passed: status === 'PASSED',
-            requirements, reasoning: reasoning.join('\n'),
+        return createAuditResult({
+            id: this.id,
+            name: this.name,
+            score,
+            passed: status === 'PASSED',
+            constraints: status === 'PASSED' ? [] : [
+                { type: 'SEISMIC_RISK', severity: 'critical', message: requirements[0] || 'Structural system unsuitable for sediment zone' }
+            ],
+            recommendations: requirements,
+            reasoning,
             data: { zone, pga: pga + 'g', amplification: amplification + 'x' }
-        };
+        });
     }
 };
 
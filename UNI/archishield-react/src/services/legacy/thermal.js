@@ -1,5 +1,6 @@
 // Thermal Audit Service
 import { SpatialUtils } from '../spatial';
+import { createAuditResult } from '../audits/result';
 
 export const ThermalAudit = {
     name: 'Thermal Comfort Audit',
@@ -66,11 +67,18 @@ export const ThermalAudit = {
         score = Math.min(100, Math.max(0, score));
         if (score < 50) status = 'FAILED';
 
-        return {
-            status, score, passed: status === 'PASSED',
-            requirements, reasoning: reasoning.join('\n'),
+        return createAuditResult({
+            id: this.id,
+            name: this.name,
+            score,
+            passed: status === 'PASSED',
+            constraints: status === 'PASSED' ? [] : [
+                { type: 'UHI_RISK', severity: 'critical', message: requirements[0] || 'Heat-retaining material in urban heat island' }
+            ],
+            recommendations: requirements,
+            reasoning,
             data: { uhiRisk, neighborDensity: neighborCount }
-        };
+        });
     }
 };
 
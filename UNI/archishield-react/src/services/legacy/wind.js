@@ -1,5 +1,6 @@
 // Wind Load Audit Service
 import { SpatialUtils } from '../spatial';
+import { createAuditResult } from '../audits/result';
 
 export const WindLoadAudit = {
     name: 'Wind Load Audit',
@@ -56,11 +57,18 @@ export const WindLoadAudit = {
             requirements.push("Aerodynamic Shaping Required");
         }
 
-        return {
-            status, score, passed: status === 'PASSED',
-            requirements, reasoning: reasoning.join('\n'),
+        return createAuditResult({
+            id: this.id,
+            name: this.name,
+            score,
+            passed: status === 'PASSED',
+            constraints: status === 'PASSED' ? [] : [
+                { type: 'WIND_LOAD_WARNING', severity: 'critical', message: requirements[0] || 'Site exposed to high wind loads' }
+            ],
+            recommendations: requirements,
+            reasoning,
             data: { shielding, neighborCount, windSpeed: "12.5 m/s" }
-        };
+        });
     }
 };
 
@@ -2,6 +2,7 @@
  * ArchiShield Pro - Wind Load Audit
  * Real-Data Enabled: Counts neighboring buildings for shielding calculation.
  */
+import { createAuditResult } from '../audits/result';
 
 const WindLoadAudit = {
     name: 'Wind Load Audit',
@@ -11,7 +12,7 @@ const WindLoadAudit = {
     /**
      * Execute wind audit
      * @param {Object} building - Building data
-     * @param {Object} config - Environmental config (SOFIA_2036)
+     * @param {Object} config - Jurisdiction pack
      * @returns {Object} Audit result
      */
     execute(building, config) {
@@ -78,20 +79,27 @@ const WindLoadAudit = {
         reasoning.push(`Shielding Factor: ${shielding}`);
         reasoning.push(`Neighbors in Radius: ${neighborCount}`);
 
-        return {
-            status: status,
+        return createAuditResult({
+            id: this.id,
+            name: this.name,
             score: score,
             passed: status === 'PASSED',
-            requirements: requirements,
-            reasoning: reasoning.join('\n'),
+            constraints: status === 'PASSED' ? [] : [
+                { type: 'WIND_LOAD_WARNING', severity: 'critical', message: requirements[0] }
+            ],
+            recommendations: requirements,
+            reasoning: reasoning,
             data: {
                 shielding: shielding,
                 neighborCount: neighborCount
             }
-        };
+        });
     }
 };
 
+export { WindLoadAudit };
+export default WindLoadAudit;
+
 if (typeof module !== 'undefined' && module.exports) {
     module.exports = WindLoadAudit;
 }
@@ -0,0 +1,444 @@
+/**
+ * Genetic Remediation Optimizer
+ *
+ * Port of the legacy GeneticRemediation engine (ArchiShield Files/js/remediation/genetic.js)
+ * to the Spot-Audit pipeline. A genome is a set of concrete changes to the design's
+ * building parameters (lower height, fewer floors, a smaller or turned footprint,
+ * another material, a shallower basement, a raised ground floor, less sealed
+ * surface, a green roof or solar panels). Its fitness comes from re-running every
+ * audit on the changed design: feasibility, minus penalties for blocking and
+ * critical constraints, minus the cost index weighted by `costWeight`.
+ *
+ * The population evolves by tournament selection, uniform crossover and mutation,
+ * keeping the best genomes each generation. A seeded generator makes runs
+ * reproducible, so the audit worker and the main thread agree. The best genomes are
+ * pruned of changes that do not pay for themselves and returned ranked.
+ * Like ./envelope.js, datasets are always passed in.
+ */
+import { defaultAuditRegistry } from './audits/index.js';
+import { createSpotBuilding, createAuditContext, executeAllAudits } from './spot_audit.js';
+import { SWEEP_PARAMETERS } from './sensitivity.js';
+import { getSpatialIndex } from './spatial_index.js';
+import { describeJurisdiction, resolveJurisdiction, toDateKey } from './jurisdictions/index.js';
+import APP_CONSTANTS from './constants.js';
+
+// Fitness points lost per remaining constraint
+const BLOCKING_PENALTY = 40;
+const CRITICAL_PENALTY = 10;
+
+// Lowest storey height a lowered building keeps; floors above it are dropped
+export const MIN_STOREY_HEIGHT = 3;
+const MAX_GROUND_ELEVATION = 4;
+const ELITE_COUNT = 2;
+const TOURNAMENT_SIZE = 3;
+// Strategies pruned per returned candidate
+const PRUNE_FACTOR = 5;
+
+// Extra construction cost of each material over concrete (fraction of base construction)
+const MATERIAL_PREMIUM = { CONCRETE: 0, STEEL: 0.05, TIMBER: 0.08 };
+
+export const MAX_GENERATIONS = 50;
+export const MAX_POPULATION = 60;
+
+export const DEFAULT_OPTIMIZER_GOALS = {
+    costWeight: 0.5,
+    generations: 12,
+    populationSize: 24,
+    mutationRate: 0.2,
+    limit: 5,
+    seed: 1
+};
+
+function steps(from, to, step) {
+    const values = [];
+    for (let i = 0; from + i * step <= to + 1e-9; i++) {
+        values.push(Math.round((from + i * step) * 100) / 100);
+    }
+    return values;
+}
+
+/**
+ * Design changes the optimizer may make, grouped like the legacy gene pools
+ * options(design): values other than the design's own; changes only move towards
+ * compliance (lower, smaller, less sealed, shallower, a higher ground floor);
+ * cost(from, to): cost index as a fraction of base construction cost, lost gross
+ * floor area counting at full value;
+ * geometry: rebuilds the footprint rectangle, so it is not offered for a drawn outline
+ */
+export const DESIGN_GENES = {
+    height: {
+        label: 'Height', unit: 'm', icon: '📏', category: 'envelope',
+        description: 'Lower the building below height limits and cut shade and wind load',
+        options: design => steps(SWEEP_PARAMETERS.height.min, design.height - 1, 1),
+        // Re-planned storey heights; lost storeys are costed by the floors they drop
+        cost: (from, to) => (from - to) * 0.001
+    },
+    floors: {
+        label: 'Floors', unit: '', icon: '🏢', category: 'envelope',
+        description: 'Drop storeys to meet the floor count of the Bauklasse',
+        options: design => steps(1, design.floors - 1, 1),
+        cost: (from, to) => (from - to) / from
+    },
+    footprint: {
+        label: 'Footprint', unit: 'm²', icon: '⬛', category: 'envelope', geometry: true,
+        description: 'Shrink the footprint away from tunnels, red zones and lot limits',
+        options: design => steps(SWEEP_PARAMETERS.footprint.min, design.footprint - 10, 10),
+        cost: (from, to) => (from - to) / from
+    },
+    rotation: {
+        label: 'Rotation', unit: '°', icon: '🧭', category: 'envelope', geometry: true,
+        description: 'Turn the footprint to change its shadow and distances',
+        options: design => steps(0, 345, 15).filter(value => value !== design.rotation),
+        cost: () => 0.01
+    },
+    material: {
+        label: 'Material', unit: '', icon: '🧱', category: 'structural',
+        description: 'Change the structural system to lower mass and seismic demand',
+        options: design => SWEEP_PARAMETERS.material.values.filter(value => value !== design.material),
+        cost: (from, to) => 0.02 + Math.max(0, (MATERIAL_PREMIUM[to] || 0) - (MATERIAL_PREMIUM[from] || 0))
+    },
+    basementDepth: {
+        label: 'Basement depth', unit: 'm', icon: '🚇', category: 'structural',
+        description: 'Build a shallower basement clear of tunnel depths',
+        options: design => steps(1, design.basementDepth - 1, 1),
+        cost: (from, to) => (from - to) * 0.015
+    },
+    groundElevation: {
+        label: 'Ground floor elevation', unit: 'm', icon: '🌊', category: 'structural',
+        description: 'Raise the ground floor above the flood level',
+        options: design => steps((design.groundElevation || 0) + 0.5, MAX_GROUND_ELEVATION, 0.5),
+        cost: (from, to) => (to - from) * 0.03
+    },
+    surfaceSeal: {
+        label: 'Surface seal', unit: '%', icon: '🌿', category: 'stewardship',
+        description: 'Unseal part of the lot with permeable paving and planting',
+        options: design => steps(SWEEP_PARAMETERS.surfaceSeal.min, design.surfaceSeal - 5, 5),
+        cost: (from, to) => (from - to) * 0.002
+    },
+    hasGreenRoof: {
+        label: 'Green roof', unit: '', icon: '🌱', category: 'stewardship',
+        description: 'Install an extensive green roof',
+        options: design => (design.hasGreenRoof ? [] : [true]),
+        cost: () => 0.03
+    },
+    hasSolarPanels: {
+        label: 'Solar panels', unit: '', icon: '☀️', category: 'stewardship',
+        description: 'Cover the roof share of the solar mandate with PV',
+        options: design => (design.hasSolarPanels ? [] : [true]),
+        cost: () => 0.02
+    }
+};
+
+// Small seeded generator (mulberry32) so a run can be repeated exactly
+function createRandom(seed) {
+    let state = seed >>> 0;
+    return () => {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+function genomeKey(genome) {
+    return Object.keys(genome).sort().map(id => `${id}=${genome[id]}`).join('|');
+}
+
+function constraintKey(constraint) {
+    return constraint.rule || constraint.type;
+}
+
+function summarizeConstraint({ type, severity, rule, message }) {
+    return { type, severity: severity || 'info', rule: rule || null, message };
+}
+
+function checkGoals({ costWeight, generations, populationSize, mutationRate, limit, genes }) {
+    if (!Number.isFinite(costWeight) || costWeight < 0) {
+        throw new Error(`Invalid optimizer cost weight: ${costWeight} (expected a number >= 0)`);
+    }
+    if (!Number.isInteger(generations) || generations < 1 || generations > MAX_GENERATIONS) {
+        throw new Error(`Invalid optimizer generations: ${generations} (expected 1-${MAX_GENERATIONS})`);
+    }
+    if (!Number.isInteger(populationSize) || populationSize < 4 || populationSize > MAX_POPULATION) {
+        throw new Error(`Invalid optimizer population: ${populationSize} (expected 4-${MAX_POPULATION})`);
+    }
+    if (!Number.isFinite(mutationRate) || mutationRate < 0 || mutationRate > 1) {
+        throw new Error(`Invalid optimizer mutation rate: ${mutationRate} (expected 0-1)`);
+    }
+    if (!Number.isInteger(limit) || limit < 1) {
+        throw new Error(`Invalid optimizer limit: ${limit} (expected a positive integer)`);
+    }
+    const unknown = genes.filter(id => !DESIGN_GENES[id]);
+    if (unknown.length > 0) {
+        throw new Error(`Unknown design gene: ${unknown.join(', ')} (expected ${Object.keys(DESIGN_GENES).join(', ')})`);
+    }
+}
+
+/**
+ * Evolve design changes that raise the feasibility of a design at a site
+ * @param {Object} site - { latitude, longitude, params, context, existingBuilding }
+ *   params: the design's building parameters; context: as createAuditContext (built when omitted)
+ * @param {Object} goals - { costWeight, generations, populationSize, mutationRate, limit, seed, genes }
+ *   costWeight: fitness points per percent of construction cost (default 0.5);
+ *   genes: DESIGN_GENES ids the optimizer may change (default: all)
+ * @param {Object} options - As executeAllAudits: { registry, buildings, buildingIndex, zoningPlan, geology, tunnels, jurisdiction }
+ * @returns {Object} { costWeight, seed, generations, populationSize, genes, base, candidates, evaluations }
+ *   base: { feasibility, status, statusColor, blocking, critical, fitness } of the unchanged design;
+ *   candidates: up to `limit` design changes that beat the design, one per set of changed parameters,
+ *   best fitness first:
+ *   { rank, action, changes, categories, costIndex, feasibility, gain, status, statusColor, fitness,
+ *   resolved, introduced, paretoOptimal }
+ *   action: the changed parameters, ready for updateBuildingConfig;
+ *   changes: [{ parameter, label, unit, icon, category, description, from, to, costIndex }];
+ *   resolved / introduced: constraints the changes clear or add;
+ *   paretoOptimal: no other candidate gains as much for less cost;
+ *   evaluations: audits run
+ */
+export function optimizeDesign(site, goals = {}, {
+    registry = defaultAuditRegistry,
+    buildings = [],
+    buildingIndex = getSpatialIndex(buildings),
+    zoningPlan = null,
+    geology = null,
+    tunnels = null,
+    jurisdiction = APP_CONSTANTS
+} = {}) {
+    const settings = { ...DEFAULT_OPTIMIZER_GOALS, genes: Object.keys(DESIGN_GENES), ...goals };
+    checkGoals(settings);
+    const { costWeight, generations, populationSize, mutationRate, limit, seed } = settings;
+
+    const { latitude, longitude, params = {}, existingBuilding = null } = site;
+    const context = site.context || createAuditContext(latitude, longitude, buildingIndex);
+    const design = createSpotBuilding(latitude, longitude, params, existingBuilding);
+    design.rotation = design.rotation || 0;
+
+    // A drawn or dataset outline cannot be resized as a rectangle without losing its shape
+    const hasOutline = Boolean(params.footprintPolygon || existingBuilding?.geometry);
+    const pool = settings.genes
+        .filter(id => !(DESIGN_GENES[id].geometry && hasOutline))
+        .map(id => ({ id, options: DESIGN_GENES[id].options(design) }))
+        .filter(gene => gene.options.length > 0);
+
+    // Changed parameters of a genome, with floors dropped to fit a lowered height
+    const toAction = (genome) => {
+        const action = { ...genome };
+        if (action.height !== undefined) {
+            const fitting = Math.max(1, Math.floor(action.height / MIN_STOREY_HEIGHT));
+            const floors = Math.min(action.floors ?? design.floors, fitting);
+            if (floors !== design.floors) action.floors = floors;
+        }
+        return action;
+    };
+
+    const cache = new Map();
+    const evaluate = (genome) => {
+        const key = genomeKey(genome);
+        if (cache.has(key)) return cache.get(key);
+
+        const action = toAction(genome);
+        const geometry = Object.keys(action).some(id => DESIGN_GENES[id].geometry);
+        const building = createSpotBuilding(latitude, longitude, { ...params, ...action }, geometry ? null : existingBuilding);
+        const run = executeAllAudits(building, context, {
+            registry, buildings, buildingIndex, zoningPlan, geology, tunnels, jurisdiction
+        });
+
+        const changes = Object.keys(DESIGN_GENES).filter(id => id in action).map((id) => {
+            const gene = DESIGN_GENES[id];
+            const from = design[id] ?? null;
+            const to = action[id];
+            return {
+                parameter: id,
+                label: gene.label,
+                unit: gene.unit,
+                icon: gene.icon,
+                category: gene.category,
+                description: gene.description,
+                from,
+                to,
+                costIndex: Math.round(gene.cost(from, to) * 1000) / 1000
+            };
+        });
+        const costIndex = Math.round(changes.reduce((sum, change) => sum + change.costIndex, 0) * 1000) / 1000;
+        const blocking = run.constraints.filter(c => c.severity === 'blocking').length;
+        const critical = run.constraints.filter(c => c.severity === 'critical').length;
+
+        const candidate = {
+            key,
+            genome,
+            action,
+            changes,
+            costIndex,
+            run,
+            blocking,
+            critical,
+            fitness: Math.round((run.feasibility - BLOCKING_PENALTY * blocking - CRITICAL_PENALTY * critical -
+                costWeight * 100 * costIndex) * 10) / 10
+        };
+        cache.set(key, candidate);
+        return candidate;
+    };
+
+    const base = evaluate({});
+    const random = createRandom(seed);
+    const pick = list => list[Math.floor(random() * list.length)];
+
+    const mutate = (genome) => {
+        const child = { ...genome };
+        for (const gene of pool) {
+            if (random() >= mutationRate) continue;
+            const current = gene.options.indexOf(child[gene.id]);
+            if (current !== -1 && random() < 0.3) {
+                delete child[gene.id];
+            } else if (current !== -1 && typeof child[gene.id] === 'number' && random() < 0.5) {
+                // Nudge to a neighbouring value
+                const next = Math.min(gene.options.length - 1, Math.max(0, current + (random() < 0.5 ? -1 : 1)));
+                child[gene.id] = gene.options[next];
+            } else {
+                child[gene.id] = pick(gene.options);
+            }
+        }
+        return child;
+    };
+
+    const crossover = (a, b) => {
+        const child = {};
+        for (const gene of pool) {
+            const parent = random() < 0.5 ? a : b;
+            if (parent[gene.id] !== undefined) child[gene.id] = parent[gene.id];
+        }
+        return child;
+    };
+
+    const tournament = (scored) => {
+        let winner = pick(scored);
+        for (let i = 1; i < TOURNAMENT_SIZE; i++) {
+            const challenger = pick(scored);
+            if (challenger.fitness > winner.fitness) winner = challenger;
+        }
+        return winner.genome;
+    };
+
+    // Seed with the design, one change per gene (as the legacy pools did), then random mixes
+    let population = [{}];
+    for (const gene of pool) {
+        if (population.length >= populationSize) break;
+        population.push({ [gene.id]: pick(gene.options) });
+    }
+    while (pool.length > 0 && population.length < populationSize) {
+        population.push(mutate(pick(population)));
+    }
+
+    for (let generation = 0; pool.length > 0 && generation < generations; generation++) {
+        const scored = population.map(evaluate).sort((a, b) => b.fitness - a.fitness);
+        const next = scored.slice(0, ELITE_COUNT).map(candidate => candidate.genome);
+        while (next.length < populationSize) {
+            next.push(mutate(crossover(tournament(scored), tournament(scored))));
+        }
+        population = next;
+    }
+
+    // Drop changes that do not pay for themselves
+    const prune = (candidate) => {
+        let best = candidate;
+        for (const id of Object.keys(candidate.genome)) {
+            const genome = { ...best.genome };
+            delete genome[id];
+            const reduced = evaluate(genome);
+            if (reduced.fitness >= best.fitness) best = reduced;
+        }
+        return best;
+    };
+
+    // Best genome per set of changed parameters, so the list offers different strategies
+    const strategyOf = candidate => Object.keys(candidate.action).sort().join('+');
+    const bestPerStrategy = (list) => {
+        const best = new Map();
+        for (const candidate of list) {
+            const strategy = strategyOf(candidate);
+            if (candidate.fitness > base.fitness && !(best.get(strategy)?.fitness >= candidate.fitness)) {
+                best.set(strategy, candidate);
+            }
+        }
+        return [...best.values()].sort((a, b) => b.fitness - a.fitness || a.costIndex - b.costIndex);
+    };
+
+    const improving = bestPerStrategy([...cache.values()]).slice(0, limit * PRUNE_FACTOR);
+    const ranked = bestPerStrategy(improving.map(prune)).slice(0, limit);
+
+    const baseKeys = new Set(base.run.constraints.map(constraintKey));
+    const candidates = ranked.map((candidate, index) => {
+        const keys = new Set(candidate.run.constraints.map(constraintKey));
+        const gain = candidate.run.feasibility - base.run.feasibility;
+        return {
+            rank: index + 1,
+            action: candidate.action,
+            changes: candidate.changes,
+            categories: [...new Set(candidate.changes.map(change => change.category))],
+            costIndex: candidate.costIndex,
+            feasibility: candidate.run.feasibility,
+            gain,
+            status: candidate.run.status,
+            statusColor: candidate.run.statusColor,
+            fitness: candidate.fitness,
+            resolved: base.run.constraints.filter(c => !keys.has(constraintKey(c))).map(summarizeConstraint),
+            introduced: candidate.run.constraints.filter(c => !baseKeys.has(constraintKey(c))).map(summarizeConstraint),
+            paretoOptimal: !ranked.some(other => other !== candidate &&
+                other.run.feasibility - base.run.feasibility >= gain &&
+                other.costIndex <= candidate.costIndex &&
+                (other.run.feasibility - base.run.feasibility > gain || other.costIndex < candidate.costIndex))
+        };
+    });
+
+    return {
+        costWeight,
+        seed,
+        generations,
+        populationSize,
+        genes: pool.map(gene => gene.id),
+        base: {
+            feasibility: base.run.feasibility,
+            status: base.run.status,
+            statusColor: base.run.statusColor,
+            blocking: base.blocking,
+            critical: base.critical,
+            fitness: base.fitness
+        },
+        candidates,
+        evaluations: cache.size
+    };
+}
+
+/**
+ * One-shot optimization for a location, taking the same request as runSpotAudit
+ * @param {Object} request - { latitude, longitude, params, buildings, buildingIndex, zoningPlan, geology, tunnels, registry, jurisdiction, asOf }
+ * @param {Object} goals - As optimizeDesign
+ * @returns {Object} optimizeDesign's result plus the jurisdiction summary
+ */
+export function runRemediationOptimizer({
+    latitude,
+    longitude,
+    params = {},
+    buildings = [],
+    buildingIndex = getSpatialIndex(buildings),
+    zoningPlan = null,
+    geology = null,
+    tunnels = null,
+    registry = defaultAuditRegistry,
+    jurisdiction = null,
+    asOf = new Date()
+}, goals = {}) {
+    const pack = resolveJurisdiction({ jurisdiction, latitude, longitude, asOf });
+    const existingBuilding = params.id
+        ? buildings.find(f => f.properties?.id === params.id)
+        : null;
+
+    return {
+        jurisdiction: { ...describeJurisdiction(pack), asOf: toDateKey(asOf) },
+        ...optimizeDesign({ latitude, longitude, params, existingBuilding }, goals, {
+            registry, buildings, buildingIndex, zoningPlan, geology, tunnels, jurisdiction: pack
+        })
+    };
+}
+
+export default runRemediationOptimizer;
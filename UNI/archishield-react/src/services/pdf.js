@@ -0,0 +1,329 @@
+/**
+ * Minimal PDF Writer - Client-Side Documents Without Dependencies
+ *
+ * Writes PDF 1.4 pages with the standard Helvetica and Courier fonts (WinAnsi
+ * encoding), filled and stroked paths, arcs and JPEG images (embedded as they
+ * are, DCTDecode). Coordinates are points from the top-left corner of the page,
+ * as on screen; text y is the baseline. Characters WinAnsi lacks get a close
+ * ASCII form (→ becomes ->) or are dropped (emoji).
+ */
+
+export const PAGE_SIZES = {
+    A4: { width: 595.28, height: 841.89 }
+};
+
+const FONT_NAMES = { regular: 'Helvetica', bold: 'Helvetica-Bold', mono: 'Courier' };
+const FONT_KEYS = { regular: 'F1', bold: 'F2', mono: 'F3' };
+
+// Advance widths (1/1000 em) of ASCII 32-126 from the Adobe AFM metrics
+const HELVETICA_WIDTHS = [
+    278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278, 278,
+    556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 278, 278, 584, 584, 584, 556,
+    1015, 667, 667, 722, 722, 667, 611, 778, 722, 278, 500, 667, 556, 833, 722, 778,
+    667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 278, 278, 278, 469, 556,
+    333, 556, 556, 500, 556, 556, 278, 556, 556, 222, 222, 500, 222, 833, 556, 556,
+    556, 556, 333, 500, 278, 556, 500, 722, 500, 500, 500, 334, 260, 334, 584
+];
+const HELVETICA_BOLD_WIDTHS = [
+    278, 333, 474, 556, 556, 889, 722, 238, 333, 333, 389, 584, 278, 333, 278, 278,
+    556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 333, 333, 584, 584, 584, 611,
+    975, 722, 722, 722, 722, 667, 611, 778, 722, 278, 556, 722, 611, 833, 722, 778,
+    667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 333, 278, 333, 584, 556,
+    333, 556, 611, 556, 611, 556, 333, 611, 611, 278, 278, 556, 278, 889, 611, 611,
+    611, 611, 389, 556, 333, 611, 556, 778, 556, 556, 500, 389, 280, 389, 584
+];
+const WIDTHS = { regular: HELVETICA_WIDTHS, bold: HELVETICA_BOLD_WIDTHS };
+
+// WinAnsi codes outside Latin-1
+const WIN_ANSI_EXTRA = {
+    '€': 0x80, '‚': 0x82, '„': 0x84, '…': 0x85, '†': 0x86, '‡': 0x87, '‰': 0x89,
+    '‘': 0x91, '’': 0x92, '“': 0x93, '”': 0x94, '•': 0x95, '–': 0x96, '—': 0x97, '™': 0x99
+};
+
+// Close forms of common characters WinAnsi lacks
+const SUBSTITUTES = {
+    '→': '->', '←': '<-', '↔': '<->', '≥': '>=', '≤': '<=', '≈': '~', '≠': '!=',
+    '✓': '+', '✔': '+', '✗': 'x', '✘': 'x', '⚠': '!', '◆': '*', '−': '-'
+};
+
+/**
+ * Text as WinAnsi codes (one per character)
+ * @param {string} text
+ * @returns {number[]}
+ */
+export function toWinAnsi(text) {
+    const codes = [];
+    for (const char of String(text ?? '')) {
+        const substitute = SUBSTITUTES[char];
+        if (substitute !== undefined && substitute !== char) {
+            codes.push(...toWinAnsi(substitute));
+            continue;
+        }
+        const code = char.codePointAt(0);
+        if (code === 9) codes.push(32);
+        else if ((code >= 32 && code <= 126) || (code >= 160 && code <= 255)) codes.push(code);
+        else if (WIN_ANSI_EXTRA[char]) codes.push(WIN_ANSI_EXTRA[char]);
+        // Anything else (emoji, variation selectors, CJK) has no glyph in the standard fonts
+    }
+    // Dropped emoji leave doubled or leading spaces behind
+    return codes.filter((code, i) => code !== 32 || (i > 0 && codes[i - 1] !== 32));
+}
+
+function charWidth(code, font) {
+    if (font === 'mono') return 600;
+    const table = WIDTHS[font] || HELVETICA_WIDTHS;
+    return code >= 32 && code <= 126 ? table[code - 32] : (font === 'bold' ? 611 : 556);
+}
+
+function escapeText(codes) {
+    return codes.map(code => {
+        if (code === 40 || code === 41 || code === 92) return `\\${String.fromCharCode(code)}`;
+        if (code < 32 || code > 126) return `\\${code.toString(8).padStart(3, '0')}`;
+        return String.fromCharCode(code);
+    }).join('');
+}
+
+function toColor(hex, operator) {
+    const value = parseInt(hex.replace('#', ''), 16);
+    const channels = [value >> 16, (value >> 8) & 255, value & 255].map(c => (c / 255).toFixed(3));
+    return `${channels.join(' ')} ${operator}`;
+}
+
+function num(value) {
+    return Number(value.toFixed(2)).toString();
+}
+
+/**
+ * Size and colour components of a JPEG, read from its SOF marker
+ * @param {Uint8Array} bytes
+ * @returns {Object} { width, height, components }
+ */
+export function readJpegInfo(bytes) {
+    if (bytes[0] !== 0xFF || bytes[1] !== 0xD8) throw new Error('Not a JPEG image');
+    let i = 2;
+    while (i + 9 < bytes.length) {
+        if (bytes[i] !== 0xFF) throw new Error('Corrupt JPEG image');
+        const marker = bytes[i + 1];
+        const isFrame = marker >= 0xC0 && marker <= 0xCF && ![0xC4, 0xC8, 0xCC].includes(marker);
+        if (isFrame) {
+            return {
+                height: (bytes[i + 5] << 8) | bytes[i + 6],
+                width: (bytes[i + 7] << 8) | bytes[i + 8],
+                components: bytes[i + 9]
+            };
+        }
+        i += 2 + ((bytes[i + 2] << 8) | bytes[i + 3]);
+    }
+    throw new Error('JPEG image has no frame header');
+}
+
+/**
+ * Bytes of an image given as a data URL, ArrayBuffer or Uint8Array
+ */
+export function toImageBytes(image) {
+    if (!image) return null;
+    if (image instanceof Uint8Array) return image;
+    if (image instanceof ArrayBuffer) return new Uint8Array(image);
+    if (typeof image === 'string' && image.startsWith('data:')) {
+        return Uint8Array.from(atob(image.slice(image.indexOf(',') + 1)), char => char.charCodeAt(0));
+    }
+    throw new Error('Images must be JPEG bytes or a JPEG data URL');
+}
+
+/**
+ * New PDF document
+ * @param {Object} size - { width, height } in points (default A4 portrait)
+ */
+export function createPdfDocument({ width, height } = PAGE_SIZES.A4) {
+    const pages = [];
+    const images = [];
+    let current = null;
+
+    // Draw operations run in their own graphics state, so colours and dashes never leak
+    const draw = (ops) => {
+        if (!current) throw new Error('Add a page before drawing');
+        current.push(`q ${ops} Q`);
+    };
+
+    const paint = ({ fill, stroke, lineWidth = 1, dash }) => {
+        const state = [];
+        if (fill) state.push(toColor(fill, 'rg'));
+        if (stroke) state.push(toColor(stroke, 'RG'), `${num(lineWidth)} w`);
+        if (dash) state.push(`[${dash.map(num).join(' ')}] 0 d`);
+        const operator = fill && stroke ? 'B' : fill ? 'f' : 'S';
+        return { state: state.join(' '), operator };
+    };
+
+    return {
+        width,
+        height,
+
+        get pageCount() {
+            return pages.length;
+        },
+
+        addPage() {
+            current = [];
+            pages.push(current);
+            return pages.length - 1;
+        },
+
+        // Switch to an earlier page (e.g. for page footers once the total is known)
+        setPage(index) {
+            current = pages[index];
+        },
+
+        textWidth(text, size = 10, font = 'regular') {
+            return toWinAnsi(text).reduce((sum, code) => sum + charWidth(code, font), 0) * size / 1000;
+        },
+
+        // Lines of at most maxWidth points, broken at spaces (or anywhere in over-long words)
+        wrap(text, maxWidth, size = 10, font = 'regular') {
+            const lines = [];
+            for (const paragraph of String(text ?? '').split('\n')) {
+                let line = '';
+                for (const word of paragraph.split(' ')) {
+                    const candidate = line ? `${line} ${word}` : word;
+                    if (this.textWidth(candidate, size, font) <= maxWidth) {
+                        line = candidate;
+                        continue;
+                    }
+                    if (line) lines.push(line);
+                    line = word;
+                    while (this.textWidth(line, size, font) > maxWidth && line.length > 1) {
+                        let cut = line.length - 1;
+                        while (cut > 1 && this.textWidth(line.slice(0, cut), size, font) > maxWidth) cut--;
+                        lines.push(line.slice(0, cut));
+                        line = line.slice(cut);
+                    }
+                }
+                lines.push(line);
+            }
+            return lines;
+        },
+
+        text(text, x, y, { size = 10, font = 'regular', color = '#000000', align = 'left' } = {}) {
+            const codes = toWinAnsi(text);
+            if (codes.length === 0) return;
+            const offset = align === 'left' ? 0
+                : this.textWidth(text, size, font) * (align === 'center' ? 0.5 : 1);
+            draw(`BT /${FONT_KEYS[font] || 'F1'} ${num(size)} Tf ${toColor(color, 'rg')} ${num(x - offset)} ${num(height - y)} Td (${escapeText(codes)}) Tj ET`);
+        },
+
+        rect(x, y, w, h, style = {}) {
+            const { state, operator } = paint(style);
+            draw(`${state} ${num(x)} ${num(height - y - h)} ${num(w)} ${num(h)} re ${operator}`);
+        },
+
+        line(x1, y1, x2, y2, { color = '#000000', lineWidth = 1, dash } = {}) {
+            const { state } = paint({ stroke: color, lineWidth, dash });
+            draw(`${state} ${num(x1)} ${num(height - y1)} m ${num(x2)} ${num(height - y2)} l S`);
+        },
+
+        polygon(points, style = {}) {
+            if (points.length < 2) return;
+            const { state, operator } = paint(style);
+            const path = points.map(([x, y], i) => `${num(x)} ${num(height - y)} ${i === 0 ? 'm' : 'l'}`).join(' ');
+            draw(`${state} ${path} h ${operator}`);
+        },
+
+        // Stroked circular arc; angles in degrees, counter-clockwise from 3 o'clock
+        arc(cx, cy, radius, startAngle, endAngle, { color = '#000000', lineWidth = 1 } = {}) {
+            const { state } = paint({ stroke: color, lineWidth });
+            const segments = Math.max(1, Math.ceil(Math.abs(endAngle - startAngle) / 90));
+            const sweep = (endAngle - startAngle) / segments * Math.PI / 180;
+            const k = 4 / 3 * Math.tan(sweep / 4);
+            const point = (angle, dx = 0, dy = 0) =>
+                `${num(cx + radius * (Math.cos(angle) + dx))} ${num(height - cy + radius * (Math.sin(angle) + dy))}`;
+
+            let angle = startAngle * Math.PI / 180;
+            const path = [`${point(angle)} m`];
+            for (let i = 0; i < segments; i++) {
+                const next = angle + sweep;
+                path.push(`${point(angle, -k * Math.sin(angle), k * Math.cos(angle))} ${point(next, k * Math.sin(next), -k * Math.cos(next))} ${point(next)} c`);
+                angle = next;
+            }
+            draw(`${state} 1 J ${path.join(' ')} S`);
+        },
+
+        // JPEG (bytes or data URL) scaled into the box
+        image(jpeg, x, y, w, h) {
+            const bytes = toImageBytes(jpeg);
+            const info = readJpegInfo(bytes);
+            const name = `Im${images.length + 1}`;
+            images.push({ name, bytes, ...info });
+            draw(`${num(w)} 0 0 ${num(h)} ${num(x)} ${num(height - y - h)} cm /${name} Do`);
+            return info;
+        },
+
+        /**
+         * The finished file
+         * @returns {Uint8Array}
+         */
+        toBytes() {
+            const encoder = (text) => Uint8Array.from(text, char => char.charCodeAt(0) & 255);
+            const chunks = [];
+            const offsets = [];
+            let length = 0;
+            const write = (part) => {
+                const bytes = typeof part === 'string' ? encoder(part) : part;
+                chunks.push(bytes);
+                length += bytes.length;
+            };
+            const object = (id, ...parts) => {
+                offsets[id] = length;
+                write(`${id} 0 obj\n`);
+                parts.forEach(write);
+                write('\nendobj\n');
+            };
+
+            // 1 catalog, 2 page tree, 3-5 fonts, then images, then a page and its content per page
+            const fontIds = { F1: 3, F2: 4, F3: 5 };
+            const firstImageId = 6;
+            const firstPageId = firstImageId + images.length;
+            const pageIds = pages.map((_, i) => firstPageId + i * 2);
+
+            write('%PDF-1.4\n%âãÏÓ\n');
+            object(1, '<< /Type /Catalog /Pages 2 0 R >>');
+            object(2, `<< /Type /Pages /Kids [${pageIds.map(id => `${id} 0 R`).join(' ')}] /Count ${pages.length} >>`);
+            Object.entries(FONT_KEYS).forEach(([font, key]) => {
+                object(fontIds[key], `<< /Type /Font /Subtype /Type1 /BaseFont /${FONT_NAMES[font]} /Encoding /WinAnsiEncoding >>`);
+            });
+            images.forEach((image, i) => {
+                const colorSpace = image.components === 1 ? 'DeviceGray' : image.components === 4 ? 'DeviceCMYK' : 'DeviceRGB';
+                object(
+                    firstImageId + i,
+                    `<< /Type /XObject /Subtype /Image /Width ${image.width} /Height ${image.height} /ColorSpace /${colorSpace} /BitsPerComponent 8 /Filter /DCTDecode /Length ${image.bytes.length} >>\nstream\n`,
+                    image.bytes,
+                    '\nendstream'
+                );
+            });
+
+            const fonts = Object.entries(fontIds).map(([key, id]) => `/${key} ${id} 0 R`).join(' ');
+            const xObjects = images.map((image, i) => `/${image.name} ${firstImageId + i} 0 R`).join(' ');
+            pages.forEach((ops, i) => {
+                const content = ops.join('\n');
+                object(pageIds[i], `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${num(width)} ${num(height)}] /Resources << /Font << ${fonts} >>${xObjects ? ` /XObject << ${xObjects} >>` : ''} >> /Contents ${pageIds[i] + 1} 0 R >>`);
+                object(pageIds[i] + 1, `<< /Length ${encoder(content).length} >>\nstream\n`, content, '\nendstream');
+            });
+
+            const xrefOffset = length;
+            const count = firstPageId + pages.length * 2;
+            write(`xref\n0 ${count}\n0000000000 65535 f \n`);
+            for (let id = 1; id < count; id++) {
+                write(`${String(offsets[id]).padStart(10, '0')} 00000 n \n`);
+            }
+            write(`trailer\n<< /Size ${count} /Root 1 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`);
+
+            const file = new Uint8Array(length);
+            let position = 0;
+            for (const chunk of chunks) {
+                file.set(chunk, position);
+                position += chunk.length;
+            }
+            return file;
+        }
+    };
+}
+
+export default createPdfDocument;
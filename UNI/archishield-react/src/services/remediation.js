@@ -3,29 +3,76 @@
  * 
  * Provides both rule-based and AI-generated remediation strategies
  * for buildings that fail regulatory audits.
+ *
+ * The rule-based catalogue is keyed by the constraint types the audits emit
+ * (plus the mandates that have a design fix). Each entry computes its fix from
+ * the constraint's own values and the building: the height of a limit, the
+ * basement depth a tunnel allows, the ground floor elevation of the HQ100 zone,
+ * the footprint that clears a distance. A fix with an `action` changes building
+ * parameters and can be applied to the design; `action: null` needs a manual
+ * step (an approval, a study, another site). Footprint actions resize the
+ * generated rectangle, so they do not reshape a drawn outline.
+ * `npm run check:remediations` fails when an audit emits a type with no entry.
  */
+import { MIN_STOREY_HEIGHT } from './optimizer.js';
+import { SWEEP_PARAMETERS } from './sensitivity.js';
 
-const GEMINI_API_KEY = import.meta.env.VITE_GEMINI_API_KEY;
+const GEMINI_API_KEY = import.meta.env?.VITE_GEMINI_API_KEY;
 const GEMINI_API_URL = 'https://generativelanguage.googleapis.com/v1/models/gemini-1.5-flash:generateContent';
 
+const MIN_FOOTPRINT = SWEEP_PARAMETERS.footprint.min;
+
+// Height change that keeps storeys at least MIN_STOREY_HEIGHT tall
+function heightAction(height, building) {
+    const target = Math.max(SWEEP_PARAMETERS.height.min, Math.floor(height));
+    const floors = Math.min(building.floors, Math.max(1, Math.floor(target / MIN_STOREY_HEIGHT)));
+    return floors < building.floors ? { height: target, floors } : { height: target };
+}
+
+// Footprint of the rectangle inset by `inset` metres on every side (null below the smallest footprint)
+function insetFootprint(building, inset) {
+    const side = Math.sqrt(building.footprint) - 2 * Math.max(0, inset);
+    const area = side > 0 ? Math.floor(side * side / 10) * 10 : 0;
+    return area >= MIN_FOOTPRINT ? area : null;
+}
+
+function footprintAction(area) {
+    const target = Math.floor(area / 10) * 10;
+    return target >= MIN_FOOTPRINT ? { footprint: target } : null;
+}
+
 /**
- * Rule-based remediation strategies for common violations
+ * Rule-based remediation catalogue, keyed by constraint (or mandate) type
+ * getRemediation(constraint, building) returns one remediation, a list, or null;
+ * `pattern` matches templated types such as DISTRICT_1_PROTOCOL
  */
-const REMEDIATION_RULES = {
+export const REMEDIATION_RULES = {
+    // Zoning
+    ZONING_NOT_BUILDABLE: {
+        priority: 1,
+        getRemediation: (constraint) => ({
+            type: 'PLAN_AMENDMENT',
+            title: 'Rezone or Relocate',
+            description: `The site lies in ${constraint.widmung || 'non-building land'} (${constraint.citation || 'zoning plan'}). Choose a site in Bauland or apply for a plan amendment.`,
+            action: null,
+            impact: 'Only route to a permit on this site',
+            icon: '🗺️'
+        })
+    },
     HEIGHT_VIOLATION: {
         priority: 1,
         getRemediation: (constraint, building) => ({
             type: 'HEIGHT_REDUCTION',
             title: 'Reduce Building Height',
-            description: `Lower the building height from ${building.height}m to ${constraint.limit}m to comply with ${constraint.contextualLimit ? 'Urban Fabric' : 'Bauklasse'} limits.`,
-            action: { height: constraint.contextualLimit || constraint.limit },
+            description: `Lower the building from ${building.height}m to the Bauklasse limit of ${constraint.limit}m. Up to ${constraint.contextualLimit}m (the urban fabric) a variance is possible.`,
+            action: heightAction(constraint.limit, building),
             impact: 'Resolves zoning violation',
             icon: '📏'
         })
     },
     HEIGHT_VARIANCE_OPPORTUNITY: {
         priority: 2,
-        getRemediation: (constraint, _) => ({
+        getRemediation: (constraint) => ({
             type: 'VARIANCE_APPLICATION',
             title: 'Apply for Zoning Variance',
             description: `Your building fits the neighborhood context (${constraint.contextualLimit}m). Apply for a variance with MA 37.`,
@@ -34,42 +81,253 @@ const REMEDIATION_RULES = {
             icon: '📋'
         })
     },
-    SEISMIC_RISK: {
+    FLOOR_WARNING: {
+        priority: 2,
+        getRemediation: (constraint, building) => ({
+            type: 'FLOOR_REDUCTION',
+            title: 'Reduce Floor Count',
+            description: `Drop from ${building.floors} to ${constraint.limit} floors, the typical count of the Bauklasse.`,
+            action: { floors: constraint.limit },
+            impact: 'Clears the floor count warning',
+            icon: '🏢'
+        })
+    },
+    SCHUTZZONE: {
+        priority: 2,
+        getRemediation: (constraint) => ({
+            type: 'PROTECTION_ZONE_APPROVAL',
+            title: 'Prepare Schutzzone Approvals',
+            description: `Protection zone restrictions: ${[].concat(constraint.restrictions || []).join(', ').replace(/_/g, ' ') || 'special approvals'}. Document facade preservation and submit materials for approval.`,
+            action: null,
+            impact: 'Required for a permit in the protection zone',
+            icon: '🏛️'
+        })
+    },
+    FOOTPRINT_OUTSIDE_LOT: {
         priority: 1,
-        getRemediation: (constraint, _) => ({
-            type: 'MATERIAL_CHANGE',
-            title: 'Switch to CLT Construction',
-            description: 'Cross-Laminated Timber reduces seismic stress due to lower mass and higher flexibility.',
-            action: { material: 'TIMBER' },
-            impact: '+15% Seismic score, carbon storage bonus',
-            icon: '🪵'
+        getRemediation: (constraint) => ({
+            type: 'FOOTPRINT_PLACEMENT',
+            title: 'Place Footprint Inside the Lot',
+            description: `The ${constraint.footprintArea}m² footprint extends beyond the ${constraint.lotArea}m² lot. Move or redraw it inside the boundary.`,
+            action: null,
+            impact: 'Resolves lot boundary violation',
+            icon: '📐'
         })
     },
-    WIND_LOAD_WARNING: {
+    SETBACK_VIOLATION: {
+        priority: 1,
+        getRemediation: (constraint, building) => {
+            const footprint = insetFootprint(building, constraint.limit - constraint.actual);
+            return {
+                type: 'SETBACK_INSET',
+                title: 'Pull Footprint Back from Lot Lines',
+                description: footprint
+                    ? `Shrink the footprint from ${building.footprint}m² to ${footprint}m² to gain ${Math.round((constraint.limit - constraint.actual) * 10) / 10}m of setback (${constraint.limit}m required).`
+                    : `A ${constraint.limit}m setback leaves no buildable footprint. Redraw the building on the lot.`,
+                action: footprint ? { footprint } : null,
+                impact: 'Resolves setback violation',
+                icon: '📐'
+            };
+        }
+    },
+    LOT_COVERAGE_EXCEEDED: {
         priority: 2,
-        getRemediation: (constraint, _) => ({
-            type: 'FOOTPRINT_REDUCTION',
-            title: 'Reduce Upper Floor Footprint',
-            description: 'Step back the top 2-3 floors by 2m to reduce wind surface area.',
-            action: { setback: 2 },
-            impact: 'Reduces wind pressure coefficient',
-            icon: '💨'
+        getRemediation: (constraint, building) => {
+            const action = footprintAction(building.footprint * constraint.limit / constraint.actual);
+            return {
+                type: 'FOOTPRINT_REDUCTION',
+                title: 'Reduce Lot Coverage',
+                description: `Cover at most ${Math.round(constraint.limit * 100)}% of the lot: shrink the footprint from ${building.footprint}m²${action ? ` to ${action.footprint}m²` : ''}.`,
+                action,
+                impact: 'Clears lot coverage limit',
+                icon: '⬛'
+            };
+        }
+    },
+
+    // Heritage
+    UNESCO_BUFFER: {
+        priority: 3,
+        getRemediation: (constraint) => ({
+            type: 'HERITAGE_ASSESSMENT',
+            title: 'Heritage Impact Assessment',
+            description: `In the UNESCO buffer zone: ${[].concat(constraint.requirements || []).join(', ')}.`,
+            action: null,
+            impact: 'Required for any permit in the buffer zone',
+            icon: '🏛️'
         })
     },
+    UNESCO_HEIGHT_VIOLATION: {
+        priority: 1,
+        getRemediation: (constraint, building) => ({
+            type: 'HEIGHT_REDUCTION',
+            title: 'Meet UNESCO Height Limit',
+            description: `Lower the building from ${building.height}m to the ${constraint.limit}m buffer-zone limit.`,
+            action: heightAction(constraint.limit, building),
+            impact: 'Lifts automatic rejection',
+            icon: '🏰'
+        })
+    },
+    HEIGHT_REVIEW: {
+        priority: 3,
+        getRemediation: (constraint, building) => ({
+            type: 'HEIGHT_REDUCTION',
+            title: 'Avoid Enhanced Heritage Review',
+            description: `At ${constraint.limit}m or less (now ${building.height}m) the design skips the enhanced heritage review.`,
+            action: heightAction(constraint.limit, building),
+            impact: 'Shorter heritage approval',
+            icon: '📏'
+        })
+    },
+    LANDMARK_PROXIMITY: {
+        priority: 3,
+        getRemediation: (constraint) => ({
+            type: 'VISUAL_IMPACT_STUDY',
+            title: 'Visual Impact Study',
+            description: `${constraint.distance}m from ${constraint.landmark}: prepare renderings of the views to the landmark for design review.`,
+            action: null,
+            impact: 'Required for landmark design review',
+            icon: '🖼️'
+        })
+    },
+    DISTRICT_PROTOCOL: {
+        pattern: /^DISTRICT_\d+_PROTOCOL$/,
+        priority: 3,
+        getRemediation: (constraint) => ({
+            type: 'PRELIMINARY_CONSULTATION',
+            title: 'Book Preliminary Consultation',
+            description: constraint.message,
+            action: null,
+            impact: 'Required before submission',
+            icon: '📅'
+        })
+    },
+
+    // Subsurface
+    TUNNEL_CRITICAL: {
+        priority: 1,
+        getRemediation: (constraint, building) => {
+            const footprint = insetFootprint(building, constraint.clearance - constraint.distance);
+            return {
+                type: footprint ? 'FOOTPRINT_REDUCTION' : 'TRANSIT_APPROVAL',
+                title: footprint ? 'Pull Footprint Out of Tunnel Ban Zone' : 'Obtain Transit Authority Approval',
+                description: footprint
+                    ? `The footprint is ${constraint.distance}m from the ${constraint.line} tunnel; ${constraint.clearance}m is required. Shrinking it from ${building.footprint}m² to ${footprint}m² adds ${Math.round((constraint.clearance - constraint.distance) * 10) / 10}m.`
+                    : `The footprint is ${constraint.distance}m from the ${constraint.line} tunnel, too close to clear ${constraint.clearance}m by shrinking. Build only with transit authority approval or on another site.`,
+                action: footprint ? { footprint } : null,
+                impact: 'Lifts the construction ban',
+                icon: '🚇'
+            };
+        }
+    },
+    TUNNEL_RESTRICTED: {
+        priority: 2,
+        getRemediation: (constraint, building) => {
+            const footprint = insetFootprint(building, constraint.clearance - constraint.distance);
+            return {
+                type: footprint ? 'FOOTPRINT_REDUCTION' : 'GEOTECHNICAL_STUDY',
+                title: footprint ? 'Clear Tunnel Restricted Zone' : 'Commission Geotechnical Study',
+                description: footprint
+                    ? `Shrink the footprint from ${building.footprint}m² to ${footprint}m² to move it ${constraint.clearance}m from the tunnel (now ${constraint.distance}m).`
+                    : `${constraint.distance}m from the tunnel: ${[].concat(constraint.requirements || []).join(', ')}.`,
+                action: footprint ? { footprint } : null,
+                impact: 'Avoids enhanced structural assessment',
+                icon: '🚇'
+            };
+        }
+    },
+    TUNNEL_MONITORING: {
+        priority: 3,
+        getRemediation: (constraint) => ({
+            type: 'VIBRATION_MONITORING',
+            title: 'Budget Vibration Monitoring',
+            description: `${constraint.distance}m from the tunnel: monitor vibrations during construction.`,
+            action: null,
+            impact: 'Condition of the construction permit',
+            icon: '📈'
+        })
+    },
+    DEPTH_CONFLICT: {
+        priority: 1,
+        getRemediation: (constraint, building) => {
+            const depth = Math.floor(constraint.maxDepth);
+            return {
+                type: 'BASEMENT_REDUCTION',
+                title: 'Shallower Basement',
+                description: depth >= 1
+                    ? `The ${constraint.line} tunnel runs at ${constraint.tunnelDepth}m. Reduce the basement from ${building.basementDepth}m to ${depth}m.`
+                    : `The ${constraint.line} tunnel runs at ${constraint.tunnelDepth}m, too shallow for a basement. Build without one.`,
+                action: depth >= 1 ? { basementDepth: depth } : null,
+                impact: 'Clears tunnel crown clearance',
+                icon: '🕳️'
+            };
+        }
+    },
+
+    // Climate
     SURFACE_SEAL_EXCEEDED: {
         priority: 1,
-        getRemediation: (constraint, _) => ({
+        getRemediation: (constraint) => ({
             type: 'PERMEABLE_SURFACES',
             title: 'Add Permeable Paving',
-            description: `Reduce sealed surface from ${constraint.actual}% to below 80% using permeable materials.`,
-            action: { surfaceSeal: 78 },
+            description: `Reduce sealed surface from ${constraint.actual}% to below ${constraint.limit}% using permeable materials.`,
+            action: { surfaceSeal: constraint.limit - 2 },
             impact: 'Unblocks Climate compliance',
             icon: '🌿'
         })
     },
+    HIGH_SEAL: {
+        priority: 3,
+        getRemediation: (constraint) => ({
+            type: 'PERMEABLE_SURFACES',
+            title: 'Unseal to 70%',
+            description: `At ${constraint.actual}% sealed surface enhanced greening is required; at 70% or less it is not.`,
+            action: { surfaceSeal: 70 },
+            impact: 'Removes enhanced greening requirement',
+            icon: '🌿'
+        })
+    },
+    UHI_HOTSPOT: {
+        priority: 3,
+        getRemediation: (constraint) => ({
+            type: 'HEAT_MITIGATION',
+            title: 'Heat Island Mitigation',
+            description: `${constraint.message}: ${[].concat(constraint.requirements || []).join(', ')}.`,
+            action: null,
+            impact: 'Meets UHI zone requirements',
+            icon: '🌡️'
+        })
+    },
+    HQ100_FLOOD_ZONE: {
+        priority: 1,
+        getRemediation: (constraint, building) => {
+            const raised = (building.groundElevation || 0) >= constraint.minimumElevation;
+            return {
+                type: raised ? 'FLOOD_PROOFING' : 'RAISE_GROUND_FLOOR',
+                title: raised ? 'Flood-Proof the Basement' : 'Raise Ground Floor Above HQ100',
+                description: raised
+                    ? `The ground floor sits at ${building.groundElevation}m, above the ${constraint.minimumElevation}m HQ100 level. Seal the basement and add backflow prevention.`
+                    : `Raise the ground floor from ${building.groundElevation || 0}m to ${constraint.minimumElevation}m above grade.`,
+                action: raised ? null : { groundElevation: constraint.minimumElevation },
+                impact: 'Flood-safe ground floor',
+                icon: '🌊'
+            };
+        }
+    },
+    FLOOD_ELEVATION: {
+        priority: 1,
+        getRemediation: (mandate) => ({
+            type: 'RAISE_GROUND_FLOOR',
+            title: 'Raise Ground Floor',
+            description: `Raise the ground floor from ${mandate.current}m to ${mandate.required}m above grade.`,
+            action: { groundElevation: Number(mandate.required) },
+            impact: 'Satisfies flood elevation mandate',
+            icon: '🌊'
+        })
+    },
     GREEN_ROOF: {
         priority: 3,
-        getRemediation: (constraint, _) => ({
+        getRemediation: () => ({
             type: 'ADD_GREEN_ROOF',
             title: 'Install Green Roof System',
             description: 'Extensive green roof installation meeting Vienna minimum requirements.',
@@ -80,7 +338,7 @@ const REMEDIATION_RULES = {
     },
     SOLAR_INSTALLATION: {
         priority: 3,
-        getRemediation: (constraint, _) => ({
+        getRemediation: () => ({
             type: 'ADD_SOLAR',
             title: 'Install Solar Panels',
             description: 'PV installation covering 20% of roof area per 2023 Building Code.',
@@ -88,24 +346,169 @@ const REMEDIATION_RULES = {
             impact: 'Satisfies solar mandate',
             icon: '☀️'
         })
+    },
+
+    // Structural
+    SEISMIC_RISK: {
+        priority: 1,
+        getRemediation: (constraint, building) => {
+            if (constraint.severity !== 'critical') {
+                return {
+                    type: 'SEISMIC_DAMPING',
+                    title: 'Add Seismic Damping',
+                    description: `D/C ${constraint.actual} leaves little reserve. A tuned mass damper or added shear walls restore it.`,
+                    action: null,
+                    impact: 'Restores seismic reserve',
+                    icon: '🏗️'
+                };
+            }
+            // Base shear scales with the mass, so with the floor count
+            const floors = Math.max(1, Math.floor(building.floors / constraint.actual));
+            const remediations = [];
+            if (building.material !== 'TIMBER') {
+                remediations.push({
+                    type: 'MATERIAL_CHANGE',
+                    title: 'Switch to CLT Construction',
+                    description: 'Cross-Laminated Timber reduces seismic stress due to lower mass and higher flexibility.',
+                    action: { material: 'TIMBER' },
+                    impact: '+15% Seismic score, carbon storage bonus',
+                    icon: '🪵'
+                });
+            }
+            if (floors < building.floors) {
+                remediations.push({
+                    type: 'MASS_REDUCTION',
+                    title: 'Reduce Seismic Mass',
+                    description: `D/C ${constraint.actual}: base shear exceeds capacity. Drop from ${building.floors} to ${floors} floors to bring it within capacity.`,
+                    action: { floors, height: Math.max(SWEEP_PARAMETERS.height.min, Math.round(building.height * floors / building.floors)) },
+                    impact: 'Demand within lateral capacity',
+                    icon: '🏢'
+                });
+            }
+            return remediations;
+        }
+    },
+    WIND_OVERTURNING: {
+        priority: 1,
+        getRemediation: (constraint, building) => {
+            const remediations = [];
+            if (building.material !== 'CONCRETE') {
+                remediations.push({
+                    type: 'MATERIAL_CHANGE',
+                    title: 'Heavier Structure',
+                    description: `Stability ratio ${constraint.actual}: a concrete structure adds the self-weight to resist overturning.`,
+                    action: { material: 'CONCRETE' },
+                    impact: 'More stabilising self-weight',
+                    icon: '🧱'
+                });
+            }
+            // The overturning moment grows faster with height than the self-weight does
+            remediations.push({
+                type: 'HEIGHT_REDUCTION',
+                title: 'Lower to Resist Overturning',
+                description: `Stability ratio ${constraint.actual} < 1. Lower the building from ${building.height}m to about ${Math.floor(building.height * constraint.actual)}m, or anchor it with tension piles.`,
+                action: heightAction(building.height * constraint.actual, building),
+                impact: 'Self-weight resists the wind moment',
+                icon: '💨'
+            });
+            return remediations;
+        }
+    },
+    ASPECT_RATIO_EXCEEDED: {
+        priority: 2,
+        getRemediation: (constraint, building) => ({
+            type: 'HEIGHT_REDUCTION',
+            title: 'Reduce Slenderness',
+            description: `H/B ${constraint.actual} exceeds ${constraint.limit}. Lower the building from ${building.height}m to ${Math.floor(building.height * constraint.limit / constraint.actual)}m, or widen the base.`,
+            action: heightAction(building.height * constraint.limit / constraint.actual, building),
+            impact: 'Avoids dynamic wind response',
+            icon: '💨'
+        })
+    },
+    WIND_SLIDING: {
+        priority: 1,
+        getRemediation: (constraint) => ({
+            type: 'FOUNDATION_REINFORCEMENT',
+            title: 'Anchor Against Sliding',
+            description: `Sliding ratio ${constraint.actual} < ${constraint.limit}. Add shear keys or piles that carry the wind base shear into the ground.`,
+            action: null,
+            impact: 'Base shear resisted below the slab',
+            icon: '⚓'
+        })
+    },
+    WIND_LOAD_WARNING: {
+        priority: 2,
+        getRemediation: (constraint) => ({
+            type: 'FACADE_REINFORCEMENT',
+            title: 'Reinforce Cladding for Wind Pressure',
+            description: `${constraint.message}. Specify cladding and fixings rated for ${(constraint.actual / 1000).toFixed(2)} kN/m².`,
+            action: null,
+            impact: 'Cladding resists the design wind pressure',
+            icon: '💨'
+        })
+    },
+
+    // Krems Ethics
+    SHADE_IMPACT_EXCEEDED: {
+        priority: 1,
+        getRemediation: (constraint, building) => {
+            const height = constraint.maxHeight ?? building.height * constraint.limit / constraint.actual;
+            return {
+                type: 'HEIGHT_REDUCTION',
+                title: 'Restore Red Zone Solar Access',
+                description: `Shade ${(constraint.actual * 100).toFixed(1)}% exceeds ${(constraint.limit * 100).toFixed(1)}%. Lower the building from ${building.height}m to ${Math.floor(height)}m, or step back the upper floors on the red-zone side.`,
+                action: heightAction(height, building),
+                impact: 'Meets KEP §4.1 solar access',
+                icon: '🌗'
+            };
+        }
+    },
+    WATER_DISPLACEMENT_EXCEEDED: {
+        priority: 2,
+        getRemediation: (constraint, building) => {
+            const action = footprintAction(building.footprint * constraint.limit / constraint.actual);
+            return {
+                type: action ? 'FOOTPRINT_REDUCTION' : 'DETENTION_BASIN',
+                title: action ? 'Reduce Water Displacement' : 'On-Site Detention Basin',
+                description: action
+                    ? `Displacement ${(constraint.actual * 100).toFixed(1)}% exceeds ${(constraint.limit * 100).toFixed(1)}%. Shrink the footprint to ${action.footprint}m², or add a detention basin.`
+                    : `Displacement ${(constraint.actual * 100).toFixed(1)}% exceeds ${(constraint.limit * 100).toFixed(1)}%. Install on-site stormwater detention.`,
+                action,
+                impact: 'Protects adjacent red zone from runoff',
+                icon: '💧'
+            };
+        }
     }
 };
 
 /**
- * Generate rule-based remediations from audit constraints
+ * Catalogue entry for a constraint or mandate type
+ * @param {string} type
+ * @returns {Object|null}
+ */
+export function findRemediationRule(type) {
+    return REMEDIATION_RULES[type]
+        || Object.values(REMEDIATION_RULES).find(rule => rule.pattern?.test(type))
+        || null;
+}
+
+/**
+ * Generate rule-based remediations from audit constraints (and mandates)
  */
 export function generateRuleBasedRemediations(constraints, building) {
     const remediations = [];
     
     for (const constraint of constraints) {
-        const rule = REMEDIATION_RULES[constraint.type];
+        const rule = findRemediationRule(constraint.type);
         if (rule) {
-            remediations.push({
-                ...rule.getRemediation(constraint, building),
-                constraintType: constraint.type,
-                severity: constraint.severity,
-                priority: rule.priority
-            });
+            for (const remediation of [].concat(rule.getRemediation(constraint, building) || [])) {
+                remediations.push({
+                    ...remediation,
+                    constraintType: constraint.type,
+                    severity: constraint.severity,
+                    priority: rule.priority
+                });
+            }
         }
     }
     
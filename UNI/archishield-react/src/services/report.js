@@ -0,0 +1,450 @@
+/**
+ * Spot-Audit PDF Report - Branded Multi-Page Document of an Audit
+ *
+ * Follows the layout of the legacy CertificateGenerator.formatMarkdown (details,
+ * building information, audit result and breakdown, requirements, legal notice,
+ * signature block) for a Spot-Audit result: a map snapshot with the ghost
+ * envelope (or, without one, a site plan of the proposed and allowed
+ * footprints), the feasibility gauge, per-audit findings with their citations,
+ * mandates, remediation suggestions and the certificate hash. Written with
+ * ./pdf.js, so it runs in the browser (client-side export) and in Node alike.
+ */
+import { PAGE_SIZES, createPdfDocument, readJpegInfo, toImageBytes } from './pdf.js';
+import { generateRuleBasedRemediations } from './remediation.js';
+import { buildCertificateContent, canonicalJson, sha256Hex } from './certificate.js';
+import { getFootprintPolygon, getOuterRing } from './footprint.js';
+import { createLocalProjection } from './geometry.js';
+
+const MARGIN = 48;
+const FOOTER_HEIGHT = 36;
+const HEADER_HEIGHT = 84;
+
+const COLORS = {
+    navy: '#0D1321',
+    cyan: '#00C9E8',
+    text: '#1F2533',
+    muted: '#6B7385',
+    rule: '#D5D9E2',
+    panel: '#F3F5F9',
+    white: '#FFFFFF',
+    success: '#00A862',
+    warning: '#E08A00',
+    danger: '#D63447'
+};
+
+const SEVERITY_COLORS = {
+    blocking: COLORS.danger,
+    critical: COLORS.danger,
+    important: COLORS.warning,
+    warning: COLORS.warning,
+    info: COLORS.muted
+};
+
+const AUDIT_STATUS_COLORS = { PASSED: COLORS.success, WARNING: COLORS.warning, FAILED: COLORS.danger };
+
+// Report labels for remediation action parameters
+const ACTION_LABELS = {
+    height: ['height', 'm'],
+    floors: ['floors', ''],
+    footprint: ['footprint', 'm²'],
+    material: ['material', ''],
+    basementDepth: ['basement', 'm'],
+    groundElevation: ['ground floor', 'm'],
+    surfaceSeal: ['surface seal', '%'],
+    hasGreenRoof: ['green roof', ''],
+    hasSolarPanels: ['solar', '']
+};
+
+function formatAction(action) {
+    return Object.entries(action)
+        .filter(([key]) => ACTION_LABELS[key])
+        .map(([key, value]) => {
+            const [label, unit] = ACTION_LABELS[key];
+            const shown = typeof value === 'boolean' ? (value ? 'yes' : 'no')
+                : typeof value === 'string' ? value.toLowerCase() : `${value}${unit ? ` ${unit}` : ''}`;
+            return `${label} ${shown}`;
+        })
+        .join(', ');
+}
+
+function formatDate(value) {
+    return new Date(value).toLocaleDateString('en-GB', { day: 'numeric', month: 'long', year: 'numeric' });
+}
+
+// Page layout with a flowing cursor: blocks that do not fit start a new page
+function createLayout(doc, results) {
+    const contentWidth = doc.width - 2 * MARGIN;
+    const bottom = doc.height - MARGIN - FOOTER_HEIGHT;
+    const layout = { doc, contentWidth, y: MARGIN };
+
+    layout.newPage = () => {
+        doc.addPage();
+        // Running header on continuation pages
+        doc.text('ArchiShield', MARGIN, MARGIN, { size: 10, font: 'bold', color: COLORS.cyan });
+        doc.text('Spot-Audit Report', MARGIN + 64, MARGIN, { size: 10, color: COLORS.muted });
+        doc.text(`${results.building.latitude.toFixed(5)}°N, ${results.building.longitude.toFixed(5)}°E`,
+            doc.width - MARGIN, MARGIN, { size: 9, color: COLORS.muted, align: 'right' });
+        doc.line(MARGIN, MARGIN + 8, doc.width - MARGIN, MARGIN + 8, { color: COLORS.rule, lineWidth: 0.5 });
+        layout.y = MARGIN + 28;
+    };
+
+    layout.ensureSpace = (height) => {
+        if (layout.y + height > bottom) layout.newPage();
+    };
+
+    layout.heading = (text) => {
+        layout.ensureSpace(40);
+        layout.y += 8;
+        doc.text(text, MARGIN, layout.y, { size: 14, font: 'bold', color: COLORS.navy });
+        doc.line(MARGIN, layout.y + 6, MARGIN + contentWidth, layout.y + 6, { color: COLORS.cyan, lineWidth: 1.5 });
+        layout.y += 24;
+    };
+
+    // Wrapped text; a paragraph may break across pages line by line
+    layout.paragraph = (text, { size = 9.5, font = 'regular', color = COLORS.text, indent = 0, gap = 4 } = {}) => {
+        const lineHeight = size * 1.35;
+        for (const line of doc.wrap(text, contentWidth - indent, size, font)) {
+            layout.ensureSpace(lineHeight);
+            doc.text(line, MARGIN + indent, layout.y + size, { size, font, color });
+            layout.y += lineHeight;
+        }
+        layout.y += gap;
+    };
+
+    return layout;
+}
+
+function drawCoverHeader(doc, results, { logo, generatedAt }) {
+    doc.rect(0, 0, doc.width, HEADER_HEIGHT, { fill: COLORS.navy });
+    doc.rect(0, HEADER_HEIGHT, doc.width, 3, { fill: COLORS.cyan });
+
+    let x = MARGIN;
+    if (logo) {
+        try {
+            const size = 44;
+            doc.image(logo, x, (HEADER_HEIGHT - size) / 2, size, size);
+            x += size + 14;
+        } catch (error) {
+            console.warn('Report logo skipped:', error.message);
+        }
+    }
+    doc.text('PLATFORM: RESILIENCE ENGINE / V2.0', x, 32, { size: 7, font: 'mono', color: COLORS.muted });
+    doc.text('Archi', x, 56, { size: 24, font: 'bold', color: COLORS.white });
+    doc.text('Shield', x + doc.textWidth('Archi', 24, 'bold'), 56, { size: 24, font: 'bold', color: COLORS.cyan });
+
+    const right = doc.width - MARGIN;
+    doc.text('Spot-Audit Report', right, 36, { size: 13, font: 'bold', color: COLORS.white, align: 'right' });
+    doc.text(formatDate(generatedAt), right, 52, { size: 9, color: COLORS.rule, align: 'right' });
+    if (results.jurisdiction) {
+        doc.text(results.jurisdiction.authority || results.jurisdiction.name, right, 65, { size: 8, color: COLORS.muted, align: 'right' });
+    }
+}
+
+function drawGauge(doc, cx, cy, radius, results) {
+    const color = { success: COLORS.success, warning: COLORS.warning, danger: COLORS.danger }[results.statusColor] || COLORS.muted;
+    const share = Math.max(0, Math.min(100, results.feasibility)) / 100;
+
+    doc.arc(cx, cy, radius, 180, 0, { color: COLORS.rule, lineWidth: 12 });
+    if (share > 0) doc.arc(cx, cy, radius, 180, 180 - 180 * share, { color, lineWidth: 12 });
+    doc.text(`${results.feasibility}%`, cx, cy - 6, { size: 26, font: 'bold', color: COLORS.navy, align: 'center' });
+    doc.text('PERMIT FEASIBILITY', cx, cy + 10, { size: 7, font: 'bold', color: COLORS.muted, align: 'center' });
+    doc.text(results.status, cx, cy + 28, { size: 9, font: 'bold', color, align: 'center' });
+}
+
+// Proposed footprint (filled) and allowed envelope footprint (dashed) in local metres, north up
+function drawSitePlan(doc, x, y, width, height, results, envelope) {
+    const building = results.building;
+    const projection = createLocalProjection({ lat: building.latitude, lng: building.longitude });
+    const proposed = getOuterRing(getFootprintPolygon(building)).map(point => projection.toLocal(point));
+    const allowed = envelope?.feasible && envelope.footprintPolygon
+        ? getOuterRing(envelope.footprintPolygon).map(point => projection.toLocal(point))
+        : [];
+
+    doc.rect(x, y, width, height, { fill: COLORS.panel, stroke: COLORS.rule, lineWidth: 0.5 });
+    const all = [...proposed, ...allowed];
+    const extent = Math.max(20, ...all.map(([px, py]) => Math.max(Math.abs(px), Math.abs(py)))) + 10;
+    const scale = (Math.min(width, height) / 2 - 16) / extent;
+    const toPage = ([px, py]) => [x + width / 2 + px * scale, y + height / 2 - py * scale];
+
+    if (allowed.length) {
+        doc.polygon(allowed.map(toPage), { stroke: COLORS.cyan, lineWidth: 1.2, dash: [4, 3] });
+    }
+    doc.polygon(proposed.map(toPage), { fill: '#C9D3E6', stroke: COLORS.navy, lineWidth: 1 });
+
+    // North arrow and scale bar
+    const nx = x + width - 20;
+    doc.polygon([[nx, y + 14], [nx - 5, y + 28], [nx + 5, y + 28]], { fill: COLORS.navy });
+    doc.text('N', nx, y + 40, { size: 8, font: 'bold', color: COLORS.navy, align: 'center' });
+    const barMetres = extent > 60 ? 20 : 10;
+    const barY = y + height - 14;
+    doc.line(x + 12, barY, x + 12 + barMetres * scale, barY, { color: COLORS.navy, lineWidth: 2 });
+    doc.text(`${barMetres} m`, x + 16 + barMetres * scale, barY + 3, { size: 7, color: COLORS.navy });
+
+    const legendY = y + height + 12;
+    doc.rect(x, legendY - 7, 10, 7, { fill: '#C9D3E6', stroke: COLORS.navy, lineWidth: 0.5 });
+    doc.text(`Proposed: ${building.height} m, ${building.footprint} m²`, x + 14, legendY, { size: 8, color: COLORS.text });
+    if (allowed.length) {
+        doc.line(x + width / 2, legendY - 3, x + width / 2 + 12, legendY - 3, { color: COLORS.cyan, lineWidth: 1.2, dash: [3, 2] });
+        doc.text(`Max envelope: ${envelope.height} m, ${envelope.footprint} m² (${envelope.material.toLowerCase()})`,
+            x + width / 2 + 16, legendY, { size: 8, color: COLORS.text });
+    }
+}
+
+function drawSiteView(layout, results, { snapshot, envelope }) {
+    const { doc, contentWidth } = layout;
+    const maxHeight = 250;
+
+    if (snapshot) {
+        try {
+            const { width, height } = readJpegInfo(toImageBytes(snapshot));
+            const scale = Math.min(contentWidth / width, maxHeight / height);
+            const w = width * scale;
+            const h = height * scale;
+            layout.ensureSpace(h + 24);
+            doc.image(snapshot, MARGIN + (contentWidth - w) / 2, layout.y, w, h);
+            layout.y += h + 12;
+            doc.text('Site view: proposed volume (ghost envelope) and maximum compliant envelope', MARGIN, layout.y, { size: 8, color: COLORS.muted });
+            layout.y += 14;
+            return;
+        } catch (error) {
+            console.warn('Map snapshot skipped:', error.message);
+        }
+    }
+
+    const height = 220;
+    layout.ensureSpace(height + 30);
+    drawSitePlan(doc, MARGIN, layout.y, contentWidth, height, results, envelope);
+    layout.y += height + 28;
+}
+
+function drawSummary(layout, results) {
+    const { doc, contentWidth } = layout;
+    const building = results.building;
+    const top = layout.y;
+
+    doc.text('Site', MARGIN, top + 10, { size: 8, font: 'bold', color: COLORS.muted });
+    doc.text(`${building.latitude.toFixed(5)}°N, ${building.longitude.toFixed(5)}°E`, MARGIN, top + 24, { size: 12, font: 'bold', color: COLORS.navy });
+    if (results.district) {
+        doc.text(`District ${results.district}${results.districtName ? ` · ${results.districtName}` : ''}`, MARGIN, top + 38, { size: 9, color: COLORS.text });
+    }
+
+    // Gauge on the left, design and rules on the right
+    drawGauge(doc, MARGIN + 90, top + 120, 62, results);
+
+    const rows = [
+        ['Height', `${building.height} m`],
+        ['Floors', building.floors],
+        ['Footprint', `${building.footprint} m²`],
+        ['Material', String(building.material).toLowerCase()],
+        ['Basement depth', `${building.basementDepth} m`],
+        ['Ground floor', `+${building.groundElevation} m`],
+        ['Surface seal', `${building.surfaceSeal}%`],
+        ['Green roof / solar', `${building.hasGreenRoof ? 'yes' : 'no'} / ${building.hasSolarPanels ? 'yes' : 'no'}`]
+    ];
+    const tableX = MARGIN + 210;
+    const tableWidth = contentWidth - 210;
+    let rowY = top + 58;
+    doc.text('DESIGN', tableX, rowY - 8, { size: 8, font: 'bold', color: COLORS.muted });
+    rows.forEach(([label, value], i) => {
+        if (i % 2 === 0) doc.rect(tableX, rowY - 2, tableWidth, 14, { fill: COLORS.panel });
+        doc.text(label, tableX + 6, rowY + 8, { size: 9, color: COLORS.muted });
+        doc.text(String(value), tableX + tableWidth - 6, rowY + 8, { size: 9, font: 'bold', color: COLORS.text, align: 'right' });
+        rowY += 14;
+    });
+
+    const jurisdiction = results.jurisdiction;
+    if (jurisdiction) {
+        rowY += 12;
+        doc.text('RULES', tableX, rowY, { size: 8, font: 'bold', color: COLORS.muted });
+        const rules = [
+            jurisdiction.framework,
+            `${jurisdiction.ruleVersion?.label || jurisdiction.version || jurisdiction.name} · as of ${jurisdiction.asOf}`
+        ];
+        for (const line of rules.flatMap(text => doc.wrap(text, tableWidth, 8.5))) {
+            rowY += 12;
+            doc.text(line, tableX, rowY, { size: 8.5, color: COLORS.text });
+        }
+    }
+
+    layout.y = Math.max(top + 170, rowY + 16);
+    if (results.keyRisk && results.keyRisk !== 'No critical constraints') {
+        const lines = doc.wrap(`Key risk: ${results.keyRisk}`, contentWidth - 20, 9.5, 'bold');
+        const boxHeight = lines.length * 13 + 12;
+        doc.rect(MARGIN, layout.y, contentWidth, boxHeight, { fill: '#FCECEE', stroke: COLORS.danger, lineWidth: 0.5 });
+        lines.forEach((line, i) => doc.text(line, MARGIN + 10, layout.y + 18 + i * 13, { size: 9.5, font: 'bold', color: COLORS.danger }));
+        layout.y += boxHeight + 14;
+    }
+}
+
+function drawFindings(layout, results) {
+    const { doc, contentWidth } = layout;
+    layout.heading('Audit Findings');
+
+    for (const audit of Object.values(results.audits || {})) {
+        layout.ensureSpace(44);
+        const color = AUDIT_STATUS_COLORS[audit.status] || COLORS.muted;
+        doc.rect(MARGIN, layout.y, contentWidth, 18, { fill: COLORS.panel });
+        doc.rect(MARGIN, layout.y, 3, 18, { fill: color });
+        doc.text(audit.name, MARGIN + 10, layout.y + 12.5, { size: 10, font: 'bold', color: COLORS.navy });
+        doc.text(`${audit.status} · ${Math.round(audit.score)}/100`, MARGIN + contentWidth - 8, layout.y + 12.5, { size: 9, font: 'bold', color, align: 'right' });
+        layout.y += 24;
+
+        const constraints = audit.constraints || [];
+        if (constraints.length === 0) {
+            layout.paragraph('No findings.', { color: COLORS.muted, indent: 10 });
+            continue;
+        }
+        for (const constraint of constraints) {
+            const severity = (constraint.severity || 'info').toUpperCase();
+            layout.ensureSpace(26);
+            doc.text(severity, MARGIN + 10, layout.y + 9.5, { size: 7.5, font: 'bold', color: SEVERITY_COLORS[constraint.severity] || COLORS.muted });
+            layout.paragraph(constraint.message || constraint.type, { indent: 70, gap: 0 });
+            const source = [
+                constraint.citation && `Citation: ${constraint.citation}`,
+                constraint.rule && `Rule: ${constraint.rule}`
+            ].filter(Boolean).join(' · ');
+            if (source) layout.paragraph(source, { size: 8, color: COLORS.muted, indent: 70, gap: 0 });
+            layout.y += 5;
+        }
+        layout.y += 4;
+    }
+}
+
+function drawMandates(layout, results) {
+    const mandates = results.mandates || [];
+    layout.heading(`Mandates (${mandates.length})`);
+    if (mandates.length === 0) {
+        layout.paragraph('No compulsory add-ons for this design.', { color: COLORS.muted });
+        return;
+    }
+    for (const mandate of mandates) {
+        layout.paragraph(`• ${mandate.description || mandate.type}`, { font: 'bold', gap: 0 });
+        const source = [
+            mandate.type,
+            mandate.citation && `Citation: ${mandate.citation}`,
+            mandate.rule && `Rule: ${mandate.rule}`
+        ].filter(Boolean).join(' · ');
+        layout.paragraph(source, { size: 8, color: COLORS.muted, indent: 9 });
+    }
+}
+
+function drawRemediations(layout, results, envelope) {
+    const remediations = generateRuleBasedRemediations(
+        [...(results.constraints || []), ...(results.mandates || [])],
+        results.building
+    );
+    layout.heading('Remediation Suggestions');
+    if (remediations.length === 0) {
+        layout.paragraph('No rule-based remediation needed.', { color: COLORS.muted });
+    }
+    remediations.forEach((remediation, i) => {
+        layout.ensureSpace(40);
+        layout.paragraph(`${i + 1}. ${remediation.title}`, { size: 10, font: 'bold', color: COLORS.navy, gap: 0 });
+        layout.paragraph(remediation.description, { indent: 14, gap: 0 });
+        const details = [
+            `For ${remediation.constraintType}`,
+            remediation.action ? `Change: ${formatAction(remediation.action)}` : 'Manual step',
+            remediation.impact
+        ].filter(Boolean).join(' · ');
+        layout.paragraph(details, { size: 8, color: COLORS.muted, indent: 14 });
+    });
+
+    if (envelope?.feasible) {
+        layout.y += 4;
+        layout.paragraph(
+            `Maximum compliant envelope on this site: ${envelope.height} m, ${envelope.floors} floors, ${envelope.footprint} m² in ${envelope.material.toLowerCase()} (${envelope.feasibility}% feasibility).`,
+            { font: 'bold', color: COLORS.text }
+        );
+    }
+}
+
+function drawCertificate(layout, results, { hash, certificate, generatedAt }) {
+    const { doc, contentWidth } = layout;
+    const jurisdiction = results.jurisdiction || {};
+    layout.heading('Certificate & Legal Notice');
+
+    const notices = [
+        `This report is an indicative pre-assessment under ${jurisdiction.framework || 'the applicable building code'}; the permit decision rests with ${jurisdiction.authority || 'the building authority'}.`,
+        `Findings apply the rules in force on ${jurisdiction.asOf || formatDate(generatedAt)}${jurisdiction.ruleVersion ? ` (${jurisdiction.ruleVersion.label})` : ''}. Each finding names the provision it rests on; remediation suggestions are options, not requirements.`,
+        certificate
+            ? 'The certificate file carries this hash with an Ed25519 signature. Verify it offline in ArchiShield (VERIFY_CERT) or with: node scripts/spot_audit.js --verify <file>.'
+            : 'This report is not signed. Issue a certificate in ArchiShield to sign the hash below.'
+    ];
+    notices.forEach(notice => layout.paragraph(`• ${notice}`, { size: 8.5, color: COLORS.text }));
+
+    const rows = [
+        ['SHA-256', hash],
+        ...(certificate ? [
+            ['Signature', `Ed25519, key ${certificate.signature.keyId}`],
+            ['Issued', certificate.issuedAt]
+        ] : [['Signature', 'none (unsigned content hash)']]),
+        ['Engine', 'ArchiShield Spot-Audit'],
+        ['Generated', new Date(generatedAt).toISOString()]
+    ];
+    const boxHeight = rows.length * 12 + 14;
+    layout.ensureSpace(boxHeight + 8);
+    layout.y += 4;
+    doc.rect(MARGIN, layout.y, contentWidth, boxHeight, { fill: COLORS.navy });
+    rows.forEach(([label, value], i) => {
+        const y = layout.y + 17 + i * 12;
+        doc.text(label, MARGIN + 10, y, { size: 7.5, font: 'mono', color: COLORS.muted });
+        doc.text(value, MARGIN + 70, y, { size: 7.5, font: 'mono', color: i === 0 ? COLORS.cyan : COLORS.rule });
+    });
+    layout.y += boxHeight + 8;
+}
+
+function drawFooters(doc, hash) {
+    const total = doc.pageCount;
+    for (let page = 0; page < total; page++) {
+        doc.setPage(page);
+        const y = doc.height - MARGIN + 10;
+        doc.line(MARGIN, y - 12, doc.width - MARGIN, y - 12, { color: COLORS.rule, lineWidth: 0.5 });
+        doc.text(`ArchiShield Spot-Audit Report · SHA-256 ${hash.slice(0, 16)}`, MARGIN, y, { size: 7.5, color: COLORS.muted });
+        doc.text(`Page ${page + 1} of ${total}`, doc.width - MARGIN, y, { size: 7.5, color: COLORS.muted, align: 'right' });
+    }
+}
+
+/**
+ * Multi-page PDF report of a Spot-Audit result
+ * @param {Object} results - Spot-Audit result (success, building, jurisdiction, audits, constraints, mandates, ...)
+ * @param {Object} options
+ * @param {Object} options.certificate - Signed certificate of this audit (else the unsigned content hash is printed)
+ * @param {Object} options.envelope - Maximum envelope result, drawn and summarised when feasible
+ * @param {string|Uint8Array} options.snapshot - JPEG map snapshot (data URL or bytes); a site plan is drawn without one
+ * @param {string|Uint8Array} options.logo - JPEG logo for the header
+ * @param {Array} options.disabledAudits - Audit ids skipped for this project (part of the content hash)
+ * @param {Date|string} options.generatedAt - Report date (default: now)
+ * @returns {Promise<Uint8Array>} PDF file
+ */
+export async function createAuditReport(results, {
+    certificate = null,
+    envelope = null,
+    snapshot = null,
+    logo = null,
+    disabledAudits = [],
+    generatedAt = new Date()
+} = {}) {
+    if (!results?.success || !results.building) {
+        throw new Error('A report needs a completed audit');
+    }
+    const hash = certificate?.hash
+        || await sha256Hex(canonicalJson(buildCertificateContent({ ...results, disabledAudits })));
+
+    const doc = createPdfDocument(PAGE_SIZES.A4);
+    const layout = createLayout(doc, results);
+
+    doc.addPage();
+    drawCoverHeader(doc, results, { logo, generatedAt });
+    layout.y = HEADER_HEIGHT + 24;
+    drawSummary(layout, results);
+    drawSiteView(layout, results, { snapshot, envelope });
+    drawFindings(layout, results);
+    drawMandates(layout, results);
+    drawRemediations(layout, results, envelope);
+    drawCertificate(layout, results, { hash, certificate, generatedAt });
+    drawFooters(doc, hash);
+
+    return doc.toBytes();
+}
+
+export default createAuditReport;
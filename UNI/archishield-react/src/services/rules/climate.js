@@ -0,0 +1,153 @@
+/**
+ * Climate Resilience Rules
+ *
+ * Facts (from ../audits/climate.js): surfaceSeal, footprint, roofArea,
+ * hasGreenRoof, hasSolarPanels, groundElevation, material,
+ * uhi { category, intensity }, floodZone { name, minimumElevation } | null,
+ * greenRoofArea, solarArea, solarCitation, retentionVolume.
+ */
+
+export const CLIMATE_RULES = [
+    {
+        id: 'climate.seal.limit',
+        title: 'Maximum surface seal',
+        group: 'climate.seal',
+        when: { fact: 'surfaceSeal', op: '>', value: { code: 'climateCode.maxSurfaceSeal' } },
+        severity: 'blocking',
+        score: -50,
+        fails: true,
+        constraint: {
+            type: 'SURFACE_SEAL_EXCEEDED',
+            message: 'Surface seal {surfaceSeal}% exceeds {@climateCode.maxSurfaceSeal}% limit - AUTOMATIC REJECTION',
+            actual: '{surfaceSeal}',
+            limit: '{@climateCode.maxSurfaceSeal}'
+        },
+        citation: '{@regulatory.framework}, climate layer',
+        remedy: 'Reduce sealed surface or apply for variance with extensive greening'
+    },
+    {
+        id: 'climate.seal.high',
+        title: 'High surface seal needs enhanced greening',
+        group: 'climate.seal',
+        when: { fact: 'surfaceSeal', op: '>', value: 70 },
+        severity: 'warning',
+        score: -15,
+        constraint: {
+            type: 'HIGH_SEAL',
+            message: 'Surface seal {surfaceSeal}% requires enhanced greening measures',
+            actual: '{surfaceSeal}'
+        },
+        remedy: 'Unseal part of the lot or add green roof and façade area'
+    },
+    {
+        id: 'climate.uhi.hotspot',
+        title: 'Urban heat island hotspot',
+        when: { fact: 'uhi.category', op: 'in', value: ['extreme', 'high'] },
+        severity: 'important',
+        score: -10,
+        constraint: {
+            type: 'UHI_HOTSPOT',
+            message: 'Located in {uhi.category} UHI zone (+{uhi.intensity}°C)',
+            requirements: ['Façade greening mandatory', 'Cool roof materials required']
+        },
+        mandate: {
+            type: 'FACADE_GREENING',
+            description: 'Façade greening required',
+            reason: 'UHI intensity mitigation'
+        },
+        remedy: 'Plan façade greening and cool roof materials'
+    },
+    {
+        id: 'climate.flood.zone',
+        title: 'HQ100 flood zone',
+        when: { fact: 'floodZone', op: 'exists' },
+        severity: 'critical',
+        constraint: {
+            type: 'HQ100_FLOOD_ZONE',
+            message: 'Located in {floodZone.name} flood zone - elevated ground floor required',
+            minimumElevation: '{floodZone.minimumElevation}'
+        },
+        remedy: 'Raise the ground floor to {floodZone.minimumElevation}m above grade'
+    },
+    {
+        id: 'climate.flood.elevation',
+        title: 'Flood-safe ground floor elevation',
+        when: { fact: 'groundElevation', op: '<', value: { fact: 'floodZone.minimumElevation' } },
+        score: -25,
+        mandate: {
+            type: 'FLOOD_ELEVATION',
+            description: 'Ground floor must be {floodZone.minimumElevation}m above grade',
+            current: '{groundElevation}',
+            required: '{floodZone.minimumElevation}'
+        }
+    },
+    {
+        id: 'climate.green-roof',
+        title: 'Green roof mandate',
+        when: {
+            all: [
+                { fact: 'footprint', op: '>=', value: { code: 'climateCode.greenRoofThreshold' } },
+                { fact: 'hasGreenRoof', op: '==', value: false }
+            ]
+        },
+        score: -10,
+        mandate: {
+            type: 'GREEN_ROOF',
+            description: 'Green roof required ({greenRoofArea}sqm minimum)',
+            reason: 'Footprint {footprint}sqm exceeds {@climateCode.greenRoofThreshold}sqm threshold'
+        }
+    },
+    {
+        id: 'climate.solar',
+        title: 'Solar installation mandate',
+        when: {
+            all: [
+                { fact: 'roofArea', op: '>=', value: { code: 'climateCode.solarThreshold' } },
+                { fact: 'hasSolarPanels', op: '==', value: false }
+            ]
+        },
+        score: -5,
+        mandate: {
+            type: 'SOLAR_INSTALLATION',
+            description: 'Solar panels required ({solarArea}sqm / 20% of roof)',
+            reason: '{solarCitation}'
+        },
+        citation: '{solarCitation}'
+    },
+    {
+        id: 'climate.water-retention',
+        title: 'Rainwater retention',
+        mandate: {
+            type: 'WATER_RETENTION',
+            description: 'Rainwater retention system: {retentionVolume}m³ capacity',
+            reason: 'Stormwater management requirement'
+        }
+    },
+    {
+        id: 'climate.advice.permeable-paving',
+        title: 'Permeable paving advice',
+        when: { fact: 'surfaceSeal', op: '>', value: 60 },
+        recommendations: ['Consider permeable paving for walkways']
+    },
+    {
+        id: 'climate.advice.albedo',
+        title: 'High-albedo roofing advice',
+        when: { fact: 'uhi.category', op: '==', value: 'extreme' },
+        recommendations: ['Use high-albedo roofing materials (SRI > 78)']
+    },
+    {
+        id: 'climate.advice.backflow',
+        title: 'Backflow prevention advice',
+        when: { fact: 'floodZone', op: 'exists' },
+        recommendations: ['Install backflow prevention on all drainage']
+    },
+    {
+        id: 'climate.material.timber',
+        title: 'Timber carbon storage bonus',
+        when: { fact: 'material', op: '==', value: 'TIMBER' },
+        score: 15,
+        recommendations: ['CLT construction qualifies for Vienna Green Building Incentive']
+    }
+];
+
+export default CLIMATE_RULES;
@@ -0,0 +1,289 @@
+/**
+ * Rule Engine - Declarative Audit Rules
+ *
+ * Audits measure the site and the design (facts); thresholds, severities,
+ * score effects, citations and remediation hints live in declarative rules
+ * evaluated here, with a trace of every decision. A rule is plain data:
+ *
+ * {
+ *   id: 'climate.seal.limit',
+ *   title: 'Maximum surface seal',
+ *   group: 'climate.seal',        // optional: only the first firing rule of a group applies
+ *   forEach: 'tunnels',           // optional: evaluated once per item of a fact list, as `item`
+ *   when: { fact: 'surfaceSeal', op: '>', value: { code: 'climateCode.maxSurfaceSeal' } },
+ *   severity: 'blocking',         // of the emitted constraint
+ *   score: -50,                   // score effect when it fires
+ *   fails: true,                  // the audit fails when it fires
+ *   halt: true,                   // no further rules are evaluated after it fires
+ *   constraint: { type, message, ...details },
+ *   mandate: { type, description, ...details },
+ *   recommendations: ['...'],
+ *   citation: '...',
+ *   remedy: '...'                 // remediation hint
+ * }
+ *
+ * Conditions: { fact, op, value } with op > >= < <= == != in exists, and
+ * { all: [...] }, { any: [...] }, { not: condition }. A rule without `when`
+ * always fires. Operands are literals, { fact: 'path' } (audit measurements)
+ * or { code: 'path' } (the jurisdiction rule set), optionally combined with
+ * { minus | plus | times: operand }. Comparisons with a missing value are false.
+ *
+ * Text templates: {path} reads a fact, {@path} the rule set; filters
+ * {path|round}, {path|round:1}, {path|fixed:1}, {path|percent}. A template
+ * that is a single placeholder keeps the value's type.
+ */
+
+const OPERATORS = {
+    '>': (a, b) => a > b,
+    '>=': (a, b) => a >= b,
+    '<': (a, b) => a < b,
+    '<=': (a, b) => a <= b,
+    '==': (a, b) => a === b,
+    '!=': (a, b) => a !== b,
+    'in': (a, b) => Array.isArray(b) && b.includes(a),
+    'exists': a => a !== undefined && a !== null
+};
+
+// Operators that treat a missing value as a value
+const NULL_SAFE = new Set(['==', '!=', 'exists']);
+
+const ARITHMETIC = {
+    minus: { symbol: '−', apply: (a, b) => a - b },
+    plus: { symbol: '+', apply: (a, b) => a + b },
+    times: { symbol: '×', apply: (a, b) => a * b }
+};
+
+const PLACEHOLDER = /\{(@?)([\w.]+)(?:\|(\w+)(?::(\d+))?)?\}/g;
+const SINGLE_PLACEHOLDER = /^\{(@?)([\w.]+)(?:\|(\w+)(?::(\d+))?)?\}$/;
+
+const FILTERS = {
+    round: (value, digits = 0) => Math.round(value * 10 ** digits) / 10 ** digits,
+    fixed: (value, digits = 0) => Number(value).toFixed(digits),
+    percent: value => Math.round(value * 100)
+};
+
+function getPath(source, path) {
+    return path.split('.').reduce((obj, key) => (obj == null ? undefined : obj[key]), source);
+}
+
+function isMissing(value) {
+    return value === undefined || value === null;
+}
+
+function isOperandObject(operand) {
+    return typeof operand === 'object' && operand !== null && !Array.isArray(operand) &&
+        ('fact' in operand || 'code' in operand);
+}
+
+function resolveOperand(operand, scope) {
+    if (!isOperandObject(operand)) return operand;
+    let value = 'fact' in operand ? getPath(scope.facts, operand.fact) : getPath(scope.code, operand.code);
+    for (const [key, { apply }] of Object.entries(ARITHMETIC)) {
+        if (operand[key] === undefined) continue;
+        const other = resolveOperand(operand[key], scope);
+        value = isMissing(value) || isMissing(other) ? null : apply(value, other);
+    }
+    return value;
+}
+
+function describeOperand(operand) {
+    if (!isOperandObject(operand)) return JSON.stringify(operand);
+    let text = operand.fact ?? operand.code;
+    for (const [key, { symbol }] of Object.entries(ARITHMETIC)) {
+        if (operand[key] !== undefined) text += ` ${symbol} ${describeOperand(operand[key])}`;
+    }
+    return text;
+}
+
+function formatValue(value) {
+    if (isMissing(value)) return 'none';
+    if (typeof value === 'number') return String(Math.round(value * 1000) / 1000);
+    if (Array.isArray(value)) return value.length <= 6 ? JSON.stringify(value) : `[${value.length} items]`;
+    if (typeof value === 'object' && value !== null) return value.name ? JSON.stringify(value.name) : '{…}';
+    return JSON.stringify(value) ?? 'undefined';
+}
+
+/**
+ * Evaluate a condition
+ * @param {Object} condition
+ * @param {Object} scope - { facts, code }
+ * @returns {boolean}
+ */
+export function evaluateCondition(condition, scope) {
+    if (!condition) return true;
+    if (condition.all) return condition.all.every(c => evaluateCondition(c, scope));
+    if (condition.any) return condition.any.some(c => evaluateCondition(c, scope));
+    if (condition.not) return !evaluateCondition(condition.not, scope);
+
+    const operator = OPERATORS[condition.op];
+    if (!operator) throw new Error(`Unknown rule operator: ${condition.op}`);
+    const left = resolveOperand({ fact: condition.fact }, scope);
+    const right = resolveOperand(condition.value, scope);
+    if (!NULL_SAFE.has(condition.op) && (isMissing(left) || isMissing(right))) return false;
+    return operator(left, right);
+}
+
+/**
+ * Human-readable condition, with the evaluated values when a scope is given
+ * @param {Object} condition
+ * @param {Object} scope - Optional { facts, code }
+ * @returns {string} e.g. "surfaceSeal (85) > climateCode.maxSurfaceSeal (80)"
+ */
+export function describeCondition(condition, scope = null) {
+    if (!condition) return 'always';
+    if (condition.all) return condition.all.map(c => wrap(c, scope)).join(' and ');
+    if (condition.any) return condition.any.map(c => wrap(c, scope)).join(' or ');
+    if (condition.not) return `not ${wrap(condition.not, scope)}`;
+
+    const side = operand => {
+        const text = describeOperand(operand);
+        return scope && isOperandObject(operand)
+            ? `${text} (${formatValue(resolveOperand(operand, scope))})`
+            : text;
+    };
+    const left = side({ fact: condition.fact });
+    return condition.op === 'exists'
+        ? `${left} exists`
+        : `${left} ${condition.op} ${side(condition.value)}`;
+}
+
+function wrap(condition, scope) {
+    const text = describeCondition(condition, scope);
+    return condition.all || condition.any ? `(${text})` : text;
+}
+
+function renderPlaceholder(source, path, filter, digits, scope) {
+    const value = getPath(source === '@' ? scope.code : scope.facts, path);
+    if (!filter || isMissing(value)) return value;
+    if (!FILTERS[filter]) throw new Error(`Unknown template filter: ${filter}`);
+    return FILTERS[filter](value, digits === undefined ? undefined : Number(digits));
+}
+
+/**
+ * Render a template (string, array or object of templates) against facts and code
+ * @param {*} template
+ * @param {Object} scope - { facts, code }
+ */
+export function renderTemplate(template, scope) {
+    if (Array.isArray(template)) return template.map(t => renderTemplate(t, scope));
+    if (typeof template === 'object' && template !== null) {
+        return Object.fromEntries(Object.entries(template).map(([k, v]) => [k, renderTemplate(v, scope)]));
+    }
+    if (typeof template !== 'string') return template;
+
+    const single = template.match(SINGLE_PLACEHOLDER);
+    if (single) return renderPlaceholder(single[1], single[2], single[3], single[4], scope);
+    return template.replace(PLACEHOLDER, (_, source, path, filter, digits) =>
+        String(renderPlaceholder(source, path, filter, digits, scope) ?? ''));
+}
+
+/**
+ * Evaluate an audit's rules
+ * @param {Array} rules - Rules in evaluation order
+ * @param {Object} facts - Audit measurements
+ * @param {Object} code - Jurisdiction rule set (`env`)
+ * @param {Object} options - { baseScore }
+ * @returns {Object} { score, passed, halted, constraints, mandates, recommendations, trace }
+ *   score is baseScore plus every fired effect (unclamped); trace lists each evaluation:
+ *   { rule, title, item, fired, skipped, condition, score, severity, citation }
+ */
+export function evaluateRules(rules, facts, code, { baseScore = 100 } = {}) {
+    const outcome = {
+        score: baseScore,
+        passed: true,
+        halted: false,
+        constraints: [],
+        mandates: [],
+        recommendations: [],
+        trace: []
+    };
+    const firedGroups = new Map();
+
+    for (const rule of rules) {
+        if (outcome.halted) break;
+
+        const items = rule.forEach ? (getPath(facts, rule.forEach) || []) : [undefined];
+        items.forEach((item, index) => {
+            const scope = { facts: rule.forEach ? { ...facts, item } : facts, code };
+            const entry = { rule: rule.id, title: rule.title };
+            if (rule.forEach) entry.item = index;
+
+            const winner = rule.group && firedGroups.get(rule.group);
+            if (winner || outcome.halted) {
+                outcome.trace.push({ ...entry, fired: false, skipped: winner ? `superseded by ${winner}` : 'halted' });
+                return;
+            }
+
+            const fired = evaluateCondition(rule.when, scope);
+            entry.fired = fired;
+            entry.condition = describeCondition(rule.when, scope);
+            if (!fired) {
+                outcome.trace.push(entry);
+                return;
+            }
+
+            const citation = rule.citation ? renderTemplate(rule.citation, scope) : null;
+            if (rule.group) firedGroups.set(rule.group, rule.id);
+            if (rule.score) outcome.score += rule.score;
+            if (rule.fails) outcome.passed = false;
+            if (rule.halt) outcome.halted = true;
+
+            if (rule.constraint) {
+                const { type, message, citation: own, ...details } = renderTemplate(rule.constraint, scope);
+                outcome.constraints.push({
+                    type,
+                    severity: rule.severity,
+                    message,
+                    ...details,
+                    ...((own ?? citation) && { citation: own ?? citation }),
+                    ...(rule.remedy && { remedy: renderTemplate(rule.remedy, scope) }),
+                    rule: rule.id
+                });
+            }
+            if (rule.mandate) {
+                const { citation: own, ...mandate } = renderTemplate(rule.mandate, scope);
+                outcome.mandates.push({
+                    ...mandate,
+                    ...((own ?? citation) && { citation: own ?? citation }),
+                    rule: rule.id
+                });
+            }
+            if (rule.recommendations) {
+                outcome.recommendations.push(...renderTemplate(rule.recommendations, scope));
+            }
+
+            outcome.trace.push({
+                ...entry,
+                ...(rule.score && { score: rule.score }),
+                ...(rule.severity && rule.constraint && { severity: rule.severity }),
+                ...(citation && { citation })
+            });
+        });
+    }
+    return outcome;
+}
+
+/**
+ * Plain-language summary of a rule for review listings
+ * @param {Object} rule
+ * @returns {Object} { id, title, when, effect, citation, remedy }
+ */
+export function describeRule(rule) {
+    const effects = [];
+    if (rule.constraint) effects.push(`${(rule.severity || 'info').toUpperCase()} constraint ${rule.constraint.type}`);
+    if (rule.mandate) effects.push(`mandate ${rule.mandate.type}`);
+    if (rule.recommendations) effects.push(`${rule.recommendations.length} recommendation(s)`);
+    if (rule.score) effects.push(`score ${rule.score > 0 ? '+' : ''}${rule.score}`);
+    if (rule.fails) effects.push('audit fails');
+    if (rule.halt) effects.push('stops evaluation');
+
+    return {
+        id: rule.id,
+        title: rule.title,
+        when: `${rule.forEach ? `for each ${rule.forEach}: ` : ''}${describeCondition(rule.when)}`,
+        group: rule.group || null,
+        effect: effects.join(', '),
+        citation: rule.citation || null,
+        remedy: rule.remedy || null
+    };
+}
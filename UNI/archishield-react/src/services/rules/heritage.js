@@ -0,0 +1,107 @@
+/**
+ * Heritage Rules - UNESCO Buffer Zone and Landmarks
+ *
+ * Facts (from ../audits/heritage.js): height, district, inBuffer, bufferName,
+ * heritageAuthority, landmarks [{ name, distance, protectionRadius }] (every
+ * landmark of the pack, distance in m) and landmarkCount (those within their
+ * protection radius).
+ */
+
+export const HERITAGE_RULES = [
+    {
+        id: 'heritage.unesco.buffer',
+        title: 'UNESCO World Heritage buffer zone',
+        when: { fact: 'inBuffer', op: '==', value: true },
+        severity: 'critical',
+        constraint: {
+            type: 'UNESCO_BUFFER',
+            message: 'Located within {bufferName}',
+            requirements: ['{heritageAuthority} approval', 'Heritage impact assessment', 'Public consultation']
+        },
+        citation: 'UNESCO World Heritage Convention, Historic Centre of Vienna'
+    },
+    {
+        id: 'heritage.unesco.height-limit',
+        title: 'Buffer zone height limit',
+        group: 'heritage.height',
+        when: {
+            all: [
+                { fact: 'inBuffer', op: '==', value: true },
+                { fact: 'height', op: '>', value: { code: 'heritageCode.buffer.heightLimit' } }
+            ]
+        },
+        severity: 'blocking',
+        score: -50,
+        fails: true,
+        constraint: {
+            type: 'UNESCO_HEIGHT_VIOLATION',
+            message: 'Height {height}m violates UNESCO {@heritageCode.buffer.heightLimit}m limit - AUTOMATIC REJECTION',
+            limit: '{@heritageCode.buffer.heightLimit}',
+            actual: '{height}'
+        },
+        citation: 'UNESCO World Heritage Convention, Historic Centre of Vienna',
+        remedy: 'Reduce the height to {@heritageCode.buffer.heightLimit}m or less'
+    },
+    {
+        id: 'heritage.unesco.review-height',
+        title: 'Enhanced heritage review height',
+        group: 'heritage.height',
+        when: {
+            all: [
+                { fact: 'inBuffer', op: '==', value: true },
+                { fact: 'height', op: '>', value: { code: 'heritageCode.buffer.reviewHeight' } }
+            ]
+        },
+        severity: 'warning',
+        score: -15,
+        constraint: {
+            type: 'HEIGHT_REVIEW',
+            message: 'Height {height}m requires enhanced heritage review (>{@heritageCode.buffer.reviewHeight}m)',
+            limit: '{@heritageCode.buffer.reviewHeight}',
+            actual: '{height}'
+        },
+        remedy: 'Stay at or below {@heritageCode.buffer.reviewHeight}m to avoid the enhanced review'
+    },
+    {
+        id: 'heritage.landmark.proximity',
+        title: 'Landmark protection radius',
+        forEach: 'landmarks',
+        when: { fact: 'item.distance', op: '<', value: { fact: 'item.protectionRadius' } },
+        severity: 'important',
+        score: -10,
+        constraint: {
+            type: 'LANDMARK_PROXIMITY',
+            message: '{item.distance|round}m from {item.name} - design review required',
+            landmark: '{item.name}',
+            distance: '{item.distance|round}'
+        },
+        remedy: 'Prepare a design review of the views to {item.name}'
+    },
+    {
+        id: 'heritage.consultation',
+        title: 'Heritage pre-consultation district',
+        when: { fact: 'district', op: 'in', value: { code: 'heritageCode.consultationDistricts' } },
+        severity: 'info',
+        constraint: {
+            type: 'DISTRICT_{district}_PROTOCOL',
+            message: 'District {district} requires {heritageAuthority} preliminary consultation before submission'
+        }
+    },
+    {
+        id: 'heritage.advice.buffer',
+        title: 'Buffer zone design advice',
+        when: { fact: 'inBuffer', op: '==', value: true },
+        recommendations: [
+            'Engage heritage architect for facade design',
+            'Prepare visual impact study with 3D renderings'
+        ]
+    },
+    {
+        id: 'heritage.advice.landmarks',
+        title: 'Heritage impact assessment advice',
+        when: { fact: 'landmarkCount', op: '>', value: 0 },
+        recommendations: ['Commission independent heritage impact assessment']
+    }
+];
+
+export default HERITAGE_RULES;
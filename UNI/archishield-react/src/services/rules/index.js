@@ -0,0 +1,35 @@
+/**
+ * Audit Rules - Catalogue and Engine
+ *
+ * Declarative rules of the zoning, heritage, subsurface and climate audits,
+ * keyed by audit id, plus the engine that evaluates them (./engine.js).
+ * listRules() is the review listing for code officials.
+ */
+import { describeRule } from './engine.js';
+import { ZONING_RULES } from './zoning.js';
+import { HERITAGE_RULES } from './heritage.js';
+import { SUBSURFACE_RULES } from './subsurface.js';
+import { CLIMATE_RULES } from './climate.js';
+
+export { evaluateRules, evaluateCondition, describeCondition, describeRule, renderTemplate } from './engine.js';
+export { ZONING_RULES, HERITAGE_RULES, SUBSURFACE_RULES, CLIMATE_RULES };
+
+export const AUDIT_RULES = {
+    zoning: ZONING_RULES,
+    heritage: HERITAGE_RULES,
+    subsurface: SUBSURFACE_RULES,
+    climate: CLIMATE_RULES
+};
+
+/**
+ * Every rule in plain language, grouped by audit
+ * @returns {Array} [{ audit, rules: [{ id, title, when, group, effect, citation, remedy }] }]
+ */
+export function listRules() {
+    return Object.entries(AUDIT_RULES).map(([audit, rules]) => ({
+        audit,
+        rules: rules.map(describeRule)
+    }));
+}
+
+export default AUDIT_RULES;
@@ -0,0 +1,112 @@
+/**
+ * Subsurface Rules - U-Bahn Tunnel Proximity
+ *
+ * Facts (from ../audits/subsurface.js): nearestDistance (m, Infinity without
+ * tunnels), nearestLine, basementDepth, and tunnels within the clear distance
+ * [{ line, station, status, distance, tunnelDepth, maxRecommendedDepth }].
+ */
+
+export const SUBSURFACE_RULES = [
+    {
+        id: 'subsurface.tunnel.critical',
+        title: 'Tunnel protection zone',
+        group: 'subsurface.proximity',
+        when: { fact: 'nearestDistance', op: '<', value: { code: 'subsurfaceCode.thresholds.critical' } },
+        severity: 'blocking',
+        score: -50,
+        fails: true,
+        constraint: {
+            type: 'TUNNEL_CRITICAL',
+            message: '{nearestDistance}m from {nearestLine} tunnel - CONSTRUCTION BAN without {@subsurfaceCode.transitAuthority} approval',
+            distance: '{nearestDistance}',
+            clearance: '{@subsurfaceCode.thresholds.critical}',
+            line: '{nearestLine}'
+        },
+        citation: 'Eisenbahngesetz 1957 §42 (Bauverbotsbereich)',
+        remedy: 'Move the footprint at least {@subsurfaceCode.thresholds.critical}m from the tunnel or obtain {@subsurfaceCode.transitAuthority} approval'
+    },
+    {
+        id: 'subsurface.tunnel.restricted',
+        title: 'Tunnel restricted zone',
+        group: 'subsurface.proximity',
+        when: { fact: 'nearestDistance', op: '<', value: { code: 'subsurfaceCode.thresholds.restricted' } },
+        severity: 'critical',
+        score: -30,
+        constraint: {
+            type: 'TUNNEL_RESTRICTED',
+            message: '{nearestDistance}m from {nearestLine} - Enhanced structural assessment required',
+            distance: '{nearestDistance}',
+            clearance: '{@subsurfaceCode.thresholds.restricted}',
+            requirements: ['Geotechnical study', 'Vibration analysis', '{@subsurfaceCode.transitAuthority} coordination']
+        },
+        citation: 'Eisenbahngesetz 1957 §43 (Gefährdungsbereich)',
+        remedy: 'Commission a geotechnical study and coordinate with {@subsurfaceCode.transitAuthority}'
+    },
+    {
+        id: 'subsurface.tunnel.monitoring',
+        title: 'Tunnel vibration zone',
+        group: 'subsurface.proximity',
+        when: { fact: 'nearestDistance', op: '<', value: { code: 'subsurfaceCode.thresholds.monitoring' } },
+        severity: 'warning',
+        score: -10,
+        constraint: {
+            type: 'TUNNEL_MONITORING',
+            message: '{nearestDistance}m from {nearestLine} - Vibration monitoring required during construction',
+            distance: '{nearestDistance}'
+        },
+        remedy: 'Budget for vibration monitoring during construction'
+    },
+    {
+        id: 'subsurface.depth-conflict',
+        title: 'Basement clearance above the tunnel',
+        forEach: 'tunnels',
+        when: {
+            all: [
+                { fact: 'basementDepth', op: '>', value: 0 },
+                { fact: 'item.distance', op: '<', value: { code: 'subsurfaceCode.thresholds.monitoring' } },
+                {
+                    fact: 'basementDepth',
+                    op: '>',
+                    value: { fact: 'item.tunnelDepth', minus: { code: 'subsurfaceCode.depthClearance' } }
+                }
+            ]
+        },
+        severity: 'critical',
+        score: -20,
+        constraint: {
+            type: 'DEPTH_CONFLICT',
+            message: 'Basement depth {basementDepth}m may conflict with {item.line} tunnel at {item.tunnelDepth}m ({item.distance}m away)',
+            line: '{item.line}',
+            tunnelDepth: '{item.tunnelDepth}',
+            maxDepth: '{item.maxRecommendedDepth}',
+            recommendation: 'Max recommended: {item.maxRecommendedDepth}m'
+        },
+        remedy: 'Reduce the basement depth to {item.maxRecommendedDepth}m'
+    },
+    {
+        id: 'subsurface.advice.consultation',
+        title: 'Transit authority consultation advice',
+        when: { fact: 'nearestDistance', op: '<', value: { code: 'subsurfaceCode.thresholds.monitoring' } },
+        recommendations: [
+            'Engage {@subsurfaceCode.transitAuthority} for pre-construction consultation',
+            'Install vibration monitoring equipment'
+        ]
+    },
+    {
+        id: 'subsurface.advice.geotechnical',
+        title: 'Geotechnical assessment advice',
+        when: { fact: 'nearestDistance', op: '<', value: { code: 'subsurfaceCode.thresholds.restricted' } },
+        recommendations: [
+            'Commission independent geotechnical assessment',
+            'Consider pile foundation alternatives'
+        ]
+    },
+    {
+        id: 'subsurface.advice.clear',
+        title: 'Clear of tunnels',
+        when: { fact: 'nearestDistance', op: '>=', value: { code: 'subsurfaceCode.thresholds.clear' } },
+        recommendations: ['No subsurface constraints - standard foundation permissible']
+    }
+];
+
+export default SUBSURFACE_RULES;
@@ -0,0 +1,178 @@
+/**
+ * Zoning Rules - Flächenwidmung, Bauklasse, Schutzzone and Lot Geometry
+ *
+ * Facts (from ../audits/zoning.js): block (zoning-plan block or null),
+ * notBuildable, provisions, planningAuthority, height, floors,
+ * regulatoryClass, regulatory { maxHeight, maxFloors }, limitSource,
+ * contextualLimit, suggestedClass, planCitation, protectionZone
+ * { name, restrictions } | null, lot { inside, minSetback, coverage,
+ * footprintArea, lotArea } | null, lotRules { minSetback, maxCoverage },
+ * bauweiseName.
+ */
+
+export const ZONING_RULES = [
+    {
+        id: 'zoning.plan.not-buildable',
+        title: 'Site outside Bauland',
+        when: { fact: 'notBuildable', op: '==', value: true },
+        severity: 'blocking',
+        score: -100,
+        fails: true,
+        halt: true,
+        constraint: {
+            type: 'ZONING_NOT_BUILDABLE',
+            message: 'Site lies in {block.widmungName} ({block.notation}, Plandokument {block.plandokument}) - no building permitted without rezoning',
+            block: '{block.id}',
+            widmung: '{block.widmung}',
+            citation: 'Plandokument {block.plandokument}'
+        },
+        recommendations: ['Select a site in Bauland or apply to {planningAuthority} for a plan amendment'],
+        remedy: 'Select a site in Bauland or apply to {planningAuthority} for a plan amendment'
+    },
+    {
+        id: 'zoning.plan.provision',
+        title: 'Besondere Bestimmungen of the plan block',
+        forEach: 'provisions',
+        mandate: {
+            type: 'PLAN_PROVISION',
+            description: '{item.code}: {item.text}',
+            code: '{item.code}',
+            citation: 'Plandokument {block.plandokument}, {item.code}'
+        }
+    },
+    {
+        id: 'zoning.height.variance',
+        title: 'Height above Bauklasse, within the neighborhood fabric',
+        group: 'zoning.height',
+        when: {
+            all: [
+                { fact: 'height', op: '>', value: { fact: 'regulatory.maxHeight' } },
+                { fact: 'height', op: '<=', value: { fact: 'contextualLimit' } }
+            ]
+        },
+        severity: 'important',
+        score: -15,
+        fails: true,
+        constraint: {
+            type: 'HEIGHT_VARIANCE_OPPORTUNITY',
+            message: 'Building height ({height}m) exceeds {limitSource} limit ({regulatory.maxHeight}m), but aligns with neighborhood fabric ({contextualLimit}m). High variance potential.',
+            limit: '{regulatory.maxHeight}',
+            contextualLimit: '{contextualLimit}',
+            actual: '{height}',
+            suggestedBauklasse: '{suggestedClass}',
+            citation: '{planCitation}'
+        },
+        citation: 'Wiener Bauordnung §75 (Bauklassen)',
+        remedy: 'Apply for a height variance citing the neighborhood fabric, or reduce the height to {regulatory.maxHeight}m'
+    },
+    {
+        id: 'zoning.height.violation',
+        title: 'Height above Bauklasse and neighborhood fabric',
+        group: 'zoning.height',
+        when: { fact: 'height', op: '>', value: { fact: 'regulatory.maxHeight' } },
+        severity: 'critical',
+        score: -40,
+        fails: true,
+        constraint: {
+            type: 'HEIGHT_VIOLATION',
+            message: 'Height ({height}m) exceeds both regulatory Bauklasse {regulatoryClass} ({regulatory.maxHeight}m, {limitSource}) and contextual scale ({contextualLimit}m).',
+            limit: '{regulatory.maxHeight}',
+            contextualLimit: '{contextualLimit}',
+            actual: '{height}',
+            citation: '{planCitation}'
+        },
+        citation: 'Wiener Bauordnung §75 (Bauklassen)',
+        remedy: 'Reduce the height to {regulatory.maxHeight}m'
+    },
+    {
+        id: 'zoning.floors',
+        title: 'Typical floor count of the Bauklasse',
+        when: { fact: 'floors', op: '>', value: { fact: 'regulatory.maxFloors' } },
+        severity: 'warning',
+        score: -20,
+        constraint: {
+            type: 'FLOOR_WARNING',
+            message: '{floors} floors exceeds typical for Bauklasse {regulatoryClass} ({regulatory.maxFloors} floors)',
+            limit: '{regulatory.maxFloors}',
+            actual: '{floors}'
+        },
+        remedy: 'Reduce to {regulatory.maxFloors} floors'
+    },
+    {
+        id: 'zoning.schutzzone.plan',
+        title: 'Schutzzone in the zoning plan',
+        when: { fact: 'block.schutzzone', op: '==', value: true },
+        severity: 'important',
+        score: -10,
+        constraint: {
+            type: 'SCHUTZZONE',
+            message: 'Block {block.id} is a Schutzzone (Plandokument {block.plandokument}) - special approvals required',
+            restrictions: ['facade_preservation', 'material_approval'],
+            citation: 'Plandokument {block.plandokument}'
+        },
+        citation: 'Wiener Bauordnung §7 (Schutzzonen)'
+    },
+    {
+        id: 'zoning.schutzzone.zone',
+        title: 'Protection zone',
+        when: { fact: 'protectionZone', op: 'exists' },
+        severity: 'important',
+        score: -10,
+        constraint: {
+            type: 'SCHUTZZONE',
+            message: 'Located in {protectionZone.name} - special approvals required',
+            restrictions: '{protectionZone.restrictions}'
+        },
+        citation: 'Wiener Bauordnung §7 (Schutzzonen)'
+    },
+    {
+        id: 'zoning.lot.outside',
+        title: 'Footprint within the lot',
+        group: 'zoning.lot',
+        when: { fact: 'lot.inside', op: '==', value: false },
+        severity: 'critical',
+        score: -30,
+        fails: true,
+        constraint: {
+            type: 'FOOTPRINT_OUTSIDE_LOT',
+            message: 'Building footprint extends beyond the lot boundary',
+            footprintArea: '{lot.footprintArea|round}',
+            lotArea: '{lot.lotArea|round}'
+        },
+        remedy: 'Move or shrink the footprint to fit inside the lot'
+    },
+    {
+        id: 'zoning.lot.setback',
+        title: 'Minimum setback of the Bauweise',
+        group: 'zoning.lot',
+        when: { fact: 'lot.minSetback', op: '<', value: { fact: 'lotRules.minSetback' } },
+        severity: 'critical',
+        score: -25,
+        fails: true,
+        constraint: {
+            type: 'SETBACK_VIOLATION',
+            message: 'Footprint is {lot.minSetback|fixed:1}m from the lot line; {bauweiseName} requires {lotRules.minSetback}m',
+            limit: '{lotRules.minSetback}',
+            actual: '{lot.minSetback|round:1}'
+        },
+        citation: 'Wiener Bauordnung §76 (Bauweisen)',
+        remedy: 'Keep the footprint {lotRules.minSetback}m from every lot line'
+    },
+    {
+        id: 'zoning.lot.coverage',
+        title: 'Maximum lot coverage',
+        when: { fact: 'lot.coverage', op: '>', value: { fact: 'lotRules.maxCoverage' } },
+        severity: 'important',
+        score: -15,
+        constraint: {
+            type: 'LOT_COVERAGE_EXCEEDED',
+            message: 'Footprint covers {lot.coverage|percent}% of the lot (max {lotRules.maxCoverage|percent}%)',
+            limit: '{lotRules.maxCoverage}',
+            actual: '{lot.coverage|round:3}'
+        },
+        citation: 'Wiener Bauordnung §76 (Bauweisen)',
+        remedy: 'Reduce the footprint to {lotRules.maxCoverage|percent}% of the lot'
+    }
+];
+
+export default ZONING_RULES;
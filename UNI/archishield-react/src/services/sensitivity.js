@@ -0,0 +1,208 @@
+/**
+ * Parameter Sensitivity Sweeps - Feasibility Curves
+ *
+ * Re-runs the full audit pipeline across a range of one building parameter
+ * (height, footprint, floors, material, rotation, surfaceSeal) while every
+ * other parameter keeps the design's value, and reports the feasibility and
+ * per-audit score curves plus the thresholds where constraints appear or clear.
+ * Like ./spot_audit.js, datasets are always passed in, so sweeps run
+ * unchanged in the audit worker, on the main thread and under plain Node.
+ */
+import { defaultAuditRegistry } from './audits/index.js';
+import { STATUS, createSpotBuilding, createAuditContext, executeAllAudits } from './spot_audit.js';
+import { getSpatialIndex } from './spatial_index.js';
+import { describeJurisdiction, resolveJurisdiction, toDateKey } from './jurisdictions/index.js';
+import APP_CONSTANTS from './constants.js';
+
+export const MAX_SWEEP_POINTS = 60;
+
+/**
+ * Sweepable parameters with their default ranges
+ * geometry: the footprint polygon is rebuilt from footprint/rotation, so a custom outline is dropped
+ */
+export const SWEEP_PARAMETERS = {
+    height: { label: 'Height', unit: 'm', icon: '📏', min: 5, max: 100, step: 5 },
+    footprint: { label: 'Footprint', unit: 'm²', icon: '⬛', min: 50, max: 500, step: 25, geometry: true },
+    floors: { label: 'Floors', unit: '', icon: '🏢', min: 1, max: 30, step: 1 },
+    material: { label: 'Material', unit: '', icon: '🧱', values: ['CONCRETE', 'TIMBER', 'STEEL'] },
+    rotation: { label: 'Rotation', unit: '°', icon: '🧭', min: 0, max: 345, step: 15, geometry: true },
+    surfaceSeal: { label: 'Surface seal', unit: '%', icon: '🌿', min: 30, max: 100, step: 5 }
+};
+
+/**
+ * Values a sweep visits
+ * @param {Object} sweep - { parameter, values } or { parameter, min, max, step } (missing bounds use the defaults)
+ * @returns {Array}
+ */
+export function getSweepValues({ parameter, values, min, max, step } = {}) {
+    const spec = SWEEP_PARAMETERS[parameter];
+    if (!spec) {
+        throw new Error(`Unknown sweep parameter: ${parameter} (expected ${Object.keys(SWEEP_PARAMETERS).join(', ')})`);
+    }
+
+    let sweepValues = values ?? spec.values;
+    if (!sweepValues) {
+        const from = Number(min ?? spec.min);
+        const to = Number(max ?? spec.max);
+        const increment = Number(step ?? spec.step);
+        if (![from, to, increment].every(Number.isFinite) || increment <= 0 || to < from) {
+            throw new Error(`Invalid ${parameter} sweep range ${min ?? spec.min}:${max ?? spec.max}:${step ?? spec.step}`);
+        }
+        sweepValues = [];
+        // Index-based to avoid drifting float steps
+        for (let i = 0; from + i * increment <= to + 1e-9; i++) {
+            sweepValues.push(Math.round((from + i * increment) * 1000) / 1000);
+            if (sweepValues.length > MAX_SWEEP_POINTS) break;
+        }
+    }
+
+    if (sweepValues.length === 0) throw new Error(`Empty ${parameter} sweep`);
+    if (sweepValues.length > MAX_SWEEP_POINTS) {
+        throw new Error(`A ${parameter} sweep may visit at most ${MAX_SWEEP_POINTS} values; use a larger step`);
+    }
+    return sweepValues;
+}
+
+// Constraints of one run, keyed by the rule that raised them (type for audits without rules)
+function indexConstraints(constraints) {
+    const byKey = new Map();
+    for (const constraint of constraints) {
+        const key = constraint.rule || constraint.type;
+        if (!byKey.has(key)) byKey.set(key, constraint);
+    }
+    return byKey;
+}
+
+/**
+ * Constraints that appear or clear between neighbouring sweep values
+ * @returns {Array} [{ value, previous, change: 'appears'|'clears', key, type, severity, rule, message }]
+ */
+function findThresholds(values, runs) {
+    const thresholds = [];
+    for (let i = 1; i < runs.length; i++) {
+        const before = indexConstraints(runs[i - 1].constraints);
+        const after = indexConstraints(runs[i].constraints);
+        const record = (constraint, key, change) => thresholds.push({
+            value: values[i],
+            previous: values[i - 1],
+            change,
+            key,
+            type: constraint.type,
+            severity: constraint.severity || 'info',
+            rule: constraint.rule || null,
+            message: constraint.message
+        });
+        after.forEach((constraint, key) => { if (!before.has(key)) record(constraint, key, 'appears'); });
+        before.forEach((constraint, key) => { if (!after.has(key)) record(constraint, key, 'clears'); });
+    }
+    return thresholds;
+}
+
+/**
+ * Sweep one parameter of a design at a site
+ * @param {Object} site - { latitude, longitude, params, context, existingBuilding }
+ *   params: the design's building parameters; context: as createAuditContext (built when omitted)
+ * @param {Object} sweep - { parameter, values } or { parameter, min, max, step }
+ * @param {Object} options - As executeAllAudits: { registry, buildings, buildingIndex, zoningPlan, geology, tunnels, jurisdiction }
+ * @returns {Object} { parameter, label, unit, categorical, base, values, feasibility, status, statusColor, scores, thresholds, lastFeasible, best }
+ *   categorical: the values are options (material) rather than a range;
+ *   base: the design's own value of the parameter;
+ *   feasibility / status / statusColor: one entry per value;
+ *   scores: { auditKey: [score per value] };
+ *   thresholds: constraints appearing or clearing between neighbouring values;
+ *   lastFeasible: the last value before the status first turns REJECTED (null if the first value is
+ *   rejected, and for categorical sweeps);
+ *   best: { value, feasibility } of the first value with the highest feasibility
+ */
+export function sweepParameter(site, sweep, {
+    registry = defaultAuditRegistry,
+    buildings = [],
+    buildingIndex = getSpatialIndex(buildings),
+    zoningPlan = null,
+    geology = null,
+    tunnels = null,
+    jurisdiction = APP_CONSTANTS
+} = {}) {
+    const { latitude, longitude, params = {}, existingBuilding = null } = site;
+    const values = getSweepValues(sweep);
+    const spec = SWEEP_PARAMETERS[sweep.parameter];
+    const context = site.context || createAuditContext(latitude, longitude, buildingIndex);
+
+    // Geometry sweeps rebuild the rectangle, so a given outline must not override it
+    const baseParams = { ...params };
+    if (spec.geometry) delete baseParams.footprintPolygon;
+    const baseBuilding = spec.geometry ? null : existingBuilding;
+
+    const runs = values.map(value => {
+        const building = createSpotBuilding(latitude, longitude, { ...baseParams, [sweep.parameter]: value }, baseBuilding);
+        return executeAllAudits(building, context, {
+            registry, buildings, buildingIndex, zoningPlan, geology, tunnels, jurisdiction
+        });
+    });
+
+    const scores = {};
+    runs.forEach((run, index) => {
+        for (const [key, audit] of Object.entries(run.audits)) {
+            if (!scores[key]) scores[key] = new Array(values.length).fill(null);
+            scores[key][index] = audit?.score ?? null;
+        }
+    });
+
+    const firstRejected = runs.findIndex(run => run.status === STATUS.REJECTED);
+    const feasibility = runs.map(run => run.feasibility);
+    const bestIndex = feasibility.indexOf(Math.max(...feasibility));
+    let lastFeasible = null;
+    if (!spec.values && firstRejected !== 0) {
+        lastFeasible = values[firstRejected === -1 ? values.length - 1 : firstRejected - 1];
+    }
+
+    return {
+        parameter: sweep.parameter,
+        label: spec.label,
+        unit: spec.unit,
+        categorical: Boolean(spec.values),
+        base: createSpotBuilding(latitude, longitude, params, existingBuilding)[sweep.parameter],
+        values,
+        feasibility,
+        status: runs.map(run => run.status),
+        statusColor: runs.map(run => run.statusColor),
+        scores,
+        thresholds: findThresholds(values, runs),
+        lastFeasible,
+        best: { value: values[bestIndex], feasibility: feasibility[bestIndex] }
+    };
+}
+
+/**
+ * One-shot sweep for a location, taking the same request as runSpotAudit
+ * @param {Object} request - { latitude, longitude, params, buildings, buildingIndex, zoningPlan, geology, tunnels, registry, jurisdiction, asOf }
+ * @param {Object} sweep - { parameter, values } or { parameter, min, max, step }
+ * @returns {Object} sweepParameter's result plus the jurisdiction summary
+ */
+export function runSensitivitySweep({
+    latitude,
+    longitude,
+    params = {},
+    buildings = [],
+    buildingIndex = getSpatialIndex(buildings),
+    zoningPlan = null,
+    geology = null,
+    tunnels = null,
+    registry = defaultAuditRegistry,
+    jurisdiction = null,
+    asOf = new Date()
+}, sweep) {
+    const pack = resolveJurisdiction({ jurisdiction, latitude, longitude, asOf });
+    const existingBuilding = params.id
+        ? buildings.find(f => f.properties?.id === params.id)
+        : null;
+
+    return {
+        jurisdiction: { ...describeJurisdiction(pack), asOf: toDateKey(asOf) },
+        ...sweepParameter({ latitude, longitude, params, existingBuilding }, sweep, {
+            registry, buildings, buildingIndex, zoningPlan, geology, tunnels, jurisdiction: pack
+        })
+    };
+}
+
+export default runSensitivitySweep;
@@ -0,0 +1,187 @@
+/**
+ * Shadow Study Engine
+ *
+ * Casts the shadow of a prismatic building (footprint × height) on flat
+ * ground for every daylight interval of the study dates and measures how
+ * much of each target area (e.g. a Krems red zone) it covers.
+ *
+ * The shadow of a prism is the union of its footprint and the parallelograms
+ * swept by each footprint edge along the shadow vector, so it is exact for
+ * concave footprints too. Targets are sampled on a grid; every grid point
+ * accumulates the time it spends in shadow. A target's hours of shade lost
+ * are those of its worst-affected point, the area-weighted mean is reported
+ * alongside.
+ */
+import { getOuterRing } from './footprint.js';
+import { createLocalProjection, isPointInRing, signedRingArea } from './geometry.js';
+import { formatClock, getDaylightSamples } from './solar.js';
+
+// Below this altitude terrain and surrounding buildings shade everything anyway
+export const MIN_SUN_ALTITUDE = 3;
+const MAX_TARGET_SAMPLES = 400;
+
+/**
+ * Shadow vector for a sun position
+ * @param {number} height - Building height (m)
+ * @param {Object} sun - { altitude, azimuth } in degrees
+ * @returns {Array} [dx, dy] in metres (x east, y north)
+ */
+export function getShadowVector(height, { altitude, azimuth }) {
+    const length = height / Math.tan(altitude * Math.PI / 180);
+    const angle = azimuth * Math.PI / 180;
+    return [-length * Math.sin(angle), -length * Math.cos(angle)];
+}
+
+/**
+ * Shadow parts of a prism in local metres
+ * @param {Array} points - Footprint ring [[x, y], ...] (open)
+ * @param {Array} vector - Shadow vector [dx, dy]
+ * @returns {Array} Rings whose union is the shadow
+ */
+export function castShadow(points, [dx, dy]) {
+    const parts = [points];
+    for (let i = 0, j = points.length - 1; i < points.length; j = i++) {
+        const a = points[j];
+        const b = points[i];
+        parts.push([a, b, [b[0] + dx, b[1] + dy], [a[0] + dx, a[1] + dy]]);
+    }
+    return parts;
+}
+
+// Grid points inside a target ring (local metres)
+function sampleTarget(ring) {
+    const xs = ring.map(p => p[0]);
+    const ys = ring.map(p => p[1]);
+    const [minX, maxX, minY, maxY] = [Math.min(...xs), Math.max(...xs), Math.min(...ys), Math.max(...ys)];
+    const spacing = Math.max(1, Math.sqrt((maxX - minX) * (maxY - minY) / MAX_TARGET_SAMPLES));
+
+    const samples = [];
+    for (let x = minX + spacing / 2; x < maxX; x += spacing) {
+        for (let y = minY + spacing / 2; y < maxY; y += spacing) {
+            if (isPointInRing([x, y], ring)) samples.push([x, y]);
+        }
+    }
+    if (samples.length === 0) {
+        samples.push([xs.reduce((a, b) => a + b, 0) / xs.length, ys.reduce((a, b) => a + b, 0) / ys.length]);
+    }
+    return { samples, minX, maxX, minY, maxY };
+}
+
+function toPolygonCoordinates(parts, projection) {
+    return parts.map(part => {
+        const ring = part.map(projection.toLngLat);
+        return [[...ring, ring[0]]];
+    });
+}
+
+/**
+ * Run a shadow study
+ * @param {Object} options
+ * @param {Object} options.footprint - Footprint geometry (GeoJSON Polygon or ring)
+ * @param {number} options.height - Building height (m)
+ * @param {Array} options.targets - [{ id, name, geometry }] areas to test for shade
+ * @param {Array} options.dates - Study dates 'YYYY-MM-DD' (Vienna local time)
+ * @param {number} options.stepMinutes - Interval length (default 15)
+ * @param {boolean} options.includeShadows - Attach a MultiPolygon shadow per interval
+ * @returns {Object} { dates: [{ date, daylightHours, sunrise, sunset, noonAltitude, targets, steps }] }
+ *   targets: [{ id, name, shadeHours (worst point), meanShadeHours, hoursWithShade, maxShadedFraction, shadedArea }]
+ */
+export function runShadowStudy({ footprint, height, targets = [], dates = [], stepMinutes = 15, includeShadows = false }) {
+    const footprintRing = getOuterRing(footprint);
+    if (footprintRing.length < 3) return { dates: [] };
+
+    const origin = {
+        lng: footprintRing.reduce((sum, p) => sum + p[0], 0) / footprintRing.length,
+        lat: footprintRing.reduce((sum, p) => sum + p[1], 0) / footprintRing.length
+    };
+    const projection = createLocalProjection(origin);
+    const footprintPoints = footprintRing.map(projection.toLocal);
+    const footprintReach = Math.max(...footprintPoints.map(([x, y]) => Math.hypot(x, y)));
+
+    const sampledTargets = targets
+        .map(target => {
+            const ring = getOuterRing(target.geometry).map(projection.toLocal);
+            if (ring.length < 3) return null;
+            const sampled = sampleTarget(ring);
+            // Ground under the building itself is not overshadowed, it is built on
+            const open = sampled.samples.filter(point => !isPointInRing(point, footprintPoints));
+            if (open.length === 0) return null;
+            return { ...target, ring, area: Math.abs(signedRingArea(ring)), ...sampled, samples: open };
+        })
+        .filter(Boolean);
+
+    const results = dates.map(date => {
+        const daylight = getDaylightSamples(date, origin, stepMinutes);
+        const stepHours = stepMinutes / 60;
+        const noon = daylight.reduce((best, s) => (!best || s.altitude > best.altitude ? s : best), null);
+
+        const tally = sampledTargets.map(target => ({
+            id: target.id,
+            name: target.name,
+            pointHours: new Array(target.samples.length).fill(0),
+            hoursWithShade: 0,
+            maxShadedFraction: 0
+        }));
+        const steps = [];
+
+        for (const sun of daylight) {
+            if (sun.altitude < MIN_SUN_ALTITUDE) continue;
+
+            const vector = getShadowVector(height, sun);
+            const reach = footprintReach + Math.hypot(vector[0], vector[1]);
+            const parts = castShadow(footprintPoints, vector);
+            const shaded = [];
+
+            sampledTargets.forEach((target, i) => {
+                // Skip targets the shadow cannot reach
+                if (target.minX > reach || target.maxX < -reach || target.minY > reach || target.maxY < -reach) return;
+
+                let hits = 0;
+                target.samples.forEach((point, k) => {
+                    if (parts.some(part => isPointInRing(point, part))) {
+                        tally[i].pointHours[k] += stepHours;
+                        hits++;
+                    }
+                });
+                if (hits === 0) return;
+
+                const fraction = hits / target.samples.length;
+                tally[i].hoursWithShade += stepHours;
+                tally[i].maxShadedFraction = Math.max(tally[i].maxShadedFraction, fraction);
+                shaded.push({ id: target.id, fraction });
+            });
+
+            if (includeShadows || shaded.length > 0) {
+                steps.push({
+                    time: sun.time,
+                    altitude: Math.round(sun.altitude * 10) / 10,
+                    azimuth: Math.round(sun.azimuth * 10) / 10,
+                    shadowLength: Math.round(Math.hypot(vector[0], vector[1]) * 10) / 10,
+                    shaded,
+                    ...(includeShadows && {
+                        shadow: { type: 'MultiPolygon', coordinates: toPolygonCoordinates(parts, projection) }
+                    })
+                });
+            }
+        }
+
+        return {
+            date,
+            daylightHours: daylight.length * stepHours,
+            sunrise: daylight[0]?.time ?? null,
+            sunset: daylight.length ? formatClock(daylight[daylight.length - 1].minutes + stepMinutes) : null,
+            noonAltitude: noon ? noon.altitude : 0,
+            targets: tally.map(({ pointHours, ...t }, i) => ({
+                ...t,
+                shadeHours: Math.max(...pointHours),
+                meanShadeHours: pointHours.reduce((a, b) => a + b, 0) / pointHours.length,
+                shadedArea: t.maxShadedFraction * sampledTargets[i].area
+            })),
+            steps
+        };
+    });
+
+    return { dates: results };
+}
+
+export default runShadowStudy;
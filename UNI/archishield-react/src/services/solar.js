@@ -0,0 +1,122 @@
+/**
+ * Solar Ephemeris
+ *
+ * Sun position (NOAA solar calculator equations, accurate to ~0.01° for
+ * 1900-2100) and local civil time for Vienna (Europe/Vienna: CET, CEST from
+ * the last Sunday of March to the last Sunday of October, switching at
+ * 01:00 UTC). Atmospheric refraction is ignored.
+ */
+
+const DEG = Math.PI / 180;
+const MS_PER_DAY = 86400000;
+
+function lastSundayUtc(year, month) {
+    const lastDay = new Date(Date.UTC(year, month + 1, 0));
+    return Date.UTC(year, month, lastDay.getUTCDate() - lastDay.getUTCDay(), 1);
+}
+
+/**
+ * Vienna UTC offset in hours at an instant (1 = CET, 2 = CEST)
+ * @param {Date} date
+ */
+export function getViennaUtcOffset(date) {
+    const time = date.getTime();
+    const year = date.getUTCFullYear();
+    return time >= lastSundayUtc(year, 2) && time < lastSundayUtc(year, 9) ? 2 : 1;
+}
+
+/**
+ * Instant for a Vienna wall-clock time
+ * @param {string} day - 'YYYY-MM-DD'
+ * @param {number} minutes - Minutes after local midnight
+ * @returns {Date}
+ */
+export function viennaTimeToDate(day, minutes) {
+    const [year, month, date] = day.split('-').map(Number);
+    const wallClock = Date.UTC(year, month - 1, date) + minutes * 60000;
+    // Offset at local noon; DST switches happen at night
+    const offset = getViennaUtcOffset(new Date(Date.UTC(year, month - 1, date, 11)));
+    return new Date(wallClock - offset * 3600000);
+}
+
+// 'HH:MM' for minutes after midnight
+export function formatClock(minutes) {
+    const m = Math.round(minutes);
+    return `${String(Math.floor(m / 60) % 24).padStart(2, '0')}:${String(m % 60).padStart(2, '0')}`;
+}
+
+/**
+ * Sun position
+ * @param {Date} date - Instant
+ * @param {number} lat - Latitude (°N)
+ * @param {number} lng - Longitude (°E)
+ * @returns {Object} { altitude, azimuth } in degrees, azimuth clockwise from north
+ */
+export function getSolarPosition(date, lat, lng) {
+    const julianDay = date.getTime() / MS_PER_DAY + 2440587.5;
+    const T = (julianDay - 2451545) / 36525;
+
+    const meanLongitude = ((280.46646 + T * (36000.76983 + T * 0.0003032)) % 360 + 360) % 360;
+    const meanAnomaly = 357.52911 + T * (35999.05029 - 0.0001537 * T);
+    const eccentricity = 0.016708634 - T * (0.000042037 + 0.0000001267 * T);
+    const center = Math.sin(meanAnomaly * DEG) * (1.914602 - T * (0.004817 + 0.000014 * T))
+        + Math.sin(2 * meanAnomaly * DEG) * (0.019993 - 0.000101 * T)
+        + Math.sin(3 * meanAnomaly * DEG) * 0.000289;
+
+    const omega = 125.04 - 1934.136 * T;
+    const apparentLongitude = meanLongitude + center - 0.00569 - 0.00478 * Math.sin(omega * DEG);
+    const meanObliquity = 23 + (26 + (21.448 - T * (46.815 + T * (0.00059 - T * 0.001813))) / 60) / 60;
+    const obliquity = meanObliquity + 0.00256 * Math.cos(omega * DEG);
+    const declination = Math.asin(Math.sin(obliquity * DEG) * Math.sin(apparentLongitude * DEG));
+
+    // Equation of time (minutes)
+    const y = Math.tan(obliquity * DEG / 2) ** 2;
+    const L0 = meanLongitude * DEG;
+    const M = meanAnomaly * DEG;
+    const equationOfTime = 4 / DEG * (
+        y * Math.sin(2 * L0)
+        - 2 * eccentricity * Math.sin(M)
+        + 4 * eccentricity * y * Math.sin(M) * Math.cos(2 * L0)
+        - 0.5 * y * y * Math.sin(4 * L0)
+        - 1.25 * eccentricity * eccentricity * Math.sin(2 * M)
+    );
+
+    const utcMinutes = (date.getTime() % MS_PER_DAY + MS_PER_DAY) % MS_PER_DAY / 60000;
+    const trueSolarTime = utcMinutes + equationOfTime + 4 * lng;
+    const hourAngle = (trueSolarTime / 4 - 180) * DEG;
+
+    const phi = lat * DEG;
+    const cosZenith = Math.sin(phi) * Math.sin(declination)
+        + Math.cos(phi) * Math.cos(declination) * Math.cos(hourAngle);
+    const altitude = 90 - Math.acos(Math.max(-1, Math.min(1, cosZenith))) / DEG;
+    const azimuth = (Math.atan2(
+        Math.sin(hourAngle),
+        Math.cos(hourAngle) * Math.sin(phi) - Math.tan(declination) * Math.cos(phi)
+    ) / DEG + 180 + 360) % 360;
+
+    return { altitude, azimuth };
+}
+
+/**
+ * Sun positions through a Vienna day at a fixed step
+ * Each sample stands for the interval starting at `minutes`; the sun is
+ * evaluated at the interval midpoint. Only intervals with the sun above the
+ * horizon are returned.
+ * @param {string} day - 'YYYY-MM-DD'
+ * @param {Object} site - { lat, lng }
+ * @param {number} stepMinutes
+ * @returns {Array} [{ minutes, time, date, altitude, azimuth }]
+ */
+export function getDaylightSamples(day, { lat, lng }, stepMinutes = 15) {
+    const samples = [];
+    for (let minutes = 0; minutes < 1440; minutes += stepMinutes) {
+        const date = viennaTimeToDate(day, minutes + stepMinutes / 2);
+        const { altitude, azimuth } = getSolarPosition(date, lat, lng);
+        if (altitude > 0) {
+            samples.push({ minutes, time: formatClock(minutes), date, altitude, azimuth });
+        }
+    }
+    return samples;
+}
+
+export default getSolarPosition;
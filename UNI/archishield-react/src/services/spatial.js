@@ -1,4 +1,29 @@
-// SpatialUtils - Geometric and spatial analysis helpers
+// SpatialUtils - Geometric and spatial analysis helpers (measurements delegate to ./geometry.js)
+import {
+    METERS_PER_DEG_LAT,
+    distanceToGeometry,
+    getArea,
+    getBounds,
+    getCentroid,
+    isPointInRing
+} from './geometry.js';
+import { boundsAround, isSpatialIndex } from './spatial_index.js';
+
+// Features worth measuring: an index query, or the whole array
+function getCandidates(point, features, radius) {
+    return isSpatialIndex(features) ? features.search(boundsAround(point, radius)) : features;
+}
+
+// Cheap bounding-box test before measuring a geometry
+function isWithinBounds(point, geometry, radius) {
+    const bounds = getBounds(geometry);
+    if (!bounds) return false;
+    const degLat = radius / METERS_PER_DEG_LAT;
+    const degLng = degLat / Math.cos(point.lat * Math.PI / 180);
+    return bounds[1] - degLat <= point.lat && point.lat <= bounds[3] + degLat &&
+        bounds[0] - degLng <= point.lng && point.lng <= bounds[2] + degLng;
+}
+
 export const SpatialUtils = {
     // Calculate Haversine distance between two points in meters
     getDistance(lat1, lon1, lat2, lon2) {
@@ -16,81 +41,78 @@ export const SpatialUtils = {
         return R * c;
     },
 
-    // Calculate minimum distance from a point to GeoJSON LineStrings
+    // Minimum distance from a point to the features of a collection (lines, polygons, points)
     getMinDistanceToLines(point, featureCollection) {
         let minDistance = Infinity;
         if (!featureCollection || !featureCollection.features) return minDistance;
 
         for (const feature of featureCollection.features) {
-            if (feature.geometry.type === 'LineString') {
-                for (const coord of feature.geometry.coordinates) {
-                    const dist = this.getDistance(point.lat, point.lng, coord[1], coord[0]);
-                    if (dist < minDistance) minDistance = dist;
-                }
-            }
+            if (!feature.geometry) continue;
+            const dist = distanceToGeometry(point, feature.geometry);
+            if (dist < minDistance) minDistance = dist;
         }
         return minDistance;
     },
 
-    // Count features within a radius
+    // Count features (array or spatial index) within a radius, measured to the nearest edge of polygons
     countFeaturesInRadius(point, features, radius) {
         let count = 0;
-        const degRadius = radius / 111000;
-
-        for (const feature of features) {
-            let coords = null;
-            if (feature.geometry.type === 'Point') coords = feature.geometry.coordinates;
-            else if (feature.geometry.type === 'Polygon') coords = feature.geometry.coordinates[0][0];
-            
-            if (coords) {
-                if (Math.abs(coords[1] - point.lat) > degRadius) continue;
-                if (Math.abs(coords[0] - point.lng) > degRadius) continue;
-                if (this.getDistance(point.lat, point.lng, coords[1], coords[0]) <= radius) {
-                    count++;
-                }
-            }
+
+        for (const feature of getCandidates(point, features, radius)) {
+            if (!isWithinBounds(point, feature.geometry, radius)) continue;
+            if (distanceToGeometry(point, feature.geometry) <= radius) count++;
         }
         return count;
     },
 
-    // Check if point is inside a polygon
+    // Ray-casting test against a single [lng, lat] ring
+    isPointInRing(point, ring) {
+        return isPointInRing([point.lng, point.lat], ring);
+    },
+
+    // Check if point is inside a polygon ([outer, ...holes] rings)
     isPointInPolygon(point, polygonCoords) {
-        const x = point.lng, y = point.lat;
-        let inside = false;
-        const ring = polygonCoords[0];
-        
-        for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
-            const xi = ring[i][0], yi = ring[i][1];
-            const xj = ring[j][0], yj = ring[j][1];
-            
-            const intersect = ((yi > y) !== (yj > y)) &&
-                (x < (xj - xi) * (y - yi) / (yj - yi) + xi);
-            if (intersect) inside = !inside;
+        const [outer, ...holes] = polygonCoords;
+        if (!outer || !this.isPointInRing(point, outer)) return false;
+        return !holes.some(hole => this.isPointInRing(point, hole));
+    },
+
+    // Check if point is inside a GeoJSON Polygon or MultiPolygon geometry
+    isPointInGeometry(point, geometry) {
+        if (!geometry) return false;
+        if (geometry.type === 'Polygon') {
+            return this.isPointInPolygon(point, geometry.coordinates);
+        }
+        if (geometry.type === 'MultiPolygon') {
+            return geometry.coordinates.some(polygon => this.isPointInPolygon(point, polygon));
         }
-        return inside;
+        return false;
+    },
+
+    // Area of a [lng, lat] ring in square meters
+    getPolygonArea(ring) {
+        if (!ring || ring.length < 3) return 0;
+        return getArea(ring);
+    },
+
+    // Area centroid of a [lng, lat] ring, returned as {lat, lng}
+    getRingCentroid(ring) {
+        return getCentroid(ring);
     },
 
-    // Get statistics for buildings within a radius
+    // Get statistics for buildings (array or spatial index) within a radius
     getNeighborhoodStats(point, features, radius = 150) {
         const neighbors = [];
-        const degRadius = radius / 111000;
-
-        for (const feature of features) {
-            let coords = null;
-            if (feature.geometry.type === 'Point') coords = feature.geometry.coordinates;
-            else if (feature.geometry.type === 'Polygon') coords = feature.geometry.coordinates[0][0];
-            
-            if (coords) {
-                if (Math.abs(coords[1] - point.lat) > degRadius) continue;
-                if (Math.abs(coords[0] - point.lng) > degRadius) continue;
-                
-                const dist = this.getDistance(point.lat, point.lng, coords[1], coords[0]);
-                if (dist <= radius) {
-                    neighbors.push({
-                        height: feature.properties.height || 0,
-                        distance: dist
-                    });
-                }
+
+        for (const feature of getCandidates(point, features, radius)) {
+            if (!isWithinBounds(point, feature.geometry, radius)) continue;
+
+            const dist = distanceToGeometry(point, feature.geometry);
+            if (dist <= radius) {
+                neighbors.push({
+                    height: feature.properties?.height || 0,
+                    distance: dist
+                });
             }
         }
 
@@ -121,4 +143,11 @@ export function isPointInPolygon(point, polygonCoords) {
     return SpatialUtils.isPointInPolygon(point, [polygonCoords]);
 }
 
+export function isPointInGeometry(point, geometry) {
+    if (Array.isArray(point)) {
+        return SpatialUtils.isPointInGeometry({ lng: point[0], lat: point[1] }, geometry);
+    }
+    return SpatialUtils.isPointInGeometry(point, geometry);
+}
+
 export default SpatialUtils;
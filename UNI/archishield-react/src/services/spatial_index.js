@@ -0,0 +1,219 @@
+/**
+ * Spatial Index - Packed R-tree over GeoJSON Features
+ *
+ * Built once per dataset (Sort-Tile-Recursive bulk load) so neighborhood
+ * queries touch only the features near a site instead of scanning the whole
+ * city. Boxes are [minLng, minLat, maxLng, maxLat]; exact distances come from
+ * ./geometry.js, so a polygon is measured to its nearest edge.
+ *
+ * Queries:
+ * - search(bbox): features whose bounding box intersects bbox
+ * - withinRadius(point, radius): [{ feature, distance }] closest first
+ * - nearest(point, k, maxDistance): the k closest [{ feature, distance }]
+ */
+import { METERS_PER_DEG_LAT, distanceToGeometry, getBounds } from './geometry.js';
+
+const DEFAULT_NODE_SIZE = 16;
+
+// Indexes built by getSpatialIndex, keyed by the feature array they cover
+const indexCache = new WeakMap();
+
+function intersects(a, b) {
+    return a[0] <= b[2] && a[2] >= b[0] && a[1] <= b[3] && a[3] >= b[1];
+}
+
+function unionBounds(entries) {
+    const bbox = [Infinity, Infinity, -Infinity, -Infinity];
+    for (const { bbox: b } of entries) {
+        if (b[0] < bbox[0]) bbox[0] = b[0];
+        if (b[1] < bbox[1]) bbox[1] = b[1];
+        if (b[2] > bbox[2]) bbox[2] = b[2];
+        if (b[3] > bbox[3]) bbox[3] = b[3];
+    }
+    return bbox;
+}
+
+// One level of Sort-Tile-Recursive packing: entries → parent nodes
+function packLevel(entries, nodeSize) {
+    const centerX = e => e.bbox[0] + e.bbox[2];
+    const centerY = e => e.bbox[1] + e.bbox[3];
+    const nodeCount = Math.ceil(entries.length / nodeSize);
+    const sliceSize = nodeSize * Math.ceil(Math.sqrt(nodeCount));
+    const sorted = [...entries].sort((a, b) => centerX(a) - centerX(b));
+    const parents = [];
+
+    for (let i = 0; i < sorted.length; i += sliceSize) {
+        const slice = sorted.slice(i, i + sliceSize).sort((a, b) => centerY(a) - centerY(b));
+        for (let j = 0; j < slice.length; j += nodeSize) {
+            const children = slice.slice(j, j + nodeSize);
+            parents.push({ bbox: unionBounds(children), children });
+        }
+    }
+    return parents;
+}
+
+// Minimal binary min-heap on `distance`
+function createQueue() {
+    const items = [];
+    return {
+        get size() { return items.length; },
+        push(item) {
+            items.push(item);
+            let i = items.length - 1;
+            while (i > 0) {
+                const parent = (i - 1) >> 1;
+                if (items[parent].distance <= items[i].distance) break;
+                [items[parent], items[i]] = [items[i], items[parent]];
+                i = parent;
+            }
+        },
+        pop() {
+            const top = items[0];
+            const last = items.pop();
+            if (items.length > 0) {
+                items[0] = last;
+                let i = 0;
+                for (;;) {
+                    const left = 2 * i + 1, right = left + 1;
+                    let smallest = i;
+                    if (left < items.length && items[left].distance < items[smallest].distance) smallest = left;
+                    if (right < items.length && items[right].distance < items[smallest].distance) smallest = right;
+                    if (smallest === i) break;
+                    [items[smallest], items[i]] = [items[i], items[smallest]];
+                    i = smallest;
+                }
+            }
+            return top;
+        }
+    };
+}
+
+/**
+ * Bounding box reaching a radius around a point
+ * @param {Object} point - { lat, lng }
+ * @param {number} radius - metres
+ * @returns {Array} [minLng, minLat, maxLng, maxLat]
+ */
+export function boundsAround(point, radius) {
+    const degLat = radius / METERS_PER_DEG_LAT;
+    const degLng = degLat / Math.cos(point.lat * Math.PI / 180);
+    return [point.lng - degLng, point.lat - degLat, point.lng + degLng, point.lat + degLat];
+}
+
+/**
+ * Grow a bounding box by a distance in metres on every side
+ * @param {Array} bbox - [minLng, minLat, maxLng, maxLat]
+ * @param {number} distance - metres
+ */
+export function expandBounds(bbox, distance) {
+    const degLat = distance / METERS_PER_DEG_LAT;
+    const degLng = degLat / Math.cos(((bbox[1] + bbox[3]) / 2) * Math.PI / 180);
+    return [bbox[0] - degLng, bbox[1] - degLat, bbox[2] + degLng, bbox[3] + degLat];
+}
+
+/**
+ * Build a spatial index over GeoJSON features
+ * @param {Array} features - GeoJSON features (features without geometry are skipped)
+ * @param {Object} options - { nodeSize }
+ * @returns {Object} { features, size, bounds, search, withinRadius, nearest }
+ */
+export function createSpatialIndex(features = [], { nodeSize = DEFAULT_NODE_SIZE } = {}) {
+    let level = [];
+    for (const feature of features) {
+        const bbox = getBounds(feature?.geometry);
+        if (bbox) level.push({ bbox, feature });
+    }
+    const size = level.length;
+
+    while (level.length > 1) level = packLevel(level, nodeSize);
+    const root = level[0]
+        ? (level[0].children ? level[0] : { bbox: level[0].bbox, children: level })
+        : null;
+
+    // Metre-scaled lower bound from a point to a box (0 inside)
+    const boxDistance = (point, bbox) => {
+        const mPerDegLng = METERS_PER_DEG_LAT * Math.cos(point.lat * Math.PI / 180);
+        const dx = Math.max(bbox[0] - point.lng, 0, point.lng - bbox[2]) * mPerDegLng;
+        const dy = Math.max(bbox[1] - point.lat, 0, point.lat - bbox[3]) * METERS_PER_DEG_LAT;
+        return Math.hypot(dx, dy);
+    };
+
+    const index = {
+        features,
+        size,
+        bounds: root ? [...root.bbox] : null,
+
+        search(bbox) {
+            const found = [];
+            if (!root || !intersects(root.bbox, bbox)) return found;
+
+            const stack = [root];
+            while (stack.length > 0) {
+                const node = stack.pop();
+                for (const child of node.children) {
+                    if (!intersects(child.bbox, bbox)) continue;
+                    if (child.feature) found.push(child.feature);
+                    else stack.push(child);
+                }
+            }
+            return found;
+        },
+
+        withinRadius(point, radius) {
+            return index.search(boundsAround(point, radius))
+                .map(feature => ({ feature, distance: distanceToGeometry(point, feature.geometry) }))
+                .filter(hit => hit.distance <= radius)
+                .sort((a, b) => a.distance - b.distance);
+        },
+
+        nearest(point, k = 1, maxDistance = Infinity) {
+            const results = [];
+            if (!root) return results;
+
+            // Best-first: boxes queue on their lower bound, features on their exact distance
+            const queue = createQueue();
+            queue.push({ distance: boxDistance(point, root.bbox), node: root });
+
+            while (queue.size > 0 && results.length < k) {
+                const { distance, node, entry, exact } = queue.pop();
+                if (distance > maxDistance) break;
+
+                if (exact) {
+                    results.push({ feature: entry.feature, distance });
+                } else if (entry) {
+                    queue.push({ distance: distanceToGeometry(point, entry.feature.geometry), entry, exact: true });
+                } else {
+                    for (const child of node.children) {
+                        const bound = boxDistance(point, child.bbox);
+                        queue.push(child.feature ? { distance: bound, entry: child } : { distance: bound, node: child });
+                    }
+                }
+            }
+            return results;
+        }
+    };
+    return index;
+}
+
+// Duck-type check so helpers accept either a feature array or an index
+export function isSpatialIndex(value) {
+    return Boolean(value) && typeof value.search === 'function' && typeof value.withinRadius === 'function';
+}
+
+/**
+ * Index for a feature array, built on first use and reused afterwards
+ * @param {Array|Object} features - GeoJSON features, or an existing index
+ */
+export function getSpatialIndex(features = []) {
+    if (isSpatialIndex(features)) return features;
+    if (!Array.isArray(features)) return createSpatialIndex([]);
+
+    let index = indexCache.get(features);
+    if (!index) {
+        index = createSpatialIndex(features);
+        indexCache.set(features, index);
+    }
+    return index;
+}
+
+export default createSpatialIndex;
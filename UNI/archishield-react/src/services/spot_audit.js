@@ -0,0 +1,328 @@
+/**
+ * Vienna Spot-Audit - Headless Audit Core
+ *
+ * Framework-free audit pipeline shared by the React hook and the CLI.
+ * The building dataset, zoning plan, geology and tunnel layers are always passed in,
+ * never imported, so this module runs unchanged under Vite and plain Node.
+ * Regulatory constants come from the active jurisdiction pack: the project
+ * setting when given, else the pack covering the site (./jurisdictions/),
+ * in the rule version in force on the audit's `asOf` date.
+ */
+import { defaultAuditRegistry, runRegisteredAudits } from './audits/index.js';
+import SpatialUtils from './spatial.js';
+import { findDistrict, detectDistrict } from './districts.js';
+import { createRectangularFootprint, getFootprintMetrics, normalizeFootprint } from './footprint.js';
+import { getSpatialIndex } from './spatial_index.js';
+import { describeJurisdiction, diffRuleSets, resolveJurisdiction, toDateKey } from './jurisdictions/index.js';
+import APP_CONSTANTS from './constants.js';
+
+export { detectDistrict };
+
+export const STATUS = {
+    HIGH: 'HIGH - Ready for Submission',
+    MEDIUM: 'MEDIUM - Proceed with Caution',
+    LOW: 'LOW - Significant Issues',
+    REJECTED: 'REJECTED'
+};
+
+export const DEFAULT_BUILDING_PARAMS = {
+    material: 'CONCRETE',
+    height: 20,
+    floors: 5,
+    footprint: 200,
+    rotation: 0
+};
+
+/**
+ * Build the audit building from a location and user parameters
+ *
+ * The building always carries a GeoJSON `footprintPolygon`: the one passed in
+ * params, else the dataset building's own outline, else a rectangle of
+ * `footprint` m² rotated by `rotation`. Footprint area and dimensions are
+ * measured from that polygon.
+ *
+ * @param {number} latitude
+ * @param {number} longitude
+ * @param {Object} params - Building parameters (height, floors, footprint, material, footprintPolygon, lotPolygon, ...)
+ * @param {Object} existingBuilding - Optional dataset feature to take height/levels/outline from
+ */
+export function createSpotBuilding(latitude, longitude, params = {}, existingBuilding = null) {
+    const footprintPolygon = normalizeFootprint(params.footprintPolygon)
+        || normalizeFootprint(existingBuilding?.geometry)
+        || createRectangularFootprint(
+            { lat: latitude, lng: longitude },
+            params.footprint || 200,
+            { rotation: params.rotation || 0, aspect: params.footprintAspect || 1 }
+        );
+    const { area, width, depth, perimeter } = getFootprintMetrics(footprintPolygon);
+
+    return {
+        latitude,
+        longitude,
+        lat: latitude,
+        lng: longitude,
+        height: params.height || existingBuilding?.properties?.height || 20,
+        floors: params.floors || existingBuilding?.properties?.levels || 5,
+        roofArea: params.roofArea || Math.round(area),
+        surfaceSeal: params.surfaceSeal || 70,
+        basementDepth: params.basementDepth || 5,
+        groundElevation: params.groundElevation || 0,
+        hasGreenRoof: params.hasGreenRoof || false,
+        hasSolarPanels: params.hasSolarPanels || false,
+        material: params.material || 'CONCRETE',
+        ...params,
+        // Geometry-derived values always follow the polygon
+        footprintPolygon,
+        lotPolygon: normalizeFootprint(params.lotPolygon),
+        footprint: Math.round(area),
+        footprintWidth: Math.round(width * 10) / 10,
+        footprintDepth: Math.round(depth * 10) / 10,
+        perimeter: Math.round(perimeter * 10) / 10
+    };
+}
+
+/**
+ * Location context shared by all audits (district + neighborhood statistics)
+ * @param {number} latitude
+ * @param {number} longitude
+ * @param {Array|Object} buildings - GeoJSON building features, or their spatial index
+ */
+export function createAuditContext(latitude, longitude, buildings = []) {
+    const district = findDistrict(latitude, longitude);
+    const neighborhood = SpatialUtils.getNeighborhoodStats(
+        { lat: latitude, lng: longitude },
+        getSpatialIndex(buildings),
+        150
+    );
+    return {
+        district: district?.number ?? null,
+        districtName: district?.name ?? null,
+        neighborhood
+    };
+}
+
+/**
+ * Run all registered audits synchronously and derive the overall verdict
+ * @param {Object} building - Spot-Audit building
+ * @param {Object} context - { district, districtName, neighborhood }
+ * @param {Object} options - { registry, buildings, buildingIndex, zoningPlan, geology, tunnels, jurisdiction }
+ *   buildingIndex defaults to the (cached) spatial index of `buildings`;
+ *   jurisdiction is the active pack object (default: Vienna)
+ */
+export function executeAllAudits(building, context, {
+    registry = defaultAuditRegistry,
+    buildings = [],
+    buildingIndex = getSpatialIndex(buildings),
+    zoningPlan = null,
+    geology = null,
+    tunnels = null,
+    jurisdiction = APP_CONSTANTS
+} = {}) {
+    const {
+        audits: auditResults,
+        constraints: allConstraints,
+        mandates: allMandates,
+        feasibility,
+        passedCount,
+        totalAudits
+    } = runRegisteredAudits(registry, {
+        building, context, buildings, buildingIndex, zoningPlan, geology, tunnels, jurisdiction
+    });
+
+    const allPassed = passedCount === totalAudits;
+    const hasBlocking = allConstraints.some(c => c.severity === 'blocking');
+
+    let status, statusColor;
+    if (hasBlocking) {
+        status = STATUS.REJECTED;
+        statusColor = 'danger';
+    } else if (allPassed && feasibility >= 80) {
+        status = STATUS.HIGH;
+        statusColor = 'success';
+    } else if (feasibility >= 60) {
+        status = STATUS.MEDIUM;
+        statusColor = 'warning';
+    } else {
+        status = STATUS.LOW;
+        statusColor = 'danger';
+    }
+
+    // Find key risk
+    const criticalConstraints = allConstraints.filter(c =>
+        c.severity === 'blocking' || c.severity === 'critical'
+    );
+    const keyRisk = criticalConstraints[0]?.message || 'No critical constraints';
+
+    return {
+        audits: auditResults,
+        feasibility,
+        status,
+        statusColor,
+        keyRisk,
+        constraints: allConstraints,
+        mandates: allMandates,
+        passedCount,
+        totalAudits
+    };
+}
+
+/**
+ * One-shot Spot-Audit for a location: builds the building and context, then audits
+ * @param {Object} request - { latitude, longitude, params, buildings, buildingIndex, zoningPlan, geology, tunnels, registry, jurisdiction, asOf }
+ *   jurisdiction: project setting (pack id or pack object); omitted, the site location picks the pack
+ *   asOf: date whose rules apply, e.g. the submission date (default: today)
+ */
+export function runSpotAudit({
+    latitude,
+    longitude,
+    params = {},
+    buildings = [],
+    buildingIndex = getSpatialIndex(buildings),
+    zoningPlan = null,
+    geology = null,
+    tunnels = null,
+    registry = defaultAuditRegistry,
+    jurisdiction = null,
+    asOf = new Date()
+}) {
+    const pack = resolveJurisdiction({ jurisdiction, latitude, longitude, asOf });
+    const existingBuilding = params.id
+        ? buildings.find(f => f.properties?.id === params.id)
+        : null;
+    const building = createSpotBuilding(latitude, longitude, params, existingBuilding);
+    const context = createAuditContext(latitude, longitude, buildingIndex);
+    const auditData = executeAllAudits(building, context, {
+        registry, buildings, buildingIndex, zoningPlan, geology, tunnels, jurisdiction: pack
+    });
+
+    return {
+        success: true,
+        jurisdiction: { ...describeJurisdiction(pack), asOf: toDateKey(asOf) },
+        district: context.district,
+        districtName: context.districtName,
+        building,
+        ...auditData,
+        timestamp: new Date().toISOString()
+    };
+}
+
+/**
+ * What changes for one design between the rules in force on two dates
+ * @param {Object} request - As runSpotAudit (its asOf is ignored)
+ * @param {Object} dates - { from, to } - dates to compare (to defaults to today)
+ * @returns {Object} { from, to, ruleChanges, audits, constraints, mandates, feasibility, status }
+ *   from/to: the jurisdiction summaries of both runs;
+ *   ruleChanges: [{ path, from, to }] of the rule sets;
+ *   audits: [{ id, name, from: { score, passed }, to: { score, passed } }] for audits whose outcome changed;
+ *   constraints / mandates: { added, removed }, matched by type and text
+ */
+export function compareRuleVersions(request, { from, to = new Date() }) {
+    const { latitude, longitude, jurisdiction = null } = request;
+    const rulesFrom = resolveJurisdiction({ jurisdiction, latitude, longitude, asOf: from });
+    const rulesTo = resolveJurisdiction({ jurisdiction, latitude, longitude, asOf: to });
+    const before = runSpotAudit({ ...request, jurisdiction: rulesFrom, asOf: from });
+    const after = runSpotAudit({ ...request, jurisdiction: rulesTo, asOf: to });
+
+    const audits = Object.entries(after.audits)
+        .map(([key, audit]) => {
+            const previous = before.audits[key];
+            return {
+                id: key,
+                name: audit.name,
+                from: previous ? { score: previous.score, passed: previous.passed } : null,
+                to: { score: audit.score, passed: audit.passed }
+            };
+        })
+        .filter(change => !change.from ||
+            change.from.score !== change.to.score || change.from.passed !== change.to.passed);
+
+    // Added/removed items, matched by type and text
+    const changed = (previous, current, text) => {
+        const key = item => `${item.type}|${item[text]}`;
+        const previousKeys = new Set(previous.map(key));
+        const currentKeys = new Set(current.map(key));
+        return {
+            added: current.filter(item => !previousKeys.has(key(item))),
+            removed: previous.filter(item => !currentKeys.has(key(item)))
+        };
+    };
+
+    return {
+        from: before.jurisdiction,
+        to: after.jurisdiction,
+        ruleChanges: diffRuleSets(rulesFrom, rulesTo),
+        audits,
+        constraints: changed(before.constraints, after.constraints, 'message'),
+        mandates: changed(before.mandates, after.mandates, 'description'),
+        feasibility: { from: before.feasibility, to: after.feasibility },
+        status: { from: before.status, to: after.status }
+    };
+}
+
+/**
+ * Normalize a building file (Spot-Audit params, legacy snake_case, or GeoJSON)
+ * into { latitude, longitude, jurisdiction, params }. Coordinates and the
+ * jurisdiction (project setting, a pack id) may be null if absent.
+ * @param {Object} data - Parsed JSON
+ */
+export function parseBuildingInput(data) {
+    if (!data || typeof data !== 'object') {
+        throw new Error('Building input must be a JSON object');
+    }
+
+    // GeoJSON: the first feature is the building; a feature with role "lot" is the Bauplatz
+    if (data.type === 'FeatureCollection') {
+        const lot = data.features?.find(f => f.properties?.role === 'lot');
+        const feature = data.features?.find(f => f !== lot);
+        if (!feature) throw new Error('FeatureCollection contains no building feature');
+        const parsed = parseBuildingInput(feature);
+        if (lot?.geometry) parsed.params = { ...parsed.params, lotPolygon: lot.geometry };
+        return parsed;
+    }
+    if (data.type === 'Feature') {
+        const { geometry, properties = {} } = data;
+        const parsed = parseBuildingInput(properties);
+        if (geometry?.type === 'Point') {
+            return { ...parsed, longitude: geometry.coordinates[0], latitude: geometry.coordinates[1] };
+        }
+        if (geometry?.type === 'Polygon' || geometry?.type === 'MultiPolygon') {
+            // Multi-part footprints keep their first part
+            const footprintPolygon = geometry.type === 'Polygon'
+                ? geometry
+                : { type: 'Polygon', coordinates: geometry.coordinates[0] };
+            const centroid = SpatialUtils.getRingCentroid(footprintPolygon.coordinates[0]);
+            return {
+                ...parsed,
+                latitude: centroid.lat,
+                longitude: centroid.lng,
+                params: { ...parsed.params, footprintPolygon }
+            };
+        }
+        return parsed;
+    }
+
+    // Plain object: accept both Spot-Audit and legacy validator field names
+    const params = { ...data };
+    const aliases = {
+        footprint: 'footprint_area',
+        floors: 'levels',
+        basementDepth: 'foundation_depth',
+        groundElevation: 'ground_floor_elevation'
+    };
+    for (const [field, legacy] of Object.entries(aliases)) {
+        if (params[field] === undefined && data[legacy] !== undefined) {
+            params[field] = data[legacy];
+        }
+        delete params[legacy];
+    }
+    if (typeof params.material === 'string') params.material = params.material.toUpperCase();
+
+    const latitude = data.latitude ?? data.lat ?? null;
+    const longitude = data.longitude ?? data.lng ?? data.lon ?? null;
+    const jurisdiction = data.jurisdiction ?? null;
+    ['latitude', 'longitude', 'lat', 'lng', 'lon', 'jurisdiction'].forEach(key => delete params[key]);
+
+    return { latitude, longitude, jurisdiction, params };
+}
+
+export default runSpotAudit;
@@ -0,0 +1,122 @@
+/**
+ * Vienna U-Bahn Tunnel Layer
+ *
+ * Tunnel centerlines as GeoJSON LineString features, one per tunnelled
+ * section of a line:
+ *
+ * {
+ *   id: 'TUN-U1-01',
+ *   line: 'U1',
+ *   color: '#E20E17',
+ *   status: 'in service',          // or 'under construction'
+ *   stations: ['Reumannplatz', null, ...],  // station name per vertex (null between stations)
+ *   depths: [16, 17, ...]          // tunnel crown below street level per vertex (m)
+ * }
+ *
+ * The depth varies linearly along each segment. Distances are measured from
+ * the footprint edge to the centerline in the local metric projection, so a
+ * site above the tunnel between two stations is at distance 0. Like the
+ * zoning plan and geology layers, the layer is passed in.
+ */
+import { getOuterRing } from './footprint.js';
+import { closestPointOnSegment, createLocalProjection, isPointInRing, segmentIntersection } from './geometry.js';
+
+/**
+ * Closest approach between a footprint and one tunnel segment
+ * @returns {Object} { distance, depth } - depth at the closest point, or the
+ *   shallowest depth under the footprint where the segment passes beneath it
+ */
+function measureSegment(points, a, b, depthA, depthB) {
+    const depthAt = t => depthA + t * (depthB - depthA);
+    const under = [];
+
+    if (isPointInRing(a, points)) under.push(0);
+    if (isPointInRing(b, points)) under.push(1);
+    for (let i = 0, j = points.length - 1; i < points.length; j = i++) {
+        const t = segmentIntersection(a, b, points[j], points[i]);
+        if (t !== null) under.push(t);
+    }
+    if (under.length > 0) {
+        return { distance: 0, depth: Math.min(...under.map(depthAt)) };
+    }
+
+    // Footprint vertices onto the segment, segment ends onto the footprint edges
+    let best = { t: 0, distance: Infinity };
+    for (const point of points) {
+        const candidate = closestPointOnSegment(point, a, b);
+        if (candidate.distance < best.distance) best = candidate;
+    }
+    for (const [t, end] of [[0, a], [1, b]]) {
+        for (let i = 0, j = points.length - 1; i < points.length; j = i++) {
+            const { distance } = closestPointOnSegment(end, points[j], points[i]);
+            if (distance < best.distance) best = { t, distance };
+        }
+    }
+    return { distance: best.distance, depth: depthAt(best.t) };
+}
+
+/**
+ * Measure every tunnel line against a footprint
+ * @param {Object} tunnels - GeoJSON FeatureCollection of tunnel centerlines
+ * @param {Object} footprint - Footprint geometry
+ * @returns {Array} Nearest section per line, closest first:
+ *   [{ id, line, color, status, distance, depth, station, stationDistance }]
+ */
+export function measureTunnels(tunnels, footprint) {
+    const ring = getOuterRing(footprint);
+    if (ring.length < 3) return [];
+
+    const projection = createLocalProjection({
+        lng: ring.reduce((sum, p) => sum + p[0], 0) / ring.length,
+        lat: ring.reduce((sum, p) => sum + p[1], 0) / ring.length
+    });
+    const points = ring.map(projection.toLocal);
+    const byLine = new Map();
+
+    for (const feature of tunnels?.features || []) {
+        if (feature.geometry?.type !== 'LineString') continue;
+        const props = feature.properties || {};
+        const vertices = feature.geometry.coordinates.map(projection.toLocal);
+        const depths = props.depths || [];
+        const stations = props.stations || [];
+
+        let nearest = { distance: Infinity, depth: null };
+        for (let i = 1; i < vertices.length; i++) {
+            const segment = measureSegment(points, vertices[i - 1], vertices[i], depths[i - 1] ?? 0, depths[i] ?? 0);
+            if (segment.distance < nearest.distance ||
+                (segment.distance === 0 && nearest.distance === 0 && segment.depth < nearest.depth)) {
+                nearest = segment;
+            }
+        }
+
+        // Station closest to the site centre
+        let station = null;
+        let stationDistance = Infinity;
+        vertices.forEach(([x, y], i) => {
+            if (!stations[i]) return;
+            const distance = Math.hypot(x, y);
+            if (distance < stationDistance) {
+                station = stations[i];
+                stationDistance = distance;
+            }
+        });
+
+        const previous = byLine.get(props.line);
+        if (!previous || nearest.distance < previous.distance) {
+            byLine.set(props.line, {
+                id: props.id || null,
+                line: props.line,
+                color: props.color || null,
+                status: props.status || 'in service',
+                distance: nearest.distance,
+                depth: nearest.depth,
+                station,
+                stationDistance
+            });
+        }
+    }
+
+    return [...byLine.values()].sort((a, b) => a.distance - b.distance);
+}
+
+export default measureTunnels;
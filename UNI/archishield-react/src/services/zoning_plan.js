@@ -0,0 +1,102 @@
+/**
+ * Vienna Zoning Plan - Flächenwidmungs- und Bebauungsplan
+ *
+ * Resolves the zoning-plan block (Baublock) that applies to a site. A plan is
+ * a GeoJSON FeatureCollection of Polygon/MultiPolygon blocks with properties:
+ *
+ * {
+ *   id: 'PD-7001-B01',              // block id
+ *   plandokument: '7001',           // Plandokument the block was enacted in
+ *   widmung: 'GB',                  // land-use designation (see WIDMUNGEN)
+ *   bauklasse: 'V',                 // I-VI, null for Grünland
+ *   bauweise: 'g',                  // g | o | gk | ob (see BAUWEISEN)
+ *   maxHeight: 14.5,                // optional explicit height limit (m)
+ *   schutzzone: true,               // optional protection zone flag
+ *   provisions: [{ code, text }]    // besondere Bestimmungen (BB)
+ * }
+ *
+ * The plan is passed in like the building dataset, so the audit core stays
+ * data-free and runs under Vite and plain Node.
+ */
+import SpatialUtils from './spatial.js';
+
+// Land-use designations (Widmungen) - Grünland categories are not buildable
+export const WIDMUNGEN = {
+    W: { name: 'Wohngebiet', buildable: true },
+    GB: { name: 'Gemischtes Baugebiet', buildable: true },
+    GBGV: { name: 'Gemischtes Baugebiet - Geschäftsviertel', buildable: true },
+    BG: { name: 'Betriebsbaugebiet', buildable: true },
+    IG: { name: 'Industriegebiet', buildable: true },
+    SO: { name: 'Sondergebiet', buildable: true },
+    Epk: { name: 'Grünland - Parkschutzgebiet', buildable: false },
+    Esp: { name: 'Grünland - Sport- und Spielplätze', buildable: false },
+    SWW: { name: 'Grünland - Wald- und Wiesengürtel', buildable: false },
+    L: { name: 'Grünland - Ländliches Gebiet', buildable: false }
+};
+
+export const BAUWEISEN = {
+    g: 'geschlossene Bauweise',
+    o: 'offene Bauweise',
+    gk: 'gekuppelte Bauweise',
+    ob: 'offene oder gekuppelte Bauweise'
+};
+
+/**
+ * Normalize a zoning-plan feature into a block object
+ * @param {Object} feature - GeoJSON feature
+ */
+export function toZoningBlock(feature) {
+    const props = feature.properties || {};
+    const widmung = WIDMUNGEN[props.widmung] || { name: props.widmung || 'Unknown', buildable: true };
+
+    return {
+        id: props.id,
+        plandokument: props.plandokument || null,
+        widmung: props.widmung,
+        widmungName: widmung.name,
+        buildable: widmung.buildable,
+        bauklasse: props.bauklasse || null,
+        bauweise: props.bauweise || null,
+        bauweiseName: BAUWEISEN[props.bauweise] || null,
+        maxHeight: props.maxHeight ?? null,
+        schutzzone: Boolean(props.schutzzone),
+        provisions: props.provisions || [],
+        // Plan notation as printed on the map, e.g. "GB V g"
+        notation: [props.widmung, props.bauklasse, props.bauweise].filter(Boolean).join(' '),
+        geometry: feature.geometry
+    };
+}
+
+/**
+ * Find the block that applies to a site
+ *
+ * With a footprint ring, the block holding most of the footprint's vertices
+ * (and its centroid) wins, so buildings straddling a block line resolve to
+ * the block they mostly sit in. Otherwise the site point decides.
+ *
+ * @param {Object} zoningPlan - GeoJSON FeatureCollection of blocks
+ * @param {Object} site - { lat, lng, footprint?: [[lng, lat], ...] }
+ * @returns {Object|null} Normalized block or null if the plan does not cover the site
+ */
+export function findZoningBlock(zoningPlan, { lat, lng, footprint = null }) {
+    const features = zoningPlan?.features || [];
+    if (features.length === 0) return null;
+
+    const samples = footprint?.length >= 3
+        ? [SpatialUtils.getRingCentroid(footprint), ...footprint.map(([x, y]) => ({ lng: x, lat: y }))]
+        : [{ lat, lng }];
+
+    let best = null;
+    let bestHits = 0;
+    for (const feature of features) {
+        const hits = samples.filter(point => SpatialUtils.isPointInGeometry(point, feature.geometry)).length;
+        if (hits > bestHits) {
+            best = feature;
+            bestHits = hits;
+        }
+    }
+
+    return best ? toZoningBlock(best) : null;
+}
+
+export default findZoningBlock;
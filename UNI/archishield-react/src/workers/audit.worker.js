@@ -0,0 +1,76 @@
+/**
+ * Audit Worker - Spot-Audit Core off the Main Thread
+ *
+ * Loads the Vienna datasets and builds the building index once, then answers
+ * { type: 'audit', id, building, context, jurisdiction, asOf, disabled } messages
+ * with { id, auditData }, { type: 'sweep', id, site, sweep, jurisdiction, asOf, disabled }
+ * messages with { id, sweep }, { type: 'envelope', id, site, goals, jurisdiction, asOf, disabled }
+ * messages with { id, envelope } and { type: 'optimize', id, site, goals, jurisdiction, asOf, disabled }
+ * messages with { id, optimization } (or { id, error }). Runs with the default registry
+ * minus the `disabled` audit ids, against the rules of the jurisdiction pack
+ * with that id in force on `asOf`.
+ * Stale-run handling lives in the client (../services/audit_worker.js).
+ */
+import { defaultAuditRegistry } from '../services/audits/index.js';
+import { executeAllAudits } from '../services/spot_audit.js';
+import { sweepParameter } from '../services/sensitivity.js';
+import { solveMaxEnvelope } from '../services/envelope.js';
+import { optimizeDesign } from '../services/optimizer.js';
+import { createSpatialIndex } from '../services/spatial_index.js';
+import { resolveJurisdiction } from '../services/jurisdictions/index.js';
+import buildingsData from '../data/vienna_buildings.json';
+import zoningPlanData from '../data/vienna_zoning_plan.json';
+import geologyData from '../data/vienna_geology.json';
+import tunnelData from '../data/vienna_ubahn_tunnels.json';
+
+const buildingIndex = createSpatialIndex(buildingsData.features);
+
+// One registry per set of disabled audits
+const registries = new Map();
+
+function getRegistry(disabled = []) {
+    const key = [...disabled].sort().join(',');
+    if (!key) return defaultAuditRegistry;
+    if (!registries.has(key)) {
+        const registry = defaultAuditRegistry.clone();
+        disabled.forEach(id => registry.disable(id));
+        registries.set(key, registry);
+    }
+    return registries.get(key);
+}
+
+function getAuditOptions(data, latitude, longitude) {
+    return {
+        registry: getRegistry(data.disabled),
+        buildings: buildingsData.features,
+        buildingIndex,
+        zoningPlan: zoningPlanData,
+        geology: geologyData,
+        tunnels: tunnelData,
+        jurisdiction: resolveJurisdiction({ jurisdiction: data.jurisdiction, latitude, longitude, asOf: data.asOf })
+    };
+}
+
+self.onmessage = ({ data }) => {
+    try {
+        if (data?.type === 'audit') {
+            const { building, context } = data;
+            const auditData = executeAllAudits(building, context, getAuditOptions(data, building.latitude, building.longitude));
+            self.postMessage({ id: data.id, auditData });
+        } else if (data?.type === 'sweep') {
+            const { site } = data;
+            const sweep = sweepParameter(site, data.sweep, getAuditOptions(data, site.latitude, site.longitude));
+            self.postMessage({ id: data.id, sweep });
+        } else if (data?.type === 'envelope') {
+            const { site } = data;
+            const envelope = solveMaxEnvelope(site, data.goals, getAuditOptions(data, site.latitude, site.longitude));
+            self.postMessage({ id: data.id, envelope });
+        } else if (data?.type === 'optimize') {
+            const { site } = data;
+            const optimization = optimizeDesign(site, data.goals, getAuditOptions(data, site.latitude, site.longitude));
+            self.postMessage({ id: data.id, optimization });
+        }
+    } catch (error) {
+        self.postMessage({ id: data.id, error: error.message });
+    }
+};